@@ -11,7 +11,10 @@ import SwaggerUI from '@fastify/swagger-ui';
 import { config } from './config.js';
 import chatMemory from './plugins/chat-memory.js';
 import miaPlugin from './plugins/mia.js';
+import agentforcePlugin from './plugins/agentforce.js';
 import dbPlugin from './plugins/db.js';
+import authPlugin from './plugins/auth.js';
+import mailPlugin from './plugins/mail.js';
 import chatRoutes from './routes/chat.js';
 import usersRoutes from './routes/users.js';
 import productsRoutes from './routes/products.js';
@@ -19,6 +22,9 @@ import metricsRoutes from './routes/metrics.js';
 import webhooksRoutes from './routes/webhooks.js';
 import toolSettingsRoutes from './routes/tool-settings.js';
 import adminRoutes from './routes/admin.js';
+import readingsRoutes from './routes/readings.js';
+import apiKeysRoutes from './routes/api-keys.js';
+import promptsRoutes from './routes/prompts.js';
 
 export async function build(opts = {}) {
   // Create Fastify instance with merged options
@@ -58,29 +64,7 @@ export async function build(opts = {}) {
   });
 
   // Decorators for authentication
-  fastify.decorate('verifyUserAndPassword', async function (request, reply) {
-    try {
-      const { username, password } = request.body;
-      const isAuthenticated = await fastify.db.authenticate(username, password);
-      if (!isAuthenticated) {
-        throw new Error('Invalid credentials');
-      }
-    } catch (err) {
-      reply
-        .code(401)
-        .send({ error: 'Authentication failed', message: err.message });
-    }
-  });
-
-  fastify.decorate('verifyJwt', async function (request, reply) {
-    try {
-      await request.jwtVerify();
-    } catch (err) {
-      reply
-        .code(401)
-        .send({ error: 'JWT verification failed', message: err.message });
-    }
-  });
+  fastify.register(authPlugin);
 
   fastify.register(FastifyAuth);
 
@@ -100,6 +84,12 @@ export async function build(opts = {}) {
             scheme: 'bearer',
             bearerFormat: 'JWT',
           },
+          ApiKeyAuth: {
+            description: 'API key issued for a solar system, used by devices',
+            type: 'apiKey',
+            in: 'header',
+            name: 'X-API-Key',
+          },
         },
       },
     },
@@ -122,14 +112,19 @@ export async function build(opts = {}) {
     routePrefix: '/api-docs',
   });
 
+  // One pool shared by the routes, plugins and services
   fastify.register(FastifyPostgres, {
     connectionString: config.DATABASE_URL,
     ssl: {
       rejectUnauthorized: false,
     },
+    max: config.DATABASE_POOL_MAX,
+    // Fail requests instead of waiting forever when the database is unreachable
+    connectionTimeoutMillis: 10000,
+    idleTimeoutMillis: 30000,
   });
 
-  if (config.AI_ENGINE === 'mia') {
+  if (config.AI_ENGINE) {
     if (config.ENABLE_MEMORY) {
       fastify.register(FastifyRedis, {
         url: config.REDIS_URL,
@@ -141,17 +136,20 @@ export async function build(opts = {}) {
           rejectUnauthorized: false,
         },
       });
-      fastify.register(chatMemory);
     }
+    // Conversations are stored in Postgres, Redis caches them when enabled
+    fastify.register(chatMemory);
 
-    fastify.register(miaPlugin);
+    // Agentforce runs its own agent, the other engines are chat completion providers
+    fastify.register(
+      config.AI_ENGINE === 'agentforce' ? agentforcePlugin : miaPlugin
+    );
     // Register Chat Completion Routes
     fastify.register(chatRoutes, { prefix: '/api' });
-  } else if (config.AI_ENGINE === 'agentforce') {
-    // Register Agentforce plugin and routes
   }
 
   fastify.register(dbPlugin);
+  fastify.register(mailPlugin);
 
   fastify.register(usersRoutes, { prefix: '/api' });
   fastify.register(productsRoutes, { prefix: '/api' });
@@ -159,6 +157,9 @@ export async function build(opts = {}) {
   fastify.register(webhooksRoutes, { prefix: '/api' });
   fastify.register(toolSettingsRoutes, { prefix: '/api' });
   fastify.register(adminRoutes, { prefix: '/api' });
+  fastify.register(readingsRoutes, { prefix: '/api' });
+  fastify.register(apiKeysRoutes, { prefix: '/api' });
+  fastify.register(promptsRoutes, { prefix: '/api' });
 
   fastify.get('/', async (_request, reply) => {
     return reply.redirect('/api-docs');
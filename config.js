@@ -1,21 +1,45 @@
 export const config = {
   PORT: +process.env.PORT || 3000,
   DATABASE_URL: process.env.DATABASE_URL,
+  DATABASE_POOL_MAX: +process.env.DATABASE_POOL_MAX || 10, // Maximum number of pooled database connections
   PUBLIC_KEY: process.env.PUBLIC_KEY,
   PRIVATE_KEY: process.env.PRIVATE_KEY,
-  AI_ENGINE: process.env.AI_ENGINE, // mia or agentforce
-  // Configuration options if AI_ENGINE is MIA
-  ENABLE_MEMORY: process.env.ENABLE_MEMORY || false,
+  ACCESS_TOKEN_TTL: +process.env.ACCESS_TOKEN_TTL || 900, // Lifetime of access tokens in seconds
+  REFRESH_TOKEN_TTL_DAYS: +process.env.REFRESH_TOKEN_TTL_DAYS || 30, // Lifetime of refresh tokens in days
+  APP_URL: process.env.APP_URL || 'http://localhost:3000', // Base URL of the links sent by email
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'console', // console (recipient and subject only) or file
+  MAIL_DIR: process.env.MAIL_DIR || 'tmp/mail', // Output directory of the file mail transport
+  MAIL_FROM:
+    process.env.MAIL_FROM || 'Luminaire Solar <no-reply@luminaire.example>',
+  AI_ENGINE: process.env.AI_ENGINE, // mia, openai, scripted or agentforce
+  // Configuration options if AI_ENGINE is MIA (INFERENCE_* also for openai)
+  ENABLE_MEMORY: process.env.ENABLE_MEMORY || false, // Cache the chat conversations in Redis
+  CHAT_RETENTION_DAYS: +(process.env.CHAT_RETENTION_DAYS ?? 30), // Chat conversations idle for longer are deleted, 0 keeps them
   REDIS_URL: process.env.REDIS_URL,
-  APP_NAME: process.env.APP_NAME, // The app name to use for the heroku tools
-  DATABASE_ATTACHMENT: process.env.DATABASE_ATTACHMENT, // The name of the database attachment to use for the heroku tools
-  DYNO_SIZE: process.env.DYNO_SIZE || 'Standard-1X', // The size of the dyno to use for the heroku tools
   INFERENCE_KEY: process.env.INFERENCE_KEY,
   INFERENCE_MODEL_ID: process.env.INFERENCE_MODEL_ID,
   INFERENCE_URL: process.env.INFERENCE_URL,
-  MAX_CALLS: process.env.MAX_CALLS || 5,
+  CONTEXT_MAX_TOKENS: +process.env.CONTEXT_MAX_TOKENS || 32000, // Estimated tokens of the chat requests (prompt and history), older messages are summarized
+  MAX_CALLS: +process.env.MAX_CALLS || 5, // Maximum number of calls per Heroku tool, or of tool calls run by the application per answer
+  AI_DATABASE_URL: process.env.AI_DATABASE_URL, // Login of the database tools (luminaire_ai), a member of luminaire_ai_readonly only
+  // Configuration options if AI_ENGINE is Agentforce
+  SF_MY_DOMAIN_URL: process.env.SF_MY_DOMAIN_URL, // e.g. https://mycompany.my.salesforce.com
+  SF_CLIENT_ID: process.env.SF_CLIENT_ID, // Consumer key of the connected app
+  SF_CLIENT_SECRET: process.env.SF_CLIENT_SECRET, // Consumer secret of the connected app
+  SF_AGENT_ID: process.env.SF_AGENT_ID,
+  SF_API_URL: process.env.SF_API_URL || 'https://api.salesforce.com', // Host of the Agent API
 };
 
+if (
+  !['mia', 'openai', 'scripted', 'agentforce', undefined].includes(
+    config.AI_ENGINE
+  )
+) {
+  throw new Error(
+    `Unknown AI_ENGINE ${config.AI_ENGINE}, expected mia, openai, scripted or agentforce`
+  );
+}
+
 // Check required config for MIA
 if (config.AI_ENGINE === 'mia') {
   if (!config.INFERENCE_KEY) {
@@ -33,24 +57,64 @@ if (config.AI_ENGINE === 'mia') {
       'INFERENCE_MODEL_ID is required for MIA, please provision the MIA addon'
     );
   }
-
-  if (!config.APP_NAME) {
-    throw new Error(
-      'APP_NAME is required for MIA, please set the APP_NAME environment variable'
-    );
-  }
-
-  if (!config.DATABASE_ATTACHMENT) {
+  if (!config.AI_DATABASE_URL) {
     throw new Error(
-      'DATABASE_ATTACHMENT is required for MIA, please set the DATABASE_ATTACHMENT environment variable'
+      'AI_DATABASE_URL is required for MIA, please attach the luminaire_ai credential of the database as AI_DATABASE'
     );
   }
 
   if (config.ENABLE_MEMORY) {
     if (!config.REDIS_URL) {
       throw new Error(
-        'REDIS_URL is required for Chat Memory in MIA, please provision a Heroku Key-Value Store addon'
+        'REDIS_URL is required for the Chat Memory cache in MIA, please provision a Heroku Key-Value Store addon'
+      );
+    }
+  }
+}
+
+// Check required config for OpenAI-compatible servers
+if (config.AI_ENGINE === 'openai') {
+  for (const name of [
+    'INFERENCE_URL',
+    'INFERENCE_MODEL_ID',
+    'AI_DATABASE_URL',
+  ]) {
+    if (!config[name]) {
+      throw new Error(
+        `${name} is required for OpenAI-compatible servers, please set the ${name} environment variable`
       );
     }
   }
 }
+
+if (
+  ['openai', 'scripted'].includes(config.AI_ENGINE) &&
+  config.ENABLE_MEMORY &&
+  !config.REDIS_URL
+) {
+  throw new Error(
+    'REDIS_URL is required for the Chat Memory cache, please provision a Heroku Key-Value Store addon'
+  );
+}
+
+// Check required config for Agentforce
+if (config.AI_ENGINE === 'agentforce') {
+  for (const name of [
+    'SF_MY_DOMAIN_URL',
+    'SF_CLIENT_ID',
+    'SF_CLIENT_SECRET',
+    'SF_AGENT_ID',
+  ]) {
+    if (!config[name]) {
+      throw new Error(
+        `${name} is required for Agentforce, please set the ${name} environment variable`
+      );
+    }
+  }
+
+  if (config.ENABLE_MEMORY && !config.REDIS_URL) {
+    throw new Error(
+      'REDIS_URL is required for the Chat Memory cache in Agentforce, please provision a Heroku Key-Value Store addon'
+    );
+  }
+}
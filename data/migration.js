@@ -12,6 +12,9 @@ async function migrate() {
     },
   });
 
+  // The migrations report the data they change with RAISE NOTICE
+  client.on('notice', (notice) => console.log(notice.message));
+
   try {
     await client.connect();
     const postgrator = new Postgrator({
@@ -0,0 +1,7 @@
+-- Add 'role' field to users table
+ALTER TABLE users
+ADD COLUMN role TEXT NOT NULL DEFAULT 'user'
+CONSTRAINT users_role_check CHECK (role IN ('user', 'admin'));
+
+-- The demo user manages the demo data
+UPDATE users SET role = 'admin' WHERE username = 'demo';
@@ -0,0 +1,3 @@
+-- Add IANA 'timezone' field to systems table, used to compute local day boundaries
+ALTER TABLE systems
+ADD COLUMN timezone TEXT NOT NULL DEFAULT 'UTC';
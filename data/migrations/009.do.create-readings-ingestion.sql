@@ -0,0 +1,46 @@
+-- Remove duplicated readings before enforcing one reading per system and timestamp,
+-- keeping the first one. The removed readings are kept in metrics_duplicates for
+-- the operator to review, then drop.
+CREATE TABLE metrics_duplicates AS
+SELECT a.* FROM metrics a
+WHERE EXISTS (
+    SELECT FROM metrics b
+    WHERE b.system_id = a.system_id
+      AND b.datetime = a.datetime
+      AND b.id < a.id
+);
+
+DELETE FROM metrics USING metrics_duplicates
+WHERE metrics.id = metrics_duplicates.id;
+
+DO $$
+DECLARE
+    removed BIGINT := (SELECT COUNT(*) FROM metrics_duplicates);
+BEGIN
+    IF removed > 0 THEN
+        RAISE NOTICE '% duplicated readings were moved from metrics to metrics_duplicates', removed;
+    ELSE
+        DROP TABLE metrics_duplicates;
+    END IF;
+END
+$$;
+
+-- Readings are upserted on (system_id, datetime)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_metrics_system_id_datetime ON metrics(system_id, datetime);
+
+-- Create the 'api_keys' table used by devices to push readings
+CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY DEFAULT uuid_generate_v4(),
+    system_id TEXT NOT NULL REFERENCES systems(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    -- First characters of the key, safe to display
+    prefix TEXT NOT NULL,
+    -- SHA-256 of the full key, the key itself is never stored
+    key_hash TEXT NOT NULL UNIQUE,
+    created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+CREATE INDEX idx_api_keys_system_id ON api_keys(system_id);
@@ -0,0 +1,20 @@
+-- API keys can be scoped to several systems and to specific permissions
+CREATE TABLE IF NOT EXISTS api_key_systems (
+    api_key_id TEXT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    system_id TEXT NOT NULL REFERENCES systems(id) ON DELETE CASCADE,
+    PRIMARY KEY (api_key_id, system_id)
+);
+
+CREATE INDEX idx_api_key_systems_system_id ON api_key_systems(system_id);
+
+INSERT INTO api_key_systems (api_key_id, system_id)
+SELECT id, system_id FROM api_keys;
+
+DROP INDEX IF EXISTS idx_api_keys_system_id;
+ALTER TABLE api_keys DROP COLUMN system_id;
+
+-- Existing keys were only used to push readings
+ALTER TABLE api_keys ADD COLUMN permissions TEXT[] NOT NULL DEFAULT ARRAY['readings:write'];
+ALTER TABLE api_keys ALTER COLUMN permissions DROP DEFAULT;
+
+ALTER TABLE api_keys ADD COLUMN rotated_at TIMESTAMP;
@@ -0,0 +1,9 @@
+-- Password hashes now carry their algorithm, parameters and salt:
+-- $<algorithm>$<parameters>$<salt hex>$<hash hex>
+-- Legacy PBKDF2 hashes used the hex salt string itself as the salt, they are
+-- rehashed with the current algorithm on the next successful login.
+UPDATE users
+SET password = '$pbkdf2-sha512$i=1000$' || encode(convert_to(salt, 'UTF8'), 'hex') || '$' || password
+WHERE password NOT LIKE '$%';
+
+ALTER TABLE users DROP COLUMN salt;
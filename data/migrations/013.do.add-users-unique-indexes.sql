@@ -0,0 +1,4 @@
+-- Usernames and emails are unique regardless of case.
+-- Creating the indexes fails if duplicates already exist, they must be resolved by hand.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_username_lower ON users(LOWER(username));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_lower ON users(LOWER(email));
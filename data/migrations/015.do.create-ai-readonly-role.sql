@@ -0,0 +1,14 @@
+-- Role assumed by the database tools of the AI engines running tools in-process
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT FROM pg_roles WHERE rolname = 'luminaire_ai_readonly') THEN
+        CREATE ROLE luminaire_ai_readonly NOLOGIN;
+    END IF;
+END
+$$;
+
+GRANT USAGE ON SCHEMA public TO luminaire_ai_readonly;
+GRANT SELECT ON ALL TABLES IN SCHEMA public TO luminaire_ai_readonly;
+
+-- The application switches to the role with SET LOCAL ROLE
+GRANT luminaire_ai_readonly TO CURRENT_USER;
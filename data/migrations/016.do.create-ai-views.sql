@@ -0,0 +1,43 @@
+-- The database tools of the AI run as luminaire_ai_readonly, which only reads the
+-- views of the 'ai' schema. The views only return the rows of the systems of the
+-- user in ai_query_scopes, a row inserted by the application in the transaction of
+-- each query and never committed, so other transactions never see it.
+CREATE TABLE IF NOT EXISTS ai_query_scopes (
+    txid BIGINT PRIMARY KEY DEFAULT txid_current(),
+    user_id TEXT NOT NULL
+);
+
+CREATE SCHEMA IF NOT EXISTS ai;
+
+CREATE OR REPLACE VIEW ai.systems WITH (security_barrier) AS
+SELECT s.id, s.address, s.city, s.state, s.zip, s.country, s.battery_storage, s.timezone
+FROM public.systems s
+JOIN public.users_systems us ON us.system_id = s.id
+JOIN public.ai_query_scopes q ON q.user_id = us.user_id AND q.txid = txid_current_if_assigned();
+
+CREATE OR REPLACE VIEW ai.metrics WITH (security_barrier) AS
+SELECT m.id, m.system_id, m.energy_consumed, m.energy_produced, m.datetime
+FROM public.metrics m
+JOIN ai.systems s ON s.id = m.system_id;
+
+CREATE OR REPLACE VIEW ai.system_components WITH (security_barrier) AS
+SELECT c.id, c.system_id, c.product_id, c.name, c.active
+FROM public.system_components c
+JOIN ai.systems s ON s.id = c.system_id;
+
+CREATE OR REPLACE VIEW ai.weather WITH (security_barrier) AS
+SELECT w.zip, w.country, w.temperature, w.description, w.updated_at
+FROM public.weather w
+WHERE EXISTS (SELECT 1 FROM ai.systems s WHERE s.zip = w.zip AND s.country = w.country);
+
+-- The catalog is public
+CREATE OR REPLACE VIEW ai.products AS
+SELECT p.id, p.name, p.description, p.image_url, p.price
+FROM public.products p;
+
+-- Users, credentials, tokens, API keys and tool settings are not readable anymore
+REVOKE ALL ON ALL TABLES IN SCHEMA public FROM luminaire_ai_readonly;
+REVOKE USAGE ON SCHEMA public FROM luminaire_ai_readonly;
+
+GRANT USAGE ON SCHEMA ai TO luminaire_ai_readonly;
+GRANT SELECT ON ALL TABLES IN SCHEMA ai TO luminaire_ai_readonly;
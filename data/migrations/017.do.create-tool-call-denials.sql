@@ -0,0 +1,12 @@
+-- Tool calls blocked by the whitelists, e.g. a page the user did not whitelist
+CREATE TABLE IF NOT EXISTS tool_call_denials (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+    session_id TEXT,
+    tool TEXT NOT NULL,
+    url TEXT,
+    reason TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_tool_call_denials_user_id ON tool_call_denials(user_id);
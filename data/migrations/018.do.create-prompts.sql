@@ -0,0 +1,14 @@
+-- Versions of the system prompts edited by the admins. Without an active version
+-- the template bundled in prompts/<name>.md is used, it is version 0.
+CREATE TABLE IF NOT EXISTS prompts (
+    name TEXT NOT NULL,
+    version INTEGER NOT NULL CHECK (version > 0),
+    template TEXT NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT false,
+    created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (name, version)
+);
+
+-- At most one active version per prompt
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompts_active ON prompts(name) WHERE active;
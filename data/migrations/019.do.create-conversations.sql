@@ -0,0 +1,26 @@
+-- Chat conversations, the id is the sessionId of the chat API
+CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Last activity, conversations idle for CHAT_RETENTION_DAYS are deleted
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_conversations_user_id ON conversations(user_id, updated_at DESC);
+CREATE INDEX idx_conversations_updated_at ON conversations(updated_at);
+
+CREATE TABLE IF NOT EXISTS messages (
+    id TEXT PRIMARY KEY DEFAULT uuid_generate_v4(),
+    -- Order of the messages, timestamps of close messages can be equal
+    seq BIGINT GENERATED ALWAYS AS IDENTITY,
+    conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    content TEXT,
+    -- Version of the system prompt the turn was answered with (prompts table)
+    prompt_version INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_messages_conversation_id ON messages(conversation_id, seq);
@@ -0,0 +1,4 @@
+-- Rolling summary of the messages left out of the context window of the model,
+-- up to and including summary_message_id
+ALTER TABLE conversations ADD COLUMN summary TEXT;
+ALTER TABLE conversations ADD COLUMN summary_message_id TEXT;
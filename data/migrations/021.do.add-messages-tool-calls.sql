@@ -0,0 +1,4 @@
+-- Tool calls of the assistant messages, in the format of the chat completions API,
+-- and the call answered by the tool messages
+ALTER TABLE messages ADD COLUMN tool_calls JSONB;
+ALTER TABLE messages ADD COLUMN tool_call_id TEXT;
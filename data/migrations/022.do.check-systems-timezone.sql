@@ -0,0 +1,13 @@
+-- The metrics windows are computed in the time zone of the system, in Node.js and
+-- in Postgres: a zone unknown to either fails every metrics query of the system.
+-- 'Factory' is a placeholder of the tz database that Intl does not support.
+CREATE OR REPLACE FUNCTION is_time_zone(name TEXT) RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+    SELECT $1 <> 'Factory'
+        AND EXISTS (SELECT FROM pg_timezone_names WHERE pg_timezone_names.name = $1)
+$$;
+
+UPDATE systems SET timezone = 'UTC' WHERE NOT is_time_zone(timezone);
+
+ALTER TABLE systems
+ADD CONSTRAINT systems_timezone_check CHECK (is_time_zone(timezone));
@@ -0,0 +1,11 @@
+-- The database tools of the AI connect with their own login, a member of
+-- luminaire_ai_readonly and of no other role. Switching to the role with SET LOCAL
+-- ROLE is no boundary: a query resets it with set_config('role', 'none', true) and
+-- gets the privileges of the application. Create the login once, e.g.
+--   CREATE ROLE luminaire_ai LOGIN PASSWORD '...' IN ROLE luminaire_ai_readonly;
+-- and set AI_DATABASE_URL to its connection string, see the README.
+REVOKE luminaire_ai_readonly FROM CURRENT_USER;
+
+-- The login inserts the scope of its queries, before the transaction becomes read-only
+GRANT USAGE ON SCHEMA public TO luminaire_ai_readonly;
+GRANT INSERT (user_id) ON ai_query_scopes TO luminaire_ai_readonly;
@@ -2,10 +2,16 @@ import 'dotenv/config';
 import pg from 'pg';
 import { faker } from '@faker-js/faker';
 import { getLogger } from '../lib/logger.js';
-import crypto from 'node:crypto';
+import { hashPassword } from '../lib/passwords.js';
 
 const SYSTEM_COUNT = 3;
 const METRIC_COUNT = 24 * 60; // 24 metrics per day for 60 days
+const US_TIME_ZONES = [
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Los_Angeles',
+];
 
 const logger = getLogger();
 
@@ -39,7 +45,7 @@ async function seed() {
     const password = 'demo';
 
     let userResult = await client.query(
-      'SELECT id, name, last_name, email, username FROM users WHERE username = $1',
+      'SELECT id, name, last_name, email, username, role FROM users WHERE username = $1',
       [username]
     );
 
@@ -49,14 +55,11 @@ async function seed() {
       logger.info(`Using existing demo user (id: ${user.id})`);
     } else {
       // Create new demo user
-      const salt = crypto.randomBytes(16).toString('hex');
-      const hashedPassword = crypto
-        .pbkdf2Sync(password, salt, 1000, 64, 'sha512')
-        .toString('hex');
+      const hashedPassword = await hashPassword(password);
 
       const { rows } = await client.query(
-        'INSERT INTO users (name, last_name, email, username, password, salt) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, name, last_name, email, username',
-        [name, last_name, email, username, hashedPassword, salt]
+        'INSERT INTO users (name, last_name, email, username, password, role) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, name, last_name, email, username, role',
+        [name, last_name, email, username, hashedPassword, 'admin']
       );
       user = rows[0];
       logger.info(`Created new demo user (id: ${user.id})`);
@@ -135,7 +138,7 @@ async function seed() {
       const batteryStorage =
         batteryStorageValues[i % batteryStorageValues.length];
       const system = await client.query(
-        `INSERT INTO systems (address, city, state, zip, country, battery_storage) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, zip, country, battery_storage`,
+        `INSERT INTO systems (address, city, state, zip, country, battery_storage, timezone) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id, zip, country, battery_storage`,
         [
           faker.location.streetAddress(),
           faker.location.city(),
@@ -143,6 +146,7 @@ async function seed() {
           zip,
           'US',
           batteryStorage,
+          faker.helpers.arrayElement(US_TIME_ZONES),
         ]
       );
       systemIds.push(system.rows[0].id);
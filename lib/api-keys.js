@@ -0,0 +1,19 @@
+import crypto from 'node:crypto';
+import { hashToken } from './tokens.js';
+
+const KEY_PREFIX = 'lum';
+
+/**
+ * Generate a new API key
+ * @returns {Object} - { key, prefix, hash } where `key` must only be shown once
+ */
+export function generateApiKey() {
+  const id = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = `${KEY_PREFIX}_${id}_${secret}`;
+  return {
+    key,
+    prefix: `${KEY_PREFIX}_${id}`,
+    hash: hashToken(key),
+  };
+}
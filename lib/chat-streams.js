@@ -0,0 +1,163 @@
+/**
+ * Chat streams
+ * Buffers the SSE events of the chat turns, so that a client losing its connection
+ * can resume the stream with the Last-Event-ID header. The buffers are kept in
+ * memory, by the instance answering the question. The turns can be cancelled, and
+ * are when no client reads them anymore.
+ */
+import { EventEmitter, once } from 'node:events';
+import { randomUUID } from 'node:crypto';
+
+// How long the events of a finished turn can be replayed
+const RESUME_WINDOW_MS = 2 * 60 * 1000;
+// How long a turn goes on without clients, for them to reconnect
+const DETACHED_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * The SSE events of a turn, in order. Event `n` (from 1) has the ID `<turn id>:<n>`.
+ */
+export class BufferedTurn extends EventEmitter {
+  constructor(sessionId, userId) {
+    super();
+    this.id = randomUUID();
+    this.sessionId = sessionId;
+    this.userId = userId;
+    this.events = [];
+    this.done = false;
+    // Aborts the answer, see cancel()
+    this.controller = new AbortController();
+    // Clients reading the turn, see ChatStreams.attach()
+    this.clients = 0;
+    this.detachedTimer = null;
+  }
+
+  /**
+   * The signal aborting the answer, its reason is an Error
+   */
+  get signal() {
+    return this.controller.signal;
+  }
+
+  /**
+   * Add an event, in SSE format with its ID
+   * @param {string} event - The event
+   */
+  append(event) {
+    this.events.push(event);
+    this.emit('update');
+  }
+
+  end() {
+    this.done = true;
+    clearTimeout(this.detachedTimer);
+    this.emit('update');
+    this.emit('end');
+  }
+
+  /**
+   * Abort the answer. The turn ends once the cancellation is recorded.
+   * @param {string} reason - Why the answer is cancelled
+   * @returns {boolean} - Whether the answer was in progress
+   */
+  cancel(reason) {
+    if (this.done || this.signal.aborted) return false;
+    this.controller.abort(new Error(reason));
+    return true;
+  }
+
+  /**
+   * The events after an event, then the live ones until the end of the turn
+   * @param {number} after - The number of the last event received (0 for all)
+   * @returns {AsyncIterable<string>} - The events
+   */
+  async *replay(after = 0) {
+    let next = after;
+    while (true) {
+      while (next < this.events.length) yield this.events[next++];
+      if (this.done) return;
+      await once(this, 'update');
+    }
+  }
+}
+
+/**
+ * The turns being answered, and the ones finished in the last RESUME_WINDOW_MS
+ */
+export class ChatStreams {
+  /**
+   * @param {Object} options
+   * @param {number} options.resumeWindowMs - How long the finished turns are kept
+   * @param {number} options.detachedTimeoutMs - How long a turn without clients goes
+   * on before being cancelled
+   */
+  constructor({
+    resumeWindowMs = RESUME_WINDOW_MS,
+    detachedTimeoutMs = DETACHED_TIMEOUT_MS,
+  } = {}) {
+    this.resumeWindowMs = resumeWindowMs;
+    this.detachedTimeoutMs = detachedTimeoutMs;
+    this.turns = new Map();
+  }
+
+  /**
+   * Start buffering a turn
+   * @param {string} sessionId - The session ID
+   * @param {string} userId - The user asking
+   * @returns {BufferedTurn} - The turn
+   */
+  start(sessionId, userId) {
+    const turn = new BufferedTurn(sessionId, userId);
+    this.turns.set(turn.id, turn);
+    turn.once('end', () => {
+      setTimeout(() => this.turns.delete(turn.id), this.resumeWindowMs).unref();
+    });
+    return turn;
+  }
+
+  /**
+   * Find the turn of a Last-Event-ID
+   * @param {string} lastEventId - The ID of the last event received by the client
+   * @returns {Object} - `{ turn, after }`, the turn and the number of the event,
+   * null when the turn is unknown or no longer buffered
+   */
+  resume(lastEventId) {
+    const [, turnId, number] =
+      /^([0-9a-f-]{36}):(\d+)$/.exec(lastEventId || '') || [];
+    const turn = this.turns.get(turnId);
+    if (!turn || Number(number) > turn.events.length) return null;
+    return { turn, after: Number(number) };
+  }
+
+  /**
+   * Find the turn being answered in a session
+   * @param {string} sessionId - The session ID
+   * @returns {BufferedTurn} - The last turn started, undefined when none is in progress
+   */
+  getActiveTurn(sessionId) {
+    return [...this.turns.values()].findLast(
+      (turn) => turn.sessionId === sessionId && !turn.done
+    );
+  }
+
+  /**
+   * Count a client reading a turn. When the last one leaves, the turn is cancelled
+   * unless a client reconnects within `detachedTimeoutMs`: the upstream request
+   * stops running tools and spending tokens for nobody.
+   * @param {BufferedTurn} turn - The turn
+   * @returns {Function} - To call when the client disconnects
+   */
+  attach(turn) {
+    turn.clients++;
+    clearTimeout(turn.detachedTimer);
+    let attached = true;
+    return () => {
+      if (!attached) return;
+      attached = false;
+      if (--turn.clients > 0 || turn.done) return;
+      turn.detachedTimer = setTimeout(
+        () => turn.cancel('The client disconnected'),
+        this.detachedTimeoutMs
+      ).unref();
+    };
+  }
+}
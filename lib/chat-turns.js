@@ -0,0 +1,115 @@
+/**
+ * Chat turns
+ * Records the answers of the AI engines in the chat memory while they are streamed
+ */
+import { readServerSentEvents } from './sse.js';
+
+/**
+ * Store the messages of an answer while it is streamed: the assistant text and
+ * tool calls, the tool results and the errors. Assistant text streamed in
+ * `delta` events is stored as one message. An aborted answer ends with a
+ * `cancelled` message. Progress messages of the agents are not stored. Storage
+ * failures are logged, the answer goes on.
+ * @param {AsyncIterable} events - The chat completion SSE events of the answer
+ * @param {Object} options
+ * @param {Object} options.chatMemory - The chat memory, see plugins/chat-memory.js
+ * @param {string} options.sessionId - The session ID
+ * @param {Object} options.logger - The logger
+ * @param {AbortSignal} options.signal - The signal cancelling the answer (optional)
+ * @returns {AsyncIterable<string>} - The same events
+ */
+export async function* recordTurn(
+  events,
+  { chatMemory, sessionId, logger, signal }
+) {
+  const store = async (message) => {
+    try {
+      await chatMemory.storeMessage({ sessionId, ...message });
+    } catch (err) {
+      logger.error({ err, sessionId }, 'Failed to store the answer');
+    }
+  };
+  // Tool calls without result, and the reasons of the denied ones
+  const pending = new Set();
+  const denials = new Map();
+  // Every tool call is answered in the history sent to the model
+  const answerPending = async () => {
+    for (const id of pending) {
+      await store({
+        role: 'tool',
+        toolCallId: id,
+        content: `Error: ${denials.get(id) || 'the tool call did not complete'}`,
+      });
+    }
+    pending.clear();
+  };
+  // Assistant text of the `delta` events received since the last message
+  let streamed = '';
+  const storeStreamed = async () => {
+    if (!streamed) return;
+    const content = streamed;
+    streamed = '';
+    await store({ role: 'assistant', content, toolCalls: null });
+  };
+
+  try {
+    for await (const { event, data } of readServerSentEvents(events)) {
+      const choice = data?.choices?.[0];
+      const message = choice?.message || choice?.delta;
+      const delta = choice?.delta?.content && !choice.delta.tool_calls;
+      if (!delta) await storeStreamed();
+
+      if (delta) {
+        streamed += choice.delta.content;
+      } else if (event === 'error') {
+        await store({
+          role: 'error',
+          content: data?.message || 'An error occurred',
+        });
+      } else if (event === 'tool-denied') {
+        denials.set(data.tool_call_id, data.reason);
+      } else if (message?.role === 'tool') {
+        pending.delete(message.tool_call_id);
+        await store({
+          role: 'tool',
+          toolCallId: message.tool_call_id,
+          content:
+            typeof message.content === 'string'
+              ? message.content
+              : JSON.stringify(message.content),
+        });
+      } else if (
+        message?.role === 'assistant' &&
+        (message.content || message.tool_calls?.length)
+      ) {
+        const toolCalls = message.tool_calls?.length
+          ? message.tool_calls
+          : null;
+        await store({
+          role: 'assistant',
+          content: message.content || null,
+          toolCalls,
+        });
+        for (const call of toolCalls || []) pending.add(call.id);
+      }
+
+      const type = event === 'message' ? '' : `event: ${event}\n`;
+      yield `${type}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+    }
+  } catch (err) {
+    await storeStreamed();
+    await answerPending();
+    await store(
+      signal?.aborted
+        ? {
+            role: 'cancelled',
+            content: signal.reason?.message || 'The answer was cancelled',
+          }
+        : { role: 'error', content: err.message }
+    );
+    throw err;
+  } finally {
+    await storeStreamed();
+    await answerPending();
+  }
+}
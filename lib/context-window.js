@@ -0,0 +1,133 @@
+/**
+ * Conversation context window
+ * Fits the system prompt, the rolling summary of the conversation and its last
+ * messages into a token budget. Tokens are estimated, without the tokenizer of
+ * the model.
+ */
+
+// Average number of characters per token of English text and JSON
+const CHARS_PER_TOKEN = 4;
+// Role and separators of each message
+const MESSAGE_OVERHEAD = 4;
+// A single message of the history uses at most this share of the budget
+const MAX_MESSAGE_SHARE = 0.25;
+
+/**
+ * Estimate the number of tokens of a text
+ * @param {string} text - The text
+ * @returns {number} - The estimated number of tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the number of tokens of a chat message
+ * @param {Object} message - The message, `{ role, content, tool_calls }`
+ * @returns {number} - The estimated number of tokens
+ */
+export function estimateMessageTokens(message) {
+  return (
+    MESSAGE_OVERHEAD +
+    estimateTokens(message.content) +
+    (message.tool_calls
+      ? estimateTokens(JSON.stringify(message.tool_calls))
+      : 0)
+  );
+}
+
+/**
+ * The message as sent to the model, without its ID
+ * @param {Object} message - The message of the history
+ * @returns {Object} - The chat message
+ */
+function toChatMessage({ role, content, tool_calls, tool_call_id }) {
+  return {
+    role,
+    content,
+    ...(tool_calls && { tool_calls }),
+    ...(tool_call_id && { tool_call_id }),
+  };
+}
+
+/**
+ * Shorten the content of a message to a number of tokens
+ * @param {Object} message - The message
+ * @param {number} tokens - The maximum number of tokens of the content
+ * @returns {Object} - The message, with a note where the content was cut, marked
+ * `truncated`
+ */
+function truncateMessage(message, tokens) {
+  const length = tokens * CHARS_PER_TOKEN;
+  return {
+    ...message,
+    content: `${message.content.slice(0, length)}\n\n[… ${message.content.length - length} characters truncated]`,
+    truncated: true,
+  };
+}
+
+/**
+ * Build the messages of a completion within a token budget. The system prompt,
+ * the summary and the question are always kept, even over the budget. The history
+ * is added from the most recent message until the budget is spent, oversized
+ * messages (e.g. tool outputs, charts) are truncated.
+ * @param {Object} options
+ * @param {string} options.system - The system prompt
+ * @param {string} options.summary - The summary of the earlier conversation (optional)
+ * @param {Array} options.history - The previous messages, oldest first,
+ * `{ id, role, content, tool_calls, tool_call_id }`
+ * @param {string} options.question - The question of the user
+ * @param {number} options.maxTokens - The token budget
+ * @returns {Object} - `{ messages, tokens, dropped, truncated }`: the messages to send
+ * and their estimated tokens, the history messages left out (oldest first) and the
+ * IDs of the truncated ones
+ */
+export function buildContextWindow({
+  system,
+  summary,
+  history = [],
+  question,
+  maxTokens,
+}) {
+  // Some models only accept one system message, the summary is appended to it
+  const head = {
+    role: 'system',
+    content: summary
+      ? `${system}\n\n## Summary of the Earlier Conversation\n${summary}`
+      : system,
+  };
+  const tail = { role: 'user', content: question };
+
+  let tokens = estimateMessageTokens(head) + estimateMessageTokens(tail);
+  const maxMessageTokens = Math.floor(maxTokens * MAX_MESSAGE_SHARE);
+  const kept = [];
+  const truncated = [];
+
+  let index = history.length - 1;
+  for (; index >= 0; index--) {
+    let message = history[index];
+    // Only the content is truncated, tool calls are kept whole
+    const oversized = estimateTokens(message.content) > maxMessageTokens;
+    if (oversized) message = truncateMessage(message, maxMessageTokens);
+    const messageTokens = estimateMessageTokens(message);
+    if (tokens + messageTokens > maxTokens) break;
+    tokens += messageTokens;
+    kept.unshift(message);
+  }
+
+  // Tool results are only sent with the assistant message calling the tool
+  while (kept[0]?.role === 'tool') {
+    tokens -= estimateMessageTokens(kept.shift());
+    index++;
+  }
+  for (const message of kept) {
+    if (message.truncated) truncated.push(message.id);
+  }
+
+  return {
+    messages: [head, ...kept.map(toChatMessage), tail],
+    tokens,
+    dropped: history.slice(0, index + 1),
+    truncated,
+  };
+}
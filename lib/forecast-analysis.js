@@ -0,0 +1,68 @@
+/**
+ * Forecast analysis shared by the AI engines
+ */
+// The name of the prompt in the prompts table
+export const FORECAST_PROMPT = 'forecast-analysis';
+
+/**
+ * Calculate forecast analysis directly (fallback method)
+ * @param {Array} forecastData - Array of forecast objects with irradiation values
+ * @returns {Object} - Analysis result with efficiency, analysis, and averageIrradiation
+ */
+export function calculateForecastAnalysis(forecastData) {
+  // Calculate average irradiation
+  const total = forecastData.reduce(
+    (sum, day) => sum + (day.irradiation || 0),
+    0
+  );
+  const average = total / forecastData.length;
+  const averageIrradiation = Math.round(average * 10) / 10;
+
+  // Determine efficiency
+  let efficiency;
+  let analysis;
+
+  if (averageIrradiation >= 4) {
+    efficiency = 'Excellent';
+    analysis =
+      "The system's energy savings will be maximized due to high irradiation levels.";
+  } else if (averageIrradiation >= 2) {
+    efficiency = 'Fair';
+    analysis = "The system's energy savings will be moderate this week.";
+  } else {
+    efficiency = 'Very Low';
+    analysis =
+      "The system's energy savings will be significantly impacted due to low irradiation levels.";
+  }
+
+  return { efficiency, analysis, averageIrradiation };
+}
+
+/**
+ * Parse the analysis returned by the model
+ * @param {string} result - The model response
+ * @returns {Object} - Analysis result with efficiency, analysis, and averageIrradiation
+ * @throws {Error} - When the response is not valid JSON or misses required fields
+ */
+export function parseForecastAnalysis(result) {
+  // Try to extract JSON from the response (in case it's wrapped in markdown)
+  let jsonStr = result.trim();
+
+  // Remove markdown code blocks if present
+  if (jsonStr.startsWith('```')) {
+    jsonStr = jsonStr.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
+  }
+
+  const analysisData = JSON.parse(jsonStr);
+
+  // Validate the response has required fields
+  if (
+    !analysisData.efficiency ||
+    !analysisData.analysis ||
+    typeof analysisData.averageIrradiation !== 'number'
+  ) {
+    throw new Error('Response missing required fields');
+  }
+
+  return analysisData;
+}
@@ -1,5 +1,6 @@
 import { Transform } from 'node:stream';
 import { getLogger } from '../lib/logger.js';
+import { ServerSentEventDecoder } from './sse.js';
 
 const logger = getLogger();
 
@@ -124,240 +125,62 @@ export function summarizeMessage(message) {
   }
 }
 
-export class MiaTransformStream extends Transform {
-  constructor(options, chatMemory, sessionId, initialIsNewConversation) {
-    super(options);
-    this.chatMemory = chatMemory;
-    this.sessionId = sessionId;
-    this.isNewConversation = initialIsNewConversation;
-    this.incompleteMessageBuffer = '';
-    this.isBuffering = false;
-    this.logger = logger;
-  }
-
-  _extractMessage(chunk) {
-    try {
-      // Convert Uint8Array to string
-      const responseChunk = Buffer.from(chunk).toString('utf-8');
-
-      // Skip empty chunks
-      if (!responseChunk || responseChunk.trim() === '') {
-        return null;
-      }
-
-      // Check for heartbeat events first and skip them
-      if (
-        responseChunk.includes('event:heartbeat') ||
-        responseChunk.includes('data:heartbeat') ||
-        responseChunk.trim() === 'event:ping' ||
-        responseChunk.trim() === ':heartbeat'
-      ) {
-        this.logger.debug('Heartbeat received, skipping');
-        return null;
-      }
-
-      // Extract the event type if present (do this early for better logging)
-      let eventType = 'message'; // Default event type
-      const eventMatch = responseChunk.match(/event:([^\n]*)/);
-      if (eventMatch && eventMatch[1]) {
-        eventType = eventMatch[1].trim();
-      }
-
-      // If we're buffering, add this chunk and check if we have a complete message
-      if (this.isBuffering) {
-        this.incompleteMessageBuffer += responseChunk;
-        this.logger.info(
-          {
-            eventType,
-            bufferLength: this.incompleteMessageBuffer.length,
-          },
-          'Added to buffer'
-        );
-
-        // Try to parse the complete buffer
-        try {
-          // Look for a complete message pattern in the accumulated buffer
-          const bufferDataMatch = this.incompleteMessageBuffer.match(
-            /data:(.*?)(?=event:|$)/s
-          );
-          if (bufferDataMatch && bufferDataMatch[1]) {
-            const bufferDataString = bufferDataMatch[1].trim();
-
-            // Skip empty data or [DONE] markers
-            if (!bufferDataString || bufferDataString === '[DONE]') {
-              this.incompleteMessageBuffer = '';
-              this.isBuffering = false;
-              return { role: '', content: '' };
-            }
-
-            // Safely parse the JSON
-            try {
-              const jsonData = JSON.parse(bufferDataString);
-              // Reset buffer after successful parse
-              this.incompleteMessageBuffer = '';
-              this.isBuffering = false;
-              this.logger.info('Successfully parsed buffered message');
-              const result =
-                jsonData.choices[0]?.delta || jsonData.choices[0]?.message;
-              // Validate the result can be safely stringified
-              JSON.stringify(result);
-              return result;
-            } catch (_jsonErr) {
-              // Incomplete message, continue buffering silently
-            }
-          }
-        } catch (bufferErr) {
-          // Still incomplete, continue buffering silently
-          this.logger.info(
-            { error: bufferErr.message },
-            'Buffer still incomplete'
-          );
-          // Return null to signal we need to skip this chunk but not emit anything
-          return null;
-        }
-      }
-
-      // If the chunk contains SSE format data, parse it
-      if (responseChunk.includes('data:')) {
-        // Skip specific event types
-        if (['heartbeat', 'ping', 'keep-alive'].includes(eventType)) {
-          this.logger.debug(
-            { eventType },
-            'Non-message event received, skipping'
-          );
-          return null;
-        }
-
-        // Handle done events
-        if (eventType === 'done') {
-          // Flush any buffered content before ending
-          if (this.incompleteMessageBuffer && this.isBuffering) {
-            this.logger.info(
-              { buffer: this.incompleteMessageBuffer },
-              'Flushing incomplete buffer on done event'
-            );
-            this.isBuffering = false;
-            this.incompleteMessageBuffer = '';
-          }
-          return { role: '', content: '' };
-        }
-
-        // Check for error events
-        if (eventType === 'error') {
-          const errorMatch = responseChunk.match(/data:(.*)/);
-          if (errorMatch && errorMatch[1]) {
-            try {
-              const errorData = JSON.parse(errorMatch[1].trim());
-              // Return the error with a special error role that we can detect downstream
-              return {
-                role: 'error',
-                content: errorData.message || 'An error occurred',
-                error: errorData,
-              };
-            } catch (jsonErr) {
-              this.logger.error(
-                {
-                  err: jsonErr,
-                  chunk: errorMatch[1].trim().substring(0, 200),
-                },
-                'Error parsing error event data'
-              );
-              return {
-                role: 'error',
-                content: 'Error parsing server response',
-              };
-            }
-          }
-        }
-
-        // Handle regular message events
-        const dataMatch = responseChunk.match(/data:(.*)/);
-        if (dataMatch && dataMatch[1]) {
-          const dataString = dataMatch[1].trim();
-          // Skip [DONE] messages
-          if (dataString === '[DONE]') {
-            // Flush any buffered content before ending
-            if (this.incompleteMessageBuffer && this.isBuffering) {
-              this.logger.info(
-                { buffer: this.incompleteMessageBuffer },
-                'Flushing incomplete buffer on [DONE]'
-              );
-              this.isBuffering = false;
-              this.incompleteMessageBuffer = '';
-            }
-            return { role: '', content: '' };
-          }
-
-          try {
-            const jsonData = JSON.parse(dataString);
-            // Reset buffer when we successfully parse a complete message
-            this.incompleteMessageBuffer = '';
-            this.isBuffering = false;
-            const result =
-              jsonData.choices[0]?.delta || jsonData.choices[0]?.message;
-            // Validate the result can be safely stringified
-            JSON.stringify(result);
-            return result;
-          } catch (parseErr) {
-            // Handle incomplete JSON - likely a multi-chunk message
-            if (
-              parseErr instanceof SyntaxError &&
-              (parseErr.message.includes('Unterminated string') ||
-                parseErr.message.includes('Unexpected end of JSON input'))
-            ) {
-              // Start buffering
-              this.isBuffering = true;
-              this.incompleteMessageBuffer += responseChunk;
-              this.logger.info(
-                {
-                  buffer:
-                    this.incompleteMessageBuffer.substring(0, 100) + '...',
-                },
-                'Started buffering incomplete message chunk'
-              );
-              // Return null to signal we need to skip this chunk but not emit anything
-              return null;
-            }
-
-            // If it's a JSON parsing error (but not an incomplete message), log it and return error
-            this.logger.error(
-              { err: parseErr, dataString: dataString.substring(0, 200) },
-              'Error parsing message JSON'
-            );
-            return {
-              role: 'error',
-              content: `Error parsing server response: ${parseErr.message}`,
-            };
-          }
-        }
-      }
+/**
+ * Convert an event of the upstream stream into a chat message
+ * @param {Object} event - The `{ event, data }` event, see ServerSentEventDecoder
+ * @returns {Object} - The message, `{ role: '' }` at the end of the answer, null for
+ * heartbeats and events without message. Parts of the assistant text streamed in
+ * deltas have `delta: true`.
+ */
+function toMessage({ event, data }) {
+  if (['heartbeat', 'ping', 'keep-alive'].includes(event)) return null;
+  if (event === 'done' || data === '[DONE]') return { role: '', content: '' };
 
-      // If we get here, try to parse the chunk as a regular JSON object
-      try {
-        const jsonData =
-          typeof responseChunk === 'string'
-            ? JSON.parse(responseChunk)
-            : responseChunk;
-        const result =
-          jsonData.choices[0]?.delta || jsonData.choices[0]?.message;
-        // Validate the result can be safely stringified
-        JSON.stringify(result);
-        return result;
-      } catch (_err) {
-        // If it's a JSON parsing error, return null to signal we need to skip this chunk but not emit anything
-        return null;
-      }
-    } catch (outerErr) {
-      // Catch any unexpected errors in the extraction process
-      this.logger.error(
-        { err: outerErr },
-        'Unexpected error in message extraction'
-      );
+  try {
+    if (event === 'error') {
+      const error = JSON.parse(data);
+      // Returned with a special error role that is detected downstream
       return {
         role: 'error',
-        content: 'Internal error processing server response',
+        content: error.message || 'An error occurred',
+        error,
       };
     }
+    // Tool calls blocked by the whitelists are forwarded as they are
+    if (event === 'tool-denied') {
+      return { role: 'tool-denied', denial: JSON.parse(data) };
+    }
+    // Enabled tools the engine cannot offer in the answer, likewise
+    if (event === 'tool-unavailable') {
+      return { role: 'tool-unavailable', unavailable: JSON.parse(data) };
+    }
+    if (event === 'cancelled') {
+      return { role: 'cancelled', cancellation: JSON.parse(data) };
+    }
+    if (data === 'heartbeat') return null;
+
+    const choice = JSON.parse(data).choices?.[0];
+    if (choice?.delta) return { ...choice.delta, delta: true };
+    return choice?.message || null;
+  } catch (err) {
+    logger.error(
+      { err, event, data: data.substring(0, 200) },
+      'Error parsing message JSON'
+    );
+    return {
+      role: 'error',
+      content: `Error parsing server response: ${err.message}`,
+    };
+  }
+}
+
+export class MiaTransformStream extends Transform {
+  constructor(options, sessionId, initialIsNewConversation) {
+    super(options);
+    this.sessionId = sessionId;
+    this.isNewConversation = initialIsNewConversation;
+    this.decoder = new ServerSentEventDecoder();
+    this.logger = logger;
   }
 
   _transform(chunk, encoding, callback) {
@@ -384,102 +207,10 @@ export class MiaTransformStream extends Transform {
         this.isNewConversation = false;
       }
 
-      const message = this._extractMessage(chunk);
-
-      // Skip chunks that are being buffered (message is null)
-      if (message === null) {
-        return callback();
-      }
-
-      // Handle error messages specifically
-      if (message.role === 'error') {
-        const errorResponse =
-          JSON.stringify({
-            role: 'error',
-            content: message.content,
-            sessionId: this.sessionId,
-          }) + '\n';
-        callback(null, errorResponse);
-        return;
-      }
-
-      if (
-        (message.role === 'assistant' && !message.tool_calls) ||
-        message.role === ''
-      ) {
-        // Store assistant responses in chat memory
-        if (message.content) {
-          if (this.chatMemory) {
-            this.chatMemory
-              .storeMessage({
-                sessionId: this.sessionId,
-                role: 'assistant',
-                content: message.content,
-              })
-              .catch((err) => {
-                this.logger.error(
-                  { err },
-                  'Error storing assistant message in chat memory'
-                );
-              });
-          }
-          this.push(message.content);
-        }
-        return callback();
-      }
-
-      // Ignore tool output
-      if (message.role === 'tool') {
-        return callback();
-      }
-
-      // Get summarized content safely
-      let summarizedMessage;
-      try {
-        summarizedMessage = summarizeMessage(message, this.logger);
-      } catch (err) {
-        this.logger.error(
-          {
-            err,
-            message:
-              typeof message === 'object'
-                ? JSON.stringify(message).substring(0, 200)
-                : String(message),
-          },
-          'Error in summarizeMessage'
-        );
-        summarizedMessage = {
-          role: 'error',
-          content: 'Error processing tool response',
-        };
-      }
-
-      // Create the response
-      let summarizedResponse;
-      try {
-        summarizedResponse =
-          JSON.stringify({
-            role: summarizedMessage.role,
-            content: summarizedMessage.content,
-            tool: summarizedMessage.tool,
-            sessionId: this.sessionId,
-          }) + '\n';
-      } catch (jsonErr) {
-        this.logger.error(
-          { err: jsonErr },
-          'Error stringifying summarized response'
-        );
-        // Fallback to a safe response
-        summarizedResponse =
-          JSON.stringify({
-            role: 'error',
-            content: 'Error creating response',
-            sessionId: this.sessionId,
-          }) + '\n';
+      for (const event of this.decoder.decode(chunk)) {
+        this._pushEvent(event);
       }
-
-      this.lastChunk = chunk; // This was in the original code, keeping it for now.
-      callback(null, summarizedResponse);
+      callback();
     } catch (err) {
       this.logger.error({ err, chunk }, 'Error in transform stream');
       // Send a valid error response
@@ -494,7 +225,92 @@ export class MiaTransformStream extends Transform {
     }
   }
 
+  /**
+   * Push the output of an upstream event
+   */
+  _pushEvent(event) {
+    const message = toMessage(event);
+    if (!message) return;
+
+    // Handle error messages specifically
+    if (message.role === 'error') {
+      const errorResponse =
+        JSON.stringify({
+          role: 'error',
+          content: message.content,
+          sessionId: this.sessionId,
+        }) + '\n';
+      this.push(errorResponse);
+      return;
+    }
+
+    if (
+      (message.role === 'assistant' && !message.tool_calls) ||
+      message.role === ''
+    ) {
+      if (message.content) {
+        this.push(message.content);
+      }
+      return;
+    }
+
+    // Ignore tool output
+    if (message.role === 'tool') {
+      return;
+    }
+
+    // Get summarized content safely
+    let summarizedMessage;
+    try {
+      summarizedMessage = summarizeMessage(message, this.logger);
+    } catch (err) {
+      this.logger.error(
+        {
+          err,
+          message:
+            typeof message === 'object'
+              ? JSON.stringify(message).substring(0, 200)
+              : String(message),
+        },
+        'Error in summarizeMessage'
+      );
+      summarizedMessage = {
+        role: 'error',
+        content: 'Error processing tool response',
+      };
+    }
+
+    // Create the response
+    let summarizedResponse;
+    try {
+      summarizedResponse =
+        JSON.stringify({
+          role: summarizedMessage.role,
+          content: summarizedMessage.content,
+          tool: summarizedMessage.tool,
+          sessionId: this.sessionId,
+        }) + '\n';
+    } catch (jsonErr) {
+      this.logger.error(
+        { err: jsonErr },
+        'Error stringifying summarized response'
+      );
+      // Fallback to a safe response
+      summarizedResponse =
+        JSON.stringify({
+          role: 'error',
+          content: 'Error creating response',
+          sessionId: this.sessionId,
+        }) + '\n';
+    }
+
+    this.push(summarizedResponse);
+  }
+
   _flush(callback) {
+    for (const event of this.decoder.end()) {
+      this._pushEvent(event);
+    }
     this.push('\n');
     callback();
   }
@@ -505,239 +321,26 @@ export class MiaTransformStream extends Transform {
  * Unlike MiaTransformStream, this does NOT summarize tool calls and outputs SSE instead of NDJSON
  */
 export class MiaSsePassThroughStream extends Transform {
-  constructor(options, chatMemory, sessionId, initialIsNewConversation) {
+  constructor(options, sessionId, initialIsNewConversation, turnId = null) {
     super(options);
-    this.chatMemory = chatMemory;
     this.sessionId = sessionId;
     this.isNewConversation = initialIsNewConversation;
-    this.incompleteMessageBuffer = '';
-    this.isBuffering = false;
+    // With a turn ID the events are numbered, to resume the stream with Last-Event-ID
+    this.turnId = turnId;
+    this.eventCount = 0;
+    // A cancelled answer ends with the cancellation instead of `done`
+    this.cancelled = false;
+    this.decoder = new ServerSentEventDecoder();
     this.logger = logger;
   }
 
-  _extractMessage(chunk) {
-    try {
-      // Convert Uint8Array to string
-      const responseChunk = Buffer.from(chunk).toString('utf-8');
-
-      // Skip empty chunks
-      if (!responseChunk || responseChunk.trim() === '') {
-        return null;
-      }
-
-      // Check for heartbeat events first and skip them
-      if (
-        responseChunk.includes('event:heartbeat') ||
-        responseChunk.includes('data:heartbeat') ||
-        responseChunk.trim() === 'event:ping' ||
-        responseChunk.trim() === ':heartbeat'
-      ) {
-        this.logger.debug('Heartbeat received, skipping');
-        return null;
-      }
-
-      // Extract the event type if present (do this early for better logging)
-      let eventType = 'message'; // Default event type
-      const eventMatch = responseChunk.match(/event:([^\n]*)/);
-      if (eventMatch && eventMatch[1]) {
-        eventType = eventMatch[1].trim();
-      }
-
-      // If we're buffering, add this chunk and check if we have a complete message
-      if (this.isBuffering) {
-        this.incompleteMessageBuffer += responseChunk;
-        this.logger.info(
-          {
-            eventType,
-            bufferLength: this.incompleteMessageBuffer.length,
-          },
-          'Added to buffer'
-        );
-
-        // Try to parse the complete buffer
-        try {
-          // Look for a complete message pattern in the accumulated buffer
-          const bufferDataMatch = this.incompleteMessageBuffer.match(
-            /data:(.*?)(?=event:|$)/s
-          );
-          if (bufferDataMatch && bufferDataMatch[1]) {
-            const bufferDataString = bufferDataMatch[1].trim();
-
-            // Skip empty data or [DONE] markers
-            if (!bufferDataString || bufferDataString === '[DONE]') {
-              this.incompleteMessageBuffer = '';
-              this.isBuffering = false;
-              return { role: '', content: '' };
-            }
-
-            // Safely parse the JSON
-            try {
-              const jsonData = JSON.parse(bufferDataString);
-              // Reset buffer after successful parse
-              this.incompleteMessageBuffer = '';
-              this.isBuffering = false;
-              this.logger.info('Successfully parsed buffered message');
-              const result =
-                jsonData.choices[0]?.delta || jsonData.choices[0]?.message;
-              // Validate the result can be safely stringified
-              JSON.stringify(result);
-              return result;
-            } catch (_jsonErr) {
-              // Incomplete message, continue buffering silently
-            }
-          }
-        } catch (bufferErr) {
-          // Still incomplete, continue buffering silently
-          this.logger.info(
-            { error: bufferErr.message },
-            'Buffer still incomplete'
-          );
-          // Return null to signal we need to skip this chunk but not emit anything
-          return null;
-        }
-      }
-
-      // If the chunk contains SSE format data, parse it
-      if (responseChunk.includes('data:')) {
-        // Skip specific event types
-        if (['heartbeat', 'ping', 'keep-alive'].includes(eventType)) {
-          this.logger.debug(
-            { eventType },
-            'Non-message event received, skipping'
-          );
-          return null;
-        }
-
-        // Handle done events
-        if (eventType === 'done') {
-          // Flush any buffered content before ending
-          if (this.incompleteMessageBuffer && this.isBuffering) {
-            this.logger.info(
-              { buffer: this.incompleteMessageBuffer },
-              'Flushing incomplete buffer on done event'
-            );
-            this.isBuffering = false;
-            this.incompleteMessageBuffer = '';
-          }
-          return { role: '', content: '' };
-        }
-
-        // Check for error events
-        if (eventType === 'error') {
-          const errorMatch = responseChunk.match(/data:(.*)/);
-          if (errorMatch && errorMatch[1]) {
-            try {
-              const errorData = JSON.parse(errorMatch[1].trim());
-              // Return the error with a special error role that we can detect downstream
-              return {
-                role: 'error',
-                content: errorData.message || 'An error occurred',
-                error: errorData,
-              };
-            } catch (jsonErr) {
-              this.logger.error(
-                {
-                  err: jsonErr,
-                  chunk: errorMatch[1].trim().substring(0, 200),
-                },
-                'Error parsing error event data'
-              );
-              return {
-                role: 'error',
-                content: 'Error parsing server response',
-              };
-            }
-          }
-        }
-
-        // Handle regular message events
-        const dataMatch = responseChunk.match(/data:(.*)/);
-        if (dataMatch && dataMatch[1]) {
-          const dataString = dataMatch[1].trim();
-          // Skip [DONE] messages
-          if (dataString === '[DONE]') {
-            // Flush any buffered content before ending
-            if (this.incompleteMessageBuffer && this.isBuffering) {
-              this.logger.info(
-                { buffer: this.incompleteMessageBuffer },
-                'Flushing incomplete buffer on [DONE]'
-              );
-              this.isBuffering = false;
-              this.incompleteMessageBuffer = '';
-            }
-            return { role: '', content: '' };
-          }
-
-          try {
-            const jsonData = JSON.parse(dataString);
-            // Reset buffer when we successfully parse a complete message
-            this.incompleteMessageBuffer = '';
-            this.isBuffering = false;
-            const result =
-              jsonData.choices[0]?.delta || jsonData.choices[0]?.message;
-            // Validate the result can be safely stringified
-            JSON.stringify(result);
-            return result;
-          } catch (parseErr) {
-            // Handle incomplete JSON - likely a multi-chunk message
-            if (
-              parseErr instanceof SyntaxError &&
-              (parseErr.message.includes('Unterminated string') ||
-                parseErr.message.includes('Unexpected end of JSON input'))
-            ) {
-              // Start buffering
-              this.isBuffering = true;
-              this.incompleteMessageBuffer += responseChunk;
-              this.logger.info(
-                {
-                  buffer:
-                    this.incompleteMessageBuffer.substring(0, 100) + '...',
-                },
-                'Started buffering incomplete message chunk'
-              );
-              // Return null to signal we need to skip this chunk but not emit anything
-              return null;
-            }
-
-            // If it's a JSON parsing error (but not an incomplete message), log it and return error
-            this.logger.error(
-              { err: parseErr, dataString: dataString.substring(0, 200) },
-              'Error parsing message JSON'
-            );
-            return {
-              role: 'error',
-              content: `Error parsing server response: ${parseErr.message}`,
-            };
-          }
-        }
-      }
-
-      // If we get here, try to parse the chunk as a regular JSON object
-      try {
-        const jsonData =
-          typeof responseChunk === 'string'
-            ? JSON.parse(responseChunk)
-            : responseChunk;
-        const result =
-          jsonData.choices[0]?.delta || jsonData.choices[0]?.message;
-        // Validate the result can be safely stringified
-        JSON.stringify(result);
-        return result;
-      } catch (_err) {
-        // If it's a JSON parsing error, return null to signal we need to skip this chunk but not emit anything
-        return null;
-      }
-    } catch (outerErr) {
-      // Catch any unexpected errors in the extraction process
-      this.logger.error(
-        { err: outerErr },
-        'Unexpected error in message extraction'
-      );
-      return {
-        role: 'error',
-        content: 'Internal error processing server response',
-      };
-    }
+  /**
+   * Push an SSE event, with the ID `<turn id>:<number>` when the turn is given
+   */
+  _send(event) {
+    this.push(
+      this.turnId ? `id: ${this.turnId}:${++this.eventCount}\n${event}` : event
+    );
   }
 
   _transform(chunk, encoding, callback) {
@@ -760,109 +363,136 @@ export class MiaSsePassThroughStream extends Transform {
           content: welcomeMessage,
           sessionId: this.sessionId,
         })}\n\n`;
-        this.push(initialMessage);
+        this._send(initialMessage);
         this.isNewConversation = false;
       }
 
-      const message = this._extractMessage(chunk);
-
-      // Skip chunks that are being buffered (message is null)
-      if (message === null) {
-        return callback();
+      for (const event of this.decoder.decode(chunk)) {
+        this._pushEvent(event);
       }
+      callback();
+    } catch (err) {
+      this.logger.error({ err, chunk }, 'Error in SSE pass-through stream');
+      // Send a valid error response in SSE format
+      const errorResponse = `event: message\ndata: ${JSON.stringify({
+        role: 'error',
+        content: `Stream error: ${err.message}`,
+        sessionId: this.sessionId,
+      })}\n\n`;
+      this._send(errorResponse);
+      callback(null); // Don't propagate error to avoid breaking the stream
+    }
+  }
 
-      // Handle error messages specifically
-      if (message.role === 'error') {
-        const errorResponse = `event: message\ndata: ${JSON.stringify({
-          role: 'error',
-          content: message.content,
-          sessionId: this.sessionId,
-        })}\n\n`;
-        callback(null, errorResponse);
-        return;
-      }
+  /**
+   * Push the output of an upstream event
+   */
+  _pushEvent(event) {
+    const message = toMessage(event);
+    if (!message) return;
 
-      // Handle assistant messages with tool calls - send FULL details
-      if (message.role === 'assistant' && message.tool_calls) {
-        const sseOutput = `event: message\ndata: ${JSON.stringify({
-          role: message.role,
-          tool_calls: message.tool_calls,
-          sessionId: this.sessionId,
-        })}\n\n`;
-        callback(null, sseOutput);
-        return;
-      }
+    // Handle error messages specifically
+    if (message.role === 'error') {
+      const errorResponse = `event: message\ndata: ${JSON.stringify({
+        role: 'error',
+        content: message.content,
+        sessionId: this.sessionId,
+      })}\n\n`;
+      this._send(errorResponse);
+      return;
+    }
 
-      // Handle assistant text content
-      if (message.role === 'assistant' && message.content) {
-        // Store assistant responses in chat memory (async, non-blocking)
-        if (this.chatMemory) {
-          this.chatMemory
-            .storeMessage({
-              sessionId: this.sessionId,
-              role: 'assistant',
-              content: message.content,
-            })
-            .catch((err) => {
-              this.logger.error(
-                { err },
-                'Error storing assistant message in chat memory'
-              );
-            });
-        }
+    // Handle tool calls denied by the tool settings
+    if (message.role === 'tool-denied') {
+      const sseOutput = `event: tool-denied\ndata: ${JSON.stringify({
+        ...message.denial,
+        sessionId: this.sessionId,
+      })}\n\n`;
+      this._send(sseOutput);
+      return;
+    }
 
-        const sseOutput = `event: message\ndata: ${JSON.stringify({
-          role: message.role,
-          content: message.content,
+    // Handle enabled tools left out of the answer
+    if (message.role === 'tool-unavailable') {
+      this._send(
+        `event: tool-unavailable\ndata: ${JSON.stringify({
+          ...message.unavailable,
           sessionId: this.sessionId,
-        })}\n\n`;
-        callback(null, sseOutput);
-        return;
-      }
+        })}\n\n`
+      );
+      return;
+    }
 
-      // Handle tool responses
-      if (message.role === 'tool') {
-        const sseOutput = `event: message\ndata: ${JSON.stringify({
-          role: message.role,
-          content: message.content,
-          tool_call_id: message.tool_call_id,
+    // Handle the cancellation of the answer
+    if (message.role === 'cancelled') {
+      this.cancelled = true;
+      this._send(
+        `event: cancelled\ndata: ${JSON.stringify({
+          ...message.cancellation,
           sessionId: this.sessionId,
-        })}\n\n`;
-        callback(null, sseOutput);
-        return;
-      }
+        })}\n\n`
+      );
+      return;
+    }
 
-      // Handle empty messages (stream completion markers)
-      if (message.role === '') {
-        const sseOutput = `event: done\ndata: ${JSON.stringify({
-          sessionId: this.sessionId,
-        })}\n\n`;
-        callback(null, sseOutput);
-        return;
-      }
+    // Handle assistant messages with tool calls - send FULL details
+    if (message.role === 'assistant' && message.tool_calls) {
+      const sseOutput = `event: message\ndata: ${JSON.stringify({
+        role: message.role,
+        tool_calls: message.tool_calls,
+        sessionId: this.sessionId,
+      })}\n\n`;
+      this._send(sseOutput);
+      return;
+    }
 
-      // Fallback for any other message types
+    // Handle assistant text content, parts of it when streamed in deltas
+    if (message.role === 'assistant' && message.content) {
       const sseOutput = `event: message\ndata: ${JSON.stringify({
-        ...message,
+        role: message.role,
+        content: message.content,
+        ...(message.delta && { delta: true }),
         sessionId: this.sessionId,
       })}\n\n`;
-      callback(null, sseOutput);
-    } catch (err) {
-      this.logger.error({ err, chunk }, 'Error in SSE pass-through stream');
-      // Send a valid error response in SSE format
-      const errorResponse = `event: message\ndata: ${JSON.stringify({
-        role: 'error',
-        content: `Stream error: ${err.message}`,
+      this._send(sseOutput);
+      return;
+    }
+
+    // Handle tool responses
+    if (message.role === 'tool') {
+      const sseOutput = `event: message\ndata: ${JSON.stringify({
+        role: message.role,
+        content: message.content,
+        tool_call_id: message.tool_call_id,
         sessionId: this.sessionId,
       })}\n\n`;
-      this.push(errorResponse);
-      callback(null); // Don't propagate error to avoid breaking the stream
+      this._send(sseOutput);
+      return;
     }
+
+    // Handle empty messages (stream completion markers)
+    if (message.role === '') {
+      const sseOutput = `event: done\ndata: ${JSON.stringify({
+        sessionId: this.sessionId,
+      })}\n\n`;
+      this._send(sseOutput);
+      return;
+    }
+
+    // Fallback for any other message types
+    const sseOutput = `event: message\ndata: ${JSON.stringify({
+      ...message,
+      sessionId: this.sessionId,
+    })}\n\n`;
+    this._send(sseOutput);
   }
 
   _flush(callback) {
+    for (const event of this.decoder.end()) {
+      this._pushEvent(event);
+    }
     // Send final SSE completion event
-    this.push(`event: done\ndata: {}\n\n`);
+    if (!this.cancelled) this._send(`event: done\ndata: {}\n\n`);
     callback();
   }
 }
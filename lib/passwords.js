@@ -0,0 +1,110 @@
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+// OWASP recommended scrypt parameters using 16 MiB of memory per hash
+const SCRYPT_PARAMS = { N: 2 ** 14, r: 8, p: 5 };
+
+/**
+ * Supported algorithms. Each one derives a key from a password, a salt and its parameters.
+ * Parameters are stored with every hash, so they can be raised without breaking old hashes.
+ */
+const algorithms = {
+  scrypt: {
+    params: SCRYPT_PARAMS,
+    derive: (password, salt, { N, r, p }) =>
+      scrypt(password, salt, KEY_LENGTH, {
+        N,
+        r,
+        p,
+        maxmem: 256 * N * r,
+      }),
+  },
+  // Legacy hashes created before the move to scrypt
+  'pbkdf2-sha512': {
+    derive: (password, salt, { i }) =>
+      pbkdf2(password, salt, i, KEY_LENGTH, 'sha512'),
+  },
+};
+
+const CURRENT_ALGORITHM = 'scrypt';
+
+/**
+ * Serialize a hash as `$<algorithm>$<k=v,...>$<salt hex>$<hash hex>`
+ */
+function encode(algorithm, params, salt, hash) {
+  const encodedParams = Object.entries(params)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(',');
+  return `$${algorithm}$${encodedParams}$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function decode(encoded) {
+  const [, algorithm, encodedParams, salt, hash] = encoded.split('$');
+  if (!algorithms[algorithm] || !hash) {
+    throw new Error('Unsupported password hash format');
+  }
+  const params = Object.fromEntries(
+    encodedParams.split(',').map((pair) => {
+      const [key, value] = pair.split('=');
+      return [key, Number(value)];
+    })
+  );
+  return {
+    algorithm,
+    params,
+    salt: Buffer.from(salt, 'hex'),
+    hash: Buffer.from(hash, 'hex'),
+  };
+}
+
+/**
+ * Hash a password with the current algorithm and parameters
+ * @param {string} password - The plain text password
+ * @returns {Promise<string>} - The encoded hash, including algorithm, parameters and salt
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const { params, derive } = algorithms[CURRENT_ALGORITHM];
+  const hash = await derive(password, salt, params);
+  return encode(CURRENT_ALGORITHM, params, salt, hash);
+}
+
+/**
+ * Verify a password against an encoded hash in constant time
+ * @param {string} password - The plain text password
+ * @param {string} encoded - The encoded hash returned by hashPassword
+ * @returns {Promise<Object>} - { valid, needsRehash } where `needsRehash` is true when
+ * the hash uses an outdated algorithm or parameters and should be replaced
+ */
+export async function verifyPassword(password, encoded) {
+  const { algorithm, params, salt, hash } = decode(encoded);
+  const derived = await algorithms[algorithm].derive(password, salt, params);
+  const valid =
+    derived.length === hash.length && crypto.timingSafeEqual(derived, hash);
+
+  const current = algorithms[CURRENT_ALGORITHM].params;
+  const needsRehash =
+    algorithm !== CURRENT_ALGORITHM ||
+    Object.keys(current).some((key) => params[key] !== current[key]);
+
+  return { valid, needsRehash };
+}
+
+// Verified when the user does not exist, so unknown usernames take as long as wrong passwords
+let dummyHash;
+
+/**
+ * Spend the time of a password verification without a stored hash
+ * @param {string} password - The plain text password
+ * @returns {Promise<void>}
+ */
+export async function verifyDummyPassword(password) {
+  dummyHash ??= hashPassword(crypto.randomBytes(16).toString('hex'));
+  await verifyPassword(password, await dummyHash);
+}
@@ -0,0 +1,98 @@
+/**
+ * System prompt templates
+ * The default version of each prompt is bundled in prompts/<name>.md (version 0),
+ * the versions edited by the admins are stored in the `prompts` table.
+ * Templates reference variables as `{{name}}`.
+ */
+import { readFileSync } from 'node:fs';
+
+const PROMPTS_DIR = new URL('../prompts/', import.meta.url);
+
+// The prompts and the variables they are rendered with
+export const PROMPTS = {
+  'luminaire-agent': [
+    'systemId',
+    'databaseSchema',
+    'availableTools',
+    'webBrowsing',
+    'pdfReading',
+  ],
+  'forecast-analysis': [],
+  'conversation-summary': [],
+};
+
+const VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+const defaults = new Map();
+
+/**
+ * Read the bundled version of a prompt
+ * @param {string} name - The prompt name, a key of PROMPTS
+ * @returns {string} - The template
+ */
+export function loadDefaultPrompt(name) {
+  if (!PROMPTS[name]) throw new Error(`Unknown prompt: ${name}`);
+  if (!defaults.has(name)) {
+    defaults.set(
+      name,
+      readFileSync(new URL(`${name}.md`, PROMPTS_DIR), 'utf8')
+    );
+  }
+  return defaults.get(name);
+}
+
+/**
+ * List the variables of a template the prompt is not rendered with
+ * @param {string} name - The prompt name
+ * @param {string} template - The template
+ * @returns {string[]} - The unknown variables
+ */
+export function findUnknownVariables(name, template) {
+  const known = PROMPTS[name] || [];
+  return [...template.matchAll(VARIABLE)]
+    .map(([, variable]) => variable)
+    .filter(
+      (variable, i, all) =>
+        !known.includes(variable) && all.indexOf(variable) === i
+    );
+}
+
+/**
+ * Render a template
+ * @param {string} template - The template
+ * @param {Object} variables - The values of the variables
+ * @returns {string} - The prompt
+ */
+export function renderPrompt(template, variables = {}) {
+  return template.replace(VARIABLE, (match, variable) =>
+    variable in variables ? String(variables[variable]) : match
+  );
+}
+
+/**
+ * Get a template of a prompt: the given version, or the active one. The bundled
+ * template (version 0) is used when no version is active or the database fails.
+ * @param {Object} fastify - The Fastify instance, with the prompts repository
+ * @param {string} name - The prompt name
+ * @param {number} version - The version (optional)
+ * @returns {Promise<Object>} - `{ name, version, template }`, null for an unknown version
+ */
+export async function getPromptTemplate(fastify, name, version) {
+  if (version === 0) {
+    return { name, version: 0, template: loadDefaultPrompt(name) };
+  }
+  try {
+    const stored =
+      version === undefined
+        ? await fastify.db.prompts.getActivePrompt(name)
+        : await fastify.db.prompts.getPrompt(name, version);
+    if (stored) {
+      return { name, version: stored.version, template: stored.template };
+    }
+    if (version !== undefined) return null;
+  } catch (err) {
+    if (version !== undefined) throw err;
+    fastify.log.error({ err, name }, 'Failed to load prompt, using default');
+  }
+  return { name, version: 0, template: loadDefaultPrompt(name) };
+}
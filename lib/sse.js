@@ -0,0 +1,143 @@
+/**
+ * Server-Sent Events helpers
+ */
+
+/**
+ * Incremental Server-Sent Events decoder, following the event stream parsing of the
+ * HTML specification: CR, LF and CRLF line endings, comments, multi-line `data`,
+ * `id` and `retry`. Events and characters may be split across chunks in any way.
+ * The incomplete event at the end of the stream is discarded.
+ */
+export class ServerSentEventDecoder {
+  constructor() {
+    // The BOM is removed once, at the start of the stream
+    this.textDecoder = new TextDecoder('utf-8', { ignoreBOM: true });
+    this.started = false;
+    // The line being received, and whether a CR ended the last chunk
+    this.line = '';
+    this.skipLineFeed = false;
+    // Last event ID and reconnection time (ms) of the stream
+    this.lastEventId = '';
+    this.retry = null;
+    this.idBuffer = '';
+    this.eventType = '';
+    this.data = [];
+  }
+
+  /**
+   * Decode a chunk of the stream
+   * @param {Uint8Array|string} chunk - The chunk
+   * @returns {Array<Object>} - The complete events, `{ event, data, id, retry }`
+   */
+  decode(chunk) {
+    return this.readText(
+      typeof chunk === 'string'
+        ? chunk
+        : this.textDecoder.decode(chunk, { stream: true })
+    );
+  }
+
+  /**
+   * End the stream
+   * @returns {Array<Object>} - The events completed by the last bytes
+   */
+  end() {
+    const events = this.readText(this.textDecoder.decode());
+    this.line = '';
+    this.eventType = '';
+    this.data = [];
+    return events;
+  }
+
+  readText(text) {
+    if (!text) return [];
+    if (!this.started) {
+      this.started = true;
+      if (text.startsWith('\uFEFF')) text = text.slice(1);
+    }
+    if (this.skipLineFeed && text.startsWith('\n')) text = text.slice(1);
+    this.skipLineFeed = false;
+
+    const events = [];
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char !== '\r' && char !== '\n') continue;
+
+      const line = this.line + text.slice(start, i);
+      this.line = '';
+      if (char === '\r') {
+        // The LF of a CRLF can be in the next chunk
+        if (i + 1 === text.length) this.skipLineFeed = true;
+        else if (text[i + 1] === '\n') i++;
+      }
+      start = i + 1;
+
+      const event = this.readLine(line);
+      if (event) events.push(event);
+    }
+    this.line += text.slice(start);
+    return events;
+  }
+
+  readLine(line) {
+    if (line === '') return this.dispatch();
+    if (line.startsWith(':')) return null;
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    let value = separator === -1 ? '' : line.slice(separator + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    switch (field) {
+      case 'event':
+        this.eventType = value;
+        break;
+      case 'data':
+        this.data.push(value);
+        break;
+      case 'id':
+        if (!value.includes('\0')) this.idBuffer = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) this.retry = Number(value);
+        break;
+    }
+    return null;
+  }
+
+  dispatch() {
+    this.lastEventId = this.idBuffer;
+    const { eventType, data } = this;
+    this.eventType = '';
+    this.data = [];
+    if (data.length === 0) return null;
+    return {
+      event: eventType || 'message',
+      data: data.join('\n'),
+      id: this.lastEventId,
+      retry: this.retry,
+    };
+  }
+}
+
+/**
+ * Parse a Server-Sent Events body into `{ event, data, id, retry }` objects.
+ * `data` is parsed as JSON when possible.
+ * @param {AsyncIterable<Uint8Array|string>} body - The response body, or a stream of strings
+ */
+export async function* readServerSentEvents(body) {
+  const decoder = new ServerSentEventDecoder();
+  const parse = (event) => {
+    try {
+      return { ...event, data: JSON.parse(event.data) };
+    } catch (_err) {
+      return event;
+    }
+  };
+
+  for await (const chunk of body) {
+    for (const event of decoder.decode(chunk)) yield parse(event);
+  }
+  for (const event of decoder.end()) yield parse(event);
+}
@@ -0,0 +1,178 @@
+/**
+ * Helpers to compute calendar boundaries in a system's local (IANA) time zone.
+ * Metrics are stored as UTC wall time, so every boundary returned here is a UTC instant.
+ */
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Check whether a string is a valid IANA time zone name
+ * @param {string} timeZone - The time zone to check (e.g. 'America/Los_Angeles')
+ * @returns {boolean} - Whether the time zone is supported
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (_err) {
+    return false;
+  }
+}
+
+/**
+ * Get the local calendar fields of an instant in a time zone
+ * @param {Date} date - The instant
+ * @param {string} timeZone - The IANA time zone
+ * @returns {Object} - { year, month, day, hour, minute, second } (month is 1-based)
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Get the UTC offset of a time zone at a given instant
+ * @param {Date} date - The instant
+ * @param {string} timeZone - The IANA time zone
+ * @returns {number} - The offset in milliseconds (negative west of UTC)
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a local wall-clock time in a time zone to a UTC instant.
+ * Out of range fields roll over (day 0 is the last day of the previous month),
+ * and wall times skipped by a DST transition resolve to the instant after the gap.
+ * @returns {Date} - The UTC instant
+ */
+export function zonedTimeToUtc(
+  { year, month, day, hour = 0, minute = 0, second = 0 },
+  timeZone
+) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimeZoneOffset(new Date(wall), timeZone);
+  const utc = wall - offset;
+  // The offset may differ on the other side of a DST transition
+  const actualOffset = getTimeZoneOffset(new Date(utc), timeZone);
+  if (actualOffset === offset) return new Date(utc);
+
+  const adjusted = wall - actualOffset;
+  if (getTimeZoneOffset(new Date(adjusted), timeZone) === actualOffset) {
+    return new Date(adjusted);
+  }
+  // The wall time falls in a DST gap
+  return new Date(utc);
+}
+
+/**
+ * Resolve a reference date to a local calendar day
+ * @param {string|Date} [reference] - A YYYY-MM-DD local date, an instant, or nothing for today
+ * @param {string} timeZone - The IANA time zone
+ * @returns {Object} - { year, month, day }
+ */
+export function getZonedDay(reference, timeZone) {
+  if (typeof reference === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(reference)) {
+    const [year, month, day] = reference.split('-').map(Number);
+    return { year, month, day };
+  }
+  const { year, month, day } = getZonedParts(
+    reference ? new Date(reference) : new Date(),
+    timeZone
+  );
+  return { year, month, day };
+}
+
+/**
+ * Get the window covering the `days` local calendar days ending on the reference day.
+ * Days are 23 or 25 hours long across DST transitions.
+ * @param {string|Date} [reference] - See getZonedDay
+ * @param {string} timeZone - The IANA time zone
+ * @param {number} days - Number of days in the window (default: 1)
+ * @returns {Object} - { start, end } UTC instants, start inclusive and end exclusive
+ */
+export function getZonedDayRange(reference, timeZone, days = 1) {
+  const { year, month, day } = getZonedDay(reference, timeZone);
+  return {
+    start: zonedTimeToUtc({ year, month, day: day - (days - 1) }, timeZone),
+    end: zonedTimeToUtc({ year, month, day: day + 1 }, timeZone),
+  };
+}
+
+/**
+ * Get the local calendar month containing the reference day
+ * @param {string|Date} [reference] - See getZonedDay
+ * @param {string} timeZone - The IANA time zone
+ * @returns {Object} - { start, end } UTC instants, start inclusive and end exclusive
+ */
+export function getZonedMonthRange(reference, timeZone) {
+  const { year, month } = getZonedDay(reference, timeZone);
+  return {
+    start: zonedTimeToUtc({ year, month, day: 1 }, timeZone),
+    end: zonedTimeToUtc({ year, month: month + 1, day: 1 }, timeZone),
+  };
+}
+
+/**
+ * Resolve a range bound that is either a local YYYY-MM-DD date (local midnight)
+ * or an ISO 8601 date-time with an offset
+ * @param {string} value - The bound
+ * @param {string} timeZone - The IANA time zone
+ * @returns {Date} - The UTC instant
+ */
+export function parseZonedBound(value, timeZone) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return zonedTimeToUtc(getZonedDay(value, timeZone), timeZone);
+  }
+  return new Date(value);
+}
+
+/**
+ * Format an instant as a UTC timestamp for `TIMESTAMP WITHOUT TIME ZONE` columns.
+ * Passing a string avoids node-postgres converting Dates to the process time zone.
+ * @param {Date} date - The instant
+ * @returns {string} - e.g. '2025-03-09T08:00:00.000'
+ */
+export function toUtcTimestamp(date) {
+  return date.toISOString().slice(0, -1);
+}
@@ -0,0 +1,25 @@
+import crypto from 'node:crypto';
+
+/**
+ * Hash a token or an API key for storage and lookup.
+ * Both carry 256 bits of randomness, so a fast unsalted hash is enough.
+ * @param {string} token - The token or the full API key
+ * @returns {string} - The hex encoded SHA-256 digest
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new opaque token, e.g. a refresh or password reset token
+ * @param {number} ttl - Lifetime of the token in milliseconds
+ * @returns {Object} - { token, hash, expiresAt } where `token` is only sent to the user
+ */
+export function generateToken(ttl) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    hash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttl),
+  };
+}
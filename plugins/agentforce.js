@@ -0,0 +1,279 @@
+import fp from 'fastify-plugin';
+import { randomUUID } from 'node:crypto';
+import { config } from '../config.js';
+import { AgentforceClient } from '../services/agentforce/index.js';
+import {
+  DONE_EVENT,
+  completionDeltaEvent,
+  completionEvent,
+} from '../services/ai/index.js';
+import { recordTurn } from '../lib/chat-turns.js';
+import {
+  FORECAST_PROMPT,
+  calculateForecastAnalysis,
+  parseForecastAnalysis,
+} from '../lib/forecast-analysis.js';
+import { getPromptTemplate, renderPrompt } from '../lib/prompts.js';
+
+// Agent API sessions are forgotten after being idle as long as the chat memory
+const SESSION_IDLE_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * Convert the events of the Agent API into chat completion events, the format
+ * consumed by the /api/chat routes for every AI engine
+ * @param {AsyncIterable<Object>} events - The `{ event, data }` events of the Agent API
+ */
+async function* toCompletionEvents(events) {
+  // The INFORM event ending streamed text repeats the whole message
+  let streamed = false;
+  for await (const { event, data } of events) {
+    switch (event) {
+      case 'PROGRESS_INDICATOR':
+        yield completionEvent({ role: 'agent', content: data.message.message });
+        break;
+      case 'TEXT_CHUNK':
+        streamed = true;
+        yield completionDeltaEvent(data.message.message);
+        break;
+      case 'INFORM':
+        if (!streamed) {
+          yield completionEvent({
+            role: 'assistant',
+            content: data.message.message,
+          });
+        }
+        streamed = false;
+        break;
+      case 'ERROR':
+      case 'VALIDATION_FAILURE':
+        yield `event: error\ndata: ${JSON.stringify({
+          message: data.message?.message || 'The agent failed to respond',
+        })}\n\n`;
+        break;
+      case 'END_OF_TURN':
+        yield DONE_EVENT;
+        return;
+    }
+  }
+}
+
+/**
+ * AI engine backed by an Agentforce agent through the Salesforce Agent API.
+ * Decorates `fastify.ai` with the same interface as the MIA plugin.
+ * The options override the SF_* configuration (e.g. to point to a mock server).
+ */
+export default fp(async (fastify, opts) => {
+  const client = new AgentforceClient({
+    myDomainUrl: config.SF_MY_DOMAIN_URL,
+    clientId: config.SF_CLIENT_ID,
+    clientSecret: config.SF_CLIENT_SECRET,
+    agentId: config.SF_AGENT_ID,
+    apiUrl: config.SF_API_URL,
+    ...opts,
+  });
+
+  // Agent API session of each chat session: { id, sequenceId, lastUsedAt }.
+  // The agent keeps the conversation, so a session started elsewhere begins a new one.
+  const sessions = new Map();
+
+  /**
+   * Get the Agent API session of a chat session, starting one when needed,
+   * and reserve the sequence ID of the next message
+   * @param {string} sessionId - The chat session ID
+   * @param {AbortSignal} signal - Cancels the start of the session (optional)
+   */
+  const nextMessage = async (sessionId, signal) => {
+    const now = Date.now();
+    const idle = [...sessions]
+      .filter(([, session]) => now - session.lastUsedAt > SESSION_IDLE_MS)
+      .map(([id]) => id);
+    await Promise.all(idle.map(endSession));
+
+    let session = sessions.get(sessionId);
+    if (!session) {
+      session = {
+        id: await client.startSession(sessionId, { signal }),
+        sequenceId: 0,
+      };
+      sessions.set(sessionId, session);
+    }
+    session.sequenceId++;
+    session.lastUsedAt = now;
+    return session;
+  };
+
+  /**
+   * End the Agent API session of a chat session, if any
+   * @param {string} sessionId - The chat session ID
+   */
+  const endSession = async (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    try {
+      await client.endSession(session.id);
+    } catch (err) {
+      fastify.log.warn({ err, sessionId }, 'Failed to end Agentforce session');
+    }
+  };
+
+  fastify.decorate('ai', {
+    /**
+     * Execute a chat completion with memory
+     * @param {string} question - The user's question
+     * @param {Object} options - Options for the completion
+     * @param {string} options.sessionId - The session ID (optional, will be generated if not provided)
+     * @param {string} options.userId - The user ID (optional)
+     * @param {AbortSignal} options.signal - Cancels the answer (optional)
+     * @returns {Promise<AsyncIterable<string>>} - The completion stream
+     */
+    executeCompletion: async (question, options = {}) => {
+      const sessionId = options.sessionId || randomUUID();
+      const userId = options.userId || null;
+      const { signal } = options;
+
+      if (fastify.chatMemory) {
+        await fastify.chatMemory.storeMessage({
+          sessionId,
+          userId,
+          role: 'user',
+          content: question,
+        });
+      }
+
+      const stream = async () => {
+        const session = await nextMessage(sessionId, signal);
+        return client.streamMessage(session.id, session.sequenceId, question, {
+          signal,
+        });
+      };
+      let events;
+      try {
+        try {
+          events = await stream();
+        } catch (err) {
+          // The Agent API ended the session (e.g. timeout), continue in a new one
+          if (err.statusCode !== 404) throw err;
+          fastify.log.info({ sessionId }, 'Agentforce session expired');
+          sessions.delete(sessionId);
+          events = await stream();
+        }
+      } catch (err) {
+        // An answer cancelled before its stream starts is recorded here,
+        // recordTurn records the ones cancelled later
+        if (fastify.chatMemory && signal?.aborted) {
+          await fastify.chatMemory
+            .storeMessage({
+              sessionId,
+              role: 'cancelled',
+              content: signal.reason?.message || 'The answer was cancelled',
+            })
+            .catch((storeErr) =>
+              fastify.log.error(
+                { err: storeErr, sessionId },
+                'Failed to store the answer'
+              )
+            );
+        }
+        throw err;
+      }
+
+      // Store the answer in chat memory
+      return fastify.chatMemory
+        ? recordTurn(toCompletionEvents(events), {
+            chatMemory: fastify.chatMemory,
+            sessionId,
+            logger: fastify.log,
+            signal,
+          })
+        : toCompletionEvents(events);
+    },
+
+    /**
+     * Calculate forecast analysis directly (fallback method)
+     * @param {Array} forecastData - Array of forecast objects with irradiation values
+     * @returns {Object} - Analysis result with efficiency, analysis, and averageIrradiation
+     */
+    calculateForecastAnalysis,
+
+    /**
+     * Generate forecast analysis based on irradiation data, in a dedicated agent session
+     * with the active version of the forecast-analysis prompt
+     * @param {Array} forecastData - Array of forecast objects with irradiation values
+     * @param {string} systemId - The system ID (optional, for logging)
+     * @returns {Promise<Object>} - Analysis result with efficiency, analysis, and averageIrradiation
+     */
+    generateForecastAnalysis: async (forecastData, systemId = null) => {
+      const message = JSON.stringify({
+        forecastData,
+        systemId: systemId || 'not provided',
+      });
+
+      // The active version of the prompt, as with MIA
+      const prompt = await getPromptTemplate(fastify, FORECAST_PROMPT);
+
+      let agentSessionId;
+      try {
+        agentSessionId = await client.startSession(randomUUID());
+        const messages = await client.sendMessage(
+          agentSessionId,
+          1,
+          `${renderPrompt(prompt.template)}\n\n${message}`
+        );
+        const result = messages
+          .filter((m) => m.type === 'Inform')
+          .map((m) => m.message)
+          .join('\n');
+
+        try {
+          return parseForecastAnalysis(result);
+        } catch (parseError) {
+          fastify.log.warn(
+            { result: result.slice(0, 500), parseError },
+            'AI returned invalid JSON, using fallback calculation'
+          );
+          return calculateForecastAnalysis(forecastData);
+        }
+      } catch (error) {
+        fastify.log.error(error, 'Error generating forecast analysis');
+
+        if (forecastData && forecastData.length > 0) {
+          fastify.log.info('Using fallback calculation for forecast analysis');
+          return calculateForecastAnalysis(forecastData);
+        }
+
+        throw error;
+      } finally {
+        if (agentSessionId) {
+          client.endSession(agentSessionId).catch((err) => {
+            fastify.log.warn({ err }, 'Failed to end Agentforce session');
+          });
+        }
+      }
+    },
+
+    /**
+     * Get chat history for a session
+     * @param {string} sessionId - The session ID
+     * @param {Object} page - The page: limit, before and after message IDs
+     * @returns {Promise<Object>} - The chat history, `{ messages, total, hasOlder, hasNewer }`
+     */
+    getChatHistory: async (sessionId, page = {}) => {
+      return fastify.chatMemory.getSessionMessages(sessionId, page);
+    },
+
+    /**
+     * Clear chat history for a session, the agent forgets the conversation as well
+     * @param {string} sessionId - The session ID
+     * @returns {Promise<number>} - The number of deleted messages
+     */
+    clearChatHistory: async (sessionId) => {
+      await endSession(sessionId);
+      return fastify.chatMemory.deleteSessionMessages(sessionId);
+    },
+  });
+
+  fastify.addHook('onClose', async () => {
+    await Promise.all([...sessions.keys()].map(endSession));
+  });
+});
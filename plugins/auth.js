@@ -0,0 +1,128 @@
+import fp from 'fastify-plugin';
+import { hashToken } from '../lib/tokens.js';
+
+/**
+ * Build the error a strategy throws to reject a request.
+ * The status code is also set on the reply, otherwise @fastify/auth replaces it with 401.
+ * @param {Object} reply - The Fastify reply
+ * @param {number} statusCode - The HTTP status code
+ * @param {string} message - The error message
+ * @returns {Error} - The error to throw
+ */
+function authError(reply, statusCode, message) {
+  reply.code(statusCode);
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Authentication and authorization strategies to be used with @fastify/auth.
+ * Strategies throw on failure so they can be combined with both the 'and' and 'or' relations.
+ */
+export default fp(async (fastify) => {
+  fastify.decorate('verifyUserAndPassword', async function (request, reply) {
+    const { username, password } = request.body;
+    const isAuthenticated = await fastify.db.users.authenticate(
+      username,
+      password
+    );
+    if (!isAuthenticated) {
+      throw authError(reply, 401, 'Invalid credentials');
+    }
+  });
+
+  /**
+   * Verifies the access token in the Authorization header.
+   * Tokens issued for a session (`sid` claim) are rejected once the session is revoked
+   * by a logout or a refresh token reuse.
+   */
+  fastify.decorate('verifyJwt', async function (request, reply) {
+    try {
+      await request.jwtVerify();
+    } catch (err) {
+      throw authError(reply, 401, err.message);
+    }
+
+    const { sid } = request.user;
+    if (sid && (await fastify.db.sessions.isRefreshTokenFamilyRevoked(sid))) {
+      throw authError(reply, 401, 'The session has been revoked');
+    }
+  });
+
+  /**
+   * Ensures the authenticated user owns the system in `request.params.systemId`.
+   * Must run after `verifyJwt` (use `{ relation: 'and' }` with fastify.auth).
+   * Rejects with 404 when the system does not exist and 403 when it belongs to another user.
+   */
+  fastify.decorate('verifySystemAccess', async function (request, reply) {
+    const { systemId } = request.params;
+    const userId = request.user?.user?.id;
+
+    const access = await fastify.db.systems.getSystemAccess(userId, systemId);
+    if (!access) {
+      throw authError(reply, 404, 'System not found');
+    }
+
+    if (!access.owned) {
+      throw authError(reply, 403, 'You do not have access to this system');
+    }
+  });
+
+  /**
+   * Build a strategy that authenticates devices and integrations with the API key
+   * sent in the `X-API-Key` header. The key must be scoped to the system in
+   * `request.params.systemId` and grant the given permission.
+   * @param {string} permission - The required permission (e.g. 'readings:write')
+   * @returns {Function} - The auth strategy
+   */
+  fastify.decorate('requireApiKey', function (permission) {
+    return async function (request, reply) {
+      const key = request.headers['x-api-key'];
+      if (!key) {
+        throw authError(reply, 401, 'Missing API key');
+      }
+
+      const apiKey = await fastify.db.apiKeys.getApiKeyByHash(hashToken(key));
+      if (!apiKey || apiKey.revoked_at) {
+        throw authError(reply, 401, 'Invalid API key');
+      }
+
+      if (
+        !apiKey.system_ids.includes(request.params.systemId) ||
+        !apiKey.permissions.includes(permission)
+      ) {
+        throw authError(
+          reply,
+          403,
+          `The API key does not grant ${permission} on this system`
+        );
+      }
+
+      request.apiKey = apiKey;
+      fastify.db.apiKeys.touchApiKey(apiKey.id).catch((err) => {
+        fastify.log.warn({ err }, 'Failed to update API key usage');
+      });
+    };
+  });
+
+  /**
+   * Build a strategy that only lets through users holding one of the given roles.
+   * Must run after `verifyJwt` (use `{ relation: 'and' }` with fastify.auth).
+   * @param {...string} roles - The allowed roles (e.g. 'admin')
+   * @returns {Function} - The auth strategy
+   */
+  fastify.decorate('requireRole', function (...roles) {
+    return async function (request, reply) {
+      // Tokens issued before roles existed carry no role
+      const role = request.user?.user?.role || 'user';
+      if (!roles.includes(role)) {
+        throw authError(
+          reply,
+          403,
+          `This action requires the ${roles.join(' or ')} role`
+        );
+      }
+    };
+  });
+});
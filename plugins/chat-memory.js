@@ -1,114 +1,221 @@
 import fp from 'fastify-plugin';
-import { randomUUID } from 'node:crypto';
 
+// Key prefixes for Redis
+const CHAT_SESSION_PREFIX = 'chat:session:';
+// The cache holds the last messages of the conversations active in the last 2 hours
+const CACHE_SIZE = 50;
+const CACHE_TTL = 60 * 60 * 2;
+
+/**
+ * Chat memory. The conversations are stored in Postgres (fastify.db.conversations),
+ * when Redis is registered it caches the last messages sent to the model.
+ */
 export default fp(async (fastify) => {
-  try {
-    // Ensure Redis plugin is loaded
-    if (!fastify.redis) {
-      throw new Error('Redis plugin is not loaded');
+  const cacheKey = (sessionId) => `${CHAT_SESSION_PREFIX}${sessionId}`;
+
+  /**
+   * Run a cache operation, the cache is skipped when it fails
+   */
+  const withCache = async (fn) => {
+    if (!fastify.redis) return null;
+    try {
+      return await fn(fastify.redis);
+    } catch (err) {
+      fastify.log.warn({ err }, 'Chat memory cache unavailable');
+      return null;
     }
+  };
 
-    // Key prefixes for Redis
-    const CHAT_SESSION_PREFIX = 'chat:session:';
-
-    fastify.decorate('chatMemory', {
-      /**
-       * Store a message in the chat memory
-       * @param {Object} message - The message to store
-       * @param {string} message.sessionId - The session ID
-       * @param {string} message.role - The role of the message sender (user, assistant, agent, error)
-       * @param {string} message.content - The message content
-       * @returns {Promise<Object>} - The stored message
-       */
-      storeMessage: async ({ sessionId, role, content }) => {
-        const timestamp = new Date().toISOString();
-        const id = randomUUID();
-
-        // Create message object
-        const message = {
-          id,
-          session_id: sessionId,
-          role,
-          content,
-          timestamp,
-        };
-
-        // Store message in Redis
-        // 1. Add to session list
-        await fastify.redis.rpush(
-          `${CHAT_SESSION_PREFIX}${sessionId}`,
-          JSON.stringify(message)
-        );
-
-        // 2. Set expiration for session (2 hours)
-        await fastify.redis.expire(
-          `${CHAT_SESSION_PREFIX}${sessionId}`,
-          60 * 60 * 2
-        );
+  const formatMessage = (message) => ({
+    role: message.role === 'agent' ? 'assistant' : message.role,
+    content: message.content,
+    ...(message.tool_calls && { tool_calls: message.tool_calls }),
+    ...(message.tool_call_id && { tool_call_id: message.tool_call_id }),
+  });
 
+  /**
+   * Get the last messages of a session, from the cache when possible
+   * @returns {Promise<Array>} - The stored messages, oldest first
+   */
+  const getRecentMessages = async (sessionId, limit) => {
+    if (limit > CACHE_SIZE) {
+      return fastify.db.conversations.getLastMessages(sessionId, limit);
+    }
+
+    const cached = await withCache((redis) =>
+      redis.lrange(cacheKey(sessionId), -limit, -1)
+    );
+    if (cached?.length) {
+      return cached.map((msg) => JSON.parse(msg));
+    }
+
+    // Cache miss: load the conversation and cache it
+    const messages = await fastify.db.conversations.getLastMessages(
+      sessionId,
+      CACHE_SIZE
+    );
+    if (messages.length > 0) {
+      await withCache(async (redis) => {
+        const key = cacheKey(sessionId);
+        await redis.del(key);
+        await redis.rpush(key, ...messages.map((m) => JSON.stringify(m)));
+        await redis.expire(key, CACHE_TTL);
+      });
+    }
+    return messages.slice(-limit);
+  };
+
+  fastify.decorate('chatMemory', {
+    /**
+     * Store a message in the chat memory. A message of a user starts the
+     * conversation if it does not exist.
+     * @param {Object} message - The message to store
+     * @param {string} message.sessionId - The session ID
+     * @param {string} message.userId - The user owning the conversation (optional for the answers)
+     * @param {string} message.role - The role of the message sender (user, assistant, tool,
+     * error, cancelled)
+     * @param {string} message.content - The message content (optional for the tool calls)
+     * @param {Array} message.toolCalls - The tool calls of an assistant message (optional)
+     * @param {string} message.toolCallId - The tool call answered by a tool message (optional)
+     * @param {number} message.promptVersion - The system prompt version of the turn (optional)
+     * @returns {Promise<Object>} - The stored message, undefined when the conversation
+     * belongs to another user
+     */
+    storeMessage: async ({
+      sessionId,
+      userId,
+      role,
+      content,
+      toolCalls,
+      toolCallId,
+      promptVersion,
+    }) => {
+      const message = await fastify.db.conversations.addMessage(sessionId, {
+        userId,
+        role,
+        content,
+        toolCalls,
+        toolCallId,
+        promptVersion,
+      });
+      if (!message) {
+        fastify.log.warn({ sessionId, userId }, 'Message of unknown session');
         return message;
-      },
-
-      /**
-       * Get messages for a session
-       * @param {string} sessionId - The session ID
-       * @param {number} limit - The maximum number of messages to retrieve (default: 10)
-       * @returns {Promise<Array>} - The messages
-       */
-      getSessionMessages: async (sessionId, limit = 10) => {
-        // Get messages from Redis
-        const messages = await fastify.redis.lrange(
-          `${CHAT_SESSION_PREFIX}${sessionId}`,
-          0,
-          limit - 1
-        );
-
-        // Parse JSON strings to objects
-        return messages.map((msg) => JSON.parse(msg));
-      },
-
-      /**
-       * Get messages formatted for OpenAI API
-       * @param {string} sessionId - The session ID
-       * @param {number} limit - The maximum number of messages to retrieve (default: 10)
-       * @returns {Promise<Array>} - The messages formatted for OpenAI API
-       */
-      getFormattedMessages: async (sessionId, limit = 10) => {
-        // Get messages from Redis (last N messages)
-        const messages = await fastify.redis.lrange(
-          `${CHAT_SESSION_PREFIX}${sessionId}`,
-          -limit,
-          -1
-        );
-
-        // Parse JSON strings and format for OpenAI API
-        return messages.map((msg) => {
-          const parsed = JSON.parse(msg);
-          return {
-            role: parsed.role === 'agent' ? 'assistant' : parsed.role,
-            content: parsed.content,
-          };
-        });
-      },
-
-      /**
-       * Delete messages for a session
-       * @param {string} sessionId - The session ID
-       * @returns {Promise<number>} - The number of deleted messages
-       */
-      deleteSessionMessages: async (sessionId) => {
-        // Get the number of messages in the session
-        const count = await fastify.redis.llen(
-          `${CHAT_SESSION_PREFIX}${sessionId}`
-        );
-
-        // Delete the session
-        await fastify.redis.del(`${CHAT_SESSION_PREFIX}${sessionId}`);
-
-        return count;
-      },
-    });
-  } catch (err) {
-    fastify.log.error({ err }, 'Error setting up chat memory');
-  }
+      }
+
+      // Only cached conversations are appended to, the others are loaded on read
+      await withCache(async (redis) => {
+        const key = cacheKey(sessionId);
+        if (await redis.rpushx(key, JSON.stringify(message))) {
+          await redis.ltrim(key, -CACHE_SIZE, -1);
+          await redis.expire(key, CACHE_TTL);
+        }
+      });
+
+      return message;
+    },
+
+    /**
+     * Get a conversation
+     * @param {string} sessionId - The session ID
+     * @returns {Promise<Object>} - `{ id, userId, title, createdAt, updatedAt }`,
+     * undefined if it does not exist
+     */
+    getConversation: async (sessionId) => {
+      return fastify.db.conversations.getConversation(sessionId);
+    },
+
+    /**
+     * List the conversations of a user, the most recently active first
+     * @param {string} userId - The user ID
+     * @param {number} limit - The maximum number of conversations (default: 20)
+     * @returns {Promise<Array>} - The conversations, with their number of messages
+     */
+    getUserConversations: async (userId, limit = 20) => {
+      return fastify.db.conversations.getUserConversations(userId, { limit });
+    },
+
+    /**
+     * Get a page of the messages of a session, in chronological order
+     * @param {string} sessionId - The session ID
+     * @param {Object} options - The page
+     * @param {number} options.limit - The maximum number of messages to retrieve (default: 10)
+     * @param {string} options.before - Retrieve the messages older than this message ID (optional)
+     * @param {string} options.after - Retrieve the messages newer than this message ID (optional)
+     * @returns {Promise<Object>} - `{ messages, total, hasOlder, hasNewer }`, the most
+     * recent messages without a cursor, null when the cursor is not a message of the session
+     */
+    getSessionMessages: async (
+      sessionId,
+      { limit = 10, before, after } = {}
+    ) => {
+      return fastify.db.conversations.getMessagePage(sessionId, {
+        limit,
+        before,
+        after,
+      });
+    },
+
+    /**
+     * Get messages formatted for OpenAI API
+     * @param {string} sessionId - The session ID
+     * @param {number} limit - The maximum number of messages to retrieve (default: 10)
+     * @returns {Promise<Array>} - The messages formatted for OpenAI API
+     */
+    getFormattedMessages: async (sessionId, limit = 10) => {
+      const messages = await getRecentMessages(sessionId, limit);
+      return messages.map(formatMessage);
+    },
+
+    /**
+     * Get the context of the next turn of a conversation: its rolling summary
+     * and the recent messages the summary does not cover
+     * @param {string} sessionId - The session ID
+     * @returns {Promise<Object>} - `{ summary, history }`, the history messages are
+     * formatted for OpenAI API with their `id`, oldest first
+     */
+    getContext: async (sessionId) => {
+      const [conversation, messages] = await Promise.all([
+        fastify.db.conversations.getConversation(sessionId),
+        getRecentMessages(sessionId, CACHE_SIZE),
+      ]);
+      const summarized = messages.findIndex(
+        (message) => message.id === conversation?.summaryMessageId
+      );
+      return {
+        summary: conversation?.summary || null,
+        // The errors and cancelled answers are shown to the user, not sent to the model
+        history: messages
+          .slice(summarized + 1)
+          .filter((message) => !['error', 'cancelled'].includes(message.role))
+          .map((message) => ({ id: message.id, ...formatMessage(message) })),
+      };
+    },
+
+    /**
+     * Store the rolling summary of a conversation
+     * @param {string} sessionId - The session ID
+     * @param {string} summary - The summary
+     * @param {string} messageId - The ID of the last message the summary covers
+     */
+    storeSummary: async (sessionId, summary, messageId) => {
+      await fastify.db.conversations.updateSummary(
+        sessionId,
+        summary,
+        messageId
+      );
+    },
+
+    /**
+     * Delete messages for a session
+     * @param {string} sessionId - The session ID
+     * @returns {Promise<number>} - The number of deleted messages
+     */
+    deleteSessionMessages: async (sessionId) => {
+      const count =
+        await fastify.db.conversations.deleteConversation(sessionId);
+      await withCache((redis) => redis.del(cacheKey(sessionId)));
+      return count;
+    },
+  });
 });
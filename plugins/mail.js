@@ -0,0 +1,23 @@
+import fp from 'fastify-plugin';
+import { config } from '../config.js';
+import { MailService, createMailTransport } from '../services/mail/index.js';
+
+/**
+ * Decorates the instance with `mail`, used to send account emails
+ */
+export default fp(async (fastify) => {
+  const transport = createMailTransport({
+    transport: config.MAIL_TRANSPORT,
+    directory: config.MAIL_DIR,
+    logger: fastify.log,
+  });
+
+  fastify.decorate(
+    'mail',
+    new MailService({
+      transport,
+      from: config.MAIL_FROM,
+      appUrl: config.APP_URL,
+    })
+  );
+});
@@ -1,9 +1,69 @@
 import fp from 'fastify-plugin';
+import pg from 'pg';
 import { config } from '../config.js';
 import { randomUUID } from 'node:crypto';
 import { ToolSettingsService } from '../services/tool-settings/index.js';
+import { createAiProvider } from '../services/ai/index.js';
+import { LocalToolRunner, getDatabaseSchema } from '../services/ai/tools.js';
+import {
+  FORECAST_PROMPT,
+  calculateForecastAnalysis,
+  parseForecastAnalysis,
+} from '../lib/forecast-analysis.js';
+import { getPromptTemplate, renderPrompt } from '../lib/prompts.js';
+import { buildContextWindow } from '../lib/context-window.js';
+import { recordTurn } from '../lib/chat-turns.js';
+
+const AGENT_PROMPT = 'luminaire-agent';
+const SUMMARY_PROMPT = 'conversation-summary';
+// Messages are cut to this length in the summary requests
+const SUMMARY_MESSAGE_CHARS = 4000;
+
+// Tools fetching a URL, with the ToolSettingsService check of their whitelist
+const URL_TOOLS = {
+  html_to_markdown: 'isUrlWhitelisted',
+  pdf_to_markdown: 'isPdfWhitelisted',
+};
+
+/**
+ * AI engine backed by a chat completion provider: Heroku Managed Inference and Agents,
+ * an OpenAI-compatible server or the scripted fake, selected with AI_ENGINE.
+ * `opts.provider` replaces the configured provider (e.g. in tests) and
+ * `opts.contextMaxTokens` the CONTEXT_MAX_TOKENS budget.
+ */
+export default fp(async (fastify, opts) => {
+  // The database tools connect with their own login, see LocalToolRunner
+  const aiDatabase =
+    !opts.provider && config.AI_DATABASE_URL
+      ? new pg.Pool({
+          connectionString: config.AI_DATABASE_URL,
+          ssl: {
+            rejectUnauthorized: false,
+          },
+          max: 2,
+          connectionTimeoutMillis: 10000,
+          idleTimeoutMillis: 30000,
+        })
+      : null;
+  if (aiDatabase) {
+    fastify.addHook('onClose', () => aiDatabase.end());
+  }
+  // Required by config.js for the engines running the database tools, the
+  // scripted engine has none. The tools of the given provider are up to it.
+  const databaseTools = Boolean(opts.provider || aiDatabase);
+
+  const provider =
+    opts.provider ||
+    createAiProvider({
+      engine: config.AI_ENGINE,
+      url: config.INFERENCE_URL,
+      key: config.INFERENCE_KEY,
+      model: config.INFERENCE_MODEL_ID,
+      logger: fastify.log,
+      maxCalls: config.MAX_CALLS,
+      toolRunner: aiDatabase && new LocalToolRunner(aiDatabase),
+    });
 
-export default fp(async (fastify) => {
   // In-memory cache for database schema (process lifetime)
   let cachedDatabaseSchema = null;
 
@@ -12,7 +72,8 @@ export default fp(async (fastify) => {
 
   /**
    * Retrieve database schema once and cache it for subsequent calls.
-   * Returns a compact JSON string describing schemas → tables → columns.
+   * Returns a compact JSON string describing tables → columns, only the tables
+   * and columns the AI may read (see getDatabaseSchema).
    * @param {boolean} useCaching - Whether to use caching
    */
   const getCachedDatabaseSchema = async (useCaching = true) => {
@@ -21,35 +82,7 @@ export default fp(async (fastify) => {
     }
 
     try {
-      const { rows } = await fastify.pg.query(
-        `
-        SELECT
-          c.table_schema,
-          c.table_name,
-          c.column_name,
-          c.data_type,
-          c.is_nullable,
-          c.ordinal_position
-        FROM information_schema.columns c
-        WHERE c.table_schema NOT IN ('pg_catalog', 'information_schema')
-        ORDER BY c.table_schema, c.table_name, c.ordinal_position
-        `
-      );
-
-      const schemaObject = {};
-      for (const r of rows) {
-        const schemaName = r.table_schema;
-        const tableName = r.table_name;
-        if (!schemaObject[schemaName]) schemaObject[schemaName] = {};
-        if (!schemaObject[schemaName][tableName])
-          schemaObject[schemaName][tableName] = [];
-        schemaObject[schemaName][tableName].push({
-          name: r.column_name,
-          type: r.data_type,
-          nullable: r.is_nullable === 'YES',
-        });
-      }
-
+      const schemaObject = await getDatabaseSchema(fastify.pg);
       const schemaJson = JSON.stringify(schemaObject);
       if (useCaching) {
         cachedDatabaseSchema = schemaJson;
@@ -62,6 +95,247 @@ export default fp(async (fastify) => {
     }
   };
 
+  /**
+   * Render the system prompt of a user with their tool settings, the database
+   * schema and the systemId
+   * @param {Object} options
+   * @param {string} options.userId - The user ID (optional)
+   * @param {string} options.systemId - The system ID (optional)
+   * @param {number} options.version - The prompt version (optional, the active one by default)
+   * @returns {Promise<Object>} - `{ prompt: { name, version, content }, settings, schemaJson }`,
+   * the prompt is null for an unknown version
+   */
+  const buildSystemPrompt = async ({ userId, systemId, version }) => {
+    // Get user tool settings (or use defaults if userId not provided)
+    let toolSettings = null;
+    if (userId) {
+      try {
+        toolSettings = await toolSettingsService.getSettings(userId);
+        fastify.log.info(
+          { userId, settings: toolSettings },
+          'Loaded tool settings for user'
+        );
+      } catch (error) {
+        fastify.log.warn(
+          { userId },
+          'Failed to load tool settings, using defaults'
+        );
+        fastify.log.error(error);
+      }
+    } else {
+      fastify.log.warn('No userId provided, using default tool settings');
+    }
+
+    // Use default settings if not loaded
+    const loaded = toolSettings || {
+      tools: {
+        postgres_query: true,
+        postgres_schema: true,
+        html_to_markdown: true,
+        pdf_to_markdown: true,
+        code_exec_python: true,
+      },
+      cache: {
+        schema_cache: true,
+      },
+      whitelists: {
+        urls: [],
+        pdfs: [],
+      },
+    };
+    const settings = databaseTools
+      ? loaded
+      : {
+          ...loaded,
+          tools: {
+            ...loaded.tools,
+            postgres_query: false,
+            postgres_schema: false,
+          },
+        };
+
+    // Get database schema with caching based on settings
+    const schemaJson = await getCachedDatabaseSchema(
+      settings.cache.schema_cache
+    );
+
+    const template = await getPromptTemplate(fastify, AGENT_PROMPT, version);
+    if (!template) return { prompt: null, settings, schemaJson };
+
+    const content = renderPrompt(template.template, {
+      systemId: systemId || 'not provided',
+      databaseSchema: schemaJson ? schemaJson : 'Schema context unavailable',
+      availableTools: [
+        settings.tools.postgres_query
+          ? '✅ **Database Queries**: You can query the database using postgres_run_query'
+          : '❌ **Database Queries DISABLED**: You CANNOT access the database. Do not attempt to query for metrics or system data.',
+        settings.tools.postgres_schema
+          ? '✅ **Database Schema**: You can fetch schema using postgres_get_schema'
+          : '❌ **Database Schema DISABLED**: You CANNOT access database schema information.',
+        settings.tools.code_exec_python
+          ? '✅ **Python Code Execution**: You can execute Python code for data processing and visualization. Remember: ONLY use data passed as arguments, NEVER access databases or external sources from Python.'
+          : '❌ **Python Code Execution DISABLED**: You CANNOT execute Python code for visualizations or data processing.',
+      ].join('\n'),
+      webBrowsing:
+        settings.whitelists.urls.length > 0
+          ? `✅ **Web Browsing ENABLED** - Whitelisted URLs:\n${settings.whitelists.urls.map((u) => `   - ${u.url}${u.description ? ` (${u.description})` : ''}`).join('\n')}\n\n   You may ONLY access these whitelisted URLs. Any other URLs are forbidden.`
+          : settings.tools.html_to_markdown
+            ? '⚠️ **Web Browsing ENABLED but no URLs whitelisted**: You cannot browse any websites.'
+            : '❌ **Web Browsing DISABLED**: You CANNOT access any websites.',
+      pdfReading:
+        settings.whitelists.pdfs.length > 0
+          ? `✅ **PDF Reading ENABLED** - Whitelisted PDFs:\n${settings.whitelists.pdfs.map((p) => `   - ${p.pdf_url}${p.description ? ` (${p.description})` : ''}`).join('\n')}\n\n   You may ONLY access these whitelisted PDFs. Any other PDFs are forbidden.`
+          : settings.tools.pdf_to_markdown
+            ? '⚠️ **PDF Reading ENABLED but no PDFs whitelisted**: You cannot read any PDF documents.'
+            : '❌ **PDF Reading DISABLED**: You CANNOT read any PDF documents.',
+    });
+
+    return {
+      prompt: { name: template.name, version: template.version, content },
+      settings,
+      schemaJson,
+    };
+  };
+
+  /**
+   * Fold messages into the rolling summary of a conversation
+   * @param {string} summary - The current summary (optional)
+   * @param {Array} messages - The messages to add, oldest first
+   * @param {AbortSignal} signal - Cancels the summary (optional)
+   * @returns {Promise<string>} - The updated summary
+   */
+  const summarizeMessages = async (summary, messages, signal) => {
+    const prompt = await getPromptTemplate(fastify, SUMMARY_PROMPT);
+    const transcript = messages
+      .map(({ role, content, tool_calls }) => {
+        const calls = (tool_calls || []).map(
+          (call) => `[${call.function?.name}(${call.function?.arguments})]`
+        );
+        const text = [content, ...calls].filter(Boolean).join('\n');
+        return `${role}: ${text.slice(0, SUMMARY_MESSAGE_CHARS)}`;
+      })
+      .join('\n\n');
+    return provider.complete({
+      messages: [
+        { role: 'system', content: renderPrompt(prompt.template) },
+        {
+          role: 'user',
+          content: `${summary ? `Current summary:\n${summary}\n\n` : ''}Messages:\n${transcript}`,
+        },
+      ],
+      signal,
+    });
+  };
+
+  /**
+   * Build the messages of a turn within CONTEXT_MAX_TOKENS. The history left out
+   * is folded into the rolling summary of the conversation.
+   * @returns {Promise<Array>} - The messages
+   */
+  const buildTurnMessages = async ({ sessionId, system, question, signal }) => {
+    const { summary: storedSummary, history } = fastify.chatMemory
+      ? await fastify.chatMemory.getContext(sessionId)
+      : { summary: null, history: [] };
+    let summary = storedSummary;
+    const maxTokens = opts.contextMaxTokens || config.CONTEXT_MAX_TOKENS;
+
+    let context = buildContextWindow({
+      system,
+      summary,
+      history,
+      question,
+      maxTokens,
+    });
+    const dropped = context.dropped;
+    let summarized = false;
+    if (dropped.length > 0) {
+      try {
+        summary = await summarizeMessages(summary, dropped, signal);
+        await fastify.chatMemory.storeSummary(
+          sessionId,
+          summary,
+          dropped.at(-1).id
+        );
+        summarized = true;
+        // The messages left out by the longer summary are summarized next turn
+        context = buildContextWindow({
+          system,
+          summary,
+          history: history.slice(dropped.length),
+          question,
+          maxTokens,
+        });
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        fastify.log.error(
+          { err, sessionId },
+          'Failed to summarize conversation, older messages are left out'
+        );
+      }
+    }
+
+    if (dropped.length > 0 || context.truncated.length > 0) {
+      fastify.log.info(
+        {
+          sessionId,
+          tokens: context.tokens,
+          maxTokens,
+          kept: context.messages.length - 2,
+          dropped: dropped.length + context.dropped.length,
+          summarized: summarized ? dropped.length : 0,
+          truncated: context.truncated,
+        },
+        'Trimmed conversation context'
+      );
+    }
+    return context.messages;
+  };
+
+  /**
+   * Build the check of the tool calls of a completion: the URLs fetched by the
+   * tools must match the whitelists of the user. Denied calls are recorded.
+   * @param {string} userId - The user ID
+   * @param {string} sessionId - The session ID
+   * @returns {Function} - `async (call) => reason`, the reason a call is denied, if it is
+   */
+  const createToolCallCheck = (userId, sessionId) => async (call) => {
+    const tool = call.function?.name;
+    const check = URL_TOOLS[tool];
+    if (!check) return null;
+
+    let url = null;
+    try {
+      const args = JSON.parse(call.function.arguments || '{}');
+      url = args.url ?? args.pdf_url ?? null;
+    } catch (_err) {
+      // Checked as a call without URL
+    }
+
+    if (typeof url === 'string' && userId) {
+      try {
+        if (await toolSettingsService[check](userId, url)) return null;
+      } catch (err) {
+        fastify.log.error({ err, userId }, 'Failed to check the whitelist');
+      }
+    }
+
+    const reason = `${typeof url === 'string' ? url : 'The URL'} is not whitelisted for ${tool}`;
+    fastify.log.warn({ userId, sessionId, tool, url }, 'Tool call denied');
+    if (userId) {
+      try {
+        await toolSettingsService.recordToolCallDenial(userId, {
+          sessionId,
+          tool,
+          url: typeof url === 'string' ? url : null,
+          reason,
+        });
+      } catch (err) {
+        fastify.log.error({ err, userId }, 'Failed to record the denied call');
+      }
+    }
+    return reason;
+  };
+
   fastify.decorate('ai', {
     /**
      * Execute a chat completion with memory
@@ -69,7 +343,8 @@ export default fp(async (fastify) => {
      * @param {Object} options - Options for the completion
      * @param {string} options.sessionId - The session ID (optional, will be generated if not provided)
      * @param {string} options.userId - The user ID (optional)
-     * @returns {Promise<ReadableStream>} - The completion stream
+     * @param {AbortSignal} options.signal - Cancels the answer (optional)
+     * @returns {Promise<AsyncIterable>} - The completion stream, chat completion SSE events
      */
     executeCompletion: async (question, options = {}) => {
       // Generate a session ID if not provided
@@ -77,266 +352,59 @@ export default fp(async (fastify) => {
       const userId = options.userId || null;
       const systemId = options.systemId || null;
 
-      let previousMessages = [];
-      if (fastify.chatMemory) {
-        // Store the user's question in chat memory
-        await fastify.chatMemory.storeMessage({
+      const { prompt, settings, schemaJson } = await buildSystemPrompt({
+        userId,
+        systemId,
+      });
+      fastify.log.info(
+        { sessionId, prompt: prompt.name, promptVersion: prompt.version },
+        'Rendered system prompt'
+      );
+
+      // Store the user's question in chat memory, with the prompt version of the turn
+      const storeQuestion = async () => {
+        await fastify.chatMemory?.storeMessage({
           sessionId,
           userId,
           role: 'user',
           content: question,
+          promptVersion: prompt.version,
         });
-        // Get previous messages from chat memory
-        previousMessages =
-          await fastify.chatMemory.getFormattedMessages(sessionId);
-      }
-
-      // Get user tool settings (or use defaults if userId not provided)
-      let toolSettings = null;
-      if (userId) {
+      };
+      // An answer cancelled before its stream starts is recorded here, recordTurn
+      // records the ones cancelled later
+      const recordCancellation = async (questionStored) => {
+        if (!fastify.chatMemory || !options.signal?.aborted) return;
         try {
-          toolSettings = await toolSettingsService.getSettings(userId);
-          fastify.log.info(
-            { userId, settings: toolSettings },
-            'Loaded tool settings for user'
-          );
-        } catch (error) {
-          fastify.log.warn(
-            { userId },
-            'Failed to load tool settings, using defaults'
-          );
-          fastify.log.error(error);
+          if (!questionStored) await storeQuestion();
+          await fastify.chatMemory.storeMessage({
+            sessionId,
+            role: 'cancelled',
+            content:
+              options.signal.reason?.message || 'The answer was cancelled',
+          });
+        } catch (err) {
+          fastify.log.error({ err, sessionId }, 'Failed to store the answer');
         }
-      } else {
-        fastify.log.warn('No userId provided, using default tool settings');
-      }
-
-      // Use default settings if not loaded
-      const settings = toolSettings || {
-        tools: {
-          postgres_query: true,
-          postgres_schema: true,
-          html_to_markdown: true,
-          pdf_to_markdown: true,
-          code_exec_python: true,
-        },
-        cache: {
-          schema_cache: true,
-        },
-        whitelists: {
-          urls: [],
-          pdfs: [],
-        },
       };
 
-      // Get database schema with caching based on settings
-      const schemaJson = await getCachedDatabaseSchema(
-        settings.cache.schema_cache
-      );
-
-      const PROMPT = `
-# Luminaire Agent: Energy Data Specialist
-
-You are Luminaire Agent, an AI assistant specialized in analyzing and presenting energy production and consumption data for Luminaire Solar customers. Your purpose is to help users understand their solar energy systems through clear data insights.
-
-## Core Capabilities
-- Analyze solar energy production and consumption patterns
-- Generate data visualizations for performance metrics
-- Provide product information and technical specifications
-- Answer questions about Luminaire Solar systems, services, and products
-
-## Technical Configuration
-- **Available libraries**: boto3, matplotlib, numpy, pandas
-- **Visualization**: Use matplotlib for all data visualizations
-- **Image generation**: Just generate an image if explicitly asked for a chart, plot or visualization
-- **Data storage**: Always upload all generated images to S3 using environment credentials
-- **Database access**: Always fetch schema before querying the database
-- **Database query**: Only use the database to answer questions about the user's solar system metrics or products, the systemId is ${systemId || 'not provided'}. If the systemId is not provided perform a general query for all the systems that belong to the demo user.
-- **Web browsing**: Only use the html_to_markdown tool to answer questions about Luminaire Solar or the products they offer
-- **PDF Reading**: Only use the pdf_to_markdown tool to answer questions about EPA guidelines and other documents
-- **Measurement standard**: Use kilowatt-hours (kWh) for all energy units
-
-## Visualization Color Palette
-
-**IMPORTANT**: Always use these exact colors for consistency. Never use random colors.
-
-### Line Chart Colors (Production/Consumption)
-- **Production/Output Line**: #22c55e (Green)
-- **Consumption/Usage Line**: #3b82f6 (Blue)
-
-### Chart Grid & Axes
-- **Grid Lines**: #e5e7eb (Light Gray)
-- **Axis Stroke**: #9ca3af (Medium Gray)
-- **Axis Text**: #6b7280 (Gray)
-
-### Energy Forecast Bar Colors (Solar Production Forecast)
-- **High Production** (≥4 kWh/m²): #03B665 (Bright Green)
-- **Medium Production** (2-4 kWh/m²): #FA9F47 (Orange)
-- **Low Production** (<2 kWh/m²): #D64141 (Red)
-
-### Brand/Primary Colors
-- **Primary Purple**: #5D3EFF
-- **Primary Purple Hover**: #4C36D1
-- **Purple Light**: #A571FF (for gradients)
-- **Purple Dark**: #7526E3 (for gradients)
-
-### Status Colors
-- **Success/Positive**: #22c55e (Green)
-- **Warning**: #FA9F47 (Orange)
-- **Error/Negative**: #D64141 (Red)
-- **Info**: #3b82f6 (Blue)
-
-### Matplotlib Implementation
-When creating charts with matplotlib:
-\`\`\`python
-# Line colors
-PRODUCTION_COLOR = '#22c55e'  # Green
-CONSUMPTION_COLOR = '#3b82f6'  # Blue
-
-# Grid and axes
-GRID_COLOR = '#e5e7eb'
-AXIS_COLOR = '#9ca3af'
-TEXT_COLOR = '#6b7280'
-
-# Forecast bars
-HIGH_PRODUCTION = '#03B665'
-MEDIUM_PRODUCTION = '#FA9F47'
-LOW_PRODUCTION = '#D64141'
-
-# Apply to matplotlib
-plt.plot(dates, production, color=PRODUCTION_COLOR, label='Production')
-plt.plot(dates, consumption, color=CONSUMPTION_COLOR, label='Consumption')
-plt.grid(color=GRID_COLOR, linestyle='-', linewidth=0.5)
-plt.gca().spines['bottom'].set_color(AXIS_COLOR)
-plt.tick_params(colors=TEXT_COLOR)
-\`\`\`
-
-## CRITICAL: Code Execution Rules
-When using Python code execution (code_exec_python):
-1. **NEVER access databases directly from Python code** - Use database tools to fetch data first, then pass data to Python
-2. **NEVER access external sources from Python** - Use html_to_markdown or pdf_to_markdown tools first, then pass data to Python
-3. **ONLY use data provided as arguments** - Python code should receive all necessary data as input parameters
-4. **Data flow must be**: Tool (fetch data) → Python (process/visualize data) → Response
-5. **Example workflow**:
-   - Step 1: Use postgres_run_query to fetch metrics
-   - Step 2: Pass query results to Python for visualization
-   - Step 3: Python generates chart from provided data
-6. **Never use** these in Python code: psycopg2, requests, urllib, database connections, HTTP clients
-7. **Allowed in Python**: Data processing, calculations, matplotlib for charts, pandas for analysis, numpy for math
-
-## Database Schema Context
-${schemaJson ? schemaJson : 'Schema context unavailable'}
-
-## Tool Access Configuration
-
-### Available Tools
-${
-  settings.tools.postgres_query
-    ? '✅ **Database Queries**: You can query the database using postgres_run_query'
-    : '❌ **Database Queries DISABLED**: You CANNOT access the database. Do not attempt to query for metrics or system data.'
-}
-${
-  settings.tools.postgres_schema
-    ? '✅ **Database Schema**: You can fetch schema using postgres_get_schema'
-    : '❌ **Database Schema DISABLED**: You CANNOT access database schema information.'
-}
-${
-  settings.tools.code_exec_python
-    ? '✅ **Python Code Execution**: You can execute Python code for data processing and visualization. Remember: ONLY use data passed as arguments, NEVER access databases or external sources from Python.'
-    : '❌ **Python Code Execution DISABLED**: You CANNOT execute Python code for visualizations or data processing.'
-}
-
-### Web Browsing
-${
-  settings.whitelists.urls.length > 0
-    ? `✅ **Web Browsing ENABLED** - Whitelisted URLs:\n${settings.whitelists.urls.map((u) => `   - ${u.url}${u.description ? ` (${u.description})` : ''}`).join('\n')}\n\n   You may ONLY access these whitelisted URLs. Any other URLs are forbidden.`
-    : settings.tools.html_to_markdown
-      ? '⚠️ **Web Browsing ENABLED but no URLs whitelisted**: You cannot browse any websites.'
-      : '❌ **Web Browsing DISABLED**: You CANNOT access any websites.'
-}
-
-### PDF Document Reading
-${
-  settings.whitelists.pdfs.length > 0
-    ? `✅ **PDF Reading ENABLED** - Whitelisted PDFs:\n${settings.whitelists.pdfs.map((p) => `   - ${p.pdf_url}${p.description ? ` (${p.description})` : ''}`).join('\n')}\n\n   You may ONLY access these whitelisted PDFs. Any other PDFs are forbidden.`
-    : settings.tools.pdf_to_markdown
-      ? '⚠️ **PDF Reading ENABLED but no PDFs whitelisted**: You cannot read any PDF documents.'
-      : '❌ **PDF Reading DISABLED**: You CANNOT read any PDF documents.'
-}
-
-## S3 Image Management
-When creating visualizations with Python:
-1. **CRITICAL**: Data must be provided as function arguments - NEVER query databases or external sources from Python code
-2. Upload directly to S3 using credentials from environment variables:
-   - STORE_ACCESS_KEY_ID, STORE_SECRET_ACCESS_KEY, STORE_REGION, STORE_URL
-3. Parse STORE_URL format (s3://bucket/key) to extract bucket and path
-4. Return a pre-signed URL with 24-hour expiration and png content-type
-5. The image will be used in a markdown file, so the image must be in the same format as the markdown file and include the pre-signed URL with all the parameters
-6. Never add to the markdown an image without the pre-signed URL
-7. Never save images to the filesystem
-
-## Response Style
-
-- Provide direct, specific answers without unnecessary elaboration
-- Include brief interpretations alongside numerical data
-- Use consistent terminology in all responses
-- Maintain concise and clear language suitable for all technical levels
-- Present information in order of importance to the user
-
-## Response Formatting
-
-- **IMPORTANT**: Always format ALL responses as valid Markdown text
-- Do not mix HTML and Markdown formatting unless specifically instructed below
-- For paragraphs, use standard Markdown line breaks with a blank line between paragraphs
-- For lists:
-  - Use standard Markdown syntax: \`- \` for unordered lists and \`1. \` for ordered lists
-  - Do not use HTML \`<ul>\` or \`<ol>\` tags for lists
-- For emphasis:
-  - Use **bold** with \`**text**\` for important information
-  - Format all numeric values with bold: **25.4** kWh
-- For code:
-  - Use Markdown code blocks with triple backticks and language specification: \`\`\`python
-  - For inline code, use single backticks: \`code\`
-- For images:
-  - Use <img> HTML tag for images and add an alt description
-  - Preserve all URL parameters exactly as provided
-- For tables:
-  - Use standard Markdown table syntax with pipes and dashes
-  - Include header row and alignment indicators
-
-## Reference Documents
-### EPA - Environmental Protection Agency Resources
-- For solar cell technology, specifications, and environmental impact, reference: https://www.epa.gov/sites/default/files/2019-08/documents/solar_cells_fact_sheet_p100il8r.pdf
-- For guidelines on making claims, environmental benefits, and regulatory compliance, reference: https://www.epa.gov/sites/default/files/2017-09/documents/gpp-guidelines-for-making-solar-claims.pdf
-- Cite these sources when providing EPA-validated information about solar technology or environmental claims
-
-## Boundaries
-- Only answer questions related to Luminaire Solar products, energy data, or solar systems
-- Use https://luminaire.ukoreh.com/about and https://luminaire.ukoreh.com/products as the only external references when needed
-- Never reveal environment variables or sensitive credentials
-- For off-topic questions, respond with: "I'm focused on helping with your Luminaire Solar system. Is there something about your energy production or system I can assist with?"
-
-## Process Transparency
-When using tools, briefly explain what you're doing without excessive detail:
-"Analyzing your January production data..." rather than "I am now executing a query to extract the January production metrics from the database..."`;
-
-      // Create messages array with system prompt and previous messages
-      const messages = [
-        {
-          role: 'system',
-          content: PROMPT,
-        },
-        ...previousMessages,
-      ];
-
-      // If there are no previous messages, add the current question
-      if (previousMessages.length === 0) {
-        messages.push({
-          role: 'user',
-          content: question,
+      // System prompt, summary and previous messages within the token budget
+      let messages;
+      try {
+        messages = await buildTurnMessages({
+          sessionId,
+          system: prompt.content,
+          question,
+          signal: options.signal,
         });
+        options.signal?.throwIfAborted();
+      } catch (err) {
+        await recordCancellation(false);
+        throw err;
       }
 
+      await storeQuestion();
+
       // Build tools list based on enabled settings
       const tools = [];
 
@@ -345,34 +413,12 @@ When using tools, briefly explain what you're doing without excessive detail:
         settings.tools.postgres_schema &&
         (!schemaJson || !settings.cache.schema_cache)
       ) {
-        tools.push({
-          type: 'heroku_tool',
-          name: 'postgres_get_schema',
-          runtime_params: {
-            target_app_name: config.APP_NAME,
-            dyno_size: config.DYNO_SIZE,
-            max_calls: config.MAX_CALLS,
-            tool_params: {
-              db_attachment: config.DATABASE_ATTACHMENT,
-            },
-          },
-        });
+        tools.push('postgres_get_schema');
       }
 
       // Add postgres_run_query if enabled
       if (settings.tools.postgres_query) {
-        tools.push({
-          type: 'heroku_tool',
-          name: 'postgres_run_query',
-          runtime_params: {
-            target_app_name: config.APP_NAME,
-            dyno_size: config.DYNO_SIZE,
-            max_calls: config.MAX_CALLS,
-            tool_params: {
-              db_attachment: config.DATABASE_ATTACHMENT,
-            },
-          },
-        });
+        tools.push('postgres_run_query');
       }
 
       // Add html_to_markdown if enabled and has whitelisted URLs
@@ -380,21 +426,12 @@ When using tools, briefly explain what you're doing without excessive detail:
         settings.tools.html_to_markdown &&
         settings.whitelists.urls.length > 0
       ) {
-        tools.push({
-          type: 'heroku_tool',
-          name: 'html_to_markdown',
-        });
+        tools.push('html_to_markdown');
       }
 
       // Add code_exec_python if enabled
       if (settings.tools.code_exec_python) {
-        tools.push({
-          type: 'mcp',
-          name: 'code_exec_python',
-          runtime_params: {
-            max_calls: config.MAX_CALLS,
-          },
-        });
+        tools.push('code_exec_python');
       }
 
       // Add pdf_to_markdown if enabled and has whitelisted PDFs
@@ -402,17 +439,14 @@ When using tools, briefly explain what you're doing without excessive detail:
         settings.tools.pdf_to_markdown &&
         settings.whitelists.pdfs.length > 0
       ) {
-        tools.push({
-          type: 'heroku_tool',
-          name: 'pdf_to_markdown',
-        });
+        tools.push('pdf_to_markdown');
       }
 
       // Log enabled tools for debugging
       fastify.log.info(
         {
           toolCount: tools.length,
-          toolNames: tools.map((t) => t.name),
+          toolNames: tools,
           enabledSettings: settings.tools,
           whitelistCounts: {
             urls: settings.whitelists.urls.length,
@@ -423,27 +457,28 @@ When using tools, briefly explain what you're doing without excessive detail:
       );
 
       // Execute the completion
-      const response = await fetch(config.INFERENCE_URL + '/v1/agents/heroku', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${config.INFERENCE_KEY}`,
-        },
-
-        body: JSON.stringify({
-          model: config.INFERENCE_MODEL_ID,
+      let events;
+      try {
+        events = await provider.streamCompletion({
           messages,
           tools,
-        }),
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        fastify.log.error(error);
-        throw new Error('Failed to fetch completion');
+          userId,
+          authorizeToolCall: createToolCallCheck(userId, sessionId),
+          signal: options.signal,
+        });
+      } catch (err) {
+        await recordCancellation(true);
+        throw err;
       }
-
-      return response.body;
+      // Store the answer, tool calls and tool results in chat memory
+      return fastify.chatMemory
+        ? recordTurn(events, {
+            chatMemory: fastify.chatMemory,
+            sessionId,
+            logger: fastify.log,
+            signal: options.signal,
+          })
+        : events;
     },
 
     /**
@@ -451,34 +486,7 @@ When using tools, briefly explain what you're doing without excessive detail:
      * @param {Array} forecastData - Array of forecast objects with irradiation values
      * @returns {Object} - Analysis result with efficiency, analysis, and averageIrradiation
      */
-    calculateForecastAnalysis: (forecastData) => {
-      // Calculate average irradiation
-      const total = forecastData.reduce(
-        (sum, day) => sum + (day.irradiation || 0),
-        0
-      );
-      const average = total / forecastData.length;
-      const averageIrradiation = Math.round(average * 10) / 10;
-
-      // Determine efficiency
-      let efficiency;
-      let analysis;
-
-      if (averageIrradiation >= 4) {
-        efficiency = 'Excellent';
-        analysis =
-          "The system's energy savings will be maximized due to high irradiation levels.";
-      } else if (averageIrradiation >= 2) {
-        efficiency = 'Fair';
-        analysis = "The system's energy savings will be moderate this week.";
-      } else {
-        efficiency = 'Very Low';
-        analysis =
-          "The system's energy savings will be significantly impacted due to low irradiation levels.";
-      }
-
-      return { efficiency, analysis, averageIrradiation };
-    },
+    calculateForecastAnalysis,
 
     /**
      * Generate forecast analysis based on irradiation data
@@ -487,61 +495,17 @@ When using tools, briefly explain what you're doing without excessive detail:
      * @returns {Promise<Object>} - Analysis result with efficiency, analysis, and averageIrradiation
      */
     generateForecastAnalysis: async (forecastData, systemId = null) => {
-      const FORECAST_PROMPT = `
-# Energy Forecast Analysis Specialist
-
-You are an AI assistant specialized in analyzing solar energy forecast data and determining system efficiency.
-
-## Task
-Analyze the provided forecast data and respond **exclusively** with a valid JSON object.
-
-## CRITICAL REQUIREMENTS
-- Return ONLY valid JSON - no markdown, no text, no code blocks
-- The JSON must parse correctly with JSON.parse()
-- Do NOT wrap the JSON in backticks or code blocks
-- Do NOT add any explanatory text before or after the JSON
-
-## Required JSON Structure
-\`\`\`json
-{
-  "efficiency": "Excellent" | "Fair" | "Very Low",
-  "analysis": "string",
-  "averageIrradiation": number
-}
-\`\`\`
-
-## Instructions
-
-1. **Calculate Average Irradiation**: 
-   - Compute the average of all irradiation values from the provided forecast data
-   - Round to the first decimal place (one decimal place)
-
-2. **Determine Efficiency Classification**:
-   - If average irradiation ≥ 4 kWh/m²: \`"efficiency": "Excellent"\`
-   - If average irradiation ≥ 2 and < 4 kWh/m²: \`"efficiency": "Fair"\`
-   - If average irradiation < 2 kWh/m²: \`"efficiency": "Very Low"\`
-
-3. **Generate Analysis** (use these EXACT strings):
-   - **Very Low**: "The system's energy savings will be significantly impacted due to low irradiation levels."
-   - **Fair**: "The system's energy savings will be moderate this week."
-   - **Excellent**: "The system's energy savings will be maximized due to high irradiation levels."
-
-4. **Example Valid Response**:
-{"efficiency":"Excellent","analysis":"The system's energy savings will be maximized due to high irradiation levels.","averageIrradiation":5.2}
-
-## Forecast Data
-The forecast data will be provided in the user message as a JSON array of objects, each containing an \`irradiation\` field.`;
-
       // Create the message with forecast data
       const message = JSON.stringify({
         forecastData,
         systemId: systemId || 'not provided',
       });
 
+      const prompt = await getPromptTemplate(fastify, FORECAST_PROMPT);
       const messages = [
         {
           role: 'system',
-          content: FORECAST_PROMPT,
+          content: renderPrompt(prompt.template),
         },
         {
           role: 'user',
@@ -551,87 +515,11 @@ The forecast data will be provided in the user message as a JSON array of object
 
       try {
         // Execute the completion
-        const response = await fetch(
-          config.INFERENCE_URL + '/v1/chat/completions',
-          {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              Authorization: `Bearer ${config.INFERENCE_KEY}`,
-            },
-            body: JSON.stringify({
-              model: config.INFERENCE_MODEL_ID,
-              messages,
-              stream: true,
-            }),
-          }
-        );
-
-        if (!response.ok) {
-          const error = await response.json();
-          fastify.log.error(error);
-          throw new Error('Failed to fetch forecast analysis');
-        }
-
-        // Read the streaming response (SSE format)
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let result = '';
-
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-
-          const chunk = decoder.decode(value, { stream: true });
-          const lines = chunk.split('\n');
-
-          for (const line of lines) {
-            // Handle both "data:" and "data: " formats
-            if (line.startsWith('data:')) {
-              const data = line.startsWith('data: ')
-                ? line.slice(6) // Remove 'data: ' prefix
-                : line.slice(5); // Remove 'data:' prefix
-
-              if (data === '[DONE]' || data.trim() === '') continue;
-
-              try {
-                const parsed = JSON.parse(data);
-                // Extract content from streaming response
-                if (parsed.choices?.[0]?.delta?.content) {
-                  result += parsed.choices[0].delta.content;
-                }
-              } catch (_e) {
-                // Skip invalid JSON chunks
-                continue;
-              }
-            }
-          }
-        }
+        const result = await provider.complete({ messages });
 
         // Parse the accumulated response
         try {
-          // Try to extract JSON from the response (in case it's wrapped in markdown)
-          let jsonStr = result.trim();
-
-          // Remove markdown code blocks if present
-          if (jsonStr.startsWith('```')) {
-            jsonStr = jsonStr
-              .replace(/^```(?:json)?\n?/, '')
-              .replace(/\n?```$/, '');
-          }
-
-          const analysisData = JSON.parse(jsonStr);
-
-          // Validate the response has required fields
-          if (
-            !analysisData.efficiency ||
-            !analysisData.analysis ||
-            typeof analysisData.averageIrradiation !== 'number'
-          ) {
-            throw new Error('Response missing required fields');
-          }
-
-          return analysisData;
+          return parseForecastAnalysis(result);
         } catch (parseError) {
           fastify.log.warn(
             { result: result.slice(0, 500), parseError },
@@ -657,11 +545,11 @@ The forecast data will be provided in the user message as a JSON array of object
     /**
      * Get chat history for a session
      * @param {string} sessionId - The session ID
-     * @param {number} limit - The maximum number of messages to retrieve (default: 10)
-     * @returns {Promise<Array>} - The chat history
+     * @param {Object} page - The page: limit, before and after message IDs
+     * @returns {Promise<Object>} - The chat history, `{ messages, total, hasOlder, hasNewer }`
      */
-    getChatHistory: async (sessionId, limit = 10) => {
-      return fastify.chatMemory.getSessionMessages(sessionId, limit);
+    getChatHistory: async (sessionId, page = {}) => {
+      return fastify.chatMemory.getSessionMessages(sessionId, page);
     },
 
     /**
@@ -672,5 +560,27 @@ The forecast data will be provided in the user message as a JSON array of object
     clearChatHistory: async (sessionId) => {
       return fastify.chatMemory.deleteSessionMessages(sessionId);
     },
+
+    /**
+     * Render a prompt as a user would receive it
+     * @param {string} name - The prompt name
+     * @param {Object} options - Options for the rendering
+     * @param {string} options.userId - The user ID (optional)
+     * @param {string} options.systemId - The system ID (optional)
+     * @param {number} options.version - The prompt version (optional, the active one by default)
+     * @returns {Promise<Object>} - `{ name, version, content }`, null for an unknown version
+     */
+    previewPrompt: async (name, options = {}) => {
+      if (name === AGENT_PROMPT) {
+        return (await buildSystemPrompt(options)).prompt;
+      }
+      const template = await getPromptTemplate(fastify, name, options.version);
+      if (!template) return null;
+      return {
+        name,
+        version: template.version,
+        content: renderPrompt(template.template),
+      };
+    },
   });
 });
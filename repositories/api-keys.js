@@ -0,0 +1,122 @@
+/**
+ * API Key Repository
+ * Manages the API keys used by devices and integrations, and their system scope
+ */
+
+const API_KEY_COLUMNS = `id, name, prefix, permissions,
+  ARRAY(SELECT system_id FROM api_key_systems
+    WHERE api_key_id = api_keys.id ORDER BY system_id) AS system_ids,
+  created_at, last_used_at, rotated_at, revoked_at`;
+
+// The scope limited to the systems owned by the user in $2
+const OWNED_API_KEY_COLUMNS = `id, name, prefix, permissions,
+  ARRAY(SELECT system_id FROM api_key_systems
+    WHERE api_key_id = api_keys.id
+      AND system_id IN (SELECT system_id FROM users_systems WHERE user_id = $2)
+    ORDER BY system_id) AS system_ids,
+  created_at, last_used_at, rotated_at, revoked_at`;
+
+export class ApiKeyRepository {
+  /**
+   * @param {Object} db - A pg pool or client, e.g. fastify.pg
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  async getApiKeyByHash(keyHash) {
+    const { rows } = await this.db.query(
+      `SELECT ${API_KEY_COLUMNS}
+       FROM api_keys WHERE key_hash = $1`,
+      [keyHash]
+    );
+    return rows[0];
+  }
+
+  async getApiKey(id, systemId) {
+    const { rows } = await this.db.query(
+      `SELECT ${API_KEY_COLUMNS}
+       FROM api_keys
+       WHERE id = $1
+         AND EXISTS (SELECT 1 FROM api_key_systems
+           WHERE api_key_id = api_keys.id AND system_id = $2)`,
+      [id, systemId]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Keys scoped to a system. The scope of each key only lists the systems
+   * the user owns, a key can also cover systems of other users.
+   */
+  async getApiKeysBySystem(systemId, userId) {
+    const { rows } = await this.db.query(
+      `SELECT ${OWNED_API_KEY_COLUMNS}
+       FROM api_keys
+       WHERE EXISTS (SELECT 1 FROM api_key_systems
+         WHERE api_key_id = api_keys.id AND system_id = $1)
+       ORDER BY created_at DESC`,
+      [systemId, userId]
+    );
+    return rows;
+  }
+
+  async touchApiKey(id) {
+    await this.db.query(
+      'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [id]
+    );
+  }
+
+  async createApiKey({
+    systemIds,
+    permissions,
+    name,
+    prefix,
+    keyHash,
+    userId,
+  }) {
+    // A single statement so a key is never stored without its scope
+    const { rows } = await this.db.query(
+      `WITH api_key AS (
+         INSERT INTO api_keys (name, prefix, key_hash, permissions, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *
+       ), scope AS (
+         INSERT INTO api_key_systems (api_key_id, system_id)
+         SELECT api_key.id, unnest($6::text[]) FROM api_key
+       )
+       SELECT id, name, prefix, permissions, $6::text[] AS system_ids,
+         created_at, last_used_at, rotated_at, revoked_at
+       FROM api_key`,
+      [name, prefix, keyHash, permissions, userId, systemIds]
+    );
+    return rows[0];
+  }
+
+  async rotateApiKey(id, systemId, { prefix, keyHash }) {
+    const { rows } = await this.db.query(
+      `UPDATE api_keys
+       SET prefix = $3, key_hash = $4, rotated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND revoked_at IS NULL
+         AND EXISTS (SELECT 1 FROM api_key_systems
+           WHERE api_key_id = api_keys.id AND system_id = $2)
+       RETURNING ${API_KEY_COLUMNS}`,
+      [id, systemId, prefix, keyHash]
+    );
+    return rows[0];
+  }
+
+  async revokeApiKey(id, systemId) {
+    const { rows } = await this.db.query(
+      `UPDATE api_keys
+       SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+       WHERE id = $1
+         AND EXISTS (SELECT 1 FROM api_key_systems
+           WHERE api_key_id = api_keys.id AND system_id = $2)
+       RETURNING ${API_KEY_COLUMNS}`,
+      [id, systemId]
+    );
+    return rows[0];
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * Conversation Repository
+ * Manages the chat conversations of the users and their messages
+ */
+
+const CONVERSATION_COLUMNS = `id, user_id AS "userId", title,
+  created_at AS "createdAt", updated_at AS "updatedAt"`;
+
+// Messages keep the shape of the chat history API
+const MESSAGE_COLUMNS = `id, conversation_id AS session_id, role, content,
+  tool_calls, tool_call_id, prompt_version, created_at AS timestamp`;
+
+// Conversations are titled with the beginning of their first question
+const TITLE_LENGTH = 100;
+
+export class ConversationRepository {
+  /**
+   * @param {Object} db - A pg pool or client, e.g. fastify.pg
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  async getConversation(id) {
+    const { rows } = await this.db.query(
+      `SELECT ${CONVERSATION_COLUMNS},
+         summary, summary_message_id AS "summaryMessageId"
+       FROM conversations WHERE id = $1`,
+      [id]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Store the rolling summary of a conversation
+   * @param {string} messageId - The last message the summary covers
+   */
+  async updateSummary(id, summary, messageId) {
+    await this.db.query(
+      `UPDATE conversations SET summary = $2, summary_message_id = $3
+       WHERE id = $1`,
+      [id, summary, messageId]
+    );
+  }
+
+  async getUserConversations(userId, { limit = 20 } = {}) {
+    const { rows } = await this.db.query(
+      `SELECT ${CONVERSATION_COLUMNS},
+         (SELECT COUNT(*)::int FROM messages m
+          WHERE m.conversation_id = c.id) AS "messageCount"
+       FROM conversations c WHERE user_id = $1
+       ORDER BY updated_at DESC, id
+       LIMIT $2`,
+      [userId, limit]
+    );
+    return rows;
+  }
+
+  /**
+   * Add a message to a conversation. The first message of a user creates it,
+   * titled with the message. Assistant messages may only hold tool calls, tool
+   * messages answer the call `toolCallId`.
+   * @returns {Promise<Object>} - The message, undefined when the conversation
+   * belongs to another user or does not exist yet and no user is given
+   */
+  async addMessage(
+    conversationId,
+    {
+      userId = null,
+      role,
+      content = null,
+      toolCalls = null,
+      toolCallId = null,
+      promptVersion = null,
+    }
+  ) {
+    const { rows } = await this.db.query(
+      `WITH conversation AS (
+         INSERT INTO conversations (id, user_id, title)
+         SELECT $1::text, $2::text, $5::text WHERE $2::text IS NOT NULL
+         ON CONFLICT (id) DO UPDATE SET updated_at = CURRENT_TIMESTAMP
+         WHERE conversations.user_id = EXCLUDED.user_id
+         RETURNING id
+       ), touched AS (
+         UPDATE conversations SET updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND $2::text IS NULL
+         RETURNING id
+       )
+       INSERT INTO messages
+         (conversation_id, role, content, tool_calls, tool_call_id, prompt_version)
+       SELECT id, $3::text, $4::text, $7::jsonb, $8::text, $6::integer
+       FROM (SELECT id FROM conversation UNION ALL SELECT id FROM touched) c
+       RETURNING ${MESSAGE_COLUMNS}`,
+      [
+        conversationId,
+        userId,
+        role,
+        content,
+        (content || 'New conversation').slice(0, TITLE_LENGTH),
+        promptVersion,
+        toolCalls && JSON.stringify(toolCalls),
+        toolCallId,
+      ]
+    );
+    return rows[0];
+  }
+
+  /**
+   * A page of the messages of a conversation, in order. Without a cursor the page
+   * holds the last messages, `before` and `after` are message ids.
+   * @returns {Promise<Object>} - `{ messages, total, hasOlder, hasNewer }`,
+   * null when the cursor is not a message of the conversation
+   */
+  async getMessagePage(conversationId, { limit, before, after } = {}) {
+    let cursor = null;
+    if (before || after) {
+      const { rows } = await this.db.query(
+        'SELECT seq FROM messages WHERE conversation_id = $1 AND id = $2',
+        [conversationId, before || after]
+      );
+      if (!rows[0]) return null;
+      cursor = rows[0].seq;
+    }
+
+    // Pages after a cursor are read forward, the others backward from the end
+    const forward = Boolean(after);
+    const { rows } = await this.db.query(
+      `SELECT ${MESSAGE_COLUMNS} FROM messages
+       WHERE conversation_id = $1
+         ${cursor === null ? '' : `AND seq ${forward ? '>' : '<'} $3`}
+       ORDER BY seq ${forward ? 'ASC' : 'DESC'}
+       LIMIT $2`,
+      [conversationId, limit + 1, ...(cursor === null ? [] : [cursor])]
+    );
+    const { rows: counts } = await this.db.query(
+      'SELECT COUNT(*)::int AS total FROM messages WHERE conversation_id = $1',
+      [conversationId]
+    );
+
+    const more = rows.length > limit;
+    const messages = rows.slice(0, limit);
+    if (!forward) messages.reverse();
+    return {
+      messages,
+      total: counts[0].total,
+      hasOlder: forward ? true : more,
+      hasNewer: forward ? more : cursor !== null,
+    };
+  }
+
+  /**
+   * The last messages of a conversation, in order
+   */
+  async getLastMessages(conversationId, limit) {
+    const { rows } = await this.db.query(
+      `SELECT id, session_id, role, content, tool_calls, tool_call_id,
+         prompt_version, timestamp FROM (
+         SELECT ${MESSAGE_COLUMNS}, seq FROM messages
+         WHERE conversation_id = $1
+         ORDER BY seq DESC
+         LIMIT $2
+       ) last ORDER BY seq`,
+      [conversationId, limit]
+    );
+    return rows;
+  }
+
+  /**
+   * Delete a conversation with its messages
+   * @returns {Promise<number>} - The number of deleted messages
+   */
+  async deleteConversation(id) {
+    const { rows } = await this.db.query(
+      `WITH deleted AS (DELETE FROM conversations WHERE id = $1 RETURNING id)
+       SELECT COUNT(*)::int AS count FROM messages
+       WHERE conversation_id IN (SELECT id FROM deleted)`,
+      [id]
+    );
+    return rows[0].count;
+  }
+
+  /**
+   * Delete the conversations without activity for the given number of days
+   * @returns {Promise<number>} - The number of deleted conversations
+   */
+  async deleteInactiveConversations(days) {
+    const { rowCount } = await this.db.query(
+      `DELETE FROM conversations
+       WHERE updated_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+      [days]
+    );
+    return rowCount;
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Metrics Repository
+ * Stores energy readings and aggregates them in each system's local time
+ */
+import {
+  getZonedDayRange,
+  parseZonedBound,
+  toUtcTimestamp,
+} from '../lib/timezone.js';
+import { getSystemTimeZone } from './systems.js';
+
+export class MetricsRepository {
+  /**
+   * @param {Object} db - A pg pool or client, e.g. fastify.pg
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  async upsertReadings(systemId, readings, { mode = 'upsert' } = {}) {
+    // `readings` hold UTC timestamps and must be unique by datetime
+    const conflict =
+      mode === 'upsert'
+        ? `DO UPDATE SET energy_produced = EXCLUDED.energy_produced,
+              energy_consumed = EXCLUDED.energy_consumed`
+        : 'DO NOTHING';
+    const { rows } = await this.db.query(
+      `INSERT INTO metrics (system_id, datetime, energy_produced, energy_consumed)
+        SELECT $1, * FROM unnest($2::timestamp[], $3::numeric[], $4::numeric[])
+        ON CONFLICT (system_id, datetime) ${conflict}
+        RETURNING to_char(datetime, 'YYYY-MM-DD"T"HH24:MI:SS.MS') AS datetime,
+          (xmax = 0) AS inserted`,
+      [
+        systemId,
+        readings.map((r) => r.datetime),
+        readings.map((r) => r.energy_produced),
+        readings.map((r) => r.energy_consumed),
+      ]
+    );
+    return rows;
+  }
+
+  async getMetricsBySystem(systemId, { from, to, resolution }) {
+    const timeZone = await getSystemTimeZone(this.db, systemId);
+    const start = parseZonedBound(from, timeZone);
+    // A missing `to` means the single local day starting at `from`
+    const end = to
+      ? parseZonedBound(to, timeZone)
+      : getZonedDayRange(from, timeZone).end;
+
+    // Buckets are computed in Postgres, aligned to the system's local time.
+    // Truncating in the zone keeps the hour repeated when DST ends in two buckets.
+    const { rows } = await this.db.query(
+      `SELECT system_id,
+          date_trunc($2, datetime AT TIME ZONE 'UTC', $5) AS datetime,
+          SUM(energy_produced) AS energy_produced,
+          SUM(energy_consumed) AS energy_consumed
+        FROM metrics
+        WHERE system_id = $1 AND datetime >= $3 AND datetime < $4
+        GROUP BY system_id, 2
+        ORDER BY 2`,
+      [
+        systemId,
+        resolution,
+        toUtcTimestamp(start),
+        toUtcTimestamp(end),
+        timeZone,
+      ]
+    );
+    return rows;
+  }
+
+  async getActivityHistoryBySystem(systemId) {
+    const timeZone = await getSystemTimeZone(this.db, systemId);
+    // Last 30 days, plus today, in the system's local time
+    const { start, end } = getZonedDayRange(undefined, timeZone, 31);
+    const { rows } = await this.db.query(
+      `SELECT date_trunc('day', datetime AT TIME ZONE 'UTC', $4) as date, 
+        SUM(energy_produced) as total_energy_produced, 
+        SUM(energy_consumed) as total_energy_consumed 
+        FROM metrics 
+        WHERE system_id = $1 AND datetime >= $2 AND datetime < $3
+        GROUP BY 1
+        ORDER BY 1 DESC`,
+      [systemId, toUtcTimestamp(start), toUtcTimestamp(end), timeZone]
+    );
+    return rows;
+  }
+
+  async getMetricsSummaryBySystem(systemId, date) {
+    const timeZone = await getSystemTimeZone(this.db, systemId);
+    const summaryQuery = `SELECT 
+          SUM(energy_produced) AS total_energy_produced, 
+          SUM(energy_consumed) AS total_energy_consumed 
+        FROM metrics 
+        WHERE system_id = $1 AND datetime >= $2 AND datetime < $3`;
+
+    // Daily, rolling week and rolling month ending on the local `date`
+    const [daily, weekly, monthly] = await Promise.all(
+      [1, 7, 30].map(async (days) => {
+        const { start, end } = getZonedDayRange(date, timeZone, days);
+        const { rows } = await this.db.query(summaryQuery, [
+          systemId,
+          toUtcTimestamp(start),
+          toUtcTimestamp(end),
+        ]);
+        return rows[0];
+      })
+    );
+
+    return {
+      daily,
+      weekly,
+      monthly,
+    };
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Product Repository
+ * Lists the solar products, including the catalog synced from Salesforce
+ */
+
+export class ProductRepository {
+  /**
+   * @param {Object} db - A pg pool or client, e.g. fastify.pg
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  async getProducts() {
+    const { rows } = await this.db.query(
+      'SELECT id, name, description, image_url as "imageUrl", price FROM products'
+    );
+    return rows;
+  }
+
+  async getAdditionalProducts() {
+    const { rows } = await this.db.query(
+      `SELECT name, description, 
+          productcode as "productCode", image_url__c as "imageUrl" 
+         FROM salesforce.product2
+         WHERE family in ('Home Solutions', 'Solar Panels', 'Battery Tools') AND image_url__c IS NOT NULL
+         ORDER BY name`
+    );
+    return rows;
+  }
+
+  async getProductById(id) {
+    const { rows } = await this.db.query(
+      'SELECT id, name, description, image_url as "imageUrl", price FROM products WHERE id = $1',
+      [id]
+    );
+    return rows[0];
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Prompt Repository
+ * Manages the versions of the system prompts edited by the admins
+ */
+
+const PROMPT_COLUMNS = `name, version, template, active,
+  created_by AS "createdBy", created_at AS "createdAt"`;
+
+export class PromptRepository {
+  /**
+   * @param {Object} db - A pg pool or client, e.g. fastify.pg
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  async getActivePrompt(name) {
+    const { rows } = await this.db.query(
+      `SELECT ${PROMPT_COLUMNS} FROM prompts WHERE name = $1 AND active`,
+      [name]
+    );
+    return rows[0];
+  }
+
+  async getPrompt(name, version) {
+    const { rows } = await this.db.query(
+      `SELECT ${PROMPT_COLUMNS} FROM prompts WHERE name = $1 AND version = $2`,
+      [name, version]
+    );
+    return rows[0];
+  }
+
+  async getPromptVersions(name) {
+    const { rows } = await this.db.query(
+      `SELECT ${PROMPT_COLUMNS} FROM prompts WHERE name = $1
+       ORDER BY version DESC`,
+      [name]
+    );
+    return rows;
+  }
+
+  /**
+   * Store a new version of a prompt and make it the active one.
+   * Run it in a transaction (db.transaction).
+   */
+  async createPrompt(name, template, userId) {
+    await this.db.query(
+      'UPDATE prompts SET active = false WHERE name = $1 AND active',
+      [name]
+    );
+    const { rows } = await this.db.query(
+      `INSERT INTO prompts (name, version, template, active, created_by)
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2, true, $3
+       FROM prompts WHERE name = $1
+       RETURNING ${PROMPT_COLUMNS}`,
+      [name, template, userId]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Make a version of a prompt the active one, version 0 restores the bundled
+   * template. Run it in a transaction (db.transaction).
+   * @returns {Promise<boolean>} - Whether the version exists
+   */
+  async activatePrompt(name, version) {
+    if (version !== 0 && !(await this.getPrompt(name, version))) return false;
+    await this.db.query(
+      'UPDATE prompts SET active = false WHERE name = $1 AND active',
+      [name]
+    );
+    if (version !== 0) {
+      await this.db.query(
+        'UPDATE prompts SET active = true WHERE name = $1 AND version = $2',
+        [name, version]
+      );
+    }
+    return true;
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Session Repository
+ * Manages refresh tokens, grouped in one family per sign in
+ */
+import { toUtcTimestamp } from '../lib/timezone.js';
+
+export class SessionRepository {
+  /**
+   * @param {Object} db - A pg pool or client, e.g. fastify.pg
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  async createRefreshTokenFamily(userId, { tokenHash, expiresAt }) {
+    const { rows } = await this.db.query(
+      `WITH family AS (
+         INSERT INTO refresh_token_families (user_id) VALUES ($1)
+         RETURNING id
+       ), token AS (
+         INSERT INTO refresh_tokens (family_id, token_hash, expires_at)
+         SELECT id, $2, $3 FROM family
+       )
+       SELECT id FROM family`,
+      [userId, tokenHash, toUtcTimestamp(expiresAt)]
+    );
+    return rows[0].id;
+  }
+
+  async addRefreshToken(familyId, { tokenHash, expiresAt }) {
+    await this.db.query(
+      `INSERT INTO refresh_tokens (family_id, token_hash, expires_at)
+       VALUES ($1, $2, $3)`,
+      [familyId, tokenHash, toUtcTimestamp(expiresAt)]
+    );
+  }
+
+  async useRefreshToken(tokenHash) {
+    // Marks the token as used, `first_use` is false when it was already exchanged
+    const { rows } = await this.db.query(
+      `WITH token AS (
+         SELECT refresh_tokens.id, family_id, used_at,
+           expires_at < (NOW() AT TIME ZONE 'UTC') AS expired
+         FROM refresh_tokens WHERE token_hash = $1
+         FOR UPDATE
+       ), used AS (
+         UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP
+         FROM token
+         WHERE refresh_tokens.id = token.id AND token.used_at IS NULL
+         RETURNING refresh_tokens.id
+       )
+       SELECT token.family_id, token.expired, families.user_id,
+         families.revoked_at, used.id IS NOT NULL AS first_use
+       FROM token
+       JOIN refresh_token_families families ON families.id = token.family_id
+       LEFT JOIN used ON used.id = token.id`,
+      [tokenHash]
+    );
+    return rows[0];
+  }
+
+  async getRefreshTokenFamily(tokenHash) {
+    const { rows } = await this.db.query(
+      'SELECT family_id FROM refresh_tokens WHERE token_hash = $1',
+      [tokenHash]
+    );
+    return rows[0]?.family_id;
+  }
+
+  async revokeRefreshTokenFamily(familyId, reason) {
+    await this.db.query(
+      `UPDATE refresh_token_families
+       SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+       WHERE id = $1 AND revoked_at IS NULL`,
+      [familyId, reason]
+    );
+  }
+
+  async revokeUserRefreshTokenFamilies(userId, reason) {
+    await this.db.query(
+      `UPDATE refresh_token_families
+       SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+       WHERE user_id = $1 AND revoked_at IS NULL`,
+      [userId, reason]
+    );
+  }
+
+  async isRefreshTokenFamilyRevoked(familyId) {
+    const { rows } = await this.db.query(
+      'SELECT revoked_at FROM refresh_token_families WHERE id = $1',
+      [familyId]
+    );
+    // Unknown families were deleted along with their user
+    return !rows[0] || rows[0].revoked_at !== null;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * System Repository
+ * Manages solar systems, their ownership and components
+ */
+import WeatherService from '../services/weather/index.js';
+import { DEFAULT_TIME_ZONE } from '../lib/timezone.js';
+
+/**
+ * Get the IANA time zone of a system
+ * @param {Object} db - A pg pool or client
+ * @param {string} systemId - The system ID
+ * @returns {Promise<string>} - The time zone, UTC when the system does not exist
+ */
+export async function getSystemTimeZone(db, systemId) {
+  const { rows } = await db.query(
+    'SELECT timezone FROM systems WHERE id = $1',
+    [systemId]
+  );
+  return rows[0]?.timezone || DEFAULT_TIME_ZONE;
+}
+
+export class SystemRepository {
+  /**
+   * @param {Object} db - A pg pool or client, e.g. fastify.pg
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  async getSystems() {
+    const { rows } = await this.db.query('SELECT * FROM systems');
+    return rows;
+  }
+
+  async getSystemsByUser(userId) {
+    const { rows } = await this.db.query(
+      `SELECT systems.* FROM systems 
+       JOIN users_systems ON systems.id = users_systems.system_id
+       WHERE users_systems.user_id = $1
+       ORDER BY systems.battery_storage DESC`,
+      [userId]
+    );
+    return rows;
+  }
+
+  async getSystemAccess(userId, systemId) {
+    const { rows } = await this.db.query(
+      `SELECT systems.id, users_systems.user_id IS NOT NULL AS owned
+       FROM systems
+       LEFT JOIN users_systems ON users_systems.system_id = systems.id
+         AND users_systems.user_id = $1
+       WHERE systems.id = $2`,
+      [userId, systemId]
+    );
+    return rows[0];
+  }
+
+  async getOwnedSystemIds(userId, systemIds) {
+    const { rows } = await this.db.query(
+      `SELECT system_id FROM users_systems
+       WHERE user_id = $1 AND system_id = ANY($2::text[])`,
+      [userId, systemIds]
+    );
+    return rows.map((row) => row.system_id);
+  }
+
+  async getSystemDetails(systemId) {
+    const { rows: systemRows } = await this.db.query(
+      `SELECT * FROM systems WHERE systems.id = $1`,
+      [systemId]
+    );
+    const { rows: componentsRows } = await this.db.query(
+      `SELECT id, product_id, name, active FROM system_components WHERE system_components.system_id = $1`,
+      [systemId]
+    );
+    return {
+      system: systemRows[0],
+      components: componentsRows,
+    };
+  }
+
+  async getWeatherBySystem(systemId) {
+    const { rows: systems } = await this.db.query(
+      `
+          SELECT zip, country
+          FROM systems
+          WHERE id = $1
+        `,
+      [systemId]
+    );
+    const system = systems[0];
+    const weatherService = new WeatherService(
+      this.db,
+      system.zip,
+      system.country
+    );
+    const weatherRows = await weatherService.getWeather();
+    return weatherRows[0];
+  }
+}
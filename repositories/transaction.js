@@ -0,0 +1,40 @@
+/**
+ * Run queries in a transaction on a dedicated connection.
+ * The transaction is committed when `fn` resolves and rolled back when it throws.
+ * A client that is already checked out of a pool is assumed to be in a transaction
+ * started by the caller, and is used as is.
+ * @param {Object} db - A pg pool (or fastify.pg), or a checked out client
+ * @param {Function} fn - Receives the client to run the queries with
+ * @returns {Promise<*>} - The result of `fn`
+ */
+export async function withTransaction(db, fn) {
+  if (typeof db.release === 'function') {
+    return fn(db);
+  }
+
+  const client = await db.connect();
+  // The pool only listens to the errors of idle connections: the one of a
+  // connection lost during the transaction would crash the process. Its queries
+  // fail with the error.
+  const ignore = () => {};
+  client.on('error', ignore);
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await fn(client);
+    await client.query('COMMIT');
+  } catch (err) {
+    // A connection that cannot roll back is discarded by the pool. The error of
+    // the transaction is the one thrown.
+    const rollbackErr = await client.query('ROLLBACK').then(
+      () => undefined,
+      (rollbackErr) => rollbackErr
+    );
+    client.off('error', ignore);
+    client.release(rollbackErr);
+    throw err;
+  }
+  client.off('error', ignore);
+  client.release();
+  return result;
+}
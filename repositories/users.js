@@ -0,0 +1,134 @@
+/**
+ * User Repository
+ * Manages user accounts, their credentials and the single-use tokens sent by email
+ */
+import {
+  hashPassword,
+  verifyDummyPassword,
+  verifyPassword,
+} from '../lib/passwords.js';
+import { toUtcTimestamp } from '../lib/timezone.js';
+import { withTransaction } from './transaction.js';
+
+export class UserRepository {
+  /**
+   * @param {Object} db - A pg pool or client, e.g. fastify.pg
+   * @param {Object} [logger] - Logger for password rehashes
+   */
+  constructor(db, logger) {
+    this.db = db;
+    this.logger = logger;
+  }
+
+  async createUser({ name, last_name, email, username, password }) {
+    const hashedPassword = await hashPassword(password);
+
+    const { rows } = await this.db.query(
+      'INSERT INTO users (name, last_name, email, username, password) VALUES ($1, $2, $3, $4, $5) RETURNING id, name, last_name, email, username, role',
+      [name, last_name, email, username, hashedPassword]
+    );
+    return rows[0];
+  }
+
+  async authenticate(username, password) {
+    const { rows } = await this.db.query(
+      'SELECT id, password FROM users WHERE LOWER(username) = LOWER($1)',
+      [username]
+    );
+
+    if (rows.length === 0) {
+      await verifyDummyPassword(password);
+      return false;
+    }
+
+    const user = rows[0];
+    const { valid, needsRehash } = await verifyPassword(
+      password,
+      user.password
+    );
+
+    // Upgrade hashes using an outdated algorithm or parameters
+    if (valid && needsRehash) {
+      await this.db.query('UPDATE users SET password = $2 WHERE id = $1', [
+        user.id,
+        await hashPassword(password),
+      ]);
+      this.logger?.info({ userId: user.id }, 'Rehashed user password');
+    }
+    return valid;
+  }
+
+  async getUserByUsername(username) {
+    const { rows } = await this.db.query(
+      'SELECT id, name, last_name, username, email, role FROM users WHERE LOWER(username) = LOWER($1)',
+      [username]
+    );
+    return rows[0];
+  }
+
+  async getUserById(id) {
+    const { rows } = await this.db.query(
+      'SELECT id, name, last_name, username, email, role FROM users WHERE id = $1',
+      [id]
+    );
+    return rows[0];
+  }
+
+  async getUserByEmail(email) {
+    const { rows } = await this.db.query(
+      'SELECT id, name, last_name, username, email, role FROM users WHERE LOWER(email) = LOWER($1)',
+      [email]
+    );
+    return rows[0];
+  }
+
+  async updateUserPassword(userId, password) {
+    await this.db.query('UPDATE users SET password = $2 WHERE id = $1', [
+      userId,
+      await hashPassword(password),
+    ]);
+  }
+
+  async isEmailVerified(userId) {
+    const { rows } = await this.db.query(
+      'SELECT email_verified_at FROM users WHERE id = $1',
+      [userId]
+    );
+    return Boolean(rows[0]?.email_verified_at);
+  }
+
+  async markEmailVerified(userId) {
+    await this.db.query(
+      `UPDATE users SET email_verified_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND email_verified_at IS NULL`,
+      [userId]
+    );
+  }
+
+  async createUserToken(userId, purpose, { tokenHash, expiresAt }) {
+    await withTransaction(this.db, async (client) => {
+      // Only the latest token sent for a purpose stays valid
+      await client.query(
+        `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+        [userId, purpose]
+      );
+      await client.query(
+        `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+         VALUES ($1, $2, $3, $4)`,
+        [userId, purpose, tokenHash, toUtcTimestamp(expiresAt)]
+      );
+    });
+  }
+
+  async useUserToken(purpose, tokenHash) {
+    const { rows } = await this.db.query(
+      `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL
+         AND expires_at > (NOW() AT TIME ZONE 'UTC')
+       RETURNING user_id`,
+      [tokenHash, purpose]
+    );
+    return rows[0]?.user_id;
+  }
+}
@@ -13,7 +13,10 @@ export default async function (fastify, _opts) {
   fastify.post(
     '/admin/reset-demo',
     {
-      preHandler: fastify.auth([fastify.verifyJwt]),
+      preHandler: fastify.auth(
+        [fastify.verifyJwt, fastify.requireRole('admin')],
+        { relation: 'and' }
+      ),
       schema: {
         operationId: 'resetDemoData',
         description:
@@ -54,6 +57,10 @@ export default async function (fastify, _opts) {
               'Unauthorized - Invalid or missing authentication token',
             $ref: 'error#',
           },
+          403: {
+            description: 'Forbidden - The authenticated user is not an admin',
+            $ref: 'error#',
+          },
           500: {
             description:
               'Server error while resetting demo data. The database may be in an inconsistent state.',
@@ -93,7 +100,10 @@ export default async function (fastify, _opts) {
   fastify.post(
     '/admin/clear-data',
     {
-      preHandler: fastify.auth([fastify.verifyJwt]),
+      preHandler: fastify.auth(
+        [fastify.verifyJwt, fastify.requireRole('admin')],
+        { relation: 'and' }
+      ),
       schema: {
         operationId: 'clearAllData',
         description:
@@ -115,6 +125,10 @@ export default async function (fastify, _opts) {
               'Unauthorized - Invalid or missing authentication token',
             $ref: 'error#',
           },
+          403: {
+            description: 'Forbidden - The authenticated user is not an admin',
+            $ref: 'error#',
+          },
           500: {
             description:
               'Server error while clearing data. The database may be in an inconsistent state.',
@@ -154,7 +168,10 @@ export default async function (fastify, _opts) {
   fastify.get(
     '/admin/data-stats',
     {
-      preHandler: fastify.auth([fastify.verifyJwt]),
+      preHandler: fastify.auth(
+        [fastify.verifyJwt, fastify.requireRole('admin')],
+        { relation: 'and' }
+      ),
       schema: {
         operationId: 'getDataStats',
         description:
@@ -182,6 +199,10 @@ export default async function (fastify, _opts) {
               'Unauthorized - Invalid or missing authentication token',
             $ref: 'error#',
           },
+          403: {
+            description: 'Forbidden - The authenticated user is not an admin',
+            $ref: 'error#',
+          },
           500: {
             description: 'Server error while retrieving statistics',
             $ref: 'error#',
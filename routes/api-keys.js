@@ -0,0 +1,274 @@
+import { apiKeySchema, errorSchema } from '../schemas/index.js';
+import { generateApiKey } from '../lib/api-keys.js';
+
+const systemParams = {
+  type: 'object',
+  description: 'Parameters to identify the specific solar system',
+  properties: {
+    systemId: {
+      type: 'string',
+      description: 'Unique identifier (UUID) of the solar system',
+    },
+  },
+};
+
+const keyParams = {
+  type: 'object',
+  description: 'Parameters to identify the solar system and the API key',
+  properties: {
+    ...systemParams.properties,
+    keyId: {
+      type: 'string',
+      description: 'Unique identifier (UUID) of the API key',
+    },
+  },
+};
+
+const keyNotFound = {
+  statusCode: 404,
+  error: 'Not Found',
+  message: 'API key not found',
+};
+
+const forbidden = (systemId) => ({
+  statusCode: 403,
+  error: 'Forbidden',
+  message: `You do not have access to system ${systemId}`,
+});
+
+const accessErrors = {
+  403: {
+    description:
+      'The authenticated user does not have access to the requested solar system.',
+    $ref: 'error#',
+  },
+  404: {
+    description: 'The requested solar system does not exist.',
+    $ref: 'error#',
+  },
+};
+
+export default async function (fastify, _opts) {
+  /**
+   * First of the systems not owned by the user, if any
+   */
+  async function findDeniedSystem(userId, systemIds) {
+    const owned = await fastify.db.systems.getOwnedSystemIds(userId, systemIds);
+    return systemIds.find((id) => !owned.includes(id));
+  }
+
+  fastify.addSchema({
+    $id: 'apiKey',
+    ...apiKeySchema,
+  });
+
+  fastify.addSchema({
+    $id: 'error',
+    ...errorSchema,
+  });
+
+  const preHandler = fastify.auth(
+    [fastify.verifyJwt, fastify.verifySystemAccess],
+    { relation: 'and' }
+  );
+
+  fastify.get('/systems/:systemId/keys', {
+    schema: {
+      operationId: 'listApiKeys',
+      security: [{ BearerAuth: [] }],
+      description:
+        'Lists the API keys scoped to a solar system owned by the authenticated user, including revoked keys. Only the key prefix is returned, never the full key. The `system_ids` of a key only list the systems owned by the authenticated user.',
+      tags: ['systems'],
+      params: systemParams,
+      response: {
+        200: {
+          description: 'The API keys of the system, newest first',
+          type: 'array',
+          items: { $ref: 'apiKey#' },
+        },
+        ...accessErrors,
+      },
+    },
+    preHandler,
+    handler: async function (request, reply) {
+      const keys = await fastify.db.apiKeys.getApiKeysBySystem(
+        request.params.systemId,
+        request.user.user.id
+      );
+      reply.send(keys);
+    },
+  });
+
+  fastify.post('/systems/:systemId/keys', {
+    schema: {
+      operationId: 'createApiKey',
+      security: [{ BearerAuth: [] }],
+      description:
+        'Creates an API key for a solar system owned by the authenticated user. Devices such as inverter gateways and integration partners send the key in the `X-API-Key` header. A key can be scoped to additional systems owned by the user and is limited to the given permissions. The full key is only returned in this response, store it securely.',
+      tags: ['systems'],
+      params: systemParams,
+      body: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 100,
+            description: 'Human readable label, e.g. the device name',
+          },
+          permissions: {
+            $ref: 'apiKey#/properties/permissions',
+            description:
+              'Permissions granted to the key (default: readings:write)',
+          },
+          system_ids: {
+            type: 'array',
+            items: { type: 'string', format: 'uuid' },
+            maxItems: 100,
+            description:
+              'Additional solar systems the key grants access to, all must be owned by the authenticated user',
+          },
+        },
+        required: ['name'],
+      },
+      response: {
+        201: {
+          description:
+            'The API key was created. The `key` field is only returned once.',
+          $ref: 'apiKey#',
+        },
+        ...accessErrors,
+      },
+    },
+    preHandler,
+    handler: async function (request, reply) {
+      const { systemId } = request.params;
+      const {
+        name,
+        permissions = ['readings:write'],
+        system_ids = [],
+      } = request.body;
+      const userId = request.user.user.id;
+
+      const systemIds = [...new Set([systemId, ...system_ids])];
+      const denied = await findDeniedSystem(userId, systemIds);
+      if (denied) {
+        return reply.code(403).send(forbidden(denied));
+      }
+
+      const { key, prefix, hash } = generateApiKey();
+      const apiKey = await fastify.db.apiKeys.createApiKey({
+        systemIds,
+        permissions,
+        name,
+        prefix,
+        keyHash: hash,
+        userId,
+      });
+      reply.code(201).send({ ...apiKey, key });
+    },
+  });
+
+  fastify.post('/systems/:systemId/keys/:keyId/rotate', {
+    schema: {
+      operationId: 'rotateApiKey',
+      security: [{ BearerAuth: [] }],
+      description:
+        'Replaces the secret of an API key while keeping its name, scope and permissions. The authenticated user must own every solar system the key is scoped to. The previous key stops working immediately. The new key is only returned in this response.',
+      tags: ['systems'],
+      params: keyParams,
+      response: {
+        200: {
+          description:
+            'The API key was rotated. The `key` field is only returned once.',
+          $ref: 'apiKey#',
+        },
+        ...accessErrors,
+        403: {
+          description:
+            'The authenticated user does not own the solar system or one of the systems the API key is scoped to.',
+          $ref: 'error#',
+        },
+        404: {
+          description:
+            'The solar system does not exist, or the API key does not exist, is revoked or is not scoped to the system.',
+          $ref: 'error#',
+        },
+      },
+    },
+    preHandler,
+    handler: async function (request, reply) {
+      const { systemId, keyId } = request.params;
+      const current = await fastify.db.apiKeys.getApiKey(keyId, systemId);
+      if (!current || current.revoked_at) {
+        return reply.code(404).send(keyNotFound);
+      }
+      const denied = await findDeniedSystem(
+        request.user.user.id,
+        current.system_ids
+      );
+      if (denied) {
+        return reply.code(403).send(forbidden(denied));
+      }
+
+      const { key, prefix, hash } = generateApiKey();
+      const apiKey = await fastify.db.apiKeys.rotateApiKey(keyId, systemId, {
+        prefix,
+        keyHash: hash,
+      });
+      if (!apiKey) {
+        return reply.code(404).send(keyNotFound);
+      }
+      reply.send({ ...apiKey, key });
+    },
+  });
+
+  fastify.delete('/systems/:systemId/keys/:keyId', {
+    schema: {
+      operationId: 'revokeApiKey',
+      security: [{ BearerAuth: [] }],
+      description:
+        'Revokes an API key. The authenticated user must own every solar system the key is scoped to. Requests using the key are rejected from then on, for every system it is scoped to.',
+      tags: ['systems'],
+      params: keyParams,
+      response: {
+        200: {
+          description: 'The API key was revoked',
+          $ref: 'apiKey#',
+        },
+        ...accessErrors,
+        403: {
+          description:
+            'The authenticated user does not own the solar system or one of the systems the API key is scoped to.',
+          $ref: 'error#',
+        },
+        404: {
+          description:
+            'The solar system does not exist, or the API key does not exist or is not scoped to the system.',
+          $ref: 'error#',
+        },
+      },
+    },
+    preHandler,
+    handler: async function (request, reply) {
+      const { systemId, keyId } = request.params;
+      const current = await fastify.db.apiKeys.getApiKey(keyId, systemId);
+      if (!current) {
+        return reply.code(404).send(keyNotFound);
+      }
+      const denied = await findDeniedSystem(
+        request.user.user.id,
+        current.system_ids
+      );
+      if (denied) {
+        return reply.code(403).send(forbidden(denied));
+      }
+
+      const apiKey = await fastify.db.apiKeys.revokeApiKey(keyId, systemId);
+      if (!apiKey) {
+        return reply.code(404).send(keyNotFound);
+      }
+      reply.send(apiKey);
+    },
+  });
+}
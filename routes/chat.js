@@ -1,4 +1,5 @@
 import { Readable } from 'node:stream';
+import { once } from 'node:events';
 import { randomUUID } from 'node:crypto';
 import {
   chatSchema,
@@ -7,8 +8,16 @@ import {
   chatHistoryResponseSchema,
   clearChatHistorySchema,
   clearChatHistoryResponseSchema,
+  chatSessionsSchema,
+  chatSessionsResponseSchema,
+  cancelChatResponseSchema,
+  errorSchema,
 } from '../schemas/index.js';
 import { MiaSsePassThroughStream } from '../lib/mia-utils.js';
+import { ChatStreams } from '../lib/chat-streams.js';
+
+// How long the cancel endpoint waits for the cancelled answer to end
+const CANCEL_TIMEOUT_MS = 10 * 1000;
 
 export default async function (fastify, _opts) {
   fastify.addSchema({
@@ -41,6 +50,66 @@ export default async function (fastify, _opts) {
     ...clearChatHistoryResponseSchema,
   });
 
+  fastify.addSchema({
+    $id: 'chatSessions',
+    ...chatSessionsSchema,
+  });
+
+  fastify.addSchema({
+    $id: 'chatSessionsResponse',
+    ...chatSessionsResponseSchema,
+  });
+
+  fastify.addSchema({
+    $id: 'cancelChatResponse',
+    ...cancelChatResponseSchema,
+  });
+
+  fastify.addSchema({
+    $id: 'error',
+    ...errorSchema,
+  });
+
+  const sessionNotFound = {
+    description: 'The session belongs to another user',
+    $ref: 'error#',
+  };
+
+  // SSE events of the recent turns, to resume the streams
+  const chatStreams = new ChatStreams();
+
+  /**
+   * Stream the events of a turn after an event number, then the live ones.
+   * The client is counted until it disconnects, see ChatStreams.attach().
+   */
+  const sendEvents = (reply, turn, after = 0) => {
+    reply.raw.once('close', chatStreams.attach(turn));
+    return reply
+      .type('text/event-stream')
+      .header('Cache-Control', 'no-cache')
+      .header('Connection', 'keep-alive')
+      .header('X-Accel-Buffering', 'no')
+      .send(Readable.from(turn.replay(after), { objectMode: true }));
+  };
+
+  /**
+   * Reply 404 when the session belongs to another user, sessions are private.
+   * Unknown sessions are new ones.
+   * @returns {Promise<boolean>} - Whether the user can access the session
+   */
+  const checkSessionOwner = async (sessionId, userId, reply) => {
+    const conversation = await fastify.chatMemory?.getConversation(sessionId);
+    if (conversation && conversation.userId !== userId) {
+      reply.code(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'Chat session not found',
+      });
+      return false;
+    }
+    return true;
+  };
+
   fastify.post('/chat', {
     schema: {
       operationId: 'completionChat',
@@ -50,13 +119,23 @@ export default async function (fastify, _opts) {
           'Send a question to the AI assistant and receive a streaming response. This endpoint enables real-time conversation with the AI, with optional session tracking for maintaining context across multiple interactions.',
         $ref: 'chat#',
       },
+      headers: {
+        type: 'object',
+        properties: {
+          'last-event-id': {
+            type: 'string',
+            description:
+              'The ID of the last event received, to resume a stream after a lost connection. The missed events of the turn are replayed, then the live ones. The question is not asked again.',
+          },
+        },
+      },
       response: {
         200: {
           type: 'string',
           description:
-            "A streaming response in Server-Sent Events (SSE) format. Each event contains a complete message object with full details including tool calls, assistant responses, and session information. The stream uses 'event: message' for data events and 'event: done' for completion. Tool calls include complete function names, arguments, and IDs for client-side expansion.",
+            "A streaming response in Server-Sent Events (SSE) format. Each event contains a complete message object with full details including tool calls, assistant responses, and session information. Assistant text generated incrementally, e.g. by Agentforce, is sent in parts with `delta: true` to append to each other. Every event has an ID, send the last one received in the Last-Event-ID header to resume the stream. The stream uses 'event: message' for data events, 'event: tool-denied' for tool calls blocked by the URL and PDF whitelists, 'event: tool-unavailable' for enabled tools the AI engine cannot offer in the answer (names and reason), 'event: done' for completion and 'event: cancelled' for an answer cancelled before its end, by the cancel endpoint or because no client read it anymore. Tool calls include complete function names, arguments, and IDs for client-side expansion.",
           examples: [
-            'event: message\ndata: {"role":"assistant","content":"message content","sessionId":"..."}\n\nevent: message\ndata: {"role":"assistant","tool_calls":[{"id":"call_123","type":"function","function":{"name":"postgres_run_query","arguments":"{\\"query\\":\\"SELECT *\\"}"}}],"sessionId":"..."}\n\nevent: done\ndata: {}\n\n',
+            'id: 5f0c…:1\nevent: message\ndata: {"role":"assistant","content":"message content","sessionId":"..."}\n\nid: 5f0c…:2\nevent: message\ndata: {"role":"assistant","tool_calls":[{"id":"call_123","type":"function","function":{"name":"postgres_run_query","arguments":"{\\"query\\":\\"SELECT *\\"}"}}],"sessionId":"..."}\n\nid: 5f0c…:3\nevent: done\ndata: {}\n\n',
           ],
           content: {
             'text/event-stream': {
@@ -64,65 +143,151 @@ export default async function (fastify, _opts) {
             },
           },
         },
+        404: {
+          description:
+            'The session belongs to another user, or the stream to resume is no longer available',
+          $ref: 'error#',
+        },
       },
       tags: ['chat'],
     },
     preHandler: fastify.auth([fastify.verifyJwt]),
     handler: async function (request, reply) {
       const { question, sessionId = randomUUID(), systemId } = request.body;
+      const lastEventId = request.headers['last-event-id'];
       let isNewConversation = !request.body.sessionId;
 
       // Get userId from authenticated user
       const userId = request.user.user.id;
 
+      // A reconnecting client gets the events it missed, then the live ones
+      if (lastEventId) {
+        const resumed = chatStreams.resume(lastEventId);
+        if (!resumed || resumed.turn.userId !== userId) {
+          return reply.code(404).send({
+            statusCode: 404,
+            error: 'Not Found',
+            message: 'The chat stream is no longer available',
+          });
+        }
+        return sendEvents(reply, resumed.turn, resumed.after);
+      }
+
+      if (
+        !isNewConversation &&
+        !(await checkSessionOwner(sessionId, userId, reply))
+      ) {
+        return reply;
+      }
+
+      const turn = chatStreams.start(sessionId, userId);
+      const sseStream = new MiaSsePassThroughStream(
+        { objectMode: true },
+        sessionId,
+        isNewConversation,
+        turn.id
+      );
+      // The turn is read to the end even when the client disconnects, it can resume
+      sseStream.on('data', (event) => turn.append(event));
+      sseStream.on('end', () => turn.end());
+
+      // Sent as the last event of the answer, which ends the stream
+      const endWithError = (err, logMessage, message = err.message) => {
+        if (turn.signal.aborted) {
+          const { message: reason } = turn.signal.reason;
+          fastify.log.info({ sessionId, reason }, 'Chat completion cancelled');
+          sseStream.end(
+            `event: cancelled\ndata: ${JSON.stringify({ reason })}\n\n`
+          );
+          return;
+        }
+        fastify.log.error({ err }, logMessage);
+        sseStream.end(`event: error\ndata: ${JSON.stringify({ message })}\n\n`);
+      };
+
       try {
         // Get the completion stream with memory
         const stream = await fastify.ai.executeCompletion(question, {
           sessionId,
           systemId,
           userId,
+          signal: turn.signal,
         });
 
         const jsonStream = Readable.from(stream, {
           objectMode: true,
         });
-
-        const sseStream = new MiaSsePassThroughStream(
-          { objectMode: true },
-          fastify.chatMemory,
-          sessionId,
-          isNewConversation
+        jsonStream.on('error', (err) =>
+          endWithError(err, 'Error reading chat stream')
+        );
+        jsonStream.pipe(sseStream);
+      } catch (err) {
+        endWithError(
+          err,
+          'Error executing chat completion',
+          'Error executing the chat completion, please try again'
         );
+      }
 
-        jsonStream.on('error', (err) => {
-          fastify.log.error({ err }, 'Error reading chat stream');
-          sseStream.destroy(err);
-          return reply.raw.write(
-            `event: message\ndata: ${JSON.stringify({
-              role: 'error',
-              content: err.message,
-              sessionId,
-            })}\n\n`
-          );
+      return sendEvents(reply, turn);
+    },
+  });
+
+  // Cancel the answer in progress in a session
+  fastify.post('/chat/:sessionId/cancel', {
+    schema: {
+      operationId: 'cancelChat',
+      security: [{ BearerAuth: [] }],
+      params: {
+        type: 'object',
+        description: 'The session of the answer to cancel',
+        properties: {
+          sessionId: {
+            type: 'string',
+            description: 'The session ID',
+          },
+        },
+      },
+      response: {
+        200: {
+          description:
+            "The answer was cancelled, or was not in progress. The cancellation is recorded in the session history and the stream of the answer ends with 'event: cancelled'.",
+          $ref: 'cancelChatResponse#',
+        },
+        404: sessionNotFound,
+      },
+      tags: ['chat'],
+    },
+    preHandler: fastify.auth([fastify.verifyJwt]),
+    handler: async function (request, reply) {
+      const { sessionId } = request.params;
+      const userId = request.user.user.id;
+
+      if (!(await checkSessionOwner(sessionId, userId, reply))) {
+        return reply;
+      }
+      const turn = chatStreams.getActiveTurn(sessionId);
+      if (turn && turn.userId !== userId) {
+        return reply.code(404).send({
+          statusCode: 404,
+          error: 'Not Found',
+          message: 'Chat session not found',
         });
+      }
 
-        // Set up the SSE response
-        return reply
-          .type('text/event-stream')
-          .header('Cache-Control', 'no-cache')
-          .header('Connection', 'keep-alive')
-          .header('X-Accel-Buffering', 'no')
-          .send(jsonStream.pipe(sseStream));
-      } catch (err) {
-        fastify.log.error({ err }, 'Error executing chat completion');
-        reply.raw.write(
-          `event: message\ndata: ${JSON.stringify({
-            role: 'error',
-            content: 'Error executing the chat completion, please try again',
-            sessionId,
-          })}\n\n`
+      const cancelled = turn?.cancel('The answer was cancelled') || false;
+      // Reply once the cancellation is recorded and sent to the stream
+      if (cancelled) {
+        await once(turn, 'end', {
+          signal: AbortSignal.timeout(CANCEL_TIMEOUT_MS),
+        }).catch((err) =>
+          fastify.log.warn(
+            { err, sessionId },
+            'The cancelled chat completion did not end in time'
+          )
         );
       }
+      return reply.send({ sessionId, cancelled });
     },
   });
 
@@ -139,15 +304,29 @@ export default async function (fastify, _opts) {
       response: {
         200: {
           description:
-            'Successfully retrieved the conversation history. The response contains an array of messages in chronological order, each with complete details including sender role, content, and timestamp.',
+            'Successfully retrieved the conversation history. The response contains a page of messages in chronological order, each with complete details including sender role, content, tool calls and tool results, and timestamp, and the total number of messages of the session.',
           $ref: 'chatHistoryResponse#',
         },
+        400: {
+          description:
+            'Both cursors were given, or the cursor is not a message of the session',
+          $ref: 'error#',
+        },
+        404: sessionNotFound,
       },
       tags: ['chat'],
     },
     preHandler: fastify.auth([fastify.verifyJwt]),
     handler: async function (request, reply) {
-      const { sessionId, limit = 10 } = request.query;
+      const { sessionId, limit = 10, before, after } = request.query;
+
+      if (before && after) {
+        return reply.code(400).send({
+          statusCode: 400,
+          error: 'Bad Request',
+          message: 'Use either the before or the after cursor',
+        });
+      }
 
       if (!fastify.chatMemory) {
         return reply.code(500).send({
@@ -156,7 +335,23 @@ export default async function (fastify, _opts) {
       }
 
       try {
-        const history = await fastify.ai.getChatHistory(sessionId, limit);
+        if (
+          !(await checkSessionOwner(sessionId, request.user.user.id, reply))
+        ) {
+          return reply;
+        }
+        const history = await fastify.ai.getChatHistory(sessionId, {
+          limit,
+          before,
+          after,
+        });
+        if (!history) {
+          return reply.code(400).send({
+            statusCode: 400,
+            error: 'Bad Request',
+            message: `Message ${before || after} not found in the session`,
+          });
+        }
         return reply.send(history);
       } catch (err) {
         fastify.log.error({ err }, 'Error retrieving chat history');
@@ -182,6 +377,7 @@ export default async function (fastify, _opts) {
           description: 'Chat history cleared',
           $ref: 'clearChatHistoryResponse#',
         },
+        404: sessionNotFound,
       },
       tags: ['chat'],
     },
@@ -196,6 +392,11 @@ export default async function (fastify, _opts) {
       }
 
       try {
+        if (
+          !(await checkSessionOwner(sessionId, request.user.user.id, reply))
+        ) {
+          return reply;
+        }
         const deleted = await fastify.ai.clearChatHistory(sessionId);
         return reply.send({
           deleted,
@@ -210,4 +411,56 @@ export default async function (fastify, _opts) {
       }
     },
   });
+
+  // List the chat sessions of the user
+  fastify.get('/chat/sessions', {
+    schema: {
+      operationId: 'listChatSessions',
+      security: [{ BearerAuth: [] }],
+      querystring: {
+        description:
+          'List the chat sessions of the authenticated user with their titles and last activity, to resume a conversation or read its history.',
+        $ref: 'chatSessions#',
+      },
+      response: {
+        200: {
+          description: 'The sessions of the user',
+          $ref: 'chatSessionsResponse#',
+        },
+      },
+      tags: ['chat'],
+    },
+    preHandler: fastify.auth([fastify.verifyJwt]),
+    handler: async function (request, reply) {
+      const { limit } = request.query;
+
+      if (!fastify.chatMemory) {
+        return reply.code(500).send({
+          error: 'Chat memory is not enabled',
+        });
+      }
+
+      try {
+        const conversations = await fastify.chatMemory.getUserConversations(
+          request.user.user.id,
+          limit
+        );
+        return reply.send(
+          conversations.map((conversation) => ({
+            sessionId: conversation.id,
+            title: conversation.title,
+            messageCount: conversation.messageCount,
+            createdAt: conversation.createdAt,
+            lastActivityAt: conversation.updatedAt,
+          }))
+        );
+      } catch (err) {
+        fastify.log.error({ err }, 'Error listing chat sessions');
+        return reply.code(500).send({
+          error: 'Error listing chat sessions',
+          message: err.message,
+        });
+      }
+    },
+  });
 }
@@ -3,6 +3,7 @@ import {
   systemComponentSchema,
   activityHistorySchema,
   metricSchema,
+  metricBucketSchema,
   summarySchema,
   allSummarySchema,
   forecastSchema,
@@ -10,6 +11,18 @@ import {
   errorSchema,
 } from '../schemas/index.js';
 
+const METRIC_RESOLUTIONS = ['hour', 'day', 'week', 'month'];
+
+// Largest range (in days) that can be requested for each resolution
+const MAX_RANGE_DAYS = {
+  hour: 31,
+  day: 366,
+  week: 366 * 2,
+  month: 366 * 5,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 export default async function (fastify, _opts) {
   fastify.addSchema({
     $id: 'system',
@@ -36,6 +49,11 @@ export default async function (fastify, _opts) {
     ...metricSchema,
   });
 
+  fastify.addSchema({
+    $id: 'metricBucket',
+    ...metricBucketSchema,
+  });
+
   fastify.addSchema({
     $id: 'summary',
     ...summarySchema,
@@ -56,6 +74,17 @@ export default async function (fastify, _opts) {
     ...errorSchema,
   });
 
+  // Users owning the system, or devices and integrations with a metrics:read API key.
+  // The JWT chain runs last so its error is the one reported to users.
+  const systemAccess = fastify.auth([
+    fastify.requireApiKey('metrics:read'),
+    [fastify.verifyJwt, fastify.verifySystemAccess],
+  ]);
+  // Only users owning the system, API keys cannot start paid AI inference
+  const ownerAccess = fastify.auth([
+    [fastify.verifyJwt, fastify.verifySystemAccess],
+  ]);
+
   fastify.route({
     method: 'GET',
     url: '/systems',
@@ -82,7 +111,7 @@ export default async function (fastify, _opts) {
     preHandler: fastify.auth([fastify.verifyJwt]),
     handler: async function (request, reply) {
       const user = request.user.user;
-      const systems = await fastify.db.getSystemsByUser(user.id);
+      const systems = await fastify.db.systems.getSystemsByUser(user.id);
       reply.send(systems);
     },
   });
@@ -90,7 +119,7 @@ export default async function (fastify, _opts) {
   fastify.get('/metrics/:systemId', {
     schema: {
       operationId: 'getMetricsBySystem',
-      security: [{ BearerAuth: [] }],
+      security: [{ BearerAuth: [] }, { ApiKeyAuth: [] }],
       description:
         'Retrieves detailed energy production and consumption metrics for a specific solar system. This endpoint provides time-series data showing how much energy the system has produced and how much energy the property has consumed, allowing for performance analysis and efficiency monitoring.',
       tags: ['metrics'],
@@ -107,23 +136,56 @@ export default async function (fastify, _opts) {
       },
       querystring: {
         description:
-          'Optional filters to narrow down the metrics by specific date',
+          'Optional filters to select the time range and resolution of the metrics',
         type: 'object',
         properties: {
           date: {
             type: 'string',
             format: 'date',
             description:
-              'Filter metrics to this specific date (YYYY-MM-DD format). If not provided, defaults to current date.',
+              'Return metrics for this specific date (YYYY-MM-DD format). Ignored when `from` is provided. If neither is provided, defaults to current date.',
+          },
+          from: {
+            type: 'string',
+            anyOf: [{ format: 'date' }, { format: 'date-time' }],
+            description:
+              'Start of the time range, inclusive (YYYY-MM-DD or ISO 8601 date-time).',
+          },
+          to: {
+            type: 'string',
+            anyOf: [{ format: 'date' }, { format: 'date-time' }],
+            description:
+              'End of the time range, exclusive (YYYY-MM-DD or ISO 8601 date-time). Defaults to now when `from` is provided.',
+          },
+          resolution: {
+            type: 'string',
+            enum: METRIC_RESOLUTIONS,
+            default: 'hour',
+            description:
+              'Size of the buckets the metrics are aggregated into. Each bucket reports the total energy produced and consumed.',
           },
         },
       },
       response: {
         200: {
           description:
-            'Successfully retrieved energy metrics for the specified solar system. The response includes time-series data with energy production and consumption values, along with the exact timestamps when measurements were taken.',
+            'Successfully retrieved energy metrics for the specified solar system. The response includes one entry per time bucket in chronological order, with the total energy produced and consumed during that bucket.',
           type: 'array',
-          items: { $ref: 'metric#' },
+          items: { $ref: 'metricBucket#' },
+        },
+        400: {
+          description:
+            'The requested time range is invalid or too large for the requested resolution.',
+          $ref: 'error#',
+        },
+        403: {
+          description:
+            'The authenticated user does not have access to the requested solar system, or the API key does not grant metrics:read on it.',
+          $ref: 'error#',
+        },
+        404: {
+          description: 'The requested solar system does not exist.',
+          $ref: 'error#',
         },
         500: {
           description:
@@ -132,12 +194,50 @@ export default async function (fastify, _opts) {
         },
       },
     },
-    preHandler: fastify.auth([fastify.verifyJwt]),
+    preHandler: systemAccess,
     handler: async function (request, reply) {
       const { systemId } = request.params;
-      const date = request.params.date || new Date().toISOString();
+      const { date, from, to, resolution } = request.query;
 
-      const metrics = await fastify.db.getMetricsBySystem(systemId, date);
+      if (to && !from) {
+        return reply.code(400).send({
+          statusCode: 400,
+          error: 'Bad Request',
+          message: '`from` is required when `to` is provided',
+        });
+      }
+
+      let range;
+      if (from) {
+        range = { from, to: to || new Date().toISOString() };
+      } else {
+        // A single calendar day
+        const day = date || new Date().toISOString().slice(0, 10);
+        range = { from: day, to: null };
+      }
+
+      if (range.to) {
+        const days = (Date.parse(range.to) - Date.parse(range.from)) / DAY_MS;
+        if (days <= 0) {
+          return reply.code(400).send({
+            statusCode: 400,
+            error: 'Bad Request',
+            message: '`from` must be before `to`',
+          });
+        }
+        if (days > MAX_RANGE_DAYS[resolution]) {
+          return reply.code(400).send({
+            statusCode: 400,
+            error: 'Bad Request',
+            message: `The time range cannot exceed ${MAX_RANGE_DAYS[resolution]} days at ${resolution} resolution`,
+          });
+        }
+      }
+
+      const metrics = await fastify.db.metrics.getMetricsBySystem(systemId, {
+        ...range,
+        resolution,
+      });
       reply.send(metrics);
     },
   });
@@ -145,7 +245,7 @@ export default async function (fastify, _opts) {
   fastify.get('/summary/:systemId', {
     schema: {
       operationId: 'getMetricsSummaryBySystem',
-      security: [{ BearerAuth: [] }],
+      security: [{ BearerAuth: [] }, { ApiKeyAuth: [] }],
       description:
         'Retrieves aggregated energy summaries for a solar system across multiple time periods (daily, past week, past month). This endpoint provides a comprehensive overview of energy production and consumption patterns, enabling trend analysis and performance evaluation over different timeframes.',
       tags: ['metrics'],
@@ -180,6 +280,15 @@ export default async function (fastify, _opts) {
           type: 'object',
           $ref: 'allSummary#',
         },
+        403: {
+          description:
+            'The authenticated user does not have access to the requested solar system, or the API key does not grant metrics:read on it.',
+          $ref: 'error#',
+        },
+        404: {
+          description: 'The requested solar system does not exist.',
+          $ref: 'error#',
+        },
         500: {
           description:
             'Server encountered an unexpected error while generating summary data. This may occur due to database connectivity issues, insufficient metric data, or calculation errors.',
@@ -187,12 +296,12 @@ export default async function (fastify, _opts) {
         },
       },
     },
-    preHandler: fastify.auth([fastify.verifyJwt]),
+    preHandler: systemAccess,
     handler: async function (request, reply) {
       const { systemId } = request.params;
       const date = request.query.date || new Date().toISOString();
 
-      const summary = await fastify.db.getMetricsSummaryBySystem(
+      const summary = await fastify.db.metrics.getMetricsSummaryBySystem(
         systemId,
         date
       );
@@ -202,7 +311,7 @@ export default async function (fastify, _opts) {
 
   fastify.get('/system/:systemId', {
     schema: {
-      security: [{ BearerAuth: [] }],
+      security: [{ BearerAuth: [] }, { ApiKeyAuth: [] }],
       description: 'Get summary for a system',
       tags: ['metrics'],
       params: {
@@ -218,18 +327,27 @@ export default async function (fastify, _opts) {
           type: 'object',
           $ref: 'system#',
         },
+        403: {
+          description:
+            'The authenticated user does not have access to the requested solar system, or the API key does not grant metrics:read on it.',
+          $ref: 'error#',
+        },
+        404: {
+          description: 'The requested solar system does not exist.',
+          $ref: 'error#',
+        },
         500: {
           description: 'Internal Server Error',
           $ref: 'error#',
         },
       },
     },
-    preHandler: fastify.auth([fastify.verifyJwt]),
+    preHandler: systemAccess,
     handler: async function (request, reply) {
       const { systemId } = request.params;
 
       const { system, components } =
-        await fastify.db.getSystemDetails(systemId);
+        await fastify.db.systems.getSystemDetails(systemId);
       reply.send({
         ...system,
         components,
@@ -239,7 +357,7 @@ export default async function (fastify, _opts) {
 
   fastify.get('/system/:systemId/activityHistory', {
     schema: {
-      security: [{ BearerAuth: [] }],
+      security: [{ BearerAuth: [] }, { ApiKeyAuth: [] }],
       description: 'Get the actvity history for a system',
       tags: ['metrics'],
       params: {
@@ -255,24 +373,34 @@ export default async function (fastify, _opts) {
           type: 'object',
           $ref: 'activityHistory#',
         },
+        403: {
+          description:
+            'The authenticated user does not have access to the requested solar system, or the API key does not grant metrics:read on it.',
+          $ref: 'error#',
+        },
+        404: {
+          description: 'The requested solar system does not exist.',
+          $ref: 'error#',
+        },
         500: {
           description: 'Internal Server Error',
           $ref: 'error#',
         },
       },
     },
-    preHandler: fastify.auth([fastify.verifyJwt]),
+    preHandler: systemAccess,
     handler: async function (request, reply) {
       const { systemId } = request.params;
 
-      const pastMonth = await fastify.db.getActivityHistoryBySystem(systemId);
+      const pastMonth =
+        await fastify.db.metrics.getActivityHistoryBySystem(systemId);
       reply.send({ pastMonth: pastMonth });
     },
   });
 
   fastify.get('/system/:systemId/weather', {
     schema: {
-      security: [{ BearerAuth: [] }],
+      security: [{ BearerAuth: [] }, { ApiKeyAuth: [] }],
       description: 'Get the current weather in the area of the system.',
       tags: ['metrics'],
       params: {
@@ -288,23 +416,33 @@ export default async function (fastify, _opts) {
           type: 'object',
           $ref: 'systemWeather#',
         },
+        403: {
+          description:
+            'The authenticated user does not have access to the requested solar system, or the API key does not grant metrics:read on it.',
+          $ref: 'error#',
+        },
+        404: {
+          description: 'The requested solar system does not exist.',
+          $ref: 'error#',
+        },
         500: {
           description: 'Internal Server Error',
           $ref: 'error#',
         },
       },
     },
-    preHandler: fastify.auth([fastify.verifyJwt]),
+    preHandler: systemAccess,
     handler: async function (request, reply) {
       const { systemId } = request.params;
 
-      const weather = await fastify.db.getWeatherBySystem(systemId);
+      const weather = await fastify.db.systems.getWeatherBySystem(systemId);
       reply.send(weather);
     },
   });
 
   fastify.get('/forecast/:systemId', {
     schema: {
+      security: [{ BearerAuth: [] }, { ApiKeyAuth: [] }],
       description: 'Get summary for a system',
       tags: ['metrics'],
       params: {
@@ -320,23 +458,37 @@ export default async function (fastify, _opts) {
           type: 'array',
           items: { $ref: 'forecast#' },
         },
+        403: {
+          description:
+            'The authenticated user does not have access to the requested solar system, or the API key does not grant metrics:read on it.',
+          $ref: 'error#',
+        },
+        404: {
+          description: 'The requested solar system does not exist.',
+          $ref: 'error#',
+        },
         500: {
           description: 'Internal Server Error',
           $ref: 'error#',
         },
       },
     },
+    preHandler: systemAccess,
     handler: async function (request, reply) {
       const { systemId } = request.params;
       const date = request.query.date || new Date().toISOString();
 
-      const forecast = await fastify.db.getEnergyForecast(systemId, date);
+      const forecast = await fastify.db.forecast.getEnergyForecast(
+        systemId,
+        date
+      );
       reply.send(forecast);
     },
   });
 
   fastify.post('/forecast/:systemId/analysis', {
     schema: {
+      security: [{ BearerAuth: [] }],
       description:
         'Generate AI-powered analysis of the weekly forecast for a system. Returns efficiency classification, impact analysis, and average irradiation.',
       tags: ['metrics'],
@@ -378,6 +530,15 @@ export default async function (fastify, _opts) {
             },
           },
         },
+        403: {
+          description:
+            'The authenticated user does not have access to the requested solar system.',
+          $ref: 'error#',
+        },
+        404: {
+          description: 'The requested solar system does not exist.',
+          $ref: 'error#',
+        },
         500: {
           description: 'Internal Server Error',
           type: 'object',
@@ -388,13 +549,17 @@ export default async function (fastify, _opts) {
         },
       },
     },
+    preHandler: ownerAccess,
     handler: async function (request, reply) {
       try {
         const { systemId } = request.params;
         const date = request.query.date || new Date().toISOString();
 
         // Get forecast data from database
-        const forecast = await fastify.db.getEnergyForecast(systemId, date);
+        const forecast = await fastify.db.forecast.getEnergyForecast(
+          systemId,
+          date
+        );
 
         // Generate analysis using AI
         const analysis = await fastify.ai.generateForecastAnalysis(
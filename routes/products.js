@@ -35,10 +35,10 @@ export default async function (fastify, _opts) {
       },
     },
     async (_request, reply) => {
-      const products = await fastify.db.getProducts();
+      const products = await fastify.db.products.getProducts();
       let additionalProducts = [];
       try {
-        additionalProducts = await fastify.db.getAdditionalProducts();
+        additionalProducts = await fastify.db.products.getAdditionalProducts();
       } catch (err) {
         fastify.log.error(
           { error: err.message },
@@ -83,7 +83,7 @@ export default async function (fastify, _opts) {
     },
     async (request, reply) => {
       const { id } = request.params;
-      const product = await fastify.db.getProductById(id);
+      const product = await fastify.db.products.getProductById(id);
       if (!product) {
         reply.code(404).send({ error: 'Product not found' });
         return;
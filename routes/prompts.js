@@ -0,0 +1,275 @@
+import { errorSchema, promptVersionSchema } from '../schemas/index.js';
+import {
+  PROMPTS,
+  findUnknownVariables,
+  loadDefaultPrompt,
+} from '../lib/prompts.js';
+
+const promptParams = {
+  type: 'object',
+  description: 'Parameters to identify the prompt',
+  properties: {
+    name: {
+      type: 'string',
+      enum: Object.keys(PROMPTS),
+      description:
+        'The prompt name: the chat assistant (luminaire-agent), the forecast analysis (forecast-analysis) or the summary of long conversations (conversation-summary)',
+    },
+  },
+};
+
+const adminErrors = {
+  401: {
+    description: 'Unauthorized - Invalid or missing authentication token',
+    $ref: 'error#',
+  },
+  403: {
+    description: 'Forbidden - The authenticated user is not an admin',
+    $ref: 'error#',
+  },
+};
+
+export default async function (fastify, _opts) {
+  fastify.addSchema({
+    $id: 'promptVersion',
+    ...promptVersionSchema,
+  });
+
+  fastify.addSchema({
+    $id: 'error',
+    ...errorSchema,
+  });
+
+  const preHandler = fastify.auth(
+    [fastify.verifyJwt, fastify.requireRole('admin')],
+    { relation: 'and' }
+  );
+
+  fastify.get('/admin/prompts/:name', {
+    schema: {
+      operationId: 'listPromptVersions',
+      security: [{ BearerAuth: [] }],
+      description:
+        'Lists the versions of a system prompt, newest first. Version 0 is the template bundled with the application, it is active when no other version is.',
+      tags: ['admin'],
+      params: promptParams,
+      response: {
+        200: {
+          description: 'The versions of the prompt',
+          type: 'array',
+          items: { $ref: 'promptVersion#' },
+        },
+        ...adminErrors,
+      },
+    },
+    preHandler,
+    handler: async function (request, reply) {
+      const { name } = request.params;
+      const versions = await fastify.db.prompts.getPromptVersions(name);
+      reply.send([
+        ...versions,
+        {
+          name,
+          version: 0,
+          template: loadDefaultPrompt(name),
+          active: !versions.some((version) => version.active),
+          createdBy: null,
+          createdAt: null,
+        },
+      ]);
+    },
+  });
+
+  fastify.post('/admin/prompts/:name', {
+    schema: {
+      operationId: 'createPromptVersion',
+      security: [{ BearerAuth: [] }],
+      description:
+        'Creates a version of a system prompt and makes it the active one: the next chat turns use it. The template may only reference the variables of the prompt, e.g. {{systemId}}, {{databaseSchema}}, {{availableTools}}, {{webBrowsing}} and {{pdfReading}} for luminaire-agent.',
+      tags: ['admin'],
+      params: promptParams,
+      body: {
+        type: 'object',
+        properties: {
+          template: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 100000,
+            description: 'The template of the prompt',
+          },
+        },
+        required: ['template'],
+      },
+      response: {
+        201: {
+          description: 'The version was created and activated',
+          $ref: 'promptVersion#',
+        },
+        400: {
+          description: 'The template references unknown variables',
+          $ref: 'error#',
+        },
+        ...adminErrors,
+      },
+    },
+    preHandler,
+    handler: async function (request, reply) {
+      const { name } = request.params;
+      const { template } = request.body;
+
+      const unknown = findUnknownVariables(name, template);
+      if (unknown.length > 0) {
+        return reply.code(400).send({
+          statusCode: 400,
+          error: 'Bad Request',
+          message: `Unknown variables: ${unknown.join(', ')}`,
+        });
+      }
+
+      const prompt = await fastify.db.transaction(({ prompts }) =>
+        prompts.createPrompt(name, template, request.user.user.id)
+      );
+      request.log.info(
+        { name, version: prompt.version },
+        'Prompt version created'
+      );
+      reply.code(201).send(prompt);
+    },
+  });
+
+  fastify.post('/admin/prompts/:name/rollback', {
+    schema: {
+      operationId: 'rollbackPrompt',
+      security: [{ BearerAuth: [] }],
+      description:
+        'Makes an earlier version of a system prompt the active one. Version 0 restores the template bundled with the application.',
+      tags: ['admin'],
+      params: promptParams,
+      body: {
+        type: 'object',
+        properties: {
+          version: {
+            type: 'integer',
+            minimum: 0,
+            description: 'The version to activate',
+          },
+        },
+        required: ['version'],
+      },
+      response: {
+        200: {
+          description: 'The version is now active',
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            version: { type: 'integer' },
+          },
+        },
+        404: {
+          description: 'The version does not exist',
+          $ref: 'error#',
+        },
+        ...adminErrors,
+      },
+    },
+    preHandler,
+    handler: async function (request, reply) {
+      const { name } = request.params;
+      const { version } = request.body;
+
+      const found = await fastify.db.transaction(({ prompts }) =>
+        prompts.activatePrompt(name, version)
+      );
+      if (!found) {
+        return reply.code(404).send({
+          statusCode: 404,
+          error: 'Not Found',
+          message: `Version ${version} of ${name} not found`,
+        });
+      }
+      request.log.info({ name, version }, 'Prompt rolled back');
+      reply.send({ name, version });
+    },
+  });
+
+  fastify.post('/admin/prompts/:name/preview', {
+    schema: {
+      operationId: 'previewPrompt',
+      security: [{ BearerAuth: [] }],
+      description:
+        'Renders a version of a system prompt as a user would receive it, with their tool settings and whitelists, the database schema and the given system.',
+      tags: ['admin'],
+      params: promptParams,
+      body: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description:
+              'The user the prompt is rendered for (default: the authenticated admin)',
+          },
+          systemId: {
+            type: 'string',
+            description: 'The system the question is about (optional)',
+          },
+          version: {
+            type: 'integer',
+            minimum: 0,
+            description: 'The version to render (default: the active one)',
+          },
+        },
+      },
+      response: {
+        200: {
+          description: 'The rendered prompt',
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            version: { type: 'integer' },
+            content: { type: 'string' },
+          },
+        },
+        404: {
+          description: 'The version does not exist',
+          $ref: 'error#',
+        },
+        501: {
+          description: 'The configured AI engine does not use these prompts',
+          $ref: 'error#',
+        },
+        ...adminErrors,
+      },
+    },
+    preHandler,
+    handler: async function (request, reply) {
+      const { name } = request.params;
+      const {
+        userId = request.user.user.id,
+        systemId,
+        version,
+      } = request.body || {};
+
+      if (!fastify.ai?.previewPrompt) {
+        return reply.code(501).send({
+          statusCode: 501,
+          error: 'Not Implemented',
+          message: 'The configured AI engine does not use these prompts',
+        });
+      }
+
+      const prompt = await fastify.ai.previewPrompt(name, {
+        userId,
+        systemId,
+        version,
+      });
+      if (!prompt) {
+        return reply.code(404).send({
+          statusCode: 404,
+          error: 'Not Found',
+          message: `Version ${version} of ${name} not found`,
+        });
+      }
+      reply.send(prompt);
+    },
+  });
+}
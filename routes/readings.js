@@ -0,0 +1,209 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import {
+  readingSchema,
+  readingsResultSchema,
+  errorSchema,
+} from '../schemas/index.js';
+import { toUtcTimestamp } from '../lib/timezone.js';
+
+const MAX_BATCH_SIZE = 1000;
+
+// Tolerated device clock drift before a reading is considered in the future
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+const validateReading = ajv.compile(readingSchema);
+
+/**
+ * Parse a newline delimited JSON body into an array of values
+ * @param {string} body - The raw request body
+ * @returns {Array} - One value per non-empty line
+ */
+function parseNdjson(body) {
+  const values = [];
+  const lines = body.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].trim() === '') continue;
+    try {
+      values.push(JSON.parse(lines[i]));
+    } catch (err) {
+      const error = new Error(`Invalid JSON on line ${i + 1}: ${err.message}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+  return values;
+}
+
+export default async function (fastify, _opts) {
+  fastify.addSchema({
+    $id: 'reading',
+    ...readingSchema,
+  });
+
+  fastify.addSchema({
+    $id: 'readingsResult',
+    ...readingsResultSchema,
+  });
+
+  fastify.addSchema({
+    $id: 'error',
+    ...errorSchema,
+  });
+
+  fastify.addContentTypeParser(
+    ['application/x-ndjson', 'application/ndjson'],
+    { parseAs: 'string' },
+    (_request, body, done) => {
+      try {
+        done(null, parseNdjson(body));
+      } catch (err) {
+        done(err, undefined);
+      }
+    }
+  );
+
+  fastify.post('/systems/:systemId/readings', {
+    schema: {
+      operationId: 'ingestReadings',
+      security: [{ ApiKeyAuth: [] }],
+      description:
+        'Ingests a batch of timestamped energy readings from an inverter or gateway. Accepts a JSON array of readings (`application/json`) or one reading per line (`application/x-ndjson`). Each reading is validated on its own and stored idempotently on its system and datetime, so batches can safely be retried. Requires an API key scoped to the system with the `readings:write` permission in the `X-API-Key` header.',
+      tags: ['metrics'],
+      params: {
+        type: 'object',
+        description: 'Parameters to identify the specific solar system',
+        properties: {
+          systemId: {
+            type: 'string',
+            description:
+              'Unique identifier (UUID) of the solar system the readings belong to',
+          },
+        },
+      },
+      querystring: {
+        type: 'object',
+        properties: {
+          mode: {
+            type: 'string',
+            enum: ['upsert', 'reject'],
+            default: 'upsert',
+            description:
+              'How to handle readings for a datetime that is already stored. "upsert" replaces the stored values, "reject" keeps them and rejects the new reading.',
+          },
+        },
+      },
+      body: {
+        type: 'array',
+        maxItems: MAX_BATCH_SIZE,
+        description: `Up to ${MAX_BATCH_SIZE} readings, see the reading schema for the expected fields`,
+        items: {},
+      },
+      response: {
+        200: {
+          description:
+            'The batch was processed. Check the per-row results for readings that were rejected.',
+          $ref: 'readingsResult#',
+        },
+        400: {
+          description:
+            'The body is not a JSON array or valid NDJSON, or the batch is too large.',
+          $ref: 'error#',
+        },
+        401: {
+          description: 'The API key is missing, unknown or revoked.',
+          $ref: 'error#',
+        },
+        403: {
+          description:
+            'The API key is not scoped to the system or does not grant readings:write.',
+          $ref: 'error#',
+        },
+      },
+    },
+    preHandler: fastify.auth([fastify.requireApiKey('readings:write')]),
+    handler: async function (request, reply) {
+      const { systemId } = request.params;
+      const { mode } = request.query;
+
+      const results = [];
+      // UTC timestamp -> index of the reading to store
+      const pending = new Map();
+
+      request.body.forEach((row, index) => {
+        if (!validateReading(row)) {
+          results[index] = {
+            index,
+            status: 'rejected',
+            error: ajv.errorsText(validateReading.errors, {
+              dataVar: 'reading',
+            }),
+          };
+          return;
+        }
+
+        const date = new Date(row.datetime);
+        if (date.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+          results[index] = {
+            index,
+            status: 'rejected',
+            error: 'datetime is in the future',
+          };
+          return;
+        }
+
+        const datetime = toUtcTimestamp(date);
+        if (pending.has(datetime)) {
+          results[index] = {
+            index,
+            status: 'rejected',
+            error: `Duplicate of reading ${pending.get(datetime)} in the same batch`,
+          };
+          return;
+        }
+        pending.set(datetime, index);
+      });
+
+      if (pending.size > 0) {
+        const readings = [...pending.entries()].map(([datetime, index]) => ({
+          datetime,
+          energy_produced: request.body[index].energy_produced,
+          energy_consumed: request.body[index].energy_consumed,
+        }));
+        const rows = await fastify.db.metrics.upsertReadings(
+          systemId,
+          readings,
+          {
+            mode,
+          }
+        );
+
+        const written = new Map(rows.map((row) => [row.datetime, row]));
+        for (const [datetime, index] of pending) {
+          const row = written.get(datetime);
+          results[index] = row
+            ? { index, status: row.inserted ? 'inserted' : 'updated' }
+            : {
+                index,
+                status: 'rejected',
+                error: 'A reading already exists for this datetime',
+              };
+        }
+      }
+
+      const rejected = results.filter((r) => r.status === 'rejected').length;
+      fastify.log.info(
+        { systemId, apiKeyId: request.apiKey.id, rejected },
+        `Ingested ${results.length - rejected} readings`
+      );
+
+      reply.send({
+        accepted: results.length - rejected,
+        rejected,
+        results,
+      });
+    },
+  });
+}
@@ -1,4 +1,7 @@
-import { ToolSettingsService } from '../services/tool-settings/index.js';
+import {
+  ToolSettingsService,
+  isValidWhitelistPattern,
+} from '../services/tool-settings/index.js';
 import { errorSchema } from '../schemas/index.js';
 
 export default async function (fastify, _opts) {
@@ -208,8 +211,8 @@ export default async function (fastify, _opts) {
           properties: {
             url: {
               type: 'string',
-              format: 'uri',
-              description: 'The URL to whitelist',
+              description:
+                'The URL to whitelist, a URL prefix ending with `*` (e.g. `https://example.com/docs/*`) or a domain pattern (e.g. `example.com`, `*.example.com`)',
             },
             description: {
               type: 'string',
@@ -248,6 +251,12 @@ export default async function (fastify, _opts) {
       try {
         const userId = request.user.user.id;
         const { url, description } = request.body;
+        if (!isValidWhitelistPattern(url)) {
+          return reply.code(400).send({
+            error: 'Bad Request',
+            message: 'Invalid URL or domain pattern',
+          });
+        }
         const whitelistEntry = await toolSettingsService.addWhitelistUrl(
           userId,
           url,
@@ -355,8 +364,8 @@ export default async function (fastify, _opts) {
           properties: {
             pdf_url: {
               type: 'string',
-              format: 'uri',
-              description: 'The PDF URL to whitelist',
+              description:
+                'The PDF URL to whitelist, a URL prefix ending with `*` (e.g. `https://example.com/docs/*`) or a domain pattern (e.g. `example.com`, `*.example.com`)',
             },
             description: {
               type: 'string',
@@ -395,6 +404,12 @@ export default async function (fastify, _opts) {
       try {
         const userId = request.user.user.id;
         const { pdf_url, description } = request.body;
+        if (!isValidWhitelistPattern(pdf_url)) {
+          return reply.code(400).send({
+            error: 'Bad Request',
+            message: 'Invalid URL or domain pattern',
+          });
+        }
         const whitelistEntry = await toolSettingsService.addWhitelistPdf(
           userId,
           pdf_url,
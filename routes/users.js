@@ -1,11 +1,97 @@
-import { userSchema, errorSchema } from '../schemas/index.js';
+import { config } from '../config.js';
+import { userSchema, sessionSchema, errorSchema } from '../schemas/index.js';
+import { generateToken, hashToken } from '../lib/tokens.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const REFRESH_TOKEN_TTL = config.REFRESH_TOKEN_TTL_DAYS * 24 * HOUR_MS;
+const PASSWORD_RESET_TTL = HOUR_MS;
+const EMAIL_VERIFICATION_TTL = 24 * HOUR_MS;
+
+const refreshTokenBody = {
+  type: 'object',
+  properties: {
+    refresh_token: {
+      type: 'string',
+      minLength: 1,
+      description: 'Refresh token returned by the last sign in or refresh',
+    },
+  },
+  required: ['refresh_token'],
+};
+
+// PostgreSQL error code for unique constraint violations
+const UNIQUE_VIOLATION = '23505';
+
+// Unique indexes on users and the field they protect
+const uniqueUserFields = {
+  idx_users_username_lower: 'username',
+  idx_users_email_lower: 'email',
+};
+
+const tokenBody = {
+  type: 'object',
+  properties: {
+    token: {
+      type: 'string',
+      minLength: 1,
+      description: 'Token from the link sent by email',
+    },
+  },
+  required: ['token'],
+};
+
+function invalidToken(reply) {
+  return reply.code(400).send({
+    statusCode: 400,
+    error: 'Bad Request',
+    message: 'The token is invalid, expired or already used',
+  });
+}
+
+function unauthorized(reply, message) {
+  return reply.code(401).send({
+    statusCode: 401,
+    error: 'Unauthorized',
+    message,
+  });
+}
 
 export default async function (fastify, _opts) {
+  /**
+   * Sign an access token for the session and build the response
+   * @param {Object} reply - The Fastify reply
+   * @param {Object} user - The user to include in the token
+   * @param {string} sessionId - The refresh token family
+   * @param {Object} refreshToken - The new refresh token of the session
+   * @returns {Promise<Object>} - The session response
+   */
+  async function createSession(reply, user, sessionId, refreshToken) {
+    const authorization = await reply.jwtSign(
+      { user, sid: sessionId },
+      {
+        sub: user.username,
+        kid: 'luminaire',
+        iss: 'luminaire',
+        expiresIn: `${config.ACCESS_TOKEN_TTL}s`,
+      }
+    );
+    return {
+      authorization,
+      expires_in: config.ACCESS_TOKEN_TTL,
+      refresh_token: refreshToken.token,
+    };
+  }
+
   fastify.addSchema({
     $id: 'user',
     ...userSchema,
   });
 
+  fastify.addSchema({
+    $id: 'session',
+    ...sessionSchema,
+  });
+
   fastify.addSchema({
     $id: 'error',
     ...errorSchema,
@@ -44,33 +130,309 @@ export default async function (fastify, _opts) {
         },
         200: {
           description:
-            'Authentication successful. Returns a JWT token that must be included in the Authorization header for subsequent API requests to access protected resources.',
-          type: 'object',
-          properties: {
-            authorization: {
-              type: 'string',
-              description:
-                'JWT token to be used for authenticating subsequent API requests',
-            },
-          },
+            'Authentication successful. Returns a short-lived JWT access token that must be included in the Authorization header for subsequent API requests, and a refresh token to renew it.',
+          $ref: 'session#',
         },
       },
     },
     handler: async function (request, reply) {
       const { username } = request.body;
-      const user = await fastify.db.getUserByUsername(username);
-      const authorization = await reply.jwtSign(
-        { user },
+      const user = await fastify.db.users.getUserByUsername(username);
+      const refreshToken = generateToken(REFRESH_TOKEN_TTL);
+      const sessionId = await fastify.db.sessions.createRefreshTokenFamily(
+        user.id,
         {
-          sub: user.username,
-          kid: 'luminaire',
-          iss: 'luminaire',
-          expiresIn: '1d',
+          tokenHash: refreshToken.hash,
+          expiresAt: refreshToken.expiresAt,
         }
       );
-      reply.send({
-        authorization,
+      reply.send(await createSession(reply, user, sessionId, refreshToken));
+    },
+  });
+
+  fastify.post('/user/refresh', {
+    schema: {
+      operationId: 'refreshSession',
+      description:
+        'Exchanges a refresh token for a new access token and a new refresh token. Refresh tokens are single-use: presenting a token that was already exchanged is treated as token theft and revokes the whole session, signing out every client that shares it.',
+      body: refreshTokenBody,
+      tags: ['users'],
+      response: {
+        200: {
+          description: 'The session was refreshed',
+          $ref: 'session#',
+        },
+        401: {
+          description:
+            'The refresh token is unknown, expired, already used or belongs to a revoked session.',
+          $ref: 'error#',
+        },
+      },
+    },
+    handler: async function (request, reply) {
+      const token = await fastify.db.sessions.useRefreshToken(
+        hashToken(request.body.refresh_token)
+      );
+      if (!token) {
+        return unauthorized(reply, 'Invalid refresh token');
+      }
+
+      if (!token.first_use) {
+        await fastify.db.sessions.revokeRefreshTokenFamily(
+          token.family_id,
+          'reuse'
+        );
+        fastify.log.warn(
+          { userId: token.user_id, sessionId: token.family_id },
+          'Refresh token reuse detected, revoking the session'
+        );
+        return unauthorized(reply, 'Refresh token has already been used');
+      }
+
+      if (token.revoked_at) {
+        return unauthorized(reply, 'The session has been revoked');
+      }
+
+      if (token.expired) {
+        return unauthorized(reply, 'Refresh token has expired');
+      }
+
+      // Reload the user so profile and role changes apply to the new token
+      const user = await fastify.db.users.getUserById(token.user_id);
+      if (!user) {
+        return unauthorized(reply, 'Invalid refresh token');
+      }
+
+      const refreshToken = generateToken(REFRESH_TOKEN_TTL);
+      await fastify.db.sessions.addRefreshToken(token.family_id, {
+        tokenHash: refreshToken.hash,
+        expiresAt: refreshToken.expiresAt,
       });
+      reply.send(
+        await createSession(reply, user, token.family_id, refreshToken)
+      );
+    },
+  });
+
+  fastify.post('/user/logout', {
+    schema: {
+      operationId: 'logout',
+      description:
+        'Signs out by revoking the session of the refresh token. Its refresh tokens can no longer be exchanged and its access tokens are rejected, even before they expire.',
+      body: refreshTokenBody,
+      tags: ['users'],
+      response: {
+        204: {
+          description:
+            'The session was revoked, or the refresh token was unknown',
+          type: 'null',
+        },
+      },
+    },
+    handler: async function (request, reply) {
+      const familyId = await fastify.db.sessions.getRefreshTokenFamily(
+        hashToken(request.body.refresh_token)
+      );
+      if (familyId) {
+        await fastify.db.sessions.revokeRefreshTokenFamily(familyId, 'logout');
+      }
+      reply.code(204).send();
+    },
+  });
+
+  /**
+   * Email a link to confirm the address of the user.
+   * Failures are logged, the account stays usable and the link can be requested again.
+   * @param {Object} user - The user, with `id`, `name` and `email`
+   */
+  async function sendEmailVerification(user) {
+    try {
+      const { token, hash, expiresAt } = generateToken(EMAIL_VERIFICATION_TTL);
+      await fastify.db.users.createUserToken(user.id, 'email_verification', {
+        tokenHash: hash,
+        expiresAt,
+      });
+      await fastify.mail.sendEmailVerification(
+        user,
+        token,
+        EMAIL_VERIFICATION_TTL / HOUR_MS
+      );
+    } catch (err) {
+      fastify.log.error(
+        { err, userId: user.id },
+        'Failed to send the email verification'
+      );
+    }
+  }
+
+  /**
+   * Email a password reset link to the account of an address, if there is one.
+   * Failures are logged, the link can be requested again.
+   * @param {string} email - The email address
+   */
+  async function sendPasswordReset(email) {
+    let user;
+    try {
+      user = await fastify.db.users.getUserByEmail(email);
+      if (!user) return;
+      const { token, hash, expiresAt } = generateToken(PASSWORD_RESET_TTL);
+      await fastify.db.users.createUserToken(user.id, 'password_reset', {
+        tokenHash: hash,
+        expiresAt,
+      });
+      await fastify.mail.sendPasswordReset(
+        user,
+        token,
+        PASSWORD_RESET_TTL / 60000
+      );
+    } catch (err) {
+      fastify.log.error(
+        { err, userId: user?.id },
+        'Failed to send the password reset'
+      );
+    }
+  }
+
+  // Password resets sent after their reply, awaited before closing
+  const pendingResets = new Set();
+  fastify.addHook('onClose', () => Promise.all(pendingResets));
+
+  fastify.post('/user/password-reset/request', {
+    schema: {
+      operationId: 'requestPasswordReset',
+      description:
+        'Sends a link to reset the password to the email address of an account. The response is the same whether or not an account exists for the address, so it cannot be used to discover accounts. Only the latest link sent is valid.',
+      body: {
+        type: 'object',
+        properties: {
+          email: {
+            type: 'string',
+            format: 'email',
+            description: 'Email address of the account',
+          },
+        },
+        required: ['email'],
+      },
+      tags: ['users'],
+      response: {
+        202: {
+          description:
+            'If an account exists for the address, a password reset link was sent to it',
+          type: 'null',
+        },
+      },
+    },
+    handler: async function (request, reply) {
+      // The account is looked up after the reply: neither its status nor its
+      // timing reveal whether the account exists
+      reply.code(202).send();
+      const reset = sendPasswordReset(request.body.email);
+      pendingResets.add(reset);
+      reset.finally(() => pendingResets.delete(reset));
+    },
+  });
+
+  fastify.post('/user/password-reset/confirm', {
+    schema: {
+      operationId: 'confirmPasswordReset',
+      description:
+        'Sets a new password with the token from a password reset link. The token can only be used once, and every session of the account is signed out.',
+      body: {
+        type: 'object',
+        properties: {
+          ...tokenBody.properties,
+          password: { $ref: 'user#/properties/password' },
+        },
+        required: ['token', 'password'],
+      },
+      tags: ['users'],
+      response: {
+        204: {
+          description: 'The password was changed',
+          type: 'null',
+        },
+        400: {
+          description:
+            'The token is invalid, expired or already used, or the password is too weak.',
+          $ref: 'error#',
+        },
+      },
+    },
+    handler: async function (request, reply) {
+      const { token, password } = request.body;
+      const userId = await fastify.db.users.useUserToken(
+        'password_reset',
+        hashToken(token)
+      );
+      if (!userId) {
+        return invalidToken(reply);
+      }
+
+      await fastify.db.transaction(async ({ users, sessions }) => {
+        await users.updateUserPassword(userId, password);
+        await sessions.revokeUserRefreshTokenFamilies(userId, 'password_reset');
+        // Receiving the link proves the user owns the address
+        await users.markEmailVerified(userId);
+      });
+      fastify.log.info({ userId }, 'Password reset');
+      reply.code(204).send();
+    },
+  });
+
+  fastify.post('/user/email-verification/request', {
+    schema: {
+      operationId: 'requestEmailVerification',
+      security: [{ BearerAuth: [] }],
+      description:
+        'Sends a new link to confirm the email address of the authenticated user, e.g. when the link sent on registration expired. Only the latest link sent is valid.',
+      tags: ['users'],
+      response: {
+        202: {
+          description:
+            'A verification link was sent, unless the address is already verified',
+          type: 'null',
+        },
+      },
+    },
+    preHandler: fastify.auth([fastify.verifyJwt]),
+    handler: async function (request, reply) {
+      const user = await fastify.db.users.getUserById(request.user.user.id);
+      if (user && !(await fastify.db.users.isEmailVerified(user.id))) {
+        await sendEmailVerification(user);
+      }
+      reply.code(202).send();
+    },
+  });
+
+  fastify.post('/user/email-verification/confirm', {
+    schema: {
+      operationId: 'confirmEmailVerification',
+      description:
+        'Confirms the email address of an account with the token from a verification link. The token can only be used once.',
+      body: tokenBody,
+      tags: ['users'],
+      response: {
+        204: {
+          description: 'The email address was verified',
+          type: 'null',
+        },
+        400: {
+          description: 'The token is invalid, expired or already used.',
+          $ref: 'error#',
+        },
+      },
+    },
+    handler: async function (request, reply) {
+      const userId = await fastify.db.users.useUserToken(
+        'email_verification',
+        hashToken(request.body.token)
+      );
+      if (!userId) {
+        return invalidToken(reply);
+      }
+
+      await fastify.db.users.markEmailVerified(userId);
+      reply.code(204).send();
     },
   });
 
@@ -80,11 +442,11 @@ export default async function (fastify, _opts) {
       schema: {
         operationId: 'register',
         description:
-          "Registers a new user account in the system with the provided personal information and credentials. This endpoint creates a new user profile, securely stores the password, and establishes the user's identity for future authentication and access to solar system monitoring features.",
+          "Registers a new user account in the system with the provided personal information and credentials. This endpoint creates a new user profile, securely stores the password, and establishes the user's identity for future authentication and access to solar system monitoring features. A link to confirm the email address is sent to the user.",
         body: {
-          $ref: 'user#',
           description:
             'Complete user profile information required for registration including personal details and account credentials',
+          allOf: [{ $ref: 'user#' }, { required: ['password'] }],
         },
         tags: ['users'],
         response: {
@@ -93,23 +455,48 @@ export default async function (fastify, _opts) {
               'User registration successful. Returns the newly created user profile information (excluding sensitive data like password) to confirm the account creation.',
             $ref: 'user#',
           },
-        },
-        500: {
-          description:
-            'Server encountered an unexpected error during user registration. This may occur due to database issues, validation failures, or conflicts with existing user accounts.',
-          $ref: 'error#',
+          400: {
+            description:
+              'The registration data is invalid, e.g. a malformed email address or a weak password.',
+            $ref: 'error#',
+          },
+          409: {
+            description:
+              'The username or email address is already used by another account.',
+            $ref: 'error#',
+          },
+          500: {
+            description:
+              'Server encountered an unexpected error during user registration. This may occur due to database issues.',
+            $ref: 'error#',
+          },
         },
       },
     },
     async function (request, reply) {
       const { name, last_name, email, username, password } = request.body;
-      const user = await fastify.db.createUser({
-        name,
-        last_name,
-        email,
-        username,
-        password,
-      });
+      let user;
+      try {
+        user = await fastify.db.users.createUser({
+          name,
+          last_name,
+          email,
+          username,
+          password,
+        });
+      } catch (err) {
+        const field = uniqueUserFields[err.constraint];
+        if (err.code === UNIQUE_VIOLATION && field) {
+          return reply.code(409).send({
+            statusCode: 409,
+            error: 'Conflict',
+            message: `An account with this ${field} already exists`,
+          });
+        }
+        throw err;
+      }
+
+      await sendEmailVerification(user);
       return reply.send(user);
     }
   );
@@ -32,6 +32,11 @@ export const systemSchema = {
       type: 'number',
       description: 'Stored battery power of the solar system as a percentage.',
     },
+    timezone: {
+      type: 'string',
+      description:
+        'IANA time zone of the solar system location (e.g. America/Los_Angeles). Daily, weekly and monthly metrics use this local time.',
+    },
     components: {
       type: 'array',
       items: { $ref: 'systemComponent#' },
@@ -116,6 +121,163 @@ export const metricSchema = {
   required: ['system_id', 'energy_produced', 'energy_consumed'],
 };
 
+export const metricBucketSchema = {
+  type: 'object',
+  description:
+    'Energy production and consumption of a solar system aggregated over a time bucket (hour, day, week or month).',
+  properties: {
+    system_id: {
+      type: 'string',
+      format: 'uuid',
+      description: 'Reference to the solar system that generated these metrics',
+    },
+    datetime: {
+      type: 'string',
+      format: 'date-time',
+      description: 'Start of the time bucket',
+    },
+    energy_produced: {
+      type: 'number',
+      description:
+        'Total energy produced by the solar system during the bucket in kilowatt-hours (kWh)',
+    },
+    energy_consumed: {
+      type: 'number',
+      description:
+        'Total energy consumed by the property during the bucket in kilowatt-hours (kWh)',
+    },
+  },
+  required: ['system_id', 'datetime', 'energy_produced', 'energy_consumed'],
+};
+
+export const readingSchema = {
+  type: 'object',
+  description:
+    'A single timestamped energy reading reported by an inverter or gateway for one solar system.',
+  properties: {
+    datetime: {
+      type: 'string',
+      format: 'date-time',
+      description:
+        'Date and time of the reading in ISO 8601 format, including the UTC offset',
+    },
+    energy_produced: {
+      type: 'number',
+      minimum: 0,
+      description:
+        'Energy produced by the solar system since the previous reading in kilowatt-hours (kWh)',
+    },
+    energy_consumed: {
+      type: 'number',
+      minimum: 0,
+      description:
+        'Energy consumed by the property since the previous reading in kilowatt-hours (kWh)',
+    },
+  },
+  required: ['datetime', 'energy_produced', 'energy_consumed'],
+  additionalProperties: false,
+};
+
+export const readingsResultSchema = {
+  type: 'object',
+  description:
+    'Outcome of a readings batch, with one result per submitted row in submission order.',
+  properties: {
+    accepted: {
+      type: 'integer',
+      description: 'Number of readings that were stored',
+    },
+    rejected: {
+      type: 'integer',
+      description: 'Number of readings that were not stored',
+    },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: {
+            type: 'integer',
+            description: 'Position of the reading in the submitted batch',
+          },
+          status: {
+            type: 'string',
+            enum: ['inserted', 'updated', 'rejected'],
+            description:
+              '"inserted" for new readings, "updated" when an existing reading was replaced, "rejected" when the reading was not stored',
+          },
+          error: {
+            type: 'string',
+            description: 'Reason why the reading was rejected',
+          },
+        },
+        required: ['index', 'status'],
+      },
+    },
+  },
+  required: ['accepted', 'rejected', 'results'],
+};
+
+export const apiKeySchema = {
+  type: 'object',
+  description:
+    'API key used by devices and integrations to access one or more solar systems without a user session. The full key is only returned when it is created or rotated.',
+  properties: {
+    id: {
+      type: 'string',
+      format: 'uuid',
+      description: 'Unique identifier of the API key',
+    },
+    system_ids: {
+      type: 'array',
+      description: 'Solar systems the API key grants access to',
+      items: { type: 'string', format: 'uuid' },
+    },
+    permissions: {
+      type: 'array',
+      description:
+        'Actions the API key is allowed to perform: `readings:write` to push readings, `metrics:read` to read metrics, summaries and forecasts (not their AI analysis)',
+      items: { type: 'string', enum: ['readings:write', 'metrics:read'] },
+      uniqueItems: true,
+      minItems: 1,
+    },
+    name: {
+      type: 'string',
+      description: 'Human readable label, e.g. the device name',
+    },
+    prefix: {
+      type: 'string',
+      description: 'First characters of the key, used to identify it',
+    },
+    key: {
+      type: 'string',
+      description:
+        'The full API key, to be sent in the X-API-Key header. Only present when the key is created or rotated.',
+    },
+    created_at: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When the key was created',
+    },
+    last_used_at: {
+      type: ['string', 'null'],
+      format: 'date-time',
+      description: 'When the key was last used to authenticate a request',
+    },
+    rotated_at: {
+      type: ['string', 'null'],
+      format: 'date-time',
+      description: 'When the key secret was last rotated',
+    },
+    revoked_at: {
+      type: ['string', 'null'],
+      format: 'date-time',
+      description: 'When the key was revoked, revoked keys are rejected',
+    },
+  },
+  required: ['id', 'name', 'prefix'],
+};
+
 export const summarySchema = {
   type: 'object',
   description:
@@ -175,25 +337,48 @@ export const userSchema = {
       format: 'uuid',
       description: 'Unique identifier for the user account',
     },
-    name: { type: 'string', description: "User's first name" },
+    name: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 100,
+      description: "User's first name",
+    },
     last_name: {
       type: 'string',
+      minLength: 1,
+      maxLength: 100,
       description: "User's last name or family name",
     },
     email: {
       type: 'string',
       format: 'email',
+      maxLength: 254,
       description:
-        "User's email address for communications and account recovery",
+        "User's email address for communications and account recovery. Unique, regardless of case.",
     },
     username: {
       type: 'string',
-      description: 'Unique username for login and identification',
+      minLength: 3,
+      maxLength: 32,
+      pattern: '^[A-Za-z0-9_.-]+$',
+      description:
+        'Unique username for login and identification, regardless of case. Letters, numbers, dots, dashes and underscores only.',
     },
     password: {
       type: 'string',
       format: 'password',
-      description: "User's password for account security (stored securely)",
+      minLength: 10,
+      maxLength: 128,
+      pattern: '^(?=.*[A-Za-z])(?=.*[0-9]).*$',
+      description:
+        "User's password for account security (stored securely). At least 10 characters, including a letter and a number.",
+    },
+    role: {
+      type: 'string',
+      enum: ['user', 'admin'],
+      readOnly: true,
+      description:
+        'Role granted to the user account. Admins can manage demo data and other management routes.',
     },
   },
   required: ['name', 'last_name', 'email', 'username'],
@@ -242,6 +427,29 @@ export const forecastSchema = {
   },
 };
 
+export const sessionSchema = {
+  type: 'object',
+  description:
+    'Tokens issued when a user signs in or refreshes their session. The short-lived access token authorizes API requests, the refresh token is exchanged for new tokens before it expires.',
+  properties: {
+    authorization: {
+      type: 'string',
+      description:
+        'JWT access token to be sent in the Authorization header of subsequent API requests',
+    },
+    expires_in: {
+      type: 'integer',
+      description: 'Lifetime of the access token in seconds',
+    },
+    refresh_token: {
+      type: 'string',
+      description:
+        'Single-use token to obtain new tokens from `POST /api/user/refresh`. Every refresh returns a new refresh token and invalidates the previous one.',
+    },
+  },
+  required: ['authorization', 'expires_in', 'refresh_token'],
+};
+
 export const errorSchema = {
   type: 'object',
   description:
@@ -282,6 +490,44 @@ export const chatSchema = {
   required: ['question'],
 };
 
+// Tool calls of the assistant messages, as in the chat completions API
+const toolCallsSchema = {
+  type: 'array',
+  description:
+    'Array of tool calls made by the assistant. Each tool call includes complete details: unique ID, function name, and full JSON arguments. This allows clients to display tool execution details and expand/collapse tool information in the UI.',
+  items: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'string',
+        description:
+          'Unique identifier for this specific tool call, used to correlate with tool responses.',
+      },
+      type: {
+        type: 'string',
+        description: 'Type of tool call, typically "function".',
+      },
+      function: {
+        type: 'object',
+        description:
+          'Complete function call details including name and arguments.',
+        properties: {
+          name: {
+            type: 'string',
+            description:
+              'Full name of the function being called (e.g., "postgres_run_query", "code_exec_python").',
+          },
+          arguments: {
+            type: 'string',
+            description:
+              'JSON string containing the complete function arguments. Parse this to access individual parameters.',
+          },
+        },
+      },
+    },
+  },
+};
+
 export const chatResponseSchema = {
   type: 'object',
   description:
@@ -298,47 +544,17 @@ export const chatResponseSchema = {
       description:
         'The text content of the message. Present for text-based messages from the assistant, agent messages, and error messages. May be absent when tool_calls is present.',
     },
-    tool_calls: {
-      type: 'array',
-      description:
-        'Array of tool calls made by the assistant. Each tool call includes complete details: unique ID, function name, and full JSON arguments. This allows clients to display tool execution details and expand/collapse tool information in the UI.',
-      items: {
-        type: 'object',
-        properties: {
-          id: {
-            type: 'string',
-            description:
-              'Unique identifier for this specific tool call, used to correlate with tool responses.',
-          },
-          type: {
-            type: 'string',
-            description: 'Type of tool call, typically "function".',
-          },
-          function: {
-            type: 'object',
-            description:
-              'Complete function call details including name and arguments.',
-            properties: {
-              name: {
-                type: 'string',
-                description:
-                  'Full name of the function being called (e.g., "postgres_run_query", "code_exec_python").',
-              },
-              arguments: {
-                type: 'string',
-                description:
-                  'JSON string containing the complete function arguments. Parse this to access individual parameters.',
-              },
-            },
-          },
-        },
-      },
-    },
+    tool_calls: toolCallsSchema,
     tool_call_id: {
       type: 'string',
       description:
         'For tool role messages, the ID of the tool call this response corresponds to.',
     },
+    delta: {
+      type: 'boolean',
+      description:
+        'True when the content is a part of the assistant text streamed as it is generated, to append to the previous parts. The text of an answer is either streamed in parts or sent in one message.',
+    },
     sessionId: {
       type: 'string',
       description:
@@ -360,53 +576,98 @@ export const chatHistorySchema = {
     },
     limit: {
       type: 'integer',
+      minimum: 1,
+      maximum: 100,
       description:
         'Maximum number of historical messages to retrieve, starting with the most recent. Defaults to 10 if not specified. Use this to control the volume of data returned.',
       default: 10,
     },
+    before: {
+      type: 'string',
+      description:
+        'Message ID cursor: retrieve the messages sent before this message, e.g. the ID of the first message of the current page to load older messages.',
+    },
+    after: {
+      type: 'string',
+      description:
+        'Message ID cursor: retrieve the messages sent after this message, e.g. the ID of the last message of the current page to load newer messages. Cannot be combined with before.',
+    },
   },
   required: ['sessionId'],
 };
 
 export const chatHistoryResponseSchema = {
-  type: 'array',
+  type: 'object',
   description:
-    'Collection of historical chat messages from a specific session. This schema defines the structure of the conversation history, with each item representing a complete message in chronological order.',
-  items: {
-    type: 'object',
-    properties: {
-      id: {
-        type: 'string',
-        description:
-          'Unique identifier for this specific message within the conversation',
-      },
-      session_id: {
-        type: 'string',
-        description:
-          'Identifier of the chat session this message belongs to, linking it to other messages in the same conversation',
-      },
-      user_id: {
-        type: 'string',
-        nullable: true,
-        description:
-          'Identifier of the user who sent this message, if applicable. Null for system or AI-generated messages.',
-      },
-      role: {
-        type: 'string',
-        description:
-          'Indicates who sent the message: "user" for user messages, "assistant" for AI responses, "agent" for system messages',
-      },
-      content: {
-        type: 'string',
-        description: 'The complete text content of the message',
-      },
-      timestamp: {
-        type: 'string',
-        format: 'date-time',
-        description:
-          'Exact date and time when this message was sent or generated',
+    'A page of the conversation history of a chat session. Messages are in chronological order, use the ID of the first message as the before cursor to load older messages and the ID of the last message as the after cursor to load newer ones.',
+  properties: {
+    messages: {
+      type: 'array',
+      description: 'The messages of the page, oldest first',
+      items: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            description:
+              'Unique identifier for this specific message within the conversation',
+          },
+          session_id: {
+            type: 'string',
+            description:
+              'Identifier of the chat session this message belongs to, linking it to other messages in the same conversation',
+          },
+          user_id: {
+            type: 'string',
+            nullable: true,
+            description:
+              'Identifier of the user who sent this message, if applicable. Null for system or AI-generated messages.',
+          },
+          role: {
+            type: 'string',
+            description:
+              'Indicates who sent the message: "user" for user messages, "assistant" for AI responses and tool calls, "tool" for tool results, "error" for the errors of the answers, "cancelled" for the answers cancelled before their end, "agent" for system messages',
+          },
+          content: {
+            type: 'string',
+            nullable: true,
+            description:
+              'The complete text content of the message. Null for assistant messages only holding tool calls.',
+          },
+          tool_calls: { ...toolCallsSchema, nullable: true },
+          tool_call_id: {
+            type: 'string',
+            nullable: true,
+            description:
+              'For tool messages, the ID of the tool call this result answers',
+          },
+          timestamp: {
+            type: 'string',
+            format: 'date-time',
+            description:
+              'Exact date and time when this message was sent or generated',
+          },
+          prompt_version: {
+            type: 'integer',
+            nullable: true,
+            description:
+              'Version of the system prompt used to answer this question, 0 for the bundled prompt. Only set on user messages.',
+          },
+        },
       },
     },
+    total: {
+      type: 'integer',
+      description: 'Total number of messages in the session',
+    },
+    hasOlder: {
+      type: 'boolean',
+      description: 'Whether the session has messages before this page',
+    },
+    hasNewer: {
+      type: 'boolean',
+      description: 'Whether the session has messages after this page',
+    },
   },
 };
 
@@ -430,3 +691,95 @@ export const clearChatHistoryResponseSchema = {
     sessionId: { type: 'string' },
   },
 };
+
+export const cancelChatResponseSchema = {
+  type: 'object',
+  description: 'Cancellation of the answer in progress in a chat session',
+  properties: {
+    sessionId: { type: 'string' },
+    cancelled: {
+      type: 'boolean',
+      description:
+        'Whether an answer was in progress and is cancelled, false when it had already ended',
+    },
+  },
+};
+
+export const chatSessionsSchema = {
+  type: 'object',
+  description: 'Request parameters for listing the chat sessions of the user',
+  properties: {
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 20,
+      description:
+        'Maximum number of sessions to retrieve, starting with the most recently active. Defaults to 20.',
+    },
+  },
+};
+
+export const chatSessionsResponseSchema = {
+  type: 'array',
+  description:
+    'The chat sessions of the user, the most recently active first. Sessions without activity for the retention period are deleted.',
+  items: {
+    type: 'object',
+    properties: {
+      sessionId: {
+        type: 'string',
+        description: 'Identifier of the session, to continue the conversation',
+      },
+      title: {
+        type: 'string',
+        description:
+          'Title of the session, the beginning of its first question',
+      },
+      messageCount: {
+        type: 'integer',
+        description: 'Number of messages in the session',
+      },
+      createdAt: {
+        type: 'string',
+        format: 'date-time',
+        description: 'Date and time of the first message',
+      },
+      lastActivityAt: {
+        type: 'string',
+        format: 'date-time',
+        description: 'Date and time of the last message',
+      },
+    },
+  },
+};
+
+export const promptVersionSchema = {
+  type: 'object',
+  description:
+    'A version of a system prompt. Version 0 is the template bundled with the application, the other versions are edited by the admins.',
+  properties: {
+    name: { type: 'string', description: 'The prompt name' },
+    version: { type: 'integer', description: 'The version number' },
+    template: {
+      type: 'string',
+      description:
+        'The template, variables are written as {{name}} and replaced when the prompt is rendered',
+    },
+    active: {
+      type: 'boolean',
+      description: 'Whether this version is used for the new chat turns',
+    },
+    createdBy: {
+      type: 'string',
+      nullable: true,
+      description: 'ID of the admin who created the version',
+    },
+    createdAt: {
+      type: 'string',
+      format: 'date-time',
+      nullable: true,
+      description: 'Creation date of the version',
+    },
+  },
+};
@@ -0,0 +1,176 @@
+/**
+ * Agentforce Service
+ * Client for the Salesforce Agent API: OAuth client credentials, agent sessions and messages
+ */
+import { readServerSentEvents } from '../../lib/sse.js';
+
+/**
+ * Error returned by the Agent API, `statusCode` holds the HTTP status
+ */
+export class AgentforceError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'AgentforceError';
+    this.statusCode = statusCode;
+  }
+}
+
+export class AgentforceClient {
+  #accessToken = null;
+
+  /**
+   * @param {Object} options
+   * @param {string} options.myDomainUrl - The My Domain URL of the Salesforce org
+   * @param {string} options.clientId - The consumer key of the connected app
+   * @param {string} options.clientSecret - The consumer secret of the connected app
+   * @param {string} options.agentId - The ID of the agent
+   * @param {string} options.apiUrl - The host of the Agent API
+   */
+  constructor({ myDomainUrl, clientId, clientSecret, agentId, apiUrl }) {
+    this.myDomainUrl = myDomainUrl;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.agentId = agentId;
+    this.apiUrl = apiUrl;
+  }
+
+  /**
+   * Start a session with the agent
+   * @param {string} externalSessionKey - Our own session ID, for tracing
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborts the request (optional)
+   * @returns {Promise<string>} - The Agent API session ID
+   */
+  async startSession(externalSessionKey, { signal } = {}) {
+    const response = await this.#request(
+      `/einstein/ai-agent/v1/agents/${this.agentId}/sessions`,
+      {
+        method: 'POST',
+        body: {
+          externalSessionKey,
+          instanceConfig: { endpoint: this.myDomainUrl },
+          bypassUser: true,
+        },
+        signal,
+      }
+    );
+    const { sessionId } = await response.json();
+    return sessionId;
+  }
+
+  /**
+   * Send a message and wait for the complete answer
+   * @param {string} sessionId - The Agent API session ID
+   * @param {number} sequenceId - Incremented for every message of the session
+   * @param {string} text - The message
+   * @returns {Promise<Array>} - The messages of the agent's answer
+   */
+  async sendMessage(sessionId, sequenceId, text) {
+    const response = await this.#request(
+      `/einstein/ai-agent/v1/sessions/${sessionId}/messages`,
+      {
+        method: 'POST',
+        body: { message: { sequenceId, type: 'Text', text }, variables: [] },
+      }
+    );
+    const { messages } = await response.json();
+    return messages;
+  }
+
+  /**
+   * Send a message and stream the answer
+   * @param {string} sessionId - The Agent API session ID
+   * @param {number} sequenceId - Incremented for every message of the session
+   * @param {string} text - The message
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborts the answer (optional)
+   * @returns {Promise<AsyncIterable<Object>>} - The `{ event, data }` events of the answer
+   */
+  async streamMessage(sessionId, sequenceId, text, { signal } = {}) {
+    const response = await this.#request(
+      `/einstein/ai-agent/v1/sessions/${sessionId}/messages/stream`,
+      {
+        method: 'POST',
+        headers: { Accept: 'text/event-stream' },
+        body: { message: { sequenceId, type: 'Text', text }, variables: [] },
+        signal,
+      }
+    );
+    return readServerSentEvents(response.body);
+  }
+
+  /**
+   * End a session, the agent forgets the conversation
+   * @param {string} sessionId - The Agent API session ID
+   */
+  async endSession(sessionId) {
+    const response = await this.#request(
+      `/einstein/ai-agent/v1/sessions/${sessionId}`,
+      {
+        method: 'DELETE',
+        headers: { 'x-session-end-reason': 'UserRequest' },
+      }
+    );
+    await response.body?.cancel();
+  }
+
+  async #getAccessToken(signal) {
+    if (this.#accessToken) {
+      return this.#accessToken;
+    }
+
+    const response = await fetch(`${this.myDomainUrl}/services/oauth2/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+      }),
+      signal,
+    });
+    if (!response.ok) {
+      throw new AgentforceError(
+        `Failed to authenticate with Salesforce (${response.status})`,
+        response.status
+      );
+    }
+
+    const { access_token } = await response.json();
+    this.#accessToken = access_token;
+    return access_token;
+  }
+
+  /**
+   * Call the Agent API, requesting a new access token once when it expired
+   */
+  async #request(path, { method, headers = {}, body, signal }, retry = true) {
+    const accessToken = await this.#getAccessToken(signal);
+    const response = await fetch(`${this.apiUrl}${path}`, {
+      method,
+      headers: {
+        ...headers,
+        ...(body && { 'Content-Type': 'application/json' }),
+        Authorization: `Bearer ${accessToken}`,
+      },
+      body: body && JSON.stringify(body),
+      signal,
+    });
+
+    if (response.status === 401 && retry) {
+      this.#accessToken = null;
+      await response.body?.cancel();
+      return this.#request(path, { method, headers, body, signal }, false);
+    }
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new AgentforceError(
+        `Agent API request failed (${response.status}): ${text.slice(0, 200)}`,
+        response.status
+      );
+    }
+
+    return response;
+  }
+}
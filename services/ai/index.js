@@ -0,0 +1,431 @@
+/**
+ * AI Service
+ * Chat completion providers, selected with AI_ENGINE. Every provider streams the
+ * answer as chat completion SSE events holding one complete message each, the
+ * format of the Heroku agents endpoint, so the chat routes work with any of them.
+ * Assistant text may also be streamed in `delta` events as it is generated.
+ */
+import { readServerSentEvents } from '../../lib/sse.js';
+
+export const DONE_EVENT = 'data: [DONE]\n\n';
+
+/**
+ * Format a message as a chat completion SSE event
+ * @param {Object} message - The message (role, content, tool_calls)
+ * @returns {string} - The SSE event
+ */
+export function completionEvent(message) {
+  return `data: ${JSON.stringify({ choices: [{ message }] })}\n\n`;
+}
+
+/**
+ * Format a part of the assistant text as a chat completion SSE event
+ * @param {string} content - The text generated since the previous part
+ * @returns {string} - The SSE event
+ */
+export function completionDeltaEvent(content) {
+  return `data: ${JSON.stringify({
+    choices: [{ delta: { role: 'assistant', content } }],
+  })}\n\n`;
+}
+
+/**
+ * Format the `tool-denied` event of a tool call blocked by the tool settings
+ * @param {Object} call - The tool call
+ * @param {string} reason - Why the call is blocked
+ * @returns {string} - The SSE event
+ */
+export function toolDeniedEvent(call, reason) {
+  return `event: tool-denied\ndata: ${JSON.stringify({
+    tool_call_id: call.id,
+    name: call.function?.name,
+    reason,
+  })}\n\n`;
+}
+
+/**
+ * Format the `tool-unavailable` event of enabled tools the provider cannot offer in
+ * an answer
+ * @param {string[]} names - The tools left out of the answer
+ * @param {string} reason - Why they are left out
+ * @returns {string} - The SSE event
+ */
+export function toolUnavailableEvent(names, reason) {
+  return `event: tool-unavailable\ndata: ${JSON.stringify({ names, reason })}\n\n`;
+}
+
+/**
+ * Check the tool calls of a provider running the tools itself. The tools run before
+ * the application sees the calls, so the answer ends at the first denied call:
+ * neither its result nor an answer built on it reaches the user.
+ * @param {AsyncIterable} events - The chat completion SSE events of the provider
+ * @param {Function} authorizeToolCall - `async (call) => reason`, the reason a call is denied, if it is
+ */
+async function* withToolCallCheck(events, authorizeToolCall) {
+  for await (const { event, data } of readServerSentEvents(events)) {
+    const denials = [];
+    for (const call of data?.choices?.[0]?.message?.tool_calls || []) {
+      const reason = await authorizeToolCall(call);
+      if (reason) denials.push(toolDeniedEvent(call, reason));
+    }
+    if (denials.length > 0) {
+      yield* denials;
+      yield DONE_EVENT;
+      return;
+    }
+
+    const type = event === 'message' ? '' : `event: ${event}\n`;
+    yield `${type}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+  }
+}
+
+/**
+ * Merge the deltas of a streamed chat completion into complete messages
+ * @param {AsyncIterable<Object>} events - The `{ event, data }` events of the stream
+ */
+async function* readMessages(events) {
+  let message = null;
+
+  for await (const { data } of events) {
+    if (data === '[DONE]') break;
+    const choice = data?.choices?.[0];
+    if (!choice) continue;
+
+    const { role, content, tool_calls } = choice.delta || {};
+    message ??= { role: role || 'assistant', content: '' };
+    if (content) message.content += content;
+    for (const call of tool_calls || []) {
+      message.tool_calls ??= [];
+      const current = (message.tool_calls[call.index ?? 0] ??= {
+        id: call.id,
+        type: 'function',
+        function: { name: '', arguments: '' },
+      });
+      if (call.id) current.id = call.id;
+      if (call.function?.name) current.function.name += call.function.name;
+      if (call.function?.arguments) {
+        current.function.arguments += call.function.arguments;
+      }
+    }
+
+    if (choice.finish_reason) {
+      yield message;
+      message = null;
+    }
+  }
+
+  if (message) yield message;
+}
+
+/**
+ * Any server implementing the OpenAI chat completions API, e.g. llama.cpp or Ollama
+ */
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - The base URL of the server
+   * @param {string} options.key - The API key (optional for local servers)
+   * @param {string} options.model - The model ID
+   * @param {Object} options.logger - The logger
+   * @param {Object} options.toolRunner - Runs the tool calls, see LocalToolRunner (optional)
+   * @param {number} options.maxCalls - The maximum number of tool calls per answer
+   */
+  constructor({ url, key, model, logger, toolRunner, maxCalls = 5 }) {
+    this.url = url;
+    this.key = key;
+    this.model = model;
+    this.logger = logger;
+    this.toolRunner = toolRunner;
+    this.maxCalls = maxCalls;
+  }
+
+  /**
+   * Stream the answer to a conversation.
+   * The server does not run tools: the tool calls of the model are run by the tool
+   * runner and their results sent back, until the model answers without tool calls.
+   * @param {Object} request
+   * @param {Array} request.messages - The conversation, starting with the system prompt
+   * @param {string[]} request.tools - The names of the tools the model may call
+   * @param {string} request.userId - The user asking, the tools only read their data
+   * @param {Function} request.authorizeToolCall - `async (call) => reason`, the reason
+   * a tool call is denied, if it is. Denied calls are not run, the model gets the reason.
+   * @param {AbortSignal} request.signal - Aborts the answer (optional)
+   * @returns {Promise<AsyncIterable<string>>} - The chat completion SSE events,
+   * including the tool calls, the tool results and the denied tool calls
+   */
+  async streamCompletion({
+    messages,
+    tools = [],
+    userId,
+    authorizeToolCall,
+    signal,
+  }) {
+    const definitions = this.toolRunner?.definitions(tools) || [];
+    const conversation = [...messages];
+    const request = (offerTools) =>
+      this.post(
+        '/v1/chat/completions',
+        {
+          model: this.model,
+          messages: conversation,
+          stream: true,
+          ...(offerTools && { tools: definitions }),
+        },
+        { signal }
+      );
+
+    // Request the first answer before streaming, so failures reach the caller
+    const first = await request(definitions.length > 0);
+
+    const provider = this;
+    return (async function* () {
+      let response = first;
+      let calls = 0;
+
+      while (response) {
+        let toolCalls = [];
+        for await (const message of readMessages(
+          readServerSentEvents(response.body)
+        )) {
+          yield completionEvent(message);
+          conversation.push(message);
+          toolCalls = message.tool_calls || [];
+        }
+        response = null;
+        if (toolCalls.length === 0) break;
+
+        for (const call of toolCalls) {
+          signal?.throwIfAborted();
+          calls++;
+          const reason = await authorizeToolCall?.(call);
+          if (reason) yield toolDeniedEvent(call, reason);
+          const content = reason
+            ? `Error: ${reason}`
+            : calls > provider.maxCalls
+              ? 'Error: the tool call limit is reached, answer with the results you have'
+              : await provider.toolRunner.run(
+                  call.function.name,
+                  call.function.arguments,
+                  { userId }
+                );
+          const result = { role: 'tool', tool_call_id: call.id, content };
+          yield completionEvent(result);
+          conversation.push(result);
+        }
+        provider.logger?.info(
+          { calls, maxCalls: provider.maxCalls },
+          'Ran local tool calls'
+        );
+
+        // Once the limit is reached the model has to answer without tools
+        response = await request(calls < provider.maxCalls);
+      }
+
+      yield DONE_EVENT;
+    })();
+  }
+
+  /**
+   * Answer a conversation without streaming
+   * @param {Object} request
+   * @param {Array} request.messages - The conversation, starting with the system prompt
+   * @param {AbortSignal} request.signal - Aborts the request (optional)
+   * @returns {Promise<string>} - The content of the answer
+   */
+  async complete({ messages, signal }) {
+    const response = await this.post(
+      '/v1/chat/completions',
+      { model: this.model, messages },
+      { signal }
+    );
+    const { choices } = await response.json();
+    return choices?.[0]?.message?.content || '';
+  }
+
+  /**
+   * POST a JSON body to the server
+   * @param {string} path - The path of the endpoint
+   * @param {Object} body - The request body
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborts the request and the reading of its body
+   * @returns {Promise<Response>} - The successful response
+   */
+  async post(path, body, { signal } = {}) {
+    const response = await fetch(this.url + path, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.key && { Authorization: `Bearer ${this.key}` }),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      this.logger?.error(
+        { status: response.status, error },
+        'AI request failed'
+      );
+      throw new Error('Failed to fetch completion');
+    }
+
+    return response;
+  }
+}
+
+// Tools reading the database, only run by the tool runner on the row-filtered views
+const DATABASE_TOOLS = ['postgres_get_schema', 'postgres_run_query'];
+
+/**
+ * Heroku Managed Inference and Agents. The agents endpoint runs the tools on
+ * dynos of the app, as `heroku_tool` and `mcp` tools. The Heroku database tools
+ * would query the database attachment with the privileges of the application, so
+ * an answer offered the database tools runs them with the tool runner instead, on
+ * the chat completions endpoint like OpenAICompatibleProvider. The agents endpoint
+ * only runs its own tools, the Heroku tools cannot be offered in that answer: the
+ * answer starts with a `tool-unavailable` event naming them.
+ * The options are the ones of OpenAICompatibleProvider: the INFERENCE_* settings of
+ * the add-on, and `maxCalls` also limits the calls of each Heroku tool. Without a
+ * `toolRunner` the database tools are not offered, which is reported the same way.
+ */
+export class HerokuInferenceProvider extends OpenAICompatibleProvider {
+  /**
+   * Stream the answer to a conversation, running the given tools
+   * @param {Object} request
+   * @param {Array} request.messages - The conversation, starting with the system prompt
+   * @param {string[]} request.tools - The names of the tools the model may call
+   * @param {string} request.userId - The user asking, the database tools only read their data
+   * @param {Function} request.authorizeToolCall - `async (call) => reason`, the reason
+   * a tool call is denied, if it is. The answer ends at the first denied call.
+   * @param {AbortSignal} request.signal - Aborts the answer, the agent stops running
+   * the tools (optional)
+   * @returns {Promise<AsyncIterable>} - The chat completion SSE events
+   */
+  async streamCompletion(request) {
+    const { messages, tools = [], authorizeToolCall, signal } = request;
+    const databaseTools = tools.filter((name) => DATABASE_TOOLS.includes(name));
+    const herokuTools = tools.filter((name) => !DATABASE_TOOLS.includes(name));
+
+    let events;
+    let unavailable;
+    if (this.toolRunner?.definitions(tools).length > 0) {
+      events = await super.streamCompletion(request);
+      unavailable = herokuTools.length > 0 && [
+        herokuTools,
+        'The Heroku tools cannot run in an answer using the database tools',
+      ];
+    } else {
+      const response = await this.post(
+        '/v1/agents/heroku',
+        {
+          model: this.model,
+          messages,
+          tools: herokuTools.map((name) => this.toolDefinition(name)),
+        },
+        { signal }
+      );
+      events = authorizeToolCall
+        ? withToolCallCheck(response.body, authorizeToolCall)
+        : response.body;
+      unavailable = databaseTools.length > 0 && [
+        databaseTools,
+        'The database tools are not configured, see AI_DATABASE_URL',
+      ];
+    }
+    if (!unavailable) return events;
+
+    this.logger?.warn(
+      { tools: unavailable[0], reason: unavailable[1] },
+      'Enabled tools left out of an answer'
+    );
+    return (async function* () {
+      yield toolUnavailableEvent(...unavailable);
+      yield* events;
+    })();
+  }
+
+  /**
+   * Build the definition of a tool for the agents endpoint
+   * @param {string} name - The tool name
+   * @returns {Object} - The tool definition
+   */
+  toolDefinition(name) {
+    switch (name) {
+      case 'code_exec_python':
+        return {
+          type: 'mcp',
+          name,
+          runtime_params: {
+            max_calls: this.maxCalls,
+          },
+        };
+      default:
+        return { type: 'heroku_tool', name };
+    }
+  }
+}
+
+/**
+ * Deterministic provider for tests and local development without a model.
+ * Every completion plays the next scripted turn (a list of messages) and `complete`
+ * returns the next scripted text. Without a script it echoes the question.
+ */
+export class ScriptedProvider {
+  /**
+   * @param {Object} options
+   * @param {Array[]} options.turns - The messages of each streamed answer
+   * @param {string[]} options.completions - The non-streamed answers
+   */
+  constructor({ turns = [], completions = [] } = {}) {
+    this.turns = turns;
+    this.completions = completions;
+    // Requests received, for assertions
+    this.requests = [];
+  }
+
+  async streamCompletion(request) {
+    this.requests.push(request);
+    const question = request.messages.findLast((m) => m.role === 'user');
+    const turn = this.turns.shift() || [
+      { role: 'assistant', content: `You asked: ${question?.content}` },
+    ];
+
+    const events = (async function* () {
+      for (const message of turn) {
+        request.signal?.throwIfAborted();
+        yield completionEvent(message);
+      }
+      yield DONE_EVENT;
+    })();
+    // The scripted tool calls are "run" by the script, like the Heroku tools
+    return request.authorizeToolCall
+      ? withToolCallCheck(events, request.authorizeToolCall)
+      : events;
+  }
+
+  async complete(request) {
+    this.requests.push(request);
+    return this.completions.shift() || '';
+  }
+}
+
+/**
+ * Create the provider selected in the configuration
+ * @param {Object} options
+ * @param {string} options.engine - 'mia' (Heroku), 'openai' or 'scripted'
+ * @param {Object} options.logger - The logger
+ * @returns {Object} - The AI provider, see the options of each provider
+ */
+export function createAiProvider({ engine, ...options }) {
+  switch (engine) {
+    case 'mia':
+      return new HerokuInferenceProvider(options);
+    case 'openai':
+      return new OpenAICompatibleProvider(options);
+    case 'scripted':
+      return new ScriptedProvider();
+    default:
+      throw new Error(`Unknown AI engine: ${engine}`);
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * AI Tools
+ * Tools run in-process for chat completion providers that do not run tools themselves
+ */
+const TOOLS = {
+  postgres_get_schema: {
+    description:
+      'Get the schemas, tables and columns of the Luminaire Solar database. Call it before writing a query when the schema is not in the system prompt.',
+    parameters: { type: 'object', properties: {} },
+  },
+  postgres_run_query: {
+    description:
+      'Run a read-only SQL query on the Luminaire Solar database (PostgreSQL) and get the rows as JSON. Only one statement is allowed.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'The SQL query' },
+      },
+      required: ['query'],
+    },
+  },
+};
+
+// Schema of the row-filtered views the AI reads, see migration 016
+const AI_SCHEMA = 'ai';
+
+/**
+ * Describe the tables and columns the AI may query: the views of the `ai` schema.
+ * They have the names and columns of the tables they filter, without the
+ * sensitive ones (users, credentials, tokens, API keys, settings).
+ * @param {Object} db - A pg pool or client
+ * @returns {Promise<Object>} - The columns of each table
+ */
+export async function getDatabaseSchema(db) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      c.table_name,
+      c.column_name,
+      c.data_type,
+      c.is_nullable,
+      c.ordinal_position
+    FROM information_schema.columns c
+    WHERE c.table_schema = $1
+    ORDER BY c.table_name, c.ordinal_position
+    `,
+    [AI_SCHEMA]
+  );
+
+  const schemaObject = {};
+  for (const r of rows) {
+    if (!schemaObject[r.table_name]) schemaObject[r.table_name] = [];
+    schemaObject[r.table_name].push({
+      name: r.column_name,
+      type: r.data_type,
+      nullable: r.is_nullable === 'YES',
+    });
+  }
+  return schemaObject;
+}
+
+/**
+ * Reject anything but a single read query before it reaches the database.
+ * The database enforces the rules, this only gives the model a clear error.
+ * @param {string} query - The SQL query of the model
+ */
+function checkQuery(query) {
+  if (typeof query !== 'string' || query.trim() === '') {
+    throw new Error('The query argument is required');
+  }
+  // Comments may hide the statement, e.g. `/* SELECT */ SET ROLE postgres`
+  const statement = query
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/--[^\n]*/g, ' ')
+    .trim();
+  if (!/^(select|with)\b/i.test(statement)) {
+    throw new Error('Only SELECT queries are allowed');
+  }
+}
+
+export class LocalToolRunner {
+  /**
+   * @param {Object} db - A pool connecting as a member of luminaire_ai_readonly only,
+   * see AI_DATABASE_URL. Never the application pool: a query can reset a role set
+   * with SET ROLE.
+   * @param {Object} options
+   * @param {number} options.statementTimeout - Milliseconds before a query is cancelled
+   * @param {number} options.maxRows - Rows returned to the model, the rest is not read
+   */
+  constructor(db, { statementTimeout = 5000, maxRows = 100 } = {}) {
+    this.db = db;
+    this.statementTimeout = statementTimeout;
+    this.maxRows = maxRows;
+  }
+
+  /**
+   * Build the function definitions of the tools run locally
+   * @param {string[]} names - The enabled tools
+   * @returns {Array} - The definitions, for the `tools` of a chat completion request
+   */
+  definitions(names) {
+    return names
+      .filter((name) => TOOLS[name])
+      .map((name) => ({
+        type: 'function',
+        function: { name, ...TOOLS[name] },
+      }));
+  }
+
+  /**
+   * Run a tool call. Failures are returned to the model, so it can correct itself.
+   * @param {string} name - The tool name
+   * @param {string} args - The arguments, as JSON
+   * @param {Object} context
+   * @param {string} context.userId - The user asking, only the rows of their systems are readable
+   * @returns {Promise<string>} - The result for the tool message
+   */
+  async run(name, args, { userId } = {}) {
+    try {
+      switch (name) {
+        case 'postgres_get_schema':
+          return JSON.stringify(
+            await this.#readOnly(userId, getDatabaseSchema)
+          );
+        case 'postgres_run_query': {
+          const { query } = JSON.parse(args || '{}');
+          checkQuery(query);
+          return JSON.stringify(
+            await this.#readOnly(userId, (client) => this.#query(client, query))
+          );
+        }
+        default:
+          return `Error: the tool ${name} is not available`;
+      }
+    } catch (err) {
+      return `Error: ${err.message}`;
+    }
+  }
+
+  /**
+   * Run the query of the model, reading one row more than returned to know whether
+   * the rows are truncated. The limit is applied by the database, the process never
+   * holds more rows.
+   */
+  async #query(client, query) {
+    // The query ends its own line: a trailing `--` comment cannot hide the limit.
+    // The extended protocol rejects several statements in one query.
+    const { rows } = await client.query({
+      text: `SELECT * FROM (\n${query.trim().replace(/;+$/, '')}\n) query LIMIT ${this.maxRows + 1}`,
+      queryMode: 'extended',
+    });
+    return {
+      rows: rows.slice(0, this.maxRows),
+      truncated: rows.length > this.maxRows,
+    };
+  }
+
+  /**
+   * Run `fn` in a read-only transaction scoped to the systems of the user, then
+   * roll it back
+   */
+  async #readOnly(userId, fn) {
+    if (!userId) {
+      throw new Error('The database is only available to signed-in users');
+    }
+
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      // Never committed: the scope disappears with the rollback. The model
+      // cannot change it, the role cannot read the table nor write once the
+      // transaction is read-only.
+      await client.query('INSERT INTO ai_query_scopes (user_id) VALUES ($1)', [
+        userId,
+      ]);
+      await client.query('SET TRANSACTION READ ONLY');
+      // Unqualified names resolve to the views
+      await client.query(`SET LOCAL search_path = ${AI_SCHEMA}`);
+      await client.query(
+        `SET LOCAL statement_timeout = ${Math.floor(this.statementTimeout)}`
+      );
+      return await fn(client);
+    } finally {
+      // A connection that cannot roll back is discarded
+      const err = await client.query('ROLLBACK').then(
+        () => undefined,
+        (err) => err
+      );
+      client.release(err);
+    }
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Forecast Service
+ * Generates energy forecasts from the recent performance of a system
+ */
+import generateEnergyForecast from '../../data/mockForecast.js';
+import { getZonedMonthRange, toUtcTimestamp } from '../../lib/timezone.js';
+import { getSystemTimeZone } from '../../repositories/systems.js';
+
+export class ForecastService {
+  /**
+   * @param {Object} db - A pg pool or client, e.g. fastify.pg
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  async getEnergyForecast(systemId, date) {
+    // deterministic (static) forecasts based on system performance
+    const timeZone = await getSystemTimeZone(this.db, systemId);
+    const { start, end } = getZonedMonthRange(date, timeZone);
+
+    const { rows: monthlyRows } = await this.db.query(
+      `SELECT 
+        SUM(energy_produced) as total_energy_produced, 
+        SUM(energy_consumed) as total_energy_consumed 
+        FROM metrics 
+        WHERE system_id = $1 AND datetime >= $2 AND datetime < $3`,
+      [systemId, toUtcTimestamp(start), toUtcTimestamp(end)]
+    );
+    const energySavingsPercentage =
+      (monthlyRows[0].total_energy_produced -
+        monthlyRows[0].total_energy_consumed) /
+      monthlyRows[0].total_energy_produced;
+
+    let energyForecast;
+    // for the "happy" system, generate good outlook for energy forecast, as per script
+    if (energySavingsPercentage >= 0.5) {
+      energyForecast = generateEnergyForecast('high');
+    } else if (energySavingsPercentage >= 0.01) {
+      // for the "medium" system, generate medium outlook for energy forecast
+      energyForecast = generateEnergyForecast('medium');
+    } else {
+      // for the "negative" system, generate bad outlook for energy forecast
+      energyForecast = generateEnergyForecast('low');
+    }
+    return energyForecast;
+  }
+}
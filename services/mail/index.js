@@ -0,0 +1,104 @@
+/**
+ * Mail Service
+ * Composes account emails and delivers them through a pluggable transport
+ */
+import { mkdir, writeFile } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+
+/**
+ * Transports deliver a message `{ from, to, subject, text }` with `async send(message)`.
+ * Logs the recipient and subject of the messages, for local development. The text
+ * holds live account tokens and is never logged, read it with the file transport.
+ */
+export class ConsoleMailTransport {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  async send(message) {
+    this.logger.info(
+      { to: message.to, subject: message.subject },
+      'Email not delivered (console transport), use MAIL_TRANSPORT=file to read it'
+    );
+  }
+}
+
+/**
+ * Writes each message as a JSON file, for local development and tests
+ */
+export class FileMailTransport {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await mkdir(this.directory, { recursive: true });
+    const file = path.join(
+      this.directory,
+      `${new Date().toISOString().replace(/[:.]/g, '-')}-${randomUUID()}.json`
+    );
+    await writeFile(file, JSON.stringify(message, null, 2));
+  }
+}
+
+/**
+ * Create the transport selected in the configuration
+ * @param {Object} options
+ * @param {string} options.transport - 'console' or 'file'
+ * @param {string} options.directory - Output directory of the file transport
+ * @param {Object} options.logger - Logger of the console transport
+ * @returns {Object} - The mail transport
+ */
+export function createMailTransport({ transport, directory, logger }) {
+  switch (transport) {
+    case 'console':
+      return new ConsoleMailTransport(logger);
+    case 'file':
+      return new FileMailTransport(directory);
+    default:
+      throw new Error(`Unknown mail transport: ${transport}`);
+  }
+}
+
+export class MailService {
+  constructor({ transport, from, appUrl }) {
+    this.transport = transport;
+    this.from = from;
+    this.appUrl = appUrl;
+  }
+
+  /**
+   * Send the link to choose a new password
+   * @param {Object} user - The user, with `name` and `email`
+   * @param {string} token - The password reset token
+   * @param {number} ttlMinutes - Minutes until the token expires
+   * @returns {Promise<void>}
+   */
+  async sendPasswordReset(user, token, ttlMinutes) {
+    const link = `${this.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+    await this.transport.send({
+      from: this.from,
+      to: user.email,
+      subject: 'Reset your Luminaire Solar password',
+      text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThe link expires in ${ttlMinutes} minutes and can only be used once. If you did not request a password reset, you can ignore this email.`,
+    });
+  }
+
+  /**
+   * Send the link to confirm the email address of an account
+   * @param {Object} user - The user, with `name` and `email`
+   * @param {string} token - The email verification token
+   * @param {number} ttlHours - Hours until the token expires
+   * @returns {Promise<void>}
+   */
+  async sendEmailVerification(user, token, ttlHours) {
+    const link = `${this.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+    await this.transport.send({
+      from: this.from,
+      to: user.email,
+      subject: 'Confirm your Luminaire Solar email address',
+      text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThe link expires in ${ttlHours} hours.`,
+    });
+  }
+}
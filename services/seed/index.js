@@ -3,10 +3,16 @@
  * Manages database seeding and reset operations
  */
 import { faker } from '@faker-js/faker';
-import crypto from 'node:crypto';
+import { hashPassword } from '../../lib/passwords.js';
 
 const SYSTEM_COUNT = 3;
 const METRIC_COUNT = 24 * 60; // 24 metrics per day for 60 days
+const US_TIME_ZONES = [
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Los_Angeles',
+];
 
 export class SeedService {
   constructor(db, logger) {
@@ -56,7 +62,7 @@ export class SeedService {
 
       // Check if demo user already exists
       const existingUser = await client.query(
-        'SELECT id, name, last_name, email, username FROM users WHERE username = $1',
+        'SELECT id, name, last_name, email, username, role FROM users WHERE username = $1',
         [username]
       );
 
@@ -68,14 +74,11 @@ export class SeedService {
       }
 
       // Create new demo user
-      const salt = crypto.randomBytes(16).toString('hex');
-      const hashedPassword = crypto
-        .pbkdf2Sync(password, salt, 1000, 64, 'sha512')
-        .toString('hex');
+      const hashedPassword = await hashPassword(password);
 
       const { rows } = await client.query(
-        'INSERT INTO users (name, last_name, email, username, password, salt) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, name, last_name, email, username',
-        [name, last_name, email, username, hashedPassword, salt]
+        'INSERT INTO users (name, last_name, email, username, password, role) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, name, last_name, email, username, role',
+        [name, last_name, email, username, hashedPassword, 'admin']
       );
 
       this.logger.info(`Created new demo user (id: ${rows[0].id})`);
@@ -177,7 +180,7 @@ export class SeedService {
         const batteryStorage =
           batteryStorageValues[i % batteryStorageValues.length];
         const system = await client.query(
-          `INSERT INTO systems (address, city, state, zip, country, battery_storage) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, zip, country, battery_storage`,
+          `INSERT INTO systems (address, city, state, zip, country, battery_storage, timezone) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id, zip, country, battery_storage`,
           [
             faker.location.streetAddress(),
             faker.location.city(),
@@ -185,6 +188,7 @@ export class SeedService {
             zip,
             'US',
             batteryStorage,
+            faker.helpers.arrayElement(US_TIME_ZONES),
           ]
         );
         systems.push(system.rows[0]);
@@ -3,6 +3,69 @@
  * Manages AI tool configuration and whitelists
  */
 
+/**
+ * Normalize an http(s) URL for comparison: no fragment, no trailing slash
+ * @param {string} value - The URL
+ * @returns {string|null} - The normalized URL, null if it is not an http(s) URL
+ */
+function normalizeUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (_err) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return null;
+  // `https://trusted.com@evil.com` is a URL of evil.com
+  if (url.username || url.password) return null;
+  url.hash = '';
+  return url.href;
+}
+
+const DOMAIN_PATTERN = /^(\*\.)?([a-z0-9-]+\.)+[a-z0-9-]+$/i;
+
+/**
+ * Check the syntax of a whitelist entry, see matchesWhitelist
+ * @param {string} pattern - The whitelist entry
+ * @returns {boolean} - Whether the entry is a URL, a URL prefix or a domain pattern
+ */
+export function isValidWhitelistPattern(pattern) {
+  if (typeof pattern !== 'string') return false;
+  if (!pattern.includes('://')) return DOMAIN_PATTERN.test(pattern);
+  const prefix = pattern.endsWith('*') ? pattern.slice(0, -1) : pattern;
+  return !prefix.includes('*') && normalizeUrl(prefix) !== null;
+}
+
+/**
+ * Check a URL against whitelist entries:
+ * - `https://example.com/docs/page` matches this URL only
+ * - `https://example.com/docs/*` matches the URLs starting with `https://example.com/docs/`
+ * - `example.com` matches the http(s) URLs of the host, `*.example.com` of its subdomains
+ * @param {string} value - The URL requested by a tool call
+ * @param {string[]} patterns - The whitelist entries
+ * @returns {boolean} - Whether an entry matches the URL
+ */
+export function matchesWhitelist(value, patterns) {
+  const url = normalizeUrl(value);
+  if (!url) return false;
+  const { hostname } = new URL(url);
+  const withoutSlash = (href) => href.replace(/\/$/, '');
+
+  return patterns.some((pattern) => {
+    if (!isValidWhitelistPattern(pattern)) return false;
+    if (!pattern.includes('://')) {
+      const domain = pattern.toLowerCase();
+      return domain.startsWith('*.')
+        ? hostname.endsWith(domain.slice(1))
+        : hostname === domain;
+    }
+    if (pattern.endsWith('*')) {
+      return url.startsWith(normalizeUrl(pattern.slice(0, -1)));
+    }
+    return withoutSlash(url) === withoutSlash(normalizeUrl(pattern));
+  });
+}
+
 export class ToolSettingsService {
   constructor(db) {
     this.db = db;
@@ -203,30 +266,56 @@ export class ToolSettingsService {
   }
 
   /**
-   * Check if a URL is whitelisted for a user
+   * Check if a URL is whitelisted for a user, see matchesWhitelist
    * @param {string} userId - The user ID (UUID)
    * @param {string} url - The URL to check
    * @returns {Promise<boolean>} - Whether the URL is whitelisted
    */
   async isUrlWhitelisted(userId, url) {
     const result = await this.db.query(
-      `SELECT 1 FROM whitelist_urls WHERE user_id = $1 AND url = $2`,
-      [userId, url]
+      `SELECT url FROM whitelist_urls WHERE user_id = $1`,
+      [userId]
+    );
+    return matchesWhitelist(
+      url,
+      result.rows.map((row) => row.url)
     );
-    return result.rows.length > 0;
   }
 
   /**
-   * Check if a PDF is whitelisted for a user
+   * Check if a PDF is whitelisted for a user, see matchesWhitelist
    * @param {string} userId - The user ID (UUID)
    * @param {string} pdfUrl - The PDF URL to check
    * @returns {Promise<boolean>} - Whether the PDF is whitelisted
    */
   async isPdfWhitelisted(userId, pdfUrl) {
     const result = await this.db.query(
-      `SELECT 1 FROM whitelist_pdfs WHERE user_id = $1 AND pdf_url = $2`,
-      [userId, pdfUrl]
+      `SELECT pdf_url FROM whitelist_pdfs WHERE user_id = $1`,
+      [userId]
+    );
+    return matchesWhitelist(
+      pdfUrl,
+      result.rows.map((row) => row.pdf_url)
+    );
+  }
+
+  /**
+   * Record a tool call blocked by the whitelists
+   * @param {string} userId - The user ID (UUID)
+   * @param {Object} denial
+   * @param {string} denial.sessionId - The chat session ID
+   * @param {string} denial.tool - The tool name
+   * @param {string} denial.url - The requested URL, if any
+   * @param {string} denial.reason - Why the call was blocked
+   * @returns {Promise<Object>} - The recorded denial
+   */
+  async recordToolCallDenial(userId, { sessionId, tool, url, reason }) {
+    const result = await this.db.query(
+      `INSERT INTO tool_call_denials (user_id, session_id, tool, url, reason)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [userId, sessionId, tool, url, reason]
     );
-    return result.rows.length > 0;
+    return result.rows[0];
   }
 }
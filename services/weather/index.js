@@ -1,18 +1,24 @@
-import client from '../../db/sharedConnection.js';
 import { faker } from '@faker-js/faker';
 
 class WeatherService {
+  #db;
   #zip;
   #country;
 
-  constructor(zip, country) {
+  /**
+   * @param {Object} db - The shared database pool (fastify.pg)
+   * @param {string} zip - The zip code of the location
+   * @param {string} country - The country of the location
+   */
+  constructor(db, zip, country) {
+    this.#db = db;
     this.#zip = zip;
     this.#country = country;
   }
 
   async getWeather() {
     // attempt to get weather
-    const { rows } = await client.query(
+    const { rows } = await this.#db.query(
       `SELECT temperature, description, updated_at
         FROM weather
         WHERE zip = $1 AND country = $2
@@ -47,7 +53,7 @@ class WeatherService {
     });
     const descriptions = ['cloudy', 'overcast', 'clear skies'];
     const description = descriptions[descriptionIndex];
-    const { rows } = await client.query(
+    const { rows } = await this.#db.query(
       `
       INSERT INTO weather (zip, country, temperature, description) VALUES ($1, $2, $3, $4)
       ON CONFLICT (zip, country) DO UPDATE
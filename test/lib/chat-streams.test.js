@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { ChatStreams } from '../../lib/chat-streams.js';
+
+async function collect(events) {
+  const received = [];
+  for await (const event of events) received.push(event);
+  return received;
+}
+
+test('the missed events are replayed, then the live ones', async () => {
+  const streams = new ChatStreams();
+  const turn = streams.start('s-1', 'user-alice');
+  turn.append('event 1');
+  turn.append('event 2');
+  turn.append('event 3');
+
+  const resumed = streams.resume(`${turn.id}:1`);
+  assert.equal(resumed.turn, turn);
+  assert.equal(resumed.after, 1);
+  const received = collect(resumed.turn.replay(resumed.after));
+
+  await sleep(1);
+  turn.append('event 4');
+  turn.end();
+  assert.deepEqual(await received, ['event 2', 'event 3', 'event 4']);
+  // A replay of the finished turn ends with its last event
+  assert.deepEqual(await collect(turn.replay(3)), ['event 4']);
+});
+
+test('unknown and expired turns cannot be resumed', async () => {
+  const streams = new ChatStreams({ resumeWindowMs: 5 });
+  const turn = streams.start('s-1', 'user-alice');
+  turn.append('event 1');
+
+  for (const lastEventId of [
+    undefined,
+    'invalid',
+    `${turn.id}:2`,
+    '0f8fad5b-d9cb-469f-a165-70867728950e:1',
+  ]) {
+    assert.equal(streams.resume(lastEventId), null, lastEventId);
+  }
+
+  // The turn is kept while it is answered, and for the window after its end
+  await sleep(10);
+  assert.ok(streams.resume(`${turn.id}:1`));
+  turn.end();
+  assert.ok(streams.resume(`${turn.id}:1`));
+  await sleep(10);
+  assert.equal(streams.resume(`${turn.id}:1`), null);
+});
+
+test('turns without clients are cancelled, unless one reconnects', async () => {
+  const streams = new ChatStreams({ detachedTimeoutMs: 5 });
+  const turn = streams.start('s-1', 'user-alice');
+  assert.equal(streams.getActiveTurn('s-1'), turn);
+  assert.equal(streams.getActiveTurn('s-2'), undefined);
+
+  // The client reconnects within the timeout
+  const detach = streams.attach(turn);
+  detach();
+  detach();
+  const reconnected = streams.attach(turn);
+  await sleep(10);
+  assert.equal(turn.signal.aborted, false);
+
+  reconnected();
+  await sleep(10);
+  assert.equal(turn.signal.aborted, true);
+  assert.equal(turn.signal.reason.message, 'The client disconnected');
+  // The turn goes on until its cancellation is sent
+  assert.equal(streams.getActiveTurn('s-1'), turn);
+  assert.equal(turn.cancel('The answer was cancelled'), false);
+
+  turn.end();
+  assert.equal(streams.getActiveTurn('s-1'), undefined);
+});
@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { recordTurn } from '../../lib/chat-turns.js';
+import {
+  DONE_EVENT,
+  completionDeltaEvent,
+  completionEvent,
+  toolDeniedEvent,
+} from '../../services/ai/index.js';
+
+const query = {
+  id: 'call_1',
+  type: 'function',
+  function: {
+    name: 'postgres_run_query',
+    arguments: '{"query":"SELECT SUM(production) FROM metrics"}',
+  },
+};
+
+function buildMemory() {
+  const stored = [];
+  return {
+    stored,
+    chatMemory: {
+      storeMessage: async ({ sessionId, ...message }) => {
+        assert.equal(sessionId, 's-1');
+        stored.push(message);
+      },
+    },
+  };
+}
+
+const record = (events, chatMemory, logger = { error: () => {} }) =>
+  recordTurn(
+    (async function* () {
+      yield* events;
+    })(),
+    { chatMemory, sessionId: 's-1', logger }
+  );
+
+async function consume(stream) {
+  let payload = '';
+  for await (const chunk of stream) payload += chunk;
+  return payload;
+}
+
+test('the tool calls, tool results and answer of a turn are stored', async () => {
+  const { stored, chatMemory } = buildMemory();
+  const events = [
+    completionEvent({ role: 'agent', content: 'Thinking...' }),
+    completionEvent({ role: 'assistant', content: '', tool_calls: [query] }),
+    completionEvent({
+      role: 'tool',
+      tool_call_id: 'call_1',
+      content: '[{"sum":12}]',
+    }),
+    completionEvent({ role: 'assistant', content: 'You produced 12 kWh.' }),
+    DONE_EVENT,
+  ];
+
+  const payload = await consume(record(events, chatMemory));
+
+  // The events are passed through
+  assert.equal(payload, events.join(''));
+  assert.deepEqual(stored, [
+    { role: 'assistant', content: null, toolCalls: [query] },
+    { role: 'tool', toolCallId: 'call_1', content: '[{"sum":12}]' },
+    { role: 'assistant', content: 'You produced 12 kWh.', toolCalls: null },
+  ]);
+});
+
+test('assistant text streamed in deltas is stored as one message', async () => {
+  const { stored, chatMemory } = buildMemory();
+  const events = [
+    completionDeltaEvent('You produced '),
+    completionDeltaEvent('12 kWh.'),
+    completionEvent({ role: 'agent', content: 'Checking the weather...' }),
+    completionDeltaEvent('It is sunny.'),
+    DONE_EVENT,
+  ];
+
+  const payload = await consume(record(events, chatMemory));
+
+  assert.equal(payload, events.join(''));
+  assert.deepEqual(stored, [
+    { role: 'assistant', content: 'You produced 12 kWh.', toolCalls: null },
+    { role: 'assistant', content: 'It is sunny.', toolCalls: null },
+  ]);
+});
+
+test('denied and interrupted tool calls get an error result', async () => {
+  const { stored, chatMemory } = buildMemory();
+  const fetch = {
+    id: 'call_2',
+    type: 'function',
+    function: { name: 'html_to_markdown', arguments: '{"url":"http://x"}' },
+  };
+  const events = [
+    completionEvent({ role: 'assistant', tool_calls: [query, fetch] }),
+    toolDeniedEvent(fetch, 'http://x is not whitelisted for html_to_markdown'),
+    DONE_EVENT,
+  ];
+
+  await consume(record(events, chatMemory));
+
+  assert.deepEqual(stored.slice(1), [
+    {
+      role: 'tool',
+      toolCallId: 'call_1',
+      content: 'Error: the tool call did not complete',
+    },
+    {
+      role: 'tool',
+      toolCallId: 'call_2',
+      content: 'Error: http://x is not whitelisted for html_to_markdown',
+    },
+  ]);
+});
+
+test('errors of the answer are stored', async () => {
+  const { stored, chatMemory } = buildMemory();
+
+  await consume(
+    record(
+      [
+        `event: error\ndata: ${JSON.stringify({ message: 'Rate limited' })}\n\n`,
+        DONE_EVENT,
+      ],
+      chatMemory
+    )
+  );
+  assert.deepEqual(stored, [{ role: 'error', content: 'Rate limited' }]);
+
+  // The stream of the provider fails after a tool call
+  stored.length = 0;
+  const failing = (async function* () {
+    yield completionEvent({ role: 'assistant', tool_calls: [query] });
+    throw new Error('Connection reset');
+  })();
+  await assert.rejects(
+    consume(recordTurn(failing, { chatMemory, sessionId: 's-1' })),
+    /Connection reset/
+  );
+  assert.deepEqual(
+    stored.map(({ role, content }) => [role, content]),
+    [
+      ['assistant', null],
+      ['tool', 'Error: the tool call did not complete'],
+      ['error', 'Connection reset'],
+    ]
+  );
+});
+
+test('the answer goes on when it cannot be stored', async () => {
+  const errors = [];
+  const chatMemory = {
+    storeMessage: async () => {
+      throw new Error('Database unavailable');
+    },
+  };
+  const events = [
+    completionEvent({ role: 'assistant', content: 'Hi' }),
+    DONE_EVENT,
+  ];
+
+  const payload = await consume(
+    record(events, chatMemory, { error: (...args) => errors.push(args) })
+  );
+  assert.equal(payload, events.join(''));
+  assert.equal(errors.length, 1);
+});
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import {
+  buildContextWindow,
+  estimateMessageTokens,
+  estimateTokens,
+} from '../../lib/context-window.js';
+
+// 100 tokens of content, 104 with the message overhead
+const turn = (id, role = 'user') => ({ id, role, content: 'x'.repeat(400) });
+
+test('estimateTokens counts four characters per token', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens(undefined), 0);
+  assert.equal(estimateTokens('abcde'), 2);
+  assert.equal(estimateMessageTokens({ role: 'user', content: 'abcd' }), 5);
+});
+
+test('the most recent messages are kept within the budget', () => {
+  const history = ['m1', 'm2', 'm3', 'm4', 'm5'].map((id, i) =>
+    turn(id, i % 2 ? 'assistant' : 'user')
+  );
+
+  const context = buildContextWindow({
+    system: 'System',
+    history,
+    question: 'Question?',
+    maxTokens: 400,
+  });
+
+  // System (6) and question (7) leave room for three messages of 104 tokens
+  assert.equal(context.tokens, 6 + 7 + 3 * 104);
+  assert.deepEqual(
+    context.dropped.map(({ id }) => id),
+    ['m1', 'm2']
+  );
+  assert.deepEqual(
+    context.messages.map(({ role }) => role),
+    ['system', 'user', 'assistant', 'user', 'user']
+  );
+  assert.deepEqual(context.messages.at(-1), {
+    role: 'user',
+    content: 'Question?',
+  });
+  // The IDs stay out of the request
+  assert.ok(context.messages.every((message) => !('id' in message)));
+});
+
+test('the question is kept even when it exceeds the budget', () => {
+  const question = 'y'.repeat(4000);
+
+  const context = buildContextWindow({
+    system: 'System',
+    summary: 'The customer asked for their January production.',
+    history: [turn('m1')],
+    question,
+    maxTokens: 100,
+  });
+
+  assert.deepEqual(context.messages, [
+    {
+      role: 'system',
+      content:
+        'System\n\n## Summary of the Earlier Conversation\nThe customer asked for their January production.',
+    },
+    { role: 'user', content: question },
+  ]);
+  assert.deepEqual(
+    context.dropped.map(({ id }) => id),
+    ['m1']
+  );
+});
+
+test('oversized messages are truncated instead of dropped', () => {
+  const chart = {
+    id: 'm2',
+    role: 'assistant',
+    content: `![chart](https://store/chart.png?${'a'.repeat(20000)})`,
+  };
+
+  const context = buildContextWindow({
+    system: 'System',
+    history: [turn('m1'), chart],
+    question: 'And February?',
+    maxTokens: 2000,
+  });
+
+  assert.deepEqual(context.truncated, ['m2']);
+  assert.deepEqual(context.dropped, []);
+  const [, , truncated] = context.messages;
+  assert.equal(truncated.content.length, 2000 + 32);
+  assert.match(truncated.content, /\[… 18034 characters truncated\]$/);
+  assert.ok(context.tokens <= 2000);
+});
+
+test('tool results are not sent without their tool call', async () => {
+  const call = {
+    id: 'call_1',
+    type: 'function',
+    // About 175 tokens
+    function: {
+      name: 'postgres_run_query',
+      arguments: JSON.stringify({ query: 'x'.repeat(600) }),
+    },
+  };
+  const history = [
+    { id: 'm1', role: 'user', content: 'How much did I produce?' },
+    { id: 'm2', role: 'assistant', content: null, tool_calls: [call] },
+    turn('m3', 'tool'),
+    { id: 'm4', role: 'assistant', content: 'You produced 12 kWh.' },
+  ];
+  const tool = { ...history[2], tool_call_id: 'call_1' };
+  history[2] = tool;
+
+  // Room for the whole turn
+  let context = buildContextWindow({
+    system: 'System',
+    history,
+    question: 'And in February?',
+    maxTokens: 400,
+  });
+  assert.deepEqual(context.messages.slice(2, 4), [
+    { role: 'assistant', content: null, tool_calls: [call] },
+    { role: 'tool', content: tool.content, tool_call_id: 'call_1' },
+  ]);
+  assert.deepEqual(context.dropped, []);
+
+  // Room for the tool result, not for its call
+  context = buildContextWindow({
+    system: 'System',
+    history,
+    question: 'And in February?',
+    maxTokens: 250,
+  });
+  assert.deepEqual(
+    context.messages.map(({ role }) => role),
+    ['system', 'assistant', 'user']
+  );
+  assert.deepEqual(
+    context.dropped.map(({ id }) => id),
+    ['m1', 'm2', 'm3']
+  );
+  assert.deepEqual(context.truncated, []);
+  assert.equal(
+    context.tokens,
+    estimateMessageTokens(context.messages[0]) +
+      estimateMessageTokens(context.messages[1]) +
+      estimateMessageTokens(context.messages[2])
+  );
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { MiaSsePassThroughStream } from '../../lib/mia-utils.js';
+
+const query = {
+  id: 'call_1',
+  type: 'function',
+  function: { name: 'postgres_run_query', arguments: '{"query":"SELECT 1"}' },
+};
+const event = (message) =>
+  `data: ${JSON.stringify({ choices: [{ message }] })}\n\n`;
+
+// Answer of the Heroku agents endpoint, with a heartbeat, a tool left out and a
+// denied tool call
+const UPSTREAM =
+  'event: tool-unavailable\ndata: {"names":["postgres_run_query"],"reason":"Off"}\n\n' +
+  event({ role: 'assistant', content: '', tool_calls: [query] }) +
+  'event: heartbeat\ndata: heartbeat\n\n' +
+  event({ role: 'tool', tool_call_id: 'call_1', content: '[{"sum":12}]' }) +
+  event({ role: 'assistant', content: 'Vous avez produit 12 kWh ☀️' }) +
+  'event: tool-denied\ndata: {"tool_call_id":"call_2","reason":"Denied"}\n\n' +
+  'event: error\ndata: {"message":"Rate limited"}\n\n' +
+  'data: [DONE]\n\n';
+
+const sessionId = 's-1';
+const output = (data, type = 'message') =>
+  `event: ${type}\ndata: ${JSON.stringify({ ...data, sessionId })}\n\n`;
+const EXPECTED =
+  output({ names: ['postgres_run_query'], reason: 'Off' }, 'tool-unavailable') +
+  output({ role: 'assistant', tool_calls: [query] }) +
+  output({ role: 'tool', content: '[{"sum":12}]', tool_call_id: 'call_1' }) +
+  output({ role: 'assistant', content: 'Vous avez produit 12 kWh ☀️' }) +
+  output({ tool_call_id: 'call_2', reason: 'Denied' }, 'tool-denied') +
+  output({ role: 'error', content: 'Rate limited' }) +
+  output({}, 'done') +
+  'event: done\ndata: {}\n\n';
+
+async function pipe(chunks) {
+  const stream = Readable.from(chunks, { objectMode: true }).pipe(
+    new MiaSsePassThroughStream({ objectMode: true }, sessionId, false)
+  );
+  let payload = '';
+  for await (const chunk of stream) payload += chunk;
+  return payload;
+}
+
+test('the chat stream is the same wherever the upstream is split', async () => {
+  const bytes = new TextEncoder().encode(UPSTREAM);
+
+  assert.equal(await pipe([UPSTREAM]), EXPECTED);
+  for (let offset = 1; offset < bytes.length; offset++) {
+    const chunks = [bytes.subarray(0, offset), bytes.subarray(offset)];
+    assert.equal(await pipe(chunks), EXPECTED, `Split at ${offset}`);
+  }
+  // Several events in each chunk, and chunks of 7 bytes
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += 7) {
+    chunks.push(bytes.subarray(i, i + 7));
+  }
+  assert.equal(await pipe(chunks), EXPECTED);
+});
+
+test('invalid upstream data is reported in the stream', async () => {
+  assert.equal(
+    await pipe(['data: {"choices":\n\n', 'data: [DONE]\n\n']),
+    output({
+      role: 'error',
+      content: 'Error parsing server response: Unexpected end of JSON input',
+    }) +
+      output({}, 'done') +
+      'event: done\ndata: {}\n\n'
+  );
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import crypto from 'node:crypto';
+import {
+  hashPassword,
+  verifyPassword,
+  verifyDummyPassword,
+} from '../../lib/passwords.js';
+
+test('hashPassword stores the algorithm, parameters and salt', async () => {
+  const hash = await hashPassword('correct horse');
+  assert.match(
+    hash,
+    /^\$scrypt\$N=16384,r=8,p=5\$[0-9a-f]{32}\$[0-9a-f]{128}$/
+  );
+  assert.notEqual(await hashPassword('correct horse'), hash);
+});
+
+test('verifyPassword checks the password', async () => {
+  const hash = await hashPassword('correct horse');
+  assert.deepEqual(await verifyPassword('correct horse', hash), {
+    valid: true,
+    needsRehash: false,
+  });
+  assert.equal((await verifyPassword('wrong horse', hash)).valid, false);
+});
+
+test('verifyPassword accepts legacy PBKDF2 hashes and flags them', async () => {
+  // Hashes as created before the migration, converted by 012.do.encode-password-hashes.sql
+  const salt = crypto.randomBytes(16).toString('hex');
+  const legacy = crypto
+    .pbkdf2Sync('demo', salt, 1000, 64, 'sha512')
+    .toString('hex');
+  const encoded = `$pbkdf2-sha512$i=1000$${Buffer.from(salt).toString('hex')}$${legacy}`;
+
+  assert.deepEqual(await verifyPassword('demo', encoded), {
+    valid: true,
+    needsRehash: true,
+  });
+  assert.equal((await verifyPassword('nope', encoded)).valid, false);
+});
+
+test('verifyPassword flags outdated parameters', async () => {
+  const hash = (await hashPassword('demo')).replace('p=5', 'p=1');
+  assert.equal((await verifyPassword('demo', hash)).needsRehash, true);
+});
+
+test('verifyPassword rejects unknown formats', async () => {
+  await assert.rejects(verifyPassword('demo', 'plaintext'));
+  await assert.rejects(verifyPassword('demo', '$md5$$00$00'));
+});
+
+test('verifyDummyPassword resolves', async () => {
+  await verifyDummyPassword('demo');
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import {
+  PROMPTS,
+  findUnknownVariables,
+  loadDefaultPrompt,
+  renderPrompt,
+} from '../../lib/prompts.js';
+
+test('the bundled prompts only reference their variables', () => {
+  for (const name of Object.keys(PROMPTS)) {
+    const template = loadDefaultPrompt(name);
+    assert.ok(template.length > 0, name);
+    assert.deepEqual(findUnknownVariables(name, template), [], name);
+  }
+  assert.match(loadDefaultPrompt('luminaire-agent'), /\{\{databaseSchema\}\}/);
+  assert.throws(() => loadDefaultPrompt('../package'), /Unknown prompt/);
+});
+
+test('findUnknownVariables lists each unknown variable once', () => {
+  assert.deepEqual(
+    findUnknownVariables(
+      'luminaire-agent',
+      '{{systemId}} {{ userId }} {{userId}} {{password}}'
+    ),
+    ['userId', 'password']
+  );
+  assert.deepEqual(findUnknownVariables('forecast-analysis', '{{systemId}}'), [
+    'systemId',
+  ]);
+});
+
+test('renderPrompt replaces the given variables only', () => {
+  assert.equal(
+    renderPrompt('System {{systemId}}, {{ systemId }}: {{other}} {not}', {
+      systemId: 'system-1',
+    }),
+    'System system-1, system-1: {{other}} {not}'
+  );
+  // Values are inserted as they are, without expanding them again
+  assert.equal(
+    renderPrompt('{{systemId}} {{databaseSchema}}', {
+      systemId: '{{databaseSchema}} $&',
+      databaseSchema: '{}',
+    }),
+    '{{databaseSchema}} $& {}'
+  );
+});
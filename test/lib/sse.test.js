@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { ServerSentEventDecoder, readServerSentEvents } from '../../lib/sse.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * Decode a stream made of the given chunks
+ */
+function decodeChunks(chunks) {
+  const decoder = new ServerSentEventDecoder();
+  return [
+    ...chunks.flatMap((chunk) => decoder.decode(chunk)),
+    ...decoder.end(),
+  ];
+}
+
+/**
+ * Every split of the bytes in two chunks, and the bytes one by one
+ */
+function* splits(bytes) {
+  for (let offset = 0; offset <= bytes.length; offset++) {
+    yield [bytes.subarray(0, offset), bytes.subarray(offset)];
+  }
+  yield Array.from(bytes, (_, i) => bytes.subarray(i, i + 1));
+}
+
+// Chat completion events of an answer, with the line endings, comments and
+// non-ASCII characters of the upstream servers
+const FIXTURE =
+  '\uFEFF: connected\r\n' +
+  'retry: 3000\r\n\r\n' +
+  `id: 1\ndata: ${JSON.stringify({ choices: [{ message: { role: 'assistant', content: 'Température: 25 °C ☀️' } }] })}\n\n` +
+  'event: heartbeat\rdata:heartbeat\r\r' +
+  'id: 2\r\nevent: tool-denied\r\ndata: {"tool_call_id":"call_1",\r\ndata: "reason":"Not whitelisted"}\r\n\r\n' +
+  ':keep-alive\n\n' +
+  'data\ndata:  two spaces\n\n' +
+  'data: [DONE]\n\n';
+
+const EXPECTED = [
+  {
+    event: 'message',
+    data: JSON.stringify({
+      choices: [
+        {
+          message: { role: 'assistant', content: 'Température: 25 °C ☀️' },
+        },
+      ],
+    }),
+    id: '1',
+    retry: 3000,
+  },
+  { event: 'heartbeat', data: 'heartbeat', id: '1', retry: 3000 },
+  {
+    event: 'tool-denied',
+    data: '{"tool_call_id":"call_1",\n"reason":"Not whitelisted"}',
+    id: '2',
+    retry: 3000,
+  },
+  { event: 'message', data: '\n two spaces', id: '2', retry: 3000 },
+  { event: 'message', data: '[DONE]', id: '2', retry: 3000 },
+];
+
+test('the events are decoded as in the specification', () => {
+  assert.deepEqual(decodeChunks([FIXTURE]), EXPECTED);
+  assert.deepEqual(decodeChunks([encoder.encode(FIXTURE)]), EXPECTED);
+});
+
+test('the events are decoded wherever the stream is split', () => {
+  const bytes = encoder.encode(FIXTURE);
+  let count = 0;
+  for (const chunks of splits(bytes)) {
+    assert.deepEqual(
+      decodeChunks(chunks),
+      EXPECTED,
+      `Split in ${chunks.map((chunk) => chunk.length)}`
+    );
+    count++;
+  }
+  assert.equal(count, bytes.length + 2);
+
+  // Strings split between the CR and LF of a line ending
+  assert.deepEqual(decodeChunks(['data: a\r', '\n\r', '\ndata: b\r', '\r']), [
+    { event: 'message', data: 'a', id: '', retry: null },
+    { event: 'message', data: 'b', id: '', retry: null },
+  ]);
+});
+
+test('invalid fields are ignored', () => {
+  assert.deepEqual(
+    decodeChunks([
+      'id: 7\nretry: soon\nunknown: field\ndata: a\n\n',
+      // IDs with NULL are ignored, empty ones reset the last event ID
+      'id: 8\0\ndata: b\n\n',
+      'id\ndata: c\n\n',
+      // Events without data are not dispatched, their type is reset
+      'event: update\n\ndata: d\n\n',
+    ]),
+    [
+      { event: 'message', data: 'a', id: '7', retry: null },
+      { event: 'message', data: 'b', id: '7', retry: null },
+      { event: 'message', data: 'c', id: '', retry: null },
+      { event: 'message', data: 'd', id: '', retry: null },
+    ]
+  );
+});
+
+test('the incomplete event at the end of the stream is discarded', () => {
+  const decoder = new ServerSentEventDecoder();
+  assert.deepEqual(decoder.decode('data: complete\n\nid: 3\ndata: cut'), [
+    { event: 'message', data: 'complete', id: '', retry: null },
+  ]);
+  assert.deepEqual(decoder.end(), []);
+  // The ID of a dispatched event only
+  assert.equal(decoder.lastEventId, '');
+});
+
+test('readServerSentEvents parses the JSON data', async () => {
+  const body = (async function* () {
+    yield encoder.encode('event: error\ndata: {"message":');
+    yield encoder.encode('"Rate limited"}\n\ndata: [DONE]\n\n');
+  })();
+
+  const events = [];
+  for await (const event of readServerSentEvents(body)) events.push(event);
+  assert.deepEqual(events, [
+    { event: 'error', data: { message: 'Rate limited' }, id: '', retry: null },
+    { event: 'message', data: '[DONE]', id: '', retry: null },
+  ]);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import {
+  getTimeZoneOffset,
+  getZonedDayRange,
+  getZonedMonthRange,
+  isValidTimeZone,
+  parseZonedBound,
+  toUtcTimestamp,
+  zonedTimeToUtc,
+} from '../../lib/timezone.js';
+
+const LA = 'America/Los_Angeles';
+const HOUR = 60 * 60 * 1000;
+
+test('isValidTimeZone accepts IANA names only', () => {
+  assert.equal(isValidTimeZone('America/Los_Angeles'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(undefined), false);
+});
+
+test('getTimeZoneOffset follows daylight saving time', () => {
+  assert.equal(
+    getTimeZoneOffset(new Date('2025-01-15T12:00:00Z'), LA),
+    -8 * HOUR
+  );
+  assert.equal(
+    getTimeZoneOffset(new Date('2025-07-15T12:00:00Z'), LA),
+    -7 * HOUR
+  );
+});
+
+test('a California day starts at local midnight, not UTC midnight', () => {
+  const { start, end } = getZonedDayRange('2025-06-10', LA);
+  assert.equal(start.toISOString(), '2025-06-10T07:00:00.000Z');
+  assert.equal(end.toISOString(), '2025-06-11T07:00:00.000Z');
+});
+
+test('5pm in California is still the same local day', () => {
+  // 2025-06-11T00:30Z is 5:30pm on June 10th in Los Angeles
+  const { start } = getZonedDayRange(new Date('2025-06-11T00:30:00Z'), LA);
+  assert.equal(start.toISOString(), '2025-06-10T07:00:00.000Z');
+});
+
+test('the spring-forward day is 23 hours long', () => {
+  const { start, end } = getZonedDayRange('2025-03-09', LA);
+  assert.equal(start.toISOString(), '2025-03-09T08:00:00.000Z');
+  assert.equal(end - start, 23 * HOUR);
+});
+
+test('the fall-back day is 25 hours long', () => {
+  const { start, end } = getZonedDayRange('2025-11-02', LA);
+  assert.equal(start.toISOString(), '2025-11-02T07:00:00.000Z');
+  assert.equal(end - start, 25 * HOUR);
+});
+
+test('rolling windows span whole local days across DST', () => {
+  const { start, end } = getZonedDayRange('2025-03-12', LA, 7);
+  assert.equal(start.toISOString(), '2025-03-06T08:00:00.000Z');
+  assert.equal(end.toISOString(), '2025-03-13T07:00:00.000Z');
+  assert.equal(end - start, 7 * 24 * HOUR - HOUR);
+});
+
+test('rolling windows roll over month boundaries', () => {
+  const { start } = getZonedDayRange('2025-03-05', LA, 30);
+  assert.equal(start.toISOString(), '2025-02-04T08:00:00.000Z');
+});
+
+test('getZonedMonthRange covers the local calendar month', () => {
+  const { start, end } = getZonedMonthRange('2025-12-15', LA);
+  assert.equal(start.toISOString(), '2025-12-01T08:00:00.000Z');
+  assert.equal(end.toISOString(), '2026-01-01T08:00:00.000Z');
+});
+
+test('wall times in a DST gap resolve after the gap', () => {
+  const date = zonedTimeToUtc(
+    { year: 2025, month: 3, day: 9, hour: 2, minute: 30 },
+    LA
+  );
+  assert.equal(date.toISOString(), '2025-03-09T10:30:00.000Z');
+});
+
+test('parseZonedBound reads dates as local midnight and keeps instants', () => {
+  assert.equal(
+    parseZonedBound('2025-01-01', LA).toISOString(),
+    '2025-01-01T08:00:00.000Z'
+  );
+  assert.equal(
+    parseZonedBound('2025-01-01T00:00:00Z', LA).toISOString(),
+    '2025-01-01T00:00:00.000Z'
+  );
+});
+
+test('toUtcTimestamp drops the zone designator', () => {
+  assert.equal(
+    toUtcTimestamp(new Date('2025-03-09T08:00:00Z')),
+    '2025-03-09T08:00:00.000'
+  );
+});
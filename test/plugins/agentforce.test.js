@@ -0,0 +1,427 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { createServer } from 'node:http';
+import fp from 'fastify-plugin';
+import { buildRouteApp, signToken } from '../helper.js';
+import agentforcePlugin from '../../plugins/agentforce.js';
+import chatRoutes from '../../routes/chat.js';
+
+const AGENT_ID = 'agent-1';
+
+/**
+ * Local stand-in for the Salesforce OAuth endpoint and the Agent API
+ */
+async function startAgentApi(t) {
+  const state = {
+    tokens: 0,
+    accessToken: null,
+    // Agent API sessions by ID
+    sessions: new Map(),
+    messages: [],
+    forecastReply: '',
+    // Stream the answers in TEXT_CHUNK events of this size, when set
+    chunkSize: 0,
+    // Called instead of answering the session requests, when set
+    onSessionRequest: null,
+  };
+
+  const readBody = async (req) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    return body;
+  };
+  const json = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = createServer(async (req, res) => {
+    const body = await readBody(req);
+
+    if (req.url === '/services/oauth2/token') {
+      const params = new URLSearchParams(body);
+      if (params.get('client_secret') !== 'secret') {
+        return json(res, 400, { error: 'invalid_client' });
+      }
+      state.accessToken = `token-${++state.tokens}`;
+      return json(res, 200, { access_token: state.accessToken });
+    }
+
+    if (req.headers.authorization !== `Bearer ${state.accessToken}`) {
+      return json(res, 401, [{ errorCode: 'INVALID_SESSION_ID' }]);
+    }
+
+    if (req.url === `/einstein/ai-agent/v1/agents/${AGENT_ID}/sessions`) {
+      if (state.onSessionRequest) return state.onSessionRequest(req);
+      const { externalSessionKey } = JSON.parse(body);
+      const id = `agent-session-${state.sessions.size + 1}`;
+      state.sessions.set(id, { externalSessionKey, ended: false });
+      return json(res, 200, { sessionId: id, messages: [] });
+    }
+
+    const match = req.url.match(
+      /^\/einstein\/ai-agent\/v1\/sessions\/([^/]+)(\/messages(\/stream)?)?$/
+    );
+    const session = match && state.sessions.get(match[1]);
+    if (!session || session.ended) {
+      return json(res, 404, { message: 'Session not found' });
+    }
+
+    if (req.method === 'DELETE') {
+      session.ended = true;
+      res.writeHead(204);
+      return res.end();
+    }
+
+    const { message } = JSON.parse(body);
+    state.messages.push({ sessionId: match[1], ...message });
+
+    if (!match[3]) {
+      return json(res, 200, {
+        messages: [{ type: 'Inform', message: state.forecastReply }],
+      });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const answer = `You asked: ${message.text}`;
+    const inform = JSON.stringify({
+      message: { type: 'Inform', message: answer },
+    });
+    res.write(
+      `event: PROGRESS_INDICATOR\ndata: ${JSON.stringify({
+        message: { type: 'ProgressIndicator', message: 'Thinking...' },
+      })}\n\n`
+    );
+    for (
+      let i = 0;
+      state.chunkSize && i < answer.length;
+      i += state.chunkSize
+    ) {
+      res.write(
+        `event: TEXT_CHUNK\ndata: ${JSON.stringify({
+          message: {
+            type: 'TextChunk',
+            message: answer.slice(i, i + state.chunkSize),
+          },
+        })}\n\n`
+      );
+    }
+    // Events can be split across chunks
+    res.write(`event: INFORM\ndata: ${inform.slice(0, 20)}`);
+    res.write(`${inform.slice(20)}\n\n`);
+    res.end(`event: END_OF_TURN\ndata: {}\n\n`);
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return { state, url };
+}
+
+async function build(t, { db = {} } = {}) {
+  const { state, url } = await startAgentApi(t);
+  // In-memory stand-in for the chat memory
+  const memory = [];
+  const chatMemory = {
+    storeMessage: async (message) => memory.push(message),
+    getConversation: async (sessionId) => {
+      const first = memory.find((m) => m.sessionId === sessionId);
+      return first && { id: sessionId, userId: first.userId };
+    },
+    getSessionMessages: async (sessionId) => {
+      const messages = memory.filter((m) => m.sessionId === sessionId);
+      return {
+        messages,
+        total: messages.length,
+        hasOlder: false,
+        hasNewer: false,
+      };
+    },
+    deleteSessionMessages: async (sessionId) => {
+      const count = memory.filter((m) => m.sessionId === sessionId).length;
+      memory.splice(
+        0,
+        memory.length,
+        ...memory.filter((m) => m.sessionId !== sessionId)
+      );
+      return count;
+    },
+  };
+
+  const app = await buildRouteApp(t, {
+    routes: chatRoutes,
+    ai: null,
+    db,
+    plugins: [
+      fp(async (fastify) => {
+        fastify.decorate('chatMemory', chatMemory);
+        await fastify.register(agentforcePlugin, {
+          myDomainUrl: url,
+          clientId: 'client',
+          clientSecret: 'secret',
+          agentId: AGENT_ID,
+          apiUrl: url,
+        });
+      }),
+    ],
+  });
+  const headers = {
+    authorization: `Bearer ${signToken(app, { id: 'user-alice', username: 'alice' })}`,
+  };
+  const chat = (body) =>
+    app.inject({ method: 'POST', url: '/api/chat', headers, body });
+
+  return { app, state, memory, headers, chat };
+}
+
+/**
+ * Parse the SSE payload of /api/chat
+ */
+function parseEvents(payload) {
+  return payload
+    .split('\n\n')
+    .filter(Boolean)
+    .map((block) => {
+      const [, event] = block.match(/^event: (.*)$/m);
+      const [, data] = block.match(/^data: (.*)$/m);
+      return { event, data: JSON.parse(data) };
+    });
+}
+
+test('POST /api/chat streams the answer of the agent', async (t) => {
+  const { state, memory, chat } = await build(t);
+
+  const res = await chat({ question: 'How much did I produce?' });
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers['content-type'], /text\/event-stream/);
+
+  const events = parseEvents(res.payload);
+  const sessionId = events[0].data.sessionId;
+  assert.deepEqual(
+    events.slice(1).map(({ event, data }) => [event, data.role, data.content]),
+    [
+      ['message', 'agent', 'Thinking...'],
+      ['message', 'assistant', 'You asked: How much did I produce?'],
+      ['done', undefined, undefined],
+      ['done', undefined, undefined],
+    ]
+  );
+  assert.equal(state.tokens, 1);
+  assert.deepEqual(state.sessions.get('agent-session-1'), {
+    externalSessionKey: sessionId,
+    ended: false,
+  });
+  assert.deepEqual(
+    memory.map(({ role, content }) => [role, content]),
+    [
+      ['user', 'How much did I produce?'],
+      ['assistant', 'You asked: How much did I produce?'],
+    ]
+  );
+});
+
+test('POST /api/chat streams the text chunks of the agent', async (t) => {
+  const { state, memory, chat } = await build(t);
+  state.chunkSize = 10;
+
+  const res = await chat({ question: 'How much did I produce?' });
+  const events = parseEvents(res.payload);
+  assert.deepEqual(
+    events
+      .filter(({ data }) => data.role === 'assistant')
+      .map(({ data }) => [data.content, data.delta]),
+    [
+      ['You asked:', true],
+      [' How much ', true],
+      ['did I prod', true],
+      ['uce?', true],
+    ]
+  );
+  // The INFORM event repeating the text is not forwarded
+  assert.equal(events.at(-1).event, 'done');
+  assert.deepEqual(
+    memory.map(({ role, content }) => [role, content]),
+    [
+      ['user', 'How much did I produce?'],
+      ['assistant', 'You asked: How much did I produce?'],
+    ]
+  );
+});
+
+test('POST /api/chat continues the agent session', async (t) => {
+  const { state, chat } = await build(t);
+
+  await chat({ question: 'First', sessionId: 'chat-1' });
+  await chat({ question: 'Second', sessionId: 'chat-1' });
+  await chat({ question: 'Other', sessionId: 'chat-2' });
+
+  assert.deepEqual(
+    state.messages.map(({ sessionId, sequenceId, text }) => [
+      sessionId,
+      sequenceId,
+      text,
+    ]),
+    [
+      ['agent-session-1', 1, 'First'],
+      ['agent-session-1', 2, 'Second'],
+      ['agent-session-2', 1, 'Other'],
+    ]
+  );
+});
+
+test('POST /api/chat recovers from expired tokens and sessions', async (t) => {
+  const { state, chat } = await build(t);
+  await chat({ question: 'First', sessionId: 'chat-1' });
+
+  // Salesforce revokes the access token and ends the session
+  state.accessToken = 'revoked';
+  state.sessions.get('agent-session-1').ended = true;
+
+  const res = await chat({ question: 'Second', sessionId: 'chat-1' });
+  assert.equal(res.statusCode, 200);
+  assert.match(res.payload, /You asked: Second/);
+  assert.equal(state.tokens, 2);
+  assert.deepEqual(state.messages.at(-1), {
+    sessionId: 'agent-session-2',
+    sequenceId: 1,
+    type: 'Text',
+    text: 'Second',
+  });
+});
+
+test('POST /api/chat ends the agent sessions idle for too long', async (t) => {
+  const { app, state, chat } = await build(t);
+  await chat({ question: 'First', sessionId: 'chat-1' });
+
+  t.mock.timers.enable({
+    apis: ['Date'],
+    now: Date.now() + 3 * 60 * 60 * 1000,
+  });
+  // The token signed before has expired by then
+  const headers = {
+    authorization: `Bearer ${signToken(app, { id: 'user-alice', username: 'alice' })}`,
+  };
+  const later = (body) =>
+    app.inject({ method: 'POST', url: '/api/chat', headers, body });
+
+  await later({ question: 'Other', sessionId: 'chat-2' });
+  assert.equal(state.sessions.get('agent-session-1').ended, true);
+  assert.equal(state.sessions.get('agent-session-2').ended, false);
+
+  // The chat continues in a new agent session
+  await later({ question: 'Second', sessionId: 'chat-1' });
+  assert.equal(state.messages.at(-1).sessionId, 'agent-session-3');
+});
+
+test('POST /api/chat records an answer cancelled while the session starts', async (t) => {
+  const { app, state, memory, headers, chat } = await build(t);
+  // The session request waits until the client aborts it
+  const aborted = new Promise((resolve) => {
+    state.onSessionRequest = (req) => {
+      state.sessionRequested();
+      req.socket.once('close', resolve);
+    };
+  });
+  const requested = new Promise(
+    (resolve) => (state.sessionRequested = resolve)
+  );
+  const answer = chat({ question: 'First', sessionId: 'chat-1' });
+  await requested;
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/api/chat/chat-1/cancel',
+    headers,
+  });
+  assert.deepEqual(res.json(), { sessionId: 'chat-1', cancelled: true });
+  await aborted;
+  assert.match(
+    (await answer).payload,
+    /\nevent: cancelled\ndata: {"reason":"The answer was cancelled","sessionId":"chat-1"}\n\n$/
+  );
+  assert.deepEqual(
+    memory.map(({ role, content }) => [role, content]),
+    [
+      ['user', 'First'],
+      ['cancelled', 'The answer was cancelled'],
+    ]
+  );
+  assert.equal(state.sessions.size, 0);
+});
+
+test('DELETE /api/chat/history ends the agent session', async (t) => {
+  const { app, state, headers, chat } = await build(t);
+  await chat({ question: 'First', sessionId: 'chat-1' });
+
+  const history = await app.inject({
+    url: '/api/chat/history?sessionId=chat-1',
+    headers,
+  });
+  assert.equal(history.statusCode, 200);
+  assert.equal(history.json().messages.length, 2);
+
+  const res = await app.inject({
+    method: 'DELETE',
+    url: '/api/chat/history',
+    headers,
+    body: { sessionId: 'chat-1' },
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json().deleted, 2);
+  assert.equal(state.sessions.get('agent-session-1').ended, true);
+
+  // The next question starts a new conversation
+  await chat({ question: 'Again', sessionId: 'chat-1' });
+  assert.equal(state.messages.at(-1).sessionId, 'agent-session-2');
+});
+
+test('generateForecastAnalysis asks the agent in a dedicated session', async (t) => {
+  const { app, state } = await build(t);
+  const forecast = [{ irradiation: 1 }, { irradiation: 2 }];
+
+  state.forecastReply =
+    '```json\n{"efficiency":"Fair","analysis":"From the agent.","averageIrradiation":1.5}\n```';
+  const analysis = await app.ai.generateForecastAnalysis(forecast, 'system-1');
+  assert.deepEqual(analysis, {
+    efficiency: 'Fair',
+    analysis: 'From the agent.',
+    averageIrradiation: 1.5,
+  });
+  assert.match(state.messages[0].text, /Energy Forecast Analysis/);
+  assert.match(state.messages[0].text, /"systemId":"system-1"/);
+
+  // Invalid answers fall back to the direct calculation
+  state.forecastReply = 'The forecast looks fine';
+  assert.deepEqual(await app.ai.generateForecastAnalysis(forecast), {
+    efficiency: 'Very Low',
+    analysis:
+      "The system's energy savings will be significantly impacted due to low irradiation levels.",
+    averageIrradiation: 1.5,
+  });
+});
+
+test('generateForecastAnalysis sends the active prompt version', async (t) => {
+  let active = {
+    name: 'forecast-analysis',
+    version: 2,
+    template: 'Rate the week from the edited prompt.',
+  };
+  const { app, state } = await build(t, {
+    db: { prompts: { getActivePrompt: async () => active } },
+  });
+  const forecast = [{ irradiation: 4 }];
+  state.forecastReply =
+    '{"efficiency":"Excellent","analysis":"Sunny.","averageIrradiation":4}';
+
+  await app.ai.generateForecastAnalysis(forecast, 'system-1');
+  assert.match(
+    state.messages[0].text,
+    /^Rate the week from the edited prompt\.\n\n\{"forecastData"/
+  );
+
+  // Rolled back to the bundled template
+  active = undefined;
+  await app.ai.generateForecastAnalysis(forecast, 'system-1');
+  assert.match(state.messages[1].text, /Energy Forecast Analysis/);
+});
@@ -0,0 +1,594 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { randomUUID } from 'node:crypto';
+import fp from 'fastify-plugin';
+import { buildRouteApp, signToken } from '../helper.js';
+import chatMemoryPlugin from '../../plugins/chat-memory.js';
+import miaPlugin from '../../plugins/mia.js';
+import chatRoutes from '../../routes/chat.js';
+import { ScriptedProvider, completionEvent } from '../../services/ai/index.js';
+
+const alice = { id: 'user-alice', username: 'alice' };
+const bob = { id: 'user-bob', username: 'bob' };
+
+const offline = async () => {
+  throw new Error('Database unavailable');
+};
+
+// In-memory stand-in of ConversationRepository
+function buildConversations() {
+  const conversations = new Map();
+  const messages = [];
+  const of = (id) => messages.filter((m) => m.session_id === id);
+
+  return {
+    conversations,
+    messages,
+    getConversation: async (id) => conversations.get(id),
+    getUserConversations: async (userId, { limit }) =>
+      [...conversations.values()]
+        .filter((c) => c.userId === userId)
+        .reverse()
+        .slice(0, limit)
+        .map((c) => ({ ...c, messageCount: of(c.id).length })),
+    addMessage: async (
+      id,
+      { userId, role, content, toolCalls, toolCallId, promptVersion }
+    ) => {
+      const conversation = conversations.get(id);
+      if (conversation ? userId && conversation.userId !== userId : !userId) {
+        return undefined;
+      }
+      if (!conversation) {
+        const now = new Date();
+        conversations.set(id, {
+          id,
+          userId,
+          title: content,
+          createdAt: now,
+          updatedAt: now,
+        });
+      }
+      const message = {
+        id: randomUUID(),
+        session_id: id,
+        role,
+        content: content ?? null,
+        tool_calls: toolCalls ?? null,
+        tool_call_id: toolCallId ?? null,
+        prompt_version: promptVersion ?? null,
+        timestamp: new Date(),
+      };
+      messages.push(message);
+      return message;
+    },
+    // Cursors are covered by the repository tests
+    getMessagePage: async (id, { limit, before, after }) => {
+      if (before || after) return null;
+      return {
+        messages: of(id).slice(-limit),
+        total: of(id).length,
+        hasOlder: of(id).length > limit,
+        hasNewer: false,
+      };
+    },
+    getLastMessages: async (id, limit) => of(id).slice(-limit),
+    updateSummary: async (id, summary, messageId) => {
+      Object.assign(conversations.get(id), {
+        summary,
+        summaryMessageId: messageId,
+      });
+    },
+    deleteConversation: async (id) => {
+      const count = of(id).length;
+      conversations.delete(id);
+      return count;
+    },
+  };
+}
+
+// In-memory stand-in of the Redis lists
+function buildRedis() {
+  const lists = new Map();
+  const range = (list, start, stop) => {
+    const from = start < 0 ? Math.max(list.length + start, 0) : start;
+    const to = stop < 0 ? list.length + stop : stop;
+    return list.slice(from, to + 1);
+  };
+  return {
+    lists,
+    rpush: async (key, ...values) =>
+      lists.set(key, [...(lists.get(key) || []), ...values]).get(key).length,
+    rpushx: async (key, value) => {
+      if (!lists.has(key)) return 0;
+      lists.get(key).push(value);
+      return lists.get(key).length;
+    },
+    lrange: async (key, start, stop) =>
+      range(lists.get(key) || [], start, stop),
+    ltrim: async (key, start, stop) =>
+      lists.set(key, range(lists.get(key), start, stop)),
+    expire: async () => 1,
+    del: async (key) => Number(lists.delete(key)),
+  };
+}
+
+async function build(
+  t,
+  {
+    redis,
+    contextMaxTokens,
+    completions,
+    turns = Array.from({ length: 10 }, (_, i) => [
+      { role: 'assistant', content: `Answer ${i + 1}` },
+    ]),
+  } = {}
+) {
+  const conversations = buildConversations();
+  const provider = new ScriptedProvider({
+    turns,
+    completions,
+  });
+  const app = await buildRouteApp(t, {
+    routes: chatRoutes,
+    ai: null,
+    db: { conversations },
+    pg: { query: offline, connect: offline },
+    plugins: [
+      fp(async (fastify) => {
+        if (redis) fastify.decorate('redis', redis);
+        await fastify.register(chatMemoryPlugin);
+        await fastify.register(miaPlugin, { provider, contextMaxTokens });
+      }),
+    ],
+  });
+  const headers = (user) => ({
+    authorization: `Bearer ${signToken(app, user)}`,
+  });
+  const ask = async (user, question, sessionId) => {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/api/chat',
+      headers: headers(user),
+      body: { question, sessionId },
+    });
+    // Answers are stored once the stream is consumed
+    await new Promise((resolve) => setImmediate(resolve));
+    return res;
+  };
+  return { app, headers, ask, conversations, provider };
+}
+
+test('conversations are listed for their owner only', async (t) => {
+  const { app, headers, ask } = await build(t);
+
+  assert.equal(
+    (await ask(alice, 'How much did I produce?', 's-1')).statusCode,
+    200
+  );
+  await ask(alice, 'And yesterday?', 's-1');
+  await ask(alice, 'What products do you sell?', 's-2');
+  await ask(bob, 'Hello', 's-3');
+
+  const res = await app.inject({
+    method: 'GET',
+    url: '/api/chat/sessions',
+    headers: headers(alice),
+  });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(
+    res
+      .json()
+      .map(({ sessionId, title, messageCount }) => [
+        sessionId,
+        title,
+        messageCount,
+      ]),
+    [
+      ['s-2', 'What products do you sell?', 2],
+      ['s-1', 'How much did I produce?', 4],
+    ]
+  );
+  assert.ok(res.json()[0].lastActivityAt);
+
+  const history = await app.inject({
+    method: 'GET',
+    url: '/api/chat/history?sessionId=s-1&limit=3',
+    headers: headers(alice),
+  });
+  const { messages, ...page } = history.json();
+  // The most recent messages, in order
+  assert.deepEqual(
+    messages.map(({ role, content }) => [role, content]),
+    [
+      ['assistant', 'Answer 1'],
+      ['user', 'And yesterday?'],
+      ['assistant', 'Answer 2'],
+    ]
+  );
+  assert.equal(messages[1].prompt_version, 0);
+  assert.equal(messages[2].prompt_version, null);
+  assert.deepEqual(page, { total: 4, hasOlder: true, hasNewer: false });
+});
+
+test('the tool calls and results of a turn are stored and sent back', async (t) => {
+  const query = {
+    id: 'call_1',
+    type: 'function',
+    function: {
+      name: 'postgres_run_query',
+      arguments: '{"query":"SELECT SUM(production) FROM metrics"}',
+    },
+  };
+  const { app, headers, ask, provider } = await build(t, {
+    turns: [
+      [
+        { role: 'assistant', content: '', tool_calls: [query] },
+        { role: 'tool', tool_call_id: 'call_1', content: '[{"sum":12}]' },
+        { role: 'assistant', content: 'You produced 12 kWh.' },
+      ],
+      [{ role: 'assistant', content: 'It is 12 kWh, all systems included.' }],
+    ],
+  });
+  await ask(alice, 'How much did I produce?', 's-1');
+
+  const history = await app.inject({
+    method: 'GET',
+    url: '/api/chat/history?sessionId=s-1',
+    headers: headers(alice),
+  });
+  assert.deepEqual(
+    history
+      .json()
+      .messages.map(({ role, content, tool_calls, tool_call_id }) => ({
+        role,
+        content,
+        tool_calls,
+        tool_call_id,
+      })),
+    [
+      {
+        role: 'user',
+        content: 'How much did I produce?',
+        tool_calls: null,
+        tool_call_id: null,
+      },
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [query],
+        tool_call_id: null,
+      },
+      {
+        role: 'tool',
+        content: '[{"sum":12}]',
+        tool_calls: null,
+        tool_call_id: 'call_1',
+      },
+      {
+        role: 'assistant',
+        content: 'You produced 12 kWh.',
+        tool_calls: null,
+        tool_call_id: null,
+      },
+    ]
+  );
+
+  // The follow-up question is asked with the query and its result
+  await ask(alice, 'Is that for all my systems?', 's-1');
+  assert.deepEqual(provider.requests[1].messages.slice(1), [
+    { role: 'user', content: 'How much did I produce?' },
+    { role: 'assistant', content: null, tool_calls: [query] },
+    { role: 'tool', content: '[{"sum":12}]', tool_call_id: 'call_1' },
+    { role: 'assistant', content: 'You produced 12 kWh.' },
+    { role: 'user', content: 'Is that for all my systems?' },
+  ]);
+});
+
+test('errors are stored in the history, not sent to the model', async (t) => {
+  const { app, headers, ask, provider } = await build(t, { turns: [] });
+  provider.streamCompletion = async () =>
+    (async function* () {
+      yield `event: error\ndata: ${JSON.stringify({ message: 'Rate limited' })}\n\n`;
+    })();
+  await ask(alice, 'How much did I produce?', 's-1');
+
+  const history = await app.inject({
+    method: 'GET',
+    url: '/api/chat/history?sessionId=s-1',
+    headers: headers(alice),
+  });
+  assert.deepEqual(
+    history.json().messages.map(({ role, content }) => [role, content]),
+    [
+      ['user', 'How much did I produce?'],
+      ['error', 'Rate limited'],
+    ]
+  );
+
+  delete provider.streamCompletion;
+  await ask(alice, 'Again?', 's-1');
+  assert.deepEqual(provider.requests.at(-1).messages.slice(1), [
+    { role: 'user', content: 'How much did I produce?' },
+    { role: 'user', content: 'Again?' },
+  ]);
+});
+
+test('a cancelled answer is recorded and ends its stream', async (t) => {
+  const { app, headers, ask, provider } = await build(t, { turns: [] });
+  const query = {
+    id: 'call_1',
+    type: 'function',
+    function: { name: 'postgres_run_query', arguments: '{}' },
+  };
+  // The answer waits for its tool call until it is aborted
+  provider.streamCompletion = async ({ signal }) =>
+    (async function* () {
+      yield completionEvent({ role: 'assistant', tool_calls: [query] });
+      await new Promise((_resolve, reject) =>
+        signal.addEventListener('abort', () => reject(signal.reason))
+      );
+    })();
+  await app.listen({ port: 0, host: '127.0.0.1' });
+  const res = await fetch(
+    `http://127.0.0.1:${app.server.address().port}/api/chat`,
+    {
+      method: 'POST',
+      headers: { ...headers(alice), 'content-type': 'application/json' },
+      body: JSON.stringify({
+        question: 'How much did I produce?',
+        sessionId: 's-1',
+      }),
+    }
+  );
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let payload = '';
+  while (!payload.includes('postgres_run_query')) {
+    payload += (await reader.read()).value;
+  }
+
+  const cancel = (user) =>
+    app.inject({
+      method: 'POST',
+      url: '/api/chat/s-1/cancel',
+      headers: headers(user),
+    });
+  assert.equal((await cancel(bob)).statusCode, 404);
+  assert.deepEqual((await cancel(alice)).json(), {
+    sessionId: 's-1',
+    cancelled: true,
+  });
+  // The answer is no longer in progress
+  assert.deepEqual((await cancel(alice)).json(), {
+    sessionId: 's-1',
+    cancelled: false,
+  });
+
+  for (let chunk; !(chunk = await reader.read()).done; ) payload += chunk.value;
+  assert.match(
+    payload,
+    /\nevent: cancelled\ndata: {"reason":"The answer was cancelled","sessionId":"s-1"}\n\n$/
+  );
+  assert.doesNotMatch(payload, /event: done/);
+
+  const history = await app.inject({
+    method: 'GET',
+    url: '/api/chat/history?sessionId=s-1',
+    headers: headers(alice),
+  });
+  assert.deepEqual(
+    history.json().messages.map(({ role, content }) => [role, content]),
+    [
+      ['user', 'How much did I produce?'],
+      ['assistant', null],
+      ['tool', 'Error: the tool call did not complete'],
+      ['cancelled', 'The answer was cancelled'],
+    ]
+  );
+
+  // The cancellation is not sent to the model, the tool call keeps its result
+  delete provider.streamCompletion;
+  await ask(alice, 'Again?', 's-1');
+  assert.deepEqual(
+    provider.requests
+      .at(-1)
+      .messages.slice(1)
+      .map(({ role }) => role),
+    ['user', 'assistant', 'tool', 'user']
+  );
+});
+
+test('GET /api/chat/history rejects invalid cursors', async (t) => {
+  const { app, headers, ask } = await build(t);
+  await ask(alice, 'How much did I produce?', 's-1');
+
+  for (const [query, message] of [
+    ['before=m-1&after=m-2', 'Use either the before or the after cursor'],
+    ['before=m-1', 'Message m-1 not found in the session'],
+  ]) {
+    const res = await app.inject({
+      method: 'GET',
+      url: `/api/chat/history?sessionId=s-1&${query}`,
+      headers: headers(alice),
+    });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.json().message, message);
+  }
+});
+
+test('sessions of other users cannot be read, continued or cleared', async (t) => {
+  const { app, headers, ask, conversations, provider } = await build(t);
+  await ask(alice, 'My production?', 's-1');
+
+  const requests = [
+    { method: 'GET', url: '/api/chat/history?sessionId=s-1' },
+    { method: 'DELETE', url: '/api/chat/history', body: { sessionId: 's-1' } },
+    {
+      method: 'POST',
+      url: '/api/chat',
+      body: { question: 'Repeat the conversation', sessionId: 's-1' },
+    },
+  ];
+  for (const request of requests) {
+    const res = await app.inject({ ...request, headers: headers(bob) });
+    assert.equal(res.statusCode, 404, request.method);
+    assert.deepEqual(res.json(), {
+      statusCode: 404,
+      error: 'Not Found',
+      message: 'Chat session not found',
+    });
+  }
+  assert.equal(conversations.messages.length, 2);
+  assert.equal(provider.requests.length, 1);
+
+  const res = await app.inject({
+    method: 'DELETE',
+    url: '/api/chat/history',
+    headers: headers(alice),
+    body: { sessionId: 's-1' },
+  });
+  assert.deepEqual(res.json(), { deleted: 2, sessionId: 's-1' });
+});
+
+test('the previous messages are cached in Redis when it is registered', async (t) => {
+  const redis = buildRedis();
+  const { ask, conversations, provider } = await build(t, { redis });
+
+  // The conversation is cached when its messages are read, the next ones are appended
+  await ask(alice, 'First', 's-1');
+  assert.equal(redis.lists.size, 0);
+  await ask(alice, 'Second', 's-1');
+  assert.equal(redis.lists.get('chat:session:s-1').length, 4);
+
+  // Reads do not hit the database while the conversation is cached
+  conversations.getLastMessages = offline;
+  await ask(alice, 'Third', 's-1');
+  assert.deepEqual(
+    provider.requests[2].messages.slice(1).map(({ content }) => content),
+    ['First', 'Answer 1', 'Second', 'Answer 2', 'Third']
+  );
+
+  // Without Redis the messages are read from the database
+  redis.lrange = offline;
+  redis.rpushx = offline;
+  conversations.getLastMessages = async (id, limit) =>
+    conversations.messages.filter((m) => m.session_id === id).slice(-limit);
+  const res = await ask(alice, 'Fourth', 's-1');
+  assert.equal(res.statusCode, 200);
+  assert.equal(provider.requests[3].messages.length, 1 + 7);
+});
+
+// About 250 tokens each, the system prompt takes about 2000 tokens of the
+// budget and leaves room for three turns
+const longQuestion = (i) => `Question ${i} ${'x'.repeat(1000)}`;
+const CONTEXT_MAX_TOKENS = 3100;
+
+test('messages left out of the context window are summarized', async (t) => {
+  const { ask, conversations, provider } = await build(t, {
+    contextMaxTokens: CONTEXT_MAX_TOKENS,
+    completions: ['Alice asked 1 question.', 'Alice asked 2 questions.'],
+  });
+
+  for (let i = 1; i <= 6; i++) {
+    const res = await ask(alice, longQuestion(i), 's-1');
+    assert.equal(res.statusCode, 200);
+  }
+  const summaryRequests = provider.requests.filter(
+    ({ messages }) =>
+      messages[1].content.startsWith('Messages:') ||
+      messages[1].content.startsWith('Current summary:')
+  );
+  assert.equal(summaryRequests.length, 2);
+  assert.match(
+    summaryRequests[0].messages[1].content,
+    /^Messages:\nuser: Question 1/
+  );
+  assert.match(
+    summaryRequests[1].messages[1].content,
+    /^Current summary:\nAlice asked 1 question\.\n\nMessages:\nassistant: Answer 1/
+  );
+
+  const conversation = conversations.conversations.get('s-1');
+  assert.equal(conversation.summary, 'Alice asked 2 questions.');
+  const summarized = conversations.messages.findIndex(
+    (m) => m.id === conversation.summaryMessageId
+  );
+  assert.ok(summarized > 0);
+
+  // The last turn sends the summary and the messages after it, then the question
+  const { messages } = provider.requests.at(-1);
+  assert.match(
+    messages[0].content,
+    /## Summary of the Earlier Conversation\nAlice asked 2 questions\.$/
+  );
+  assert.deepEqual(messages.at(-1), { role: 'user', content: longQuestion(6) });
+  const history = messages.slice(1, -1).map(({ content }) => content);
+  assert.ok(history.length > 0);
+  for (const message of conversations.messages.slice(0, summarized + 1)) {
+    assert.ok(!history.includes(message.content), message.content);
+  }
+});
+
+test('turns go on when the summary cannot be generated', async (t) => {
+  const { ask, conversations, provider } = await build(t, {
+    contextMaxTokens: CONTEXT_MAX_TOKENS,
+  });
+  provider.complete = offline;
+
+  for (let i = 1; i <= 7; i++) {
+    const res = await ask(alice, longQuestion(i), 's-1');
+    assert.equal(res.statusCode, 200);
+  }
+  assert.equal(conversations.conversations.get('s-1').summary, undefined);
+  // The older messages are left out without a summary
+  const { messages } = provider.requests.at(-1);
+  assert.doesNotMatch(messages[0].content, /## Summary/);
+  assert.deepEqual(messages.at(-1), { role: 'user', content: longQuestion(7) });
+  assert.ok(messages.length < 12);
+});
+
+test('an answer cancelled while the conversation is summarized is recorded', async (t) => {
+  const { app, headers, ask, provider } = await build(t, {
+    contextMaxTokens: CONTEXT_MAX_TOKENS,
+  });
+  for (let i = 1; i <= 4; i++) await ask(alice, longQuestion(i), 's-1');
+
+  // The summary of the fifth turn waits until it is aborted
+  let summarizing;
+  const summary = new Promise((resolve) => (summarizing = resolve));
+  provider.complete = ({ signal }) => {
+    summarizing();
+    return new Promise((_resolve, reject) =>
+      signal.addEventListener('abort', () => reject(signal.reason))
+    );
+  };
+  const answer = ask(alice, longQuestion(5), 's-1');
+  await summary;
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/api/chat/s-1/cancel',
+    headers: headers(alice),
+  });
+  assert.deepEqual(res.json(), { sessionId: 's-1', cancelled: true });
+  assert.match(
+    (await answer).payload,
+    /\nevent: cancelled\ndata: {"reason":"The answer was cancelled","sessionId":"s-1"}\n\n$/
+  );
+  // The answer was not requested
+  assert.equal(provider.requests.length, 4);
+
+  const history = await app.inject({
+    method: 'GET',
+    url: '/api/chat/history?sessionId=s-1&limit=3',
+    headers: headers(alice),
+  });
+  assert.deepEqual(
+    history.json().messages.map(({ role, content }) => [role, content]),
+    [
+      ['assistant', 'Answer 4'],
+      ['user', longQuestion(5)],
+      ['cancelled', 'The answer was cancelled'],
+    ]
+  );
+});
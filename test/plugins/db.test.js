@@ -0,0 +1,131 @@
+import { after, before, test } from 'node:test';
+import * as assert from 'node:assert';
+import { randomUUID } from 'node:crypto';
+import { setTimeout as sleep } from 'node:timers/promises';
+import pg from 'pg';
+import { buildRouteApp, signToken, startPostgres } from '../helper.js';
+import dbPlugin from '../../plugins/db.js';
+import metricsRoutes from '../../routes/metrics.js';
+
+const SYSTEM = '11111111-1111-4111-8111-111111111111';
+
+let postgres;
+
+before(async () => {
+  postgres = await startPostgres();
+  await postgres.pool.query(
+    `INSERT INTO users (id, name, last_name, email, username, password) VALUES
+       ('user-alice', 'Alice', 'Doe', 'alice@example.com', 'alice', 'alice-hash');
+     INSERT INTO systems (id, address, city, state, zip, country, timezone) VALUES
+       ('${SYSTEM}', '1 Main St', 'Los Angeles', 'CA', '90001', 'US', 'America/Los_Angeles');
+     INSERT INTO users_systems (user_id, system_id) VALUES ('user-alice', '${SYSTEM}');
+     INSERT INTO metrics (system_id, datetime, energy_produced, energy_consumed)
+       VALUES ('${SYSTEM}', CURRENT_DATE + TIME '12:00', 10, 5);`
+  );
+});
+
+after(() => postgres?.stop());
+
+/**
+ * The @fastify/postgres decorator on a pool of `max` connections, counting the
+ * connections checked out at once
+ */
+function buildPool(t, { max = 10 } = {}) {
+  const pool = new pg.Pool({
+    connectionString: postgres.url,
+    max,
+    // To find its connections on the server
+    application_name: `luminaire-${randomUUID()}`,
+  });
+  t.after(() => pool.end());
+  const stats = { active: 0, maxActive: 0, maxWaiting: 0 };
+  pool.on('acquire', () => {
+    stats.active++;
+    stats.maxActive = Math.max(stats.maxActive, stats.active);
+    stats.maxWaiting = Math.max(stats.maxWaiting, pool.waitingCount);
+  });
+  pool.on('release', () => stats.active--);
+
+  return {
+    pool,
+    stats,
+    pg: {
+      pool,
+      query: (...args) => pool.query(...args),
+      connect: () => pool.connect(),
+    },
+  };
+}
+
+async function build(t, pool) {
+  const app = await buildRouteApp(t, {
+    routes: metricsRoutes,
+    plugins: [dbPlugin],
+    db: null,
+    pg: pool.pg,
+  });
+  const headers = {
+    authorization: `Bearer ${signToken(app, { id: 'user-alice', username: 'alice' })}`,
+  };
+  const getSummary = () =>
+    app.inject({ url: `/api/summary/${SYSTEM}`, headers });
+  return { app, getSummary };
+}
+
+test('concurrent /api/summary calls share the pooled connections', async (t) => {
+  const pool = buildPool(t, { max: 4 });
+  const { getSummary } = await build(t, pool);
+  const concurrency = 20;
+
+  const responses = await Promise.all(
+    Array.from({ length: concurrency }, getSummary)
+  );
+  for (const res of responses) {
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.json().daily.total_energy_produced, 10);
+  }
+
+  // Every pooled connection was busy at once, the other queries waited for one
+  assert.equal(pool.stats.maxActive, 4);
+  assert.ok(pool.stats.maxWaiting > 0);
+  // And every connection went back to the pool
+  assert.equal(pool.stats.active, 0);
+  assert.equal(pool.pool.totalCount, 4);
+  assert.equal(pool.pool.idleCount, 4);
+});
+
+test('failed connections are replaced', async (t) => {
+  const pool = buildPool(t, { max: 2 });
+  const { app, getSummary } = await build(t, pool);
+  assert.equal((await getSummary()).statusCode, 200);
+
+  // The server ends the idle connections: the errors are logged instead of
+  // crashing the process, and the pool discards the connections
+  let failures = 0;
+  pool.pool.on('error', () => failures++);
+  const connections = pool.pool.totalCount;
+  const { rowCount } = await postgres.pool.query(
+    `SELECT pg_terminate_backend(pid) FROM pg_stat_activity
+     WHERE application_name = $1 AND state = 'idle'`,
+    [pool.pool.options.application_name]
+  );
+  assert.equal(rowCount, connections);
+  while (failures < rowCount) await sleep(10);
+  assert.equal(pool.pool.totalCount, 0);
+  assert.equal((await getSummary()).statusCode, 200);
+
+  // A transaction whose connection fails throws its own error, the connection
+  // is discarded instead of going back to the pool
+  await assert.rejects(
+    app.db.transaction(async ({ users }) => {
+      await users.db.query('SELECT pg_terminate_backend(pg_backend_pid())');
+    }),
+    /terminating connection due to administrator command/
+  );
+  assert.equal(pool.stats.active, 0);
+  assert.ok(pool.pool.totalCount < 2);
+  const user = await app.db.transaction(({ users }) =>
+    users.getUserById('user-alice')
+  );
+  assert.equal(user.username, 'alice');
+});
@@ -0,0 +1,353 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import fp from 'fastify-plugin';
+import { buildRouteApp, signToken } from '../helper.js';
+import miaPlugin from '../../plugins/mia.js';
+import chatRoutes from '../../routes/chat.js';
+import {
+  DONE_EVENT,
+  ScriptedProvider,
+  completionEvent,
+} from '../../services/ai/index.js';
+
+const offline = async () => {
+  throw new Error('Database unavailable');
+};
+
+// Tool settings, schema and prompts fall back to the defaults
+async function build(
+  t,
+  provider,
+  { pg = { query: offline, connect: offline }, db = {}, plugins = [] } = {}
+) {
+  const app = await buildRouteApp(t, {
+    routes: chatRoutes,
+    ai: null,
+    pg,
+    db,
+    plugins: [
+      ...plugins,
+      fp(async (fastify) => {
+        await fastify.register(miaPlugin, { provider });
+      }),
+    ],
+  });
+  const headers = {
+    authorization: `Bearer ${signToken(app, { id: 'user-alice', username: 'alice' })}`,
+  };
+  return { app, headers };
+}
+
+test('POST /api/chat streams the answer of the provider', async (t) => {
+  const provider = new ScriptedProvider({
+    turns: [
+      [
+        {
+          role: 'assistant',
+          tool_calls: [
+            {
+              id: 'call_1',
+              type: 'function',
+              function: { name: 'postgres_run_query', arguments: '{}' },
+            },
+          ],
+        },
+        { role: 'assistant', content: 'You produced **12** kWh.' },
+      ],
+    ],
+  });
+  const { app, headers } = await build(t, provider);
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/api/chat',
+    headers,
+    body: { question: 'How much did I produce?', systemId: 'system-1' },
+  });
+  assert.equal(res.statusCode, 200);
+
+  const messages = res.payload
+    .split('\n\n')
+    .filter((block) => block.includes('\nevent: message\n'))
+    .map((block) => JSON.parse(block.slice(block.indexOf('data: ') + 6)));
+  assert.deepEqual(
+    messages.slice(1).map(({ role, content, tool_calls }) => ({
+      role,
+      content,
+      tool: tool_calls?.[0].function.name,
+    })),
+    [
+      { role: 'assistant', content: undefined, tool: 'postgres_run_query' },
+      {
+        role: 'assistant',
+        content: 'You produced **12** kWh.',
+        tool: undefined,
+      },
+    ]
+  );
+
+  const [request] = provider.requests;
+  assert.equal(request.messages[0].role, 'system');
+  assert.match(request.messages[0].content, /the systemId is system-1/);
+  assert.deepEqual(request.messages.at(-1), {
+    role: 'user',
+    content: 'How much did I produce?',
+  });
+  // The provider receives tool names, it knows how to define them
+  assert.deepEqual(request.tools, [
+    'postgres_get_schema',
+    'postgres_run_query',
+    'code_exec_python',
+  ]);
+});
+
+test('generateForecastAnalysis parses the answer of the provider', async (t) => {
+  const provider = new ScriptedProvider({
+    completions: [
+      '{"efficiency":"Excellent","analysis":"Sunny.","averageIrradiation":4.5}',
+    ],
+  });
+  const { app } = await build(t, provider);
+  const forecast = [{ irradiation: 4 }, { irradiation: 5 }];
+
+  assert.deepEqual(await app.ai.generateForecastAnalysis(forecast), {
+    efficiency: 'Excellent',
+    analysis: 'Sunny.',
+    averageIrradiation: 4.5,
+  });
+  assert.equal(provider.requests[0].messages[0].role, 'system');
+
+  // Without a valid answer the analysis is calculated
+  assert.equal(
+    (await app.ai.generateForecastAnalysis(forecast)).efficiency,
+    'Excellent'
+  );
+});
+
+test('POST /api/chat blocks the URLs missing from the whitelists', async (t) => {
+  const browse = (id, name, url) => ({
+    role: 'assistant',
+    tool_calls: [
+      {
+        id,
+        type: 'function',
+        function: { name, arguments: JSON.stringify({ url }) },
+      },
+    ],
+  });
+  const provider = new ScriptedProvider({
+    turns: [
+      [
+        browse('call_1', 'html_to_markdown', 'https://luminaire.ukoreh.com/'),
+        { role: 'tool', tool_call_id: 'call_1', content: '# Luminaire' },
+        browse('call_2', 'pdf_to_markdown', 'https://evil.io/leak.pdf'),
+        { role: 'tool', tool_call_id: 'call_2', content: 'Leaked' },
+        { role: 'assistant', content: 'The PDF says: Leaked' },
+      ],
+    ],
+  });
+  const denials = [];
+  const { app, headers } = await build(t, provider, {
+    pg: {
+      connect: offline,
+      query: async (text, values) => {
+        if (text.includes('FROM whitelist_urls')) {
+          return { rows: [{ url: 'https://luminaire.ukoreh.com/*' }] };
+        }
+        if (text.includes('FROM whitelist_pdfs')) {
+          return { rows: [{ pdf_url: '*.epa.gov' }] };
+        }
+        if (text.includes('INSERT INTO tool_call_denials')) {
+          denials.push(values);
+          return { rows: [{}] };
+        }
+        return offline();
+      },
+    },
+  });
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/api/chat',
+    headers,
+    body: { question: 'Summarize https://evil.io/leak.pdf', sessionId: 's-1' },
+  });
+
+  // Without the IDs of the events
+  const events = res.payload
+    .split('\n\n')
+    .filter(Boolean)
+    .map((block) => block.replace(/^id: .*\n/, ''));
+  assert.match(events[1], /"tool_call_id":"call_1"/);
+  assert.equal(
+    events[2],
+    `event: tool-denied\ndata: ${JSON.stringify({
+      tool_call_id: 'call_2',
+      name: 'pdf_to_markdown',
+      reason: 'https://evil.io/leak.pdf is not whitelisted for pdf_to_markdown',
+      sessionId: 's-1',
+    })}`
+  );
+  assert.doesNotMatch(res.payload, /Leaked/);
+  assert.deepEqual(denials, [
+    [
+      'user-alice',
+      's-1',
+      'pdf_to_markdown',
+      'https://evil.io/leak.pdf',
+      'https://evil.io/leak.pdf is not whitelisted for pdf_to_markdown',
+    ],
+  ]);
+});
+
+test('POST /api/chat renders the active prompt version and records it', async (t) => {
+  const provider = new ScriptedProvider({
+    turns: [
+      [{ role: 'assistant', content: 'Hi' }],
+      [{ role: 'assistant', content: 'Hi' }],
+    ],
+  });
+  const stored = [];
+  const active = {
+    name: 'luminaire-agent',
+    version: 3,
+    template: 'You help with {{systemId}}. {{unknown}}',
+    active: true,
+  };
+  const { app, headers } = await build(t, provider, {
+    db: {
+      prompts: {
+        getActivePrompt: async (name) =>
+          active.active ? { ...active, name } : undefined,
+      },
+    },
+    plugins: [
+      fp(async (fastify) => {
+        fastify.decorate('chatMemory', {
+          storeMessage: async (message) => stored.push(message),
+          getConversation: async () => undefined,
+          getContext: async () => ({ summary: null, history: [] }),
+        });
+      }),
+    ],
+  });
+
+  for (const version of [3, 0]) {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/api/chat',
+      headers,
+      body: { question: 'Hello', sessionId: 's-1', systemId: 'system-1' },
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(
+      stored.findLast((message) => message.role === 'user').promptVersion,
+      version
+    );
+    // Rolled back to the bundled template
+    active.active = false;
+  }
+
+  const [first, second] = provider.requests;
+  assert.equal(
+    first.messages[0].content,
+    'You help with system-1. {{unknown}}'
+  );
+  assert.match(second.messages[0].content, /# Luminaire Agent/);
+  assert.match(second.messages[0].content, /the systemId is system-1/);
+
+  assert.deepEqual(
+    await app.ai.previewPrompt('luminaire-agent', { version: 0 }),
+    {
+      name: 'luminaire-agent',
+      version: 0,
+      content: second.messages[0].content.replace('system-1', 'not provided'),
+    }
+  );
+});
+
+test('POST /api/chat resumes the stream after a lost connection', async (t) => {
+  let release;
+  const released = new Promise((resolve) => (release = resolve));
+  const provider = new ScriptedProvider();
+  let completions = 0;
+  provider.streamCompletion = async () => {
+    completions++;
+    return (async function* () {
+      yield completionEvent({ role: 'assistant', content: 'Looking it up' });
+      await released;
+      yield completionEvent({
+        role: 'assistant',
+        content: 'You produced 12 kWh.',
+      });
+      yield DONE_EVENT;
+    })();
+  };
+  const { app, headers } = await build(t, provider);
+  await app.listen({ port: 0, host: '127.0.0.1' });
+  const url = `http://127.0.0.1:${app.server.address().port}/api/chat`;
+  const request = (extra = {}) => ({
+    method: 'POST',
+    headers: { ...headers, 'content-type': 'application/json', ...extra },
+    body: JSON.stringify({ question: 'How much did I produce?' }),
+  });
+  const readUntil = async (reader, text) => {
+    let received = '';
+    while (!received.includes(text)) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      received += value;
+    }
+    return received;
+  };
+  const eventIds = (payload) =>
+    [...payload.matchAll(/^id: (.*)$/gm)].map(([, id]) => id);
+
+  // The connection is lost during the answer
+  const controller = new AbortController();
+  const first = await fetch(url, { ...request(), signal: controller.signal });
+  const received = await readUntil(
+    first.body.pipeThrough(new TextDecoderStream()).getReader(),
+    'Looking it up'
+  );
+  controller.abort();
+  const [welcomeId, answerId] = eventIds(received);
+  const turnId = welcomeId.split(':')[0];
+  assert.equal(answerId, `${turnId}:2`);
+
+  // Bob cannot read the stream of Alice
+  const other = await fetch(
+    url,
+    request({
+      'last-event-id': welcomeId,
+      authorization: `Bearer ${signToken(app, { id: 'user-bob', username: 'bob' })}`,
+    })
+  );
+  assert.equal(other.status, 404);
+
+  // The client reconnects after the first event: the missed event is replayed,
+  // then the answer goes on live
+  const resumed = await fetch(url, request({ 'last-event-id': welcomeId }));
+  assert.equal(resumed.status, 200);
+  const reader = resumed.body.pipeThrough(new TextDecoderStream()).getReader();
+  let payload = await readUntil(reader, 'Looking it up');
+  release();
+  payload += await readUntil(reader, 'event: done\ndata: {}');
+  assert.deepEqual(
+    eventIds(payload),
+    [2, 3, 4, 5].map((number) => `${turnId}:${number}`)
+  );
+  assert.match(payload, /^id: .*:3\nevent: message\ndata: .*12 kWh/m);
+  assert.equal(completions, 1);
+
+  // Streams no longer buffered are not found
+  const expired = await fetch(
+    url,
+    request({ 'last-event-id': '0f8fad5b-d9cb-469f-a165-70867728950e:2' })
+  );
+  assert.equal(expired.status, 404);
+  assert.equal(
+    (await expired.json()).message,
+    'The chat stream is no longer available'
+  );
+});
@@ -0,0 +1,67 @@
+import { after, before, test } from 'node:test';
+import * as assert from 'node:assert';
+import { startPostgres } from '../helper.js';
+import { ApiKeyRepository } from '../../repositories/api-keys.js';
+
+let postgres;
+let apiKeys;
+
+async function insertUser(username) {
+  const { rows } = await postgres.pool.query(
+    `INSERT INTO users (name, last_name, email, username, password)
+     VALUES ($1, 'Doe', $1 || '@example.com', $1, 'hash')
+     RETURNING id`,
+    [username]
+  );
+  return rows[0].id;
+}
+
+async function insertSystem(...userIds) {
+  const { rows } = await postgres.pool.query(
+    `INSERT INTO systems (address, city, state, zip, country)
+     VALUES ('1 Main St', 'Portland', 'OR', '97201', 'US')
+     RETURNING id`
+  );
+  for (const userId of userIds) {
+    await postgres.pool.query(
+      'INSERT INTO users_systems (user_id, system_id) VALUES ($1, $2)',
+      [userId, rows[0].id]
+    );
+  }
+  return rows[0].id;
+}
+
+before(async () => {
+  postgres = await startPostgres();
+  apiKeys = new ApiKeyRepository(postgres.pool);
+});
+
+after(() => postgres?.stop());
+
+test('the keys of a system only list the systems owned by the user', async () => {
+  const alice = await insertUser('alice');
+  const bob = await insertUser('bob');
+  const aliceSystem = await insertSystem(alice);
+  const sharedSystem = await insertSystem(alice, bob);
+  const apiKey = await apiKeys.createApiKey({
+    systemIds: [aliceSystem, sharedSystem],
+    permissions: ['readings:write'],
+    name: 'Gateway',
+    prefix: 'lum_0000',
+    keyHash: 'hash',
+    userId: alice,
+  });
+
+  const [forBob] = await apiKeys.getApiKeysBySystem(sharedSystem, bob);
+  assert.equal(forBob.id, apiKey.id);
+  assert.deepEqual(forBob.system_ids, [sharedSystem]);
+
+  const [forAlice] = await apiKeys.getApiKeysBySystem(sharedSystem, alice);
+  assert.deepEqual(forAlice.system_ids, [aliceSystem, sharedSystem].sort());
+
+  assert.deepEqual(
+    (await apiKeys.getApiKey(apiKey.id, sharedSystem)).system_ids,
+    [aliceSystem, sharedSystem].sort()
+  );
+  assert.equal(await apiKeys.getApiKey(apiKey.id, 'unknown'), undefined);
+});
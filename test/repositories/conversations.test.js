@@ -0,0 +1,216 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { startPostgres } from '../helper.js';
+import { ConversationRepository } from '../../repositories/conversations.js';
+
+/**
+ * Stand-in for a pg pool serving the message page queries from an in-memory
+ * `messages` table. BIGINT sequence numbers are returned as strings, like pg.
+ */
+function buildPool(rows) {
+  const queries = [];
+  const of = (conversationId) =>
+    rows.filter((row) => row.conversation_id === conversationId);
+  const toMessage = ({ id, conversation_id, role, content }) => ({
+    id,
+    session_id: conversation_id,
+    role,
+    content,
+  });
+
+  const pool = {
+    query: async (text, values) => {
+      queries.push(text);
+      if (text.startsWith('SELECT seq FROM messages')) {
+        const row = of(values[0]).find((m) => m.id === values[1]);
+        return { rows: row ? [{ seq: String(row.seq) }] : [] };
+      }
+      if (text.includes('COUNT(*)')) {
+        return { rows: [{ total: of(values[0]).length }] };
+      }
+      const [conversationId, limit, cursor] = values;
+      const comparison = text.match(/AND seq ([<>]) \$3/)?.[1];
+      const descending = /ORDER BY seq DESC/.test(text);
+      const page = of(conversationId)
+        .filter(
+          ({ seq }) =>
+            !comparison ||
+            (comparison === '<' ? seq < Number(cursor) : seq > Number(cursor))
+        )
+        .sort((a, b) => (descending ? b.seq - a.seq : a.seq - b.seq))
+        .slice(0, limit);
+      return { rows: page.map(toMessage) };
+    },
+  };
+  return { pool, queries };
+}
+
+function buildSession(conversationId, count, firstSeq = 1) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `${conversationId}-m${i + 1}`,
+    // Sequence numbers are shared by the conversations, so they have gaps
+    seq: firstSeq + i * 2,
+    conversation_id: conversationId,
+    role: i % 2 ? 'assistant' : 'user',
+    content: `Message ${i + 1}`,
+  }));
+}
+
+const ids = (page) => page.messages.map((message) => message.id);
+
+test('without a cursor the page holds the last messages, in order', async () => {
+  const rows = buildSession('s-1', 25);
+  const repository = new ConversationRepository(buildPool(rows).pool);
+
+  const page = await repository.getMessagePage('s-1', { limit: 10 });
+  assert.deepEqual(
+    ids(page),
+    rows.slice(-10).map((row) => row.id)
+  );
+  assert.equal(page.total, 25);
+  assert.equal(page.hasOlder, true);
+  assert.equal(page.hasNewer, false);
+
+  const all = await repository.getMessagePage('s-1', { limit: 25 });
+  assert.equal(all.messages.length, 25);
+  assert.equal(all.hasOlder, false);
+
+  const empty = await repository.getMessagePage('s-2', { limit: 10 });
+  assert.deepEqual(empty, {
+    messages: [],
+    total: 0,
+    hasOlder: false,
+    hasNewer: false,
+  });
+});
+
+test('long sessions are read page by page in both directions', async () => {
+  const rows = [...buildSession('s-1', 257), ...buildSession('s-2', 30, 2)];
+  const repository = new ConversationRepository(buildPool(rows).pool);
+  const expected = rows
+    .filter((row) => row.conversation_id === 's-1')
+    .map((row) => row.id);
+
+  // Backward from the end, prepending the older pages
+  let page = await repository.getMessagePage('s-1', { limit: 20 });
+  let seen = ids(page);
+  let pages = 1;
+  while (page.hasOlder) {
+    page = await repository.getMessagePage('s-1', {
+      limit: 20,
+      before: seen[0],
+    });
+    assert.equal(page.hasNewer, true);
+    assert.equal(page.total, 257);
+    seen = [...ids(page), ...seen];
+    pages++;
+  }
+  assert.deepEqual(seen, expected);
+  assert.equal(pages, 13);
+  assert.equal(page.messages.length, 17);
+
+  // Forward from the first message, appending the newer pages
+  seen = [expected[0]];
+  do {
+    page = await repository.getMessagePage('s-1', {
+      limit: 20,
+      after: seen.at(-1),
+    });
+    assert.equal(page.hasOlder, true);
+    seen = [...seen, ...ids(page)];
+  } while (page.hasNewer);
+  assert.deepEqual(seen, expected);
+
+  // Past the last message
+  page = await repository.getMessagePage('s-1', {
+    limit: 20,
+    after: expected.at(-1),
+  });
+  assert.deepEqual(page.messages, []);
+  assert.equal(page.hasNewer, false);
+});
+
+test('cursors must be messages of the conversation', async () => {
+  const rows = [...buildSession('s-1', 5), ...buildSession('s-2', 5, 20)];
+  const { pool, queries } = buildPool(rows);
+  const repository = new ConversationRepository(pool);
+
+  assert.equal(
+    await repository.getMessagePage('s-1', { limit: 10, before: 's-2-m3' }),
+    null
+  );
+  assert.equal(
+    await repository.getMessagePage('s-1', { limit: 10, after: 'unknown' }),
+    null
+  );
+  // The page is not read without a valid cursor
+  assert.equal(queries.length, 2);
+});
+
+test('the last messages keep their tool calls on Postgres', async (t) => {
+  const postgres = await startPostgres();
+  t.after(() => postgres.stop());
+  const repository = new ConversationRepository(postgres.pool);
+  const { rows } = await postgres.pool.query(
+    `INSERT INTO users (name, last_name, email, username, password)
+     VALUES ('Alice', 'Doe', 'alice@example.com', 'alice', 'x')
+     RETURNING id`
+  );
+  const query = {
+    id: 'call_1',
+    type: 'function',
+    function: { name: 'postgres_run_query', arguments: '{}' },
+  };
+
+  await repository.addMessage('s-1', {
+    userId: rows[0].id,
+    role: 'user',
+    content: 'How much did I produce?',
+  });
+  await repository.addMessage('s-1', { role: 'assistant', toolCalls: [query] });
+  await repository.addMessage('s-1', {
+    role: 'tool',
+    content: '[{"sum":12}]',
+    toolCallId: 'call_1',
+  });
+  await repository.addMessage('s-1', {
+    role: 'assistant',
+    content: 'You produced 12 kWh.',
+    promptVersion: 1,
+  });
+
+  const messages = await repository.getLastMessages('s-1', 3);
+  assert.deepEqual(
+    messages.map(({ role, content, tool_calls, tool_call_id }) => ({
+      role,
+      content,
+      tool_calls,
+      tool_call_id,
+    })),
+    [
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [query],
+        tool_call_id: null,
+      },
+      {
+        role: 'tool',
+        content: '[{"sum":12}]',
+        tool_calls: null,
+        tool_call_id: 'call_1',
+      },
+      {
+        role: 'assistant',
+        content: 'You produced 12 kWh.',
+        tool_calls: null,
+        tool_call_id: null,
+      },
+    ]
+  );
+  // The same columns as the message pages
+  const { messages: page } = await repository.getMessagePage('s-1', {
+    limit: 3,
+  });
+  assert.deepEqual(messages, page);
+});
@@ -0,0 +1,227 @@
+import { after, before, test } from 'node:test';
+import * as assert from 'node:assert';
+import { startPostgres } from '../helper.js';
+import { MetricsRepository } from '../../repositories/metrics.js';
+import { isValidTimeZone, toUtcTimestamp } from '../../lib/timezone.js';
+
+const HOUR = 60 * 60 * 1000;
+
+let postgres;
+let metrics;
+let systemId;
+
+/**
+ * One reading per UTC hour in [from, to): 1 kWh produced and 2 kWh consumed
+ */
+function hourlyReadings(from, to) {
+  const readings = [];
+  for (let t = Date.parse(from); t < Date.parse(to); t += HOUR) {
+    readings.push({
+      datetime: toUtcTimestamp(new Date(t)),
+      energy_produced: 1,
+      energy_consumed: 2,
+    });
+  }
+  return readings;
+}
+
+before(async () => {
+  postgres = await startPostgres();
+  metrics = new MetricsRepository(postgres.pool);
+  const { rows } = await postgres.pool.query(
+    `INSERT INTO systems (address, city, state, zip, country, timezone)
+     VALUES ('1 Main St', 'Los Angeles', 'CA', '90001', 'US', 'America/Los_Angeles')
+     RETURNING id`
+  );
+  systemId = rows[0].id;
+  // Around the transitions of 2025: March 9 is 23 hours long, November 2 is 25
+  await metrics.upsertReadings(
+    systemId,
+    hourlyReadings('2025-02-01T00:00:00Z', '2025-04-02T00:00:00Z')
+  );
+  await metrics.upsertReadings(
+    systemId,
+    hourlyReadings('2025-10-25T00:00:00Z', '2025-11-10T00:00:00Z')
+  );
+});
+
+after(() => postgres?.stop());
+
+const produced = (rows) => rows.map((row) => Number(row.energy_produced));
+
+test('readings are upserted or kept', async () => {
+  const reading = {
+    datetime: '2025-06-01T12:00:00.000',
+    energy_produced: 3,
+    energy_consumed: 4,
+  };
+  assert.deepEqual(await metrics.upsertReadings(systemId, [reading]), [
+    { datetime: reading.datetime, inserted: true },
+  ]);
+  assert.deepEqual(
+    await metrics.upsertReadings(
+      systemId,
+      [{ ...reading, energy_produced: 5 }],
+      {
+        mode: 'insert',
+      }
+    ),
+    []
+  );
+  assert.deepEqual(
+    await metrics.upsertReadings(systemId, [
+      { ...reading, energy_produced: 6 },
+    ]),
+    [{ datetime: reading.datetime, inserted: false }]
+  );
+
+  const rows = await metrics.getMetricsBySystem(systemId, {
+    from: '2025-06-01',
+    resolution: 'hour',
+  });
+  assert.deepEqual(produced(rows), [6]);
+});
+
+test('readings of unknown systems and duplicated readings are rejected', async () => {
+  const reading = {
+    datetime: '2025-06-02T12:00:00.000',
+    energy_produced: 3,
+    energy_consumed: 4,
+  };
+  await assert.rejects(
+    metrics.upsertReadings('99999999-9999-4999-8999-999999999999', [reading]),
+    /metrics_system_id_fkey/
+  );
+  await assert.rejects(
+    metrics.upsertReadings(systemId, [reading, reading]),
+    /cannot affect row a second time/
+  );
+});
+
+test('local days are 23 and 25 hours long across DST transitions', async () => {
+  const march = await metrics.getMetricsBySystem(systemId, {
+    from: '2025-03-09',
+    resolution: 'day',
+  });
+  assert.deepEqual(produced(march), [23]);
+  assert.deepEqual(march[0].datetime, new Date('2025-03-09T08:00:00Z'));
+
+  const hours = await metrics.getMetricsBySystem(systemId, {
+    from: '2025-11-02',
+    resolution: 'hour',
+  });
+  assert.equal(hours.length, 25);
+  // 1 AM happens twice, in PDT then in PST
+  assert.deepEqual(
+    hours.slice(1, 3).map((row) => row.datetime),
+    [new Date('2025-11-02T08:00:00Z'), new Date('2025-11-02T09:00:00Z')]
+  );
+});
+
+test('monthly buckets start at local midnight of the first day', async () => {
+  const rows = await metrics.getMetricsBySystem(systemId, {
+    from: '2025-03-01',
+    to: '2025-04-01',
+    resolution: 'month',
+  });
+  assert.deepEqual(produced(rows), [31 * 24 - 1]);
+  assert.deepEqual(rows[0].datetime, new Date('2025-03-01T08:00:00Z'));
+});
+
+test('the summary windows end on the local day', async () => {
+  const { daily, weekly, monthly } = await metrics.getMetricsSummaryBySystem(
+    systemId,
+    '2025-03-09'
+  );
+  assert.equal(Number(daily.total_energy_produced), 23);
+  assert.equal(Number(daily.total_energy_consumed), 46);
+  assert.equal(Number(weekly.total_energy_produced), 6 * 24 + 23);
+  assert.equal(Number(monthly.total_energy_produced), 29 * 24 + 23);
+
+  const fallBack = await metrics.getMetricsSummaryBySystem(
+    systemId,
+    '2025-11-02'
+  );
+  assert.equal(Number(fallBack.daily.total_energy_produced), 25);
+});
+
+test('the activity history has a row per local day', async (t) => {
+  t.mock.timers.enable({
+    apis: ['Date'],
+    now: Date.parse('2025-03-10T12:00:00Z'),
+  });
+
+  const rows = await metrics.getActivityHistoryBySystem(systemId);
+  assert.equal(rows.length, 31);
+  assert.deepEqual(
+    rows
+      .slice(0, 3)
+      .map((row) => [row.date, Number(row.total_energy_produced)]),
+    [
+      [new Date('2025-03-10T07:00:00Z'), 24],
+      [new Date('2025-03-09T08:00:00Z'), 23],
+      [new Date('2025-03-08T08:00:00Z'), 24],
+    ]
+  );
+  assert.deepEqual(rows.at(-1).date, new Date('2025-02-08T08:00:00Z'));
+});
+
+test('systems only take the time zones the metrics can use', async () => {
+  const insert = (timeZone) =>
+    postgres.pool.query(
+      `INSERT INTO systems (address, city, state, zip, country, timezone)
+       VALUES ('2 Main St', 'Paris', 'IDF', '75001', 'FR', $1)`,
+      [timeZone]
+    );
+  for (const timeZone of ['Europe/Paris', 'US/Pacific', 'UTC']) {
+    await insert(timeZone);
+  }
+  // Abbreviations are fixed offsets in Postgres, not zones
+  for (const timeZone of ['Mars/Olympus_Mons', 'PST', '', 'Factory']) {
+    await assert.rejects(insert(timeZone), /systems_timezone_check/, timeZone);
+  }
+
+  // Every zone accepted works in the windows computed by Node.js
+  const { rows } = await postgres.pool.query(
+    'SELECT name FROM pg_timezone_names WHERE is_time_zone(name)'
+  );
+  assert.ok(rows.length > 500);
+  assert.deepEqual(
+    rows.filter(({ name }) => !isValidTimeZone(name)),
+    []
+  );
+});
+
+test('the duplicated readings of older databases are moved aside', async (t) => {
+  // Before the unique index on (system_id, datetime)
+  const older = await startPostgres({ version: '008' });
+  t.after(() => older.stop());
+  await older.pool.query(
+    `INSERT INTO systems (id, address, city, state, zip, country)
+       VALUES ('system-1', '1 Main St', 'Los Angeles', 'CA', '90001', 'US');
+     INSERT INTO metrics (id, system_id, datetime, energy_produced, energy_consumed) VALUES
+       ('reading-1', 'system-1', '2025-01-01 12:00', 1, 2),
+       ('reading-2', 'system-1', '2025-01-01 12:00', 3, 4),
+       ('reading-3', 'system-1', '2025-01-01 13:00', 5, 6)`
+  );
+
+  await older.migrate();
+
+  const { rows: kept } = await older.pool.query(
+    'SELECT id FROM metrics ORDER BY id'
+  );
+  assert.deepEqual(
+    kept.map((row) => row.id),
+    ['reading-1', 'reading-3']
+  );
+  const { rows: moved } = await older.pool.query(
+    'SELECT id, energy_produced FROM metrics_duplicates'
+  );
+  assert.deepEqual(moved, [{ id: 'reading-2', energy_produced: '3.00' }]);
+
+  // No table is left behind without duplicates
+  const { rows } = await postgres.pool.query(
+    "SELECT to_regclass('metrics_duplicates') AS backup"
+  );
+  assert.equal(rows[0].backup, null);
+});
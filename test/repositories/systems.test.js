@@ -0,0 +1,107 @@
+import { after, before, test } from 'node:test';
+import * as assert from 'node:assert';
+import { startPostgres } from '../helper.js';
+import {
+  SystemRepository,
+  getSystemTimeZone,
+} from '../../repositories/systems.js';
+
+const UNKNOWN_SYSTEM = '99999999-9999-4999-8999-999999999999';
+
+let postgres;
+let systems;
+let alice;
+let bob;
+let small;
+let large;
+
+async function insertUser(username) {
+  const { rows } = await postgres.pool.query(
+    `INSERT INTO users (name, last_name, email, username, password)
+     VALUES ($1, 'Doe', $1 || '@example.com', $1, 'hash')
+     RETURNING id`,
+    [username]
+  );
+  return rows[0].id;
+}
+
+async function insertSystem(userId, batteryStorage) {
+  const { rows } = await postgres.pool.query(
+    `INSERT INTO systems (address, city, state, zip, country, battery_storage, timezone)
+     VALUES ('1 Main St', 'Denver', 'CO', '80201', 'US', $1, 'America/Denver')
+     RETURNING id`,
+    [batteryStorage]
+  );
+  await postgres.pool.query(
+    'INSERT INTO users_systems (user_id, system_id) VALUES ($1, $2)',
+    [userId, rows[0].id]
+  );
+  return rows[0].id;
+}
+
+before(async () => {
+  postgres = await startPostgres();
+  systems = new SystemRepository(postgres.pool);
+  alice = await insertUser('alice');
+  bob = await insertUser('bob');
+  small = await insertSystem(alice, 5);
+  large = await insertSystem(alice, 10);
+  await insertSystem(bob, 7);
+  await postgres.pool.query(
+    `INSERT INTO system_components (system_id, name, active)
+     VALUES ($1, 'Inverter', true)`,
+    [small]
+  );
+});
+
+after(() => postgres?.stop());
+
+test('systems are listed by owner, largest battery first', async () => {
+  const owned = await systems.getSystemsByUser(alice);
+  assert.deepEqual(
+    owned.map((system) => system.id),
+    [large, small]
+  );
+  assert.equal((await systems.getSystems()).length, 3);
+
+  assert.deepEqual(
+    (await systems.getOwnedSystemIds(bob, [small, large])).sort(),
+    []
+  );
+  assert.deepEqual(
+    (await systems.getOwnedSystemIds(alice, [small, large])).sort(),
+    [small, large].sort()
+  );
+});
+
+test('system details include the components', async () => {
+  const { system, components } = await systems.getSystemDetails(small);
+  assert.equal(system.id, small);
+  assert.equal(system.timezone, 'America/Denver');
+  assert.deepEqual(
+    components.map(({ name, active, product_id }) => ({
+      name,
+      active,
+      product_id,
+    })),
+    [{ name: 'Inverter', active: true, product_id: null }]
+  );
+  assert.equal(await getSystemTimeZone(postgres.pool, small), 'America/Denver');
+});
+
+test('access to systems of other users and unknown systems', async () => {
+  assert.deepEqual(await systems.getSystemAccess(alice, small), {
+    id: small,
+    owned: true,
+  });
+  assert.deepEqual(await systems.getSystemAccess(bob, small), {
+    id: small,
+    owned: false,
+  });
+  assert.equal(await systems.getSystemAccess(alice, UNKNOWN_SYSTEM), undefined);
+
+  const { system, components } = await systems.getSystemDetails(UNKNOWN_SYSTEM);
+  assert.equal(system, undefined);
+  assert.deepEqual(components, []);
+  assert.equal(await getSystemTimeZone(postgres.pool, UNKNOWN_SYSTEM), 'UTC');
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { EventEmitter } from 'node:events';
+import { withTransaction } from '../../repositories/transaction.js';
+import { SessionRepository } from '../../repositories/sessions.js';
+
+/**
+ * Stand-in for a pg pool recording the statements run on each client
+ */
+function buildPool() {
+  const log = [];
+  const pool = {
+    query: async (text) => {
+      log.push(['pool', text]);
+      return { rows: [] };
+    },
+    connect: async () =>
+      Object.assign(new EventEmitter(), {
+        query: async (text) => {
+          log.push(['client', text]);
+          return { rows: [{ id: 'family-1' }] };
+        },
+        release: (err) =>
+          log.push(['client', err ? `release: ${err.message}` : 'release']),
+      }),
+  };
+  return { pool, log };
+}
+
+test('withTransaction commits when the callback resolves', async () => {
+  const { pool, log } = buildPool();
+
+  const familyId = await withTransaction(pool, (client) =>
+    new SessionRepository(client).createRefreshTokenFamily('user-alice', {
+      tokenHash: 'hash',
+      expiresAt: new Date(),
+    })
+  );
+
+  assert.equal(familyId, 'family-1');
+  assert.ok(log.every(([target]) => target === 'client'));
+  assert.equal(log[0][1], 'BEGIN');
+  assert.deepEqual(log.slice(-2), [
+    ['client', 'COMMIT'],
+    ['client', 'release'],
+  ]);
+});
+
+test('withTransaction rolls back when the callback throws', async () => {
+  const { pool, log } = buildPool();
+
+  await assert.rejects(
+    withTransaction(pool, async (client) => {
+      await client.query('UPDATE users SET password = $1');
+      throw new Error('boom');
+    }),
+    /boom/
+  );
+
+  assert.deepEqual(log, [
+    ['client', 'BEGIN'],
+    ['client', 'UPDATE users SET password = $1'],
+    ['client', 'ROLLBACK'],
+    ['client', 'release'],
+  ]);
+});
+
+test('withTransaction discards a connection that cannot roll back', async () => {
+  const { pool, log } = buildPool();
+  const connect = pool.connect;
+  pool.connect = async () => {
+    const client = await connect();
+    const query = client.query;
+    client.query = async (text) => {
+      if (text === 'BEGIN') return query(text);
+      log.push(['client', text]);
+      throw new Error(
+        text === 'ROLLBACK' ? 'Client is not queryable' : 'Connection lost'
+      );
+    };
+    return client;
+  };
+
+  await assert.rejects(
+    withTransaction(pool, (client) => client.query('SELECT 1')),
+    /Connection lost/
+  );
+  assert.deepEqual(log.slice(-2), [
+    ['client', 'ROLLBACK'],
+    ['client', 'release: Client is not queryable'],
+  ]);
+});
+
+test('withTransaction reuses a checked out client', async () => {
+  const { pool, log } = buildPool();
+  const client = await pool.connect();
+
+  await withTransaction(client, (inner) => {
+    assert.equal(inner, client);
+    return inner.query('SELECT 1');
+  });
+
+  assert.deepEqual(log, [['client', 'SELECT 1']]);
+});
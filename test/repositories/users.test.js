@@ -0,0 +1,102 @@
+import { after, before, test } from 'node:test';
+import * as assert from 'node:assert';
+import { startPostgres } from '../helper.js';
+import { UserRepository } from '../../repositories/users.js';
+
+const HOUR = 60 * 60 * 1000;
+
+let postgres;
+let users;
+let alice;
+
+before(async () => {
+  postgres = await startPostgres();
+  users = new UserRepository(postgres.pool);
+  alice = await users.createUser({
+    name: 'Alice',
+    last_name: 'Doe',
+    email: 'Alice@example.com',
+    username: 'Alice',
+    password: 'correct horse battery staple',
+  });
+});
+
+after(() => postgres?.stop());
+
+test('users are found by username and email regardless of case', async () => {
+  assert.equal(alice.role, 'user');
+  assert.deepEqual(await users.getUserByUsername('alice'), alice);
+  assert.deepEqual(await users.getUserByEmail('ALICE@example.com'), alice);
+  assert.deepEqual(await users.getUserById(alice.id), alice);
+
+  // Only the hash of the password is stored
+  const { rows } = await postgres.pool.query(
+    'SELECT password FROM users WHERE id = $1',
+    [alice.id]
+  );
+  assert.match(rows[0].password, /^\$scrypt\$/);
+  assert.equal(
+    await users.authenticate('ALICE', 'correct horse battery staple'),
+    true
+  );
+});
+
+test('usernames and emails are unique regardless of case', async () => {
+  const user = {
+    name: 'Alice',
+    last_name: 'Smith',
+    email: 'alice.smith@example.com',
+    username: 'ALICE',
+    password: 'another password',
+  };
+  await assert.rejects(users.createUser(user), /idx_users_username_lower/);
+  await assert.rejects(
+    users.createUser({
+      ...user,
+      username: 'asmith',
+      email: 'alice@EXAMPLE.com',
+    }),
+    /idx_users_email_lower/
+  );
+});
+
+test('authentication fails for wrong passwords and unknown users', async () => {
+  assert.equal(await users.authenticate('alice', 'wrong password'), false);
+  assert.equal(await users.authenticate('nobody', 'wrong password'), false);
+  assert.equal(await users.getUserByUsername('nobody'), undefined);
+});
+
+test('user tokens are single use and expire', async () => {
+  const expiresAt = new Date(Date.now() + HOUR);
+  await users.createUserToken(alice.id, 'password_reset', {
+    tokenHash: 'first',
+    expiresAt,
+  });
+  await users.createUserToken(alice.id, 'password_reset', {
+    tokenHash: 'second',
+    expiresAt,
+  });
+  await users.createUserToken(alice.id, 'password_reset', {
+    tokenHash: 'expired',
+    expiresAt: new Date(Date.now() - HOUR),
+  });
+
+  // Sending a token invalidates the previous ones of the purpose
+  assert.equal(await users.useUserToken('password_reset', 'first'), undefined);
+  assert.equal(await users.useUserToken('password_reset', 'second'), undefined);
+  assert.equal(
+    await users.useUserToken('password_reset', 'expired'),
+    undefined
+  );
+
+  await users.createUserToken(alice.id, 'password_reset', {
+    tokenHash: 'latest',
+    expiresAt,
+  });
+  assert.equal(
+    await users.useUserToken('email_verification', 'latest'),
+    undefined
+  );
+  assert.equal(await users.useUserToken('password_reset', 'latest'), alice.id);
+  assert.equal(await users.useUserToken('password_reset', 'latest'), undefined);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { buildRouteApp, signToken } from '../helper.js';
+import adminRoutes from '../../routes/admin.js';
+
+const admin = { id: 'user-admin', username: 'demo', role: 'admin' };
+const member = { id: 'user-member', username: 'member', role: 'user' };
+const legacy = { id: 'user-legacy', username: 'legacy' };
+
+const pg = {
+  connect: async () => ({
+    query: async () => ({ rows: [{ count: '3' }] }),
+    release: () => {},
+  }),
+};
+
+const adminRoutesList = [
+  ['POST', '/api/admin/reset-demo'],
+  ['POST', '/api/admin/clear-data'],
+  ['GET', '/api/admin/data-stats'],
+];
+
+for (const [method, url] of adminRoutesList) {
+  test(`${method} ${url} requires the admin role`, async (t) => {
+    const app = await buildRouteApp(t, { routes: adminRoutes, pg });
+
+    for (const user of [member, legacy]) {
+      const res = await app.inject({
+        method,
+        url,
+        headers: { authorization: `Bearer ${signToken(app, user)}` },
+      });
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.json().error, 'Forbidden');
+    }
+
+    const res = await app.inject({ method, url });
+    assert.equal(res.statusCode, 401);
+  });
+}
+
+test('admins can read data statistics', async (t) => {
+  const app = await buildRouteApp(t, { routes: adminRoutes, pg });
+
+  const res = await app.inject({
+    method: 'GET',
+    url: '/api/admin/data-stats',
+    headers: { authorization: `Bearer ${signToken(app, admin)}` },
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json().users, 3);
+});
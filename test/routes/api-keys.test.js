@@ -0,0 +1,266 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { buildRouteApp, signToken } from '../helper.js';
+import apiKeysRoutes from '../../routes/api-keys.js';
+import { hashToken } from '../../lib/tokens.js';
+
+const alice = { id: 'user-alice', username: 'alice' };
+const bob = { id: 'user-bob', username: 'bob' };
+const ALICE_SYSTEM = '11111111-1111-4111-8111-111111111111';
+const ALICE_OTHER_SYSTEM = '44444444-4444-4444-8444-444444444444';
+const BOB_SYSTEM = '22222222-2222-4222-8222-222222222222';
+const SHARED_SYSTEM = '55555555-5555-4555-8555-555555555555';
+
+const owners = {
+  [ALICE_SYSTEM]: [alice.id],
+  [ALICE_OTHER_SYSTEM]: [alice.id],
+  [BOB_SYSTEM]: [bob.id],
+  [SHARED_SYSTEM]: [alice.id, bob.id],
+};
+const isOwner = (userId, systemId) => owners[systemId]?.includes(userId);
+
+function buildDb() {
+  // API keys by id, with the hash stored like in the api_keys table
+  const keys = new Map();
+  const view = ({ key_hash: _hash, ...apiKey }) => apiKey;
+  const scoped = (id, systemId) => {
+    const apiKey = keys.get(id);
+    return apiKey?.system_ids.includes(systemId) ? apiKey : undefined;
+  };
+
+  const db = {
+    systems: {
+      getSystemAccess: async (userId, systemId) =>
+        owners[systemId]
+          ? { id: systemId, owned: isOwner(userId, systemId) }
+          : undefined,
+      getOwnedSystemIds: async (userId, systemIds) =>
+        systemIds.filter((id) => isOwner(userId, id)),
+    },
+    apiKeys: {
+      getApiKey: async (id, systemId) => {
+        const apiKey = scoped(id, systemId);
+        return apiKey && view(apiKey);
+      },
+      getApiKeysBySystem: async (systemId, userId) =>
+        [...keys.values()]
+          .filter((apiKey) => apiKey.system_ids.includes(systemId))
+          .map((apiKey) => ({
+            ...view(apiKey),
+            system_ids: apiKey.system_ids.filter((id) => isOwner(userId, id)),
+          })),
+      createApiKey: async ({
+        systemIds,
+        permissions,
+        name,
+        prefix,
+        keyHash,
+      }) => {
+        const apiKey = {
+          id: `00000000-0000-4000-8000-00000000000${keys.size + 1}`,
+          name,
+          prefix,
+          permissions,
+          system_ids: systemIds,
+          key_hash: keyHash,
+          created_at: new Date(),
+          last_used_at: null,
+          rotated_at: null,
+          revoked_at: null,
+        };
+        keys.set(apiKey.id, apiKey);
+        return view(apiKey);
+      },
+      rotateApiKey: async (id, systemId, { prefix, keyHash }) => {
+        const apiKey = scoped(id, systemId);
+        if (!apiKey || apiKey.revoked_at) return undefined;
+        Object.assign(apiKey, {
+          prefix,
+          key_hash: keyHash,
+          rotated_at: new Date(),
+        });
+        return view(apiKey);
+      },
+      revokeApiKey: async (id, systemId) => {
+        const apiKey = scoped(id, systemId);
+        if (!apiKey) return undefined;
+        apiKey.revoked_at ??= new Date();
+        return view(apiKey);
+      },
+    },
+  };
+  return { db, keys };
+}
+
+test('/api/systems/:systemId/keys', async (t) => {
+  const { db, keys } = buildDb();
+  const app = await buildRouteApp(t, { routes: apiKeysRoutes, db });
+  const headers = { authorization: `Bearer ${signToken(app, alice)}` };
+  const url = `/api/systems/${ALICE_SYSTEM}/keys`;
+  let created;
+
+  await t.test('creates a scoped key and only stores its hash', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url,
+      headers,
+      body: {
+        name: 'Gateway',
+        permissions: ['readings:write', 'metrics:read'],
+        system_ids: [ALICE_OTHER_SYSTEM],
+      },
+    });
+    assert.equal(res.statusCode, 201);
+    created = res.json();
+    assert.match(created.key, /^lum_[0-9a-f]{8}_/);
+    assert.ok(created.key.startsWith(created.prefix));
+    assert.deepEqual(created.system_ids, [ALICE_SYSTEM, ALICE_OTHER_SYSTEM]);
+    assert.deepEqual(created.permissions, ['readings:write', 'metrics:read']);
+    assert.equal(keys.get(created.id).key_hash, hashToken(created.key));
+  });
+
+  await t.test('defaults to the readings:write permission', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url,
+      headers,
+      body: { name: 'Inverter' },
+    });
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(res.json().permissions, ['readings:write']);
+    assert.deepEqual(res.json().system_ids, [ALICE_SYSTEM]);
+  });
+
+  await t.test('rejects unknown permissions', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url,
+      headers,
+      body: { name: 'Gateway', permissions: ['systems:delete'] },
+    });
+    assert.equal(res.statusCode, 400);
+  });
+
+  await t.test('rejects scopes including systems of other users', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url,
+      headers,
+      body: { name: 'Gateway', system_ids: [BOB_SYSTEM] },
+    });
+    assert.equal(res.statusCode, 403);
+  });
+
+  await t.test('lists keys without secrets', async () => {
+    const res = await app.inject({ url, headers });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.json().length, 2);
+    for (const apiKey of res.json()) {
+      assert.equal(apiKey.key, undefined);
+      assert.equal(apiKey.key_hash, undefined);
+    }
+
+    const other = await app.inject({
+      url: `/api/systems/${ALICE_OTHER_SYSTEM}/keys`,
+      headers,
+    });
+    assert.deepEqual(
+      other.json().map((apiKey) => apiKey.id),
+      [created.id]
+    );
+  });
+
+  await t.test('rotates the secret of a key', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url: `${url}/${created.id}/rotate`,
+      headers,
+    });
+    assert.equal(res.statusCode, 200);
+    const rotated = res.json();
+    assert.notEqual(rotated.key, created.key);
+    assert.equal(keys.get(created.id).key_hash, hashToken(rotated.key));
+    assert.ok(rotated.rotated_at);
+  });
+
+  await t.test('revokes a key', async () => {
+    const res = await app.inject({
+      method: 'DELETE',
+      url: `${url}/${created.id}`,
+      headers,
+    });
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.json().revoked_at);
+
+    const rotate = await app.inject({
+      method: 'POST',
+      url: `${url}/${created.id}/rotate`,
+      headers,
+    });
+    assert.equal(rotate.statusCode, 404);
+  });
+
+  await t.test('requires ownership of the system', async () => {
+    const bobUrl = `/api/systems/${BOB_SYSTEM}/keys`;
+    const list = await app.inject({ url: bobUrl, headers });
+    assert.equal(list.statusCode, 403);
+
+    const create = await app.inject({
+      method: 'POST',
+      url: bobUrl,
+      headers,
+      body: { name: 'Gateway' },
+    });
+    assert.equal(create.statusCode, 403);
+
+    const anonymous = await app.inject({ url });
+    assert.equal(anonymous.statusCode, 401);
+  });
+
+  await t.test('requires ownership of every system of the key', async () => {
+    const create = await app.inject({
+      method: 'POST',
+      url,
+      headers,
+      body: { name: 'Shared gateway', system_ids: [SHARED_SYSTEM] },
+    });
+    const shared = create.json();
+
+    // Bob co-owns one system of the key, not the other one
+    const bobHeaders = { authorization: `Bearer ${signToken(app, bob)}` };
+    const sharedUrl = `/api/systems/${SHARED_SYSTEM}/keys`;
+    const list = await app.inject({ url: sharedUrl, headers: bobHeaders });
+    assert.equal(list.statusCode, 200);
+    assert.deepEqual(
+      list.json().find((apiKey) => apiKey.id === shared.id).system_ids,
+      [SHARED_SYSTEM]
+    );
+
+    const rotate = await app.inject({
+      method: 'POST',
+      url: `${sharedUrl}/${shared.id}/rotate`,
+      headers: bobHeaders,
+    });
+    assert.equal(rotate.statusCode, 403);
+    assert.equal(
+      rotate.json().message,
+      `You do not have access to system ${ALICE_SYSTEM}`
+    );
+    assert.equal(keys.get(shared.id).key_hash, hashToken(shared.key));
+
+    const revoke = await app.inject({
+      method: 'DELETE',
+      url: `${sharedUrl}/${shared.id}`,
+      headers: bobHeaders,
+    });
+    assert.equal(revoke.statusCode, 403);
+    assert.equal(keys.get(shared.id).revoked_at, null);
+
+    const rotateByOwner = await app.inject({
+      method: 'POST',
+      url: `${sharedUrl}/${shared.id}/rotate`,
+      headers,
+    });
+    assert.equal(rotateByOwner.statusCode, 200);
+  });
+});
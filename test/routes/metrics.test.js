@@ -0,0 +1,257 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { buildRouteApp, signToken } from '../helper.js';
+import metricsRoutes from '../../routes/metrics.js';
+import { generateApiKey } from '../../lib/api-keys.js';
+
+const alice = { id: 'user-alice', username: 'alice' };
+const bob = { id: 'user-bob', username: 'bob' };
+const ALICE_SYSTEM = '11111111-1111-4111-8111-111111111111';
+const BOB_SYSTEM = '22222222-2222-4222-8222-222222222222';
+const MISSING_SYSTEM = '33333333-3333-4333-8333-333333333333';
+
+const usersSystems = {
+  [alice.id]: [ALICE_SYSTEM],
+  [bob.id]: [BOB_SYSTEM],
+};
+
+const system = (id) => ({
+  id,
+  address: '1 Main St',
+  city: 'Springfield',
+  state: 'OR',
+  zip: '97477',
+  country: 'US',
+  battery_storage: 50,
+});
+
+const reader = generateApiKey();
+const writer = generateApiKey();
+const apiKeys = {
+  [reader.hash]: {
+    id: 'key-reader',
+    system_ids: [ALICE_SYSTEM],
+    permissions: ['metrics:read'],
+    revoked_at: null,
+  },
+  [writer.hash]: {
+    id: 'key-writer',
+    system_ids: [ALICE_SYSTEM],
+    permissions: ['readings:write'],
+    revoked_at: null,
+  },
+};
+
+const db = {
+  apiKeys: {
+    getApiKeyByHash: async (hash) => apiKeys[hash],
+    touchApiKey: async () => {},
+  },
+  systems: {
+    getSystemAccess: async (userId, systemId) => {
+      if (![ALICE_SYSTEM, BOB_SYSTEM].includes(systemId)) return undefined;
+      return {
+        id: systemId,
+        owned: (usersSystems[userId] || []).includes(systemId),
+      };
+    },
+    getSystemDetails: async (systemId) => ({
+      system: system(systemId),
+      components: [],
+    }),
+    getWeatherBySystem: async () => ({
+      temperature: 70,
+      description: 'clear',
+    }),
+  },
+  metrics: {
+    getMetricsBySystem: async () => [],
+    getMetricsSummaryBySystem: async () => ({
+      daily: { total_energy_produced: 1, total_energy_consumed: 1 },
+      weekly: { total_energy_produced: 1, total_energy_consumed: 1 },
+      monthly: { total_energy_produced: 1, total_energy_consumed: 1 },
+    }),
+    getActivityHistoryBySystem: async () => [],
+  },
+  forecast: {
+    getEnergyForecast: async () => [{ date: '2025-01-01', irradiation: 4 }],
+  },
+};
+
+const ai = {
+  generateForecastAnalysis: async () => ({
+    efficiency: 'Excellent',
+    analysis: 'ok',
+    averageIrradiation: 4,
+  }),
+};
+
+const systemRoutes = [
+  ['GET', '/api/metrics/:systemId'],
+  ['GET', '/api/summary/:systemId'],
+  ['GET', '/api/system/:systemId'],
+  ['GET', '/api/system/:systemId/activityHistory'],
+  ['GET', '/api/system/:systemId/weather'],
+  ['GET', '/api/forecast/:systemId'],
+  // Paid AI inference, for users only
+  ['POST', '/api/forecast/:systemId/analysis', { apiKeys: false }],
+];
+
+for (const [method, url, { apiKeys = true } = {}] of systemRoutes) {
+  test(`${method} ${url} enforces system ownership`, async (t) => {
+    const app = await buildRouteApp(t, { routes: metricsRoutes, db, ai });
+    const authorization = `Bearer ${signToken(app, alice)}`;
+
+    await t.test('allows the owner', async () => {
+      const res = await app.inject({
+        method,
+        url: url.replace(':systemId', ALICE_SYSTEM),
+        headers: { authorization },
+      });
+      assert.equal(res.statusCode, 200);
+    });
+
+    await t.test('rejects another tenant with 403', async () => {
+      const res = await app.inject({
+        method,
+        url: url.replace(':systemId', BOB_SYSTEM),
+        headers: { authorization },
+      });
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.json().error, 'Forbidden');
+    });
+
+    await t.test('returns 404 for unknown systems', async () => {
+      const res = await app.inject({
+        method,
+        url: url.replace(':systemId', MISSING_SYSTEM),
+        headers: { authorization },
+      });
+      assert.equal(res.statusCode, 404);
+    });
+
+    await t.test('requires a valid JWT', async () => {
+      const res = await app.inject({
+        method,
+        url: url.replace(':systemId', ALICE_SYSTEM),
+      });
+      assert.equal(res.statusCode, 401);
+    });
+
+    await t.test(
+      apiKeys ? 'accepts API keys with metrics:read' : 'rejects API keys',
+      async () => {
+        const res = await app.inject({
+          method,
+          url: url.replace(':systemId', ALICE_SYSTEM),
+          headers: { 'x-api-key': reader.key },
+        });
+        assert.equal(res.statusCode, apiKeys ? 200 : 401);
+
+        for (const [systemId, key] of [
+          [BOB_SYSTEM, reader.key],
+          [ALICE_SYSTEM, writer.key],
+        ]) {
+          const denied = await app.inject({
+            method,
+            url: url.replace(':systemId', systemId),
+            headers: { 'x-api-key': key },
+          });
+          assert.equal(denied.statusCode, 401);
+        }
+      }
+    );
+  });
+}
+
+test('GET /api/metrics/:systemId time range and resolution', async (t) => {
+  const calls = [];
+  const app = await buildRouteApp(t, {
+    routes: metricsRoutes,
+    db: {
+      ...db,
+      metrics: {
+        ...db.metrics,
+        getMetricsBySystem: async (systemId, options) => {
+          calls.push(options);
+          return [
+            {
+              system_id: systemId,
+              datetime: new Date('2025-01-01T00:00:00Z'),
+              energy_produced: '41.50',
+              energy_consumed: '12.25',
+            },
+          ];
+        },
+      },
+    },
+  });
+  const headers = { authorization: `Bearer ${signToken(app, alice)}` };
+  const url = `/api/metrics/${ALICE_SYSTEM}`;
+
+  await t.test('reads the date filter from the query string', async () => {
+    const res = await app.inject({ url: `${url}?date=2025-01-01`, headers });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(calls.at(-1), {
+      from: '2025-01-01',
+      to: null,
+      resolution: 'hour',
+    });
+  });
+
+  await t.test('serializes buckets as numbers', async () => {
+    const res = await app.inject({
+      url: `${url}?from=2025-01-01&to=2025-04-01&resolution=day`,
+      headers,
+    });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(calls.at(-1), {
+      from: '2025-01-01',
+      to: '2025-04-01',
+      resolution: 'day',
+    });
+    assert.deepEqual(res.json(), [
+      {
+        system_id: ALICE_SYSTEM,
+        datetime: '2025-01-01T00:00:00.000Z',
+        energy_produced: 41.5,
+        energy_consumed: 12.25,
+      },
+    ]);
+  });
+
+  await t.test('rejects unknown resolutions', async () => {
+    const res = await app.inject({
+      url: `${url}?from=2025-01-01&resolution=minute`,
+      headers,
+    });
+    assert.equal(res.statusCode, 400);
+  });
+
+  await t.test('rejects inverted ranges', async () => {
+    const res = await app.inject({
+      url: `${url}?from=2025-02-01&to=2025-01-01`,
+      headers,
+    });
+    assert.equal(res.statusCode, 400);
+  });
+
+  await t.test('rejects ranges too large for the resolution', async () => {
+    const res = await app.inject({
+      url: `${url}?from=2024-01-01&to=2025-01-01&resolution=hour`,
+      headers,
+    });
+    assert.equal(res.statusCode, 400);
+
+    const ok = await app.inject({
+      url: `${url}?from=2024-01-01&to=2025-01-01&resolution=week`,
+      headers,
+    });
+    assert.equal(ok.statusCode, 200);
+  });
+
+  await t.test('requires from when to is provided', async () => {
+    const res = await app.inject({ url: `${url}?to=2025-01-01`, headers });
+    assert.equal(res.statusCode, 400);
+  });
+});
@@ -0,0 +1,226 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { buildRouteApp, signToken } from '../helper.js';
+import promptsRoutes from '../../routes/prompts.js';
+import { loadDefaultPrompt } from '../../lib/prompts.js';
+
+const admin = { id: 'user-admin', username: 'demo', role: 'admin' };
+const member = { id: 'user-member', username: 'member', role: 'user' };
+
+// In-memory stand-in of PromptRepository
+function buildPrompts() {
+  const rows = [];
+  const prompts = {
+    rows,
+    getPromptVersions: async (name) =>
+      rows
+        .filter((row) => row.name === name)
+        .sort((a, b) => b.version - a.version),
+    getPrompt: async (name, version) =>
+      rows.find((row) => row.name === name && row.version === version),
+    createPrompt: async (name, template, userId) => {
+      const versions = rows.filter((row) => row.name === name);
+      versions.forEach((row) => (row.active = false));
+      const row = {
+        name,
+        version: versions.length + 1,
+        template,
+        active: true,
+        createdBy: userId,
+        createdAt: new Date('2026-01-01T00:00:00Z'),
+      };
+      rows.push(row);
+      return row;
+    },
+    activatePrompt: async (name, version) => {
+      const versions = rows.filter((row) => row.name === name);
+      if (version !== 0 && !versions.some((row) => row.version === version)) {
+        return false;
+      }
+      versions.forEach((row) => (row.active = row.version === version));
+      return true;
+    },
+  };
+  const db = { prompts, transaction: async (fn) => fn({ prompts }) };
+  return { db, rows };
+}
+
+async function build(t, ai = {}) {
+  const { db, rows } = buildPrompts();
+  const app = await buildRouteApp(t, { routes: promptsRoutes, db, ai });
+  const headers = { authorization: `Bearer ${signToken(app, admin)}` };
+  return { app, headers, rows };
+}
+
+for (const [method, url] of [
+  ['GET', '/api/admin/prompts/luminaire-agent'],
+  ['POST', '/api/admin/prompts/luminaire-agent'],
+  ['POST', '/api/admin/prompts/luminaire-agent/rollback'],
+  ['POST', '/api/admin/prompts/luminaire-agent/preview'],
+]) {
+  test(`${method} ${url} requires the admin role`, async (t) => {
+    const { app } = await build(t);
+
+    const body = method === 'POST' ? { template: 'x', version: 0 } : undefined;
+    const res = await app.inject({
+      method,
+      url,
+      headers: { authorization: `Bearer ${signToken(app, member)}` },
+      body,
+    });
+    assert.equal(res.statusCode, 403);
+
+    const anonymous = await app.inject({ method, url, body });
+    assert.equal(anonymous.statusCode, 401);
+  });
+}
+
+test('admins create prompt versions and roll back to earlier ones', async (t) => {
+  const { app, headers, rows } = await build(t);
+  const url = '/api/admin/prompts/luminaire-agent';
+
+  let res = await app.inject({ method: 'GET', url, headers });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(
+    res.json().map(({ version, active }) => [version, active]),
+    [[0, true]]
+  );
+  assert.equal(res.json()[0].template, loadDefaultPrompt('luminaire-agent'));
+
+  for (const template of [
+    'First {{systemId}}',
+    'Second {{ databaseSchema }}',
+  ]) {
+    res = await app.inject({
+      method: 'POST',
+      url,
+      headers,
+      body: { template },
+    });
+    assert.equal(res.statusCode, 201);
+  }
+  assert.equal(res.json().version, 2);
+  assert.equal(res.json().createdBy, 'user-admin');
+
+  res = await app.inject({ method: 'GET', url, headers });
+  assert.deepEqual(
+    res.json().map(({ version, active }) => [version, active]),
+    [
+      [2, true],
+      [1, false],
+      [0, false],
+    ]
+  );
+
+  res = await app.inject({
+    method: 'POST',
+    url: `${url}/rollback`,
+    headers,
+    body: { version: 1 },
+  });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.json(), { name: 'luminaire-agent', version: 1 });
+  assert.deepEqual(
+    rows.map(({ version, active }) => [version, active]),
+    [
+      [1, true],
+      [2, false],
+    ]
+  );
+
+  res = await app.inject({
+    method: 'POST',
+    url: `${url}/rollback`,
+    headers,
+    body: { version: 0 },
+  });
+  assert.equal(res.statusCode, 200);
+  assert.ok(rows.every((row) => !row.active));
+
+  res = await app.inject({
+    method: 'POST',
+    url: `${url}/rollback`,
+    headers,
+    body: { version: 7 },
+  });
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.json().error, 'Not Found');
+});
+
+test('templates with unknown variables and unknown prompts are rejected', async (t) => {
+  const { app, headers, rows } = await build(t);
+
+  let res = await app.inject({
+    method: 'POST',
+    url: '/api/admin/prompts/forecast-analysis',
+    headers,
+    body: { template: 'Analyze {{systemId}} and {{ userId }}' },
+  });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.json().message, 'Unknown variables: systemId, userId');
+
+  res = await app.inject({
+    method: 'GET',
+    url: '/api/admin/prompts/unknown',
+    headers,
+  });
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(rows, []);
+});
+
+test('admins preview the prompt rendered for a user', async (t) => {
+  const calls = [];
+  const { app, headers } = await build(t, {
+    previewPrompt: async (name, options) => {
+      calls.push([name, options]);
+      return options.version === 9
+        ? null
+        : { name, version: 1, content: `Prompt of ${options.userId}` };
+    },
+  });
+  const url = '/api/admin/prompts/luminaire-agent/preview';
+
+  let res = await app.inject({
+    method: 'POST',
+    url,
+    headers,
+    body: { userId: 'user-alice', systemId: 'system-1' },
+  });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.json(), {
+    name: 'luminaire-agent',
+    version: 1,
+    content: 'Prompt of user-alice',
+  });
+
+  res = await app.inject({
+    method: 'POST',
+    url,
+    headers,
+    body: { version: 9 },
+  });
+  assert.equal(res.statusCode, 404);
+
+  assert.deepEqual(calls, [
+    [
+      'luminaire-agent',
+      { userId: 'user-alice', systemId: 'system-1', version: undefined },
+    ],
+    [
+      'luminaire-agent',
+      { userId: 'user-admin', systemId: undefined, version: 9 },
+    ],
+  ]);
+});
+
+test('previews need an AI engine rendering the prompts', async (t) => {
+  const { app, headers } = await build(t);
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/api/admin/prompts/luminaire-agent/preview',
+    headers,
+    body: {},
+  });
+  assert.equal(res.statusCode, 501);
+});
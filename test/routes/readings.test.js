@@ -0,0 +1,212 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { buildRouteApp } from '../helper.js';
+import readingsRoutes from '../../routes/readings.js';
+import { generateApiKey } from '../../lib/api-keys.js';
+
+const SYSTEM = '11111111-1111-4111-8111-111111111111';
+const OTHER_SYSTEM = '22222222-2222-4222-8222-222222222222';
+
+function buildDb() {
+  const device = generateApiKey();
+  const revoked = generateApiKey();
+  const readOnly = generateApiKey();
+  const key = (id, overrides) => ({
+    id,
+    system_ids: [SYSTEM],
+    permissions: ['readings:write'],
+    revoked_at: null,
+    ...overrides,
+  });
+  const keys = {
+    [device.hash]: key('key-1'),
+    [revoked.hash]: key('key-2', { revoked_at: new Date() }),
+    [readOnly.hash]: key('key-3', { permissions: ['metrics:read'] }),
+  };
+  // Stored readings by UTC timestamp
+  const metrics = new Map([['2025-01-01T00:00:00.000', { produced: 1 }]]);
+
+  const db = {
+    apiKeys: {
+      getApiKeyByHash: async (hash) => keys[hash],
+      touchApiKey: async () => {},
+    },
+    metrics: {
+      upsertReadings: async (systemId, readings, { mode }) => {
+        const rows = [];
+        for (const reading of readings) {
+          const exists = metrics.has(reading.datetime);
+          if (exists && mode === 'reject') continue;
+          metrics.set(reading.datetime, reading);
+          rows.push({ datetime: reading.datetime, inserted: !exists });
+        }
+        return rows;
+      },
+    },
+  };
+  return {
+    db,
+    metrics,
+    device: device.key,
+    revoked: revoked.key,
+    readOnly: readOnly.key,
+  };
+}
+
+test('POST /api/systems/:systemId/readings', async (t) => {
+  const { db, metrics, device, revoked, readOnly } = buildDb();
+  const app = await buildRouteApp(t, { routes: readingsRoutes, db });
+  const url = `/api/systems/${SYSTEM}/readings`;
+
+  await t.test('requires a valid API key scoped to the system', async () => {
+    for (const headers of [
+      {},
+      { 'x-api-key': 'lum_nope_nope' },
+      { 'x-api-key': revoked },
+    ]) {
+      const res = await app.inject({ method: 'POST', url, headers, body: [] });
+      assert.equal(res.statusCode, 401);
+    }
+
+    const res = await app.inject({
+      method: 'POST',
+      url: `/api/systems/${OTHER_SYSTEM}/readings`,
+      headers: { 'x-api-key': device },
+      body: [],
+    });
+    assert.equal(res.statusCode, 403);
+  });
+
+  await t.test('requires the readings:write permission', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url,
+      headers: { 'x-api-key': readOnly },
+      body: [],
+    });
+    assert.equal(res.statusCode, 403);
+  });
+
+  await t.test('returns per-row results for a JSON batch', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url,
+      headers: { 'x-api-key': device },
+      body: [
+        {
+          datetime: '2025-01-01T01:00:00Z',
+          energy_produced: 1.5,
+          energy_consumed: 0.5,
+        },
+        {
+          datetime: '2024-12-31T16:00:00-08:00',
+          energy_produced: 2,
+          energy_consumed: 1,
+        },
+        { datetime: 'yesterday', energy_produced: 1, energy_consumed: 1 },
+        {
+          datetime: '2025-01-01T01:00:00+00:00',
+          energy_produced: 3,
+          energy_consumed: 1,
+        },
+        {
+          datetime: '2999-01-01T00:00:00Z',
+          energy_produced: 1,
+          energy_consumed: 1,
+        },
+        { datetime: '2025-01-01T02:00:00Z', energy_produced: -1 },
+      ],
+    });
+    assert.equal(res.statusCode, 200);
+
+    const body = res.json();
+    assert.equal(body.accepted, 2);
+    assert.equal(body.rejected, 4);
+    assert.deepEqual(
+      body.results.map((r) => r.status),
+      ['inserted', 'updated', 'rejected', 'rejected', 'rejected', 'rejected']
+    );
+    assert.match(body.results[2].error, /format "date-time"/);
+    assert.match(body.results[3].error, /Duplicate of reading 0/);
+    assert.match(body.results[4].error, /future/);
+    assert.match(body.results[5].error, />= 0/);
+    assert.equal(metrics.get('2025-01-01T01:00:00.000').energy_produced, 1.5);
+  });
+
+  await t.test('is idempotent when a batch is retried', async () => {
+    const body = [
+      {
+        datetime: '2025-01-02T00:00:00Z',
+        energy_produced: 1,
+        energy_consumed: 1,
+      },
+    ];
+    const headers = { 'x-api-key': device };
+
+    const first = await app.inject({ method: 'POST', url, headers, body });
+    const retry = await app.inject({ method: 'POST', url, headers, body });
+    assert.equal(first.json().results[0].status, 'inserted');
+    assert.equal(retry.json().results[0].status, 'updated');
+    assert.equal(retry.json().accepted, 1);
+  });
+
+  await t.test('rejects existing readings in reject mode', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url: `${url}?mode=reject`,
+      headers: { 'x-api-key': device },
+      body: [
+        {
+          datetime: '2025-01-02T00:00:00Z',
+          energy_produced: 9,
+          energy_consumed: 9,
+        },
+      ],
+    });
+    assert.equal(res.json().results[0].status, 'rejected');
+    assert.equal(metrics.get('2025-01-02T00:00:00.000').energy_produced, 1);
+  });
+
+  await t.test('accepts NDJSON bodies', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url,
+      headers: {
+        'x-api-key': device,
+        'content-type': 'application/x-ndjson',
+      },
+      payload: [
+        '{"datetime":"2025-01-03T00:00:00Z","energy_produced":1,"energy_consumed":2}',
+        '',
+        '{"datetime":"2025-01-03T01:00:00Z","energy_produced":1,"energy_consumed":2}',
+        '',
+      ].join('\n'),
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.json().accepted, 2);
+  });
+
+  await t.test('rejects malformed NDJSON', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url,
+      headers: {
+        'x-api-key': device,
+        'content-type': 'application/x-ndjson',
+      },
+      payload: '{"datetime":"2025-01-03T00:00:00Z"}\n{oops',
+    });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.json().message, /line 2/);
+  });
+
+  await t.test('rejects bodies that are not arrays', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url,
+      headers: { 'x-api-key': device },
+      body: { datetime: '2025-01-03T00:00:00Z' },
+    });
+    assert.equal(res.statusCode, 400);
+  });
+});
@@ -0,0 +1,492 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { buildRouteApp, signToken } from '../helper.js';
+import usersRoutes from '../../routes/users.js';
+import metricsRoutes from '../../routes/metrics.js';
+
+const alice = {
+  id: 'user-alice',
+  name: 'Alice',
+  last_name: 'Doe',
+  username: 'alice',
+  email: 'alice@example.com',
+  role: 'user',
+};
+
+function buildDb() {
+  const families = new Map();
+  // Refresh tokens by hash
+  const tokens = new Map();
+
+  const sessions = {
+    createRefreshTokenFamily: async (userId, { tokenHash, expiresAt }) => {
+      const id = `family-${families.size + 1}`;
+      families.set(id, { userId, revoked_reason: null });
+      tokens.set(tokenHash, { familyId: id, expiresAt, used: false });
+      return id;
+    },
+    addRefreshToken: async (familyId, { tokenHash, expiresAt }) => {
+      tokens.set(tokenHash, { familyId, expiresAt, used: false });
+    },
+    useRefreshToken: async (tokenHash) => {
+      const token = tokens.get(tokenHash);
+      if (!token) return undefined;
+      const family = families.get(token.familyId);
+      const firstUse = !token.used;
+      token.used = true;
+      return {
+        family_id: token.familyId,
+        user_id: family.userId,
+        revoked_at: family.revoked_reason ? new Date() : null,
+        expired: token.expiresAt < new Date(),
+        first_use: firstUse,
+      };
+    },
+    getRefreshTokenFamily: async (tokenHash) => tokens.get(tokenHash)?.familyId,
+    revokeRefreshTokenFamily: async (familyId, reason) => {
+      families.get(familyId).revoked_reason ??= reason;
+    },
+    isRefreshTokenFamilyRevoked: async (familyId) =>
+      !families.has(familyId) || families.get(familyId).revoked_reason !== null,
+  };
+  const db = {
+    users: {
+      authenticate: async (username, password) =>
+        username === alice.username && password === 'secret',
+      getUserByUsername: async () => alice,
+      getUserById: async (id) => (id === alice.id ? alice : undefined),
+    },
+    systems: { getSystemsByUser: async () => [] },
+    sessions,
+  };
+  return { db, families };
+}
+
+async function build(t) {
+  const { db, families } = buildDb();
+  const app = await buildRouteApp(t, {
+    routes: async (fastify) => {
+      fastify.register(usersRoutes);
+      fastify.register(metricsRoutes);
+    },
+    db,
+  });
+
+  const signIn = async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/api/user/authenticate',
+      body: { username: 'alice', password: 'secret' },
+    });
+    assert.equal(res.statusCode, 200);
+    return res.json();
+  };
+  const refresh = (refreshToken) =>
+    app.inject({
+      method: 'POST',
+      url: '/api/user/refresh',
+      body: { refresh_token: refreshToken },
+    });
+  const getSystems = (session) =>
+    app.inject({
+      url: '/api/systems',
+      headers: { authorization: `Bearer ${session.authorization}` },
+    });
+
+  return { app, families, signIn, refresh, getSystems };
+}
+
+test('POST /api/user/authenticate issues a session', async (t) => {
+  const { app, signIn, getSystems } = await build(t);
+
+  const session = await signIn();
+  assert.equal(session.expires_in, 900);
+  assert.ok(session.refresh_token);
+
+  const payload = app.jwt.decode(session.authorization);
+  assert.equal(payload.sid, 'family-1');
+  assert.equal(payload.exp - payload.iat, 900);
+  assert.equal((await getSystems(session)).statusCode, 200);
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/api/user/authenticate',
+    body: { username: 'alice', password: 'wrong' },
+  });
+  assert.equal(res.statusCode, 401);
+});
+
+test('POST /api/user/refresh rotates refresh tokens', async (t) => {
+  const { signIn, refresh, getSystems } = await build(t);
+  const session = await signIn();
+
+  const res = await refresh(session.refresh_token);
+  assert.equal(res.statusCode, 200);
+  const refreshed = res.json();
+  assert.notEqual(refreshed.refresh_token, session.refresh_token);
+  assert.equal((await getSystems(refreshed)).statusCode, 200);
+
+  const next = await refresh(refreshed.refresh_token);
+  assert.equal(next.statusCode, 200);
+
+  const unknown = await refresh('not-a-token');
+  assert.equal(unknown.statusCode, 401);
+});
+
+test('POST /api/user/refresh revokes the session on reuse', async (t) => {
+  const { families, signIn, refresh, getSystems } = await build(t);
+  const session = await signIn();
+  const refreshed = (await refresh(session.refresh_token)).json();
+
+  // An attacker replays the first refresh token
+  const reuse = await refresh(session.refresh_token);
+  assert.equal(reuse.statusCode, 401);
+  assert.equal(families.get('family-1').revoked_reason, 'reuse');
+
+  // The legitimate client is signed out as well
+  const res = await refresh(refreshed.refresh_token);
+  assert.equal(res.statusCode, 401);
+  assert.equal((await getSystems(refreshed)).statusCode, 401);
+});
+
+test('POST /api/user/logout revokes the session', async (t) => {
+  const { app, families, signIn, refresh, getSystems } = await build(t);
+  const session = await signIn();
+  const other = await signIn();
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/api/user/logout',
+    body: { refresh_token: session.refresh_token },
+  });
+  assert.equal(res.statusCode, 204);
+  assert.equal(families.get('family-1').revoked_reason, 'logout');
+
+  assert.equal((await getSystems(session)).statusCode, 401);
+  assert.equal((await refresh(session.refresh_token)).statusCode, 401);
+
+  // Other sessions of the user are not affected
+  assert.equal((await getSystems(other)).statusCode, 200);
+
+  const unknown = await app.inject({
+    method: 'POST',
+    url: '/api/user/logout',
+    body: { refresh_token: 'not-a-token' },
+  });
+  assert.equal(unknown.statusCode, 204);
+});
+
+/**
+ * In-memory user_tokens table and an outbox capturing the tokens sent by email
+ */
+function buildTokens() {
+  // Tokens by hash
+  const tokens = new Map();
+  const outbox = [];
+
+  const users = {
+    createUserToken: async (userId, purpose, { tokenHash, expiresAt }) => {
+      for (const token of tokens.values()) {
+        if (token.userId === userId && token.purpose === purpose) {
+          token.used = true;
+        }
+      }
+      tokens.set(tokenHash, { userId, purpose, expiresAt, used: false });
+    },
+    useUserToken: async (purpose, tokenHash) => {
+      const token = tokens.get(tokenHash);
+      if (
+        !token ||
+        token.used ||
+        token.purpose !== purpose ||
+        token.expiresAt < new Date()
+      ) {
+        return undefined;
+      }
+      token.used = true;
+      return token.userId;
+    },
+  };
+  const mail = {
+    sendPasswordReset: async (user, token) =>
+      outbox.push({ type: 'password_reset', to: user.email, token }),
+    sendEmailVerification: async (user, token) =>
+      outbox.push({ type: 'email_verification', to: user.email, token }),
+  };
+  return { users, mail, outbox, tokens };
+}
+
+test('POST /api/user/register', async (t) => {
+  const accounts = [];
+  const { users, mail, outbox } = buildTokens();
+  users.createUser = async (user) => {
+    for (const field of ['username', 'email']) {
+      if (
+        accounts.some(
+          (account) =>
+            account[field].toLowerCase() === user[field].toLowerCase()
+        )
+      ) {
+        const err = new Error('duplicate key value');
+        err.code = '23505';
+        err.constraint = `idx_users_${field}_lower`;
+        throw err;
+      }
+    }
+    accounts.push(user);
+    const { password: _password, ...created } = user;
+    return { id: '00000000-0000-4000-8000-000000000001', ...created };
+  };
+  const app = await buildRouteApp(t, {
+    routes: usersRoutes,
+    db: { users },
+    mail,
+  });
+  const register = (body) =>
+    app.inject({ method: 'POST', url: '/api/user/register', body });
+  const valid = {
+    name: 'Alice',
+    last_name: 'Doe',
+    email: 'alice@example.com',
+    username: 'alice',
+    password: 'sunny-roof-42',
+  };
+
+  await t.test(
+    'creates the account without returning the password',
+    async () => {
+      const res = await register(valid);
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.json().username, 'alice');
+      assert.equal(res.json().password, undefined);
+      assert.deepEqual(
+        outbox.map(({ type, to }) => ({ type, to })),
+        [{ type: 'email_verification', to: 'alice@example.com' }]
+      );
+    }
+  );
+
+  await t.test('returns 409 for taken usernames and emails', async () => {
+    const username = await register({
+      ...valid,
+      username: 'ALICE',
+      email: 'other@example.com',
+    });
+    assert.equal(username.statusCode, 409);
+    assert.match(username.json().message, /username/);
+
+    const email = await register({
+      ...valid,
+      username: 'alice2',
+      email: 'Alice@Example.com',
+    });
+    assert.equal(email.statusCode, 409);
+    assert.match(email.json().message, /email/);
+  });
+
+  await t.test('validates the registration data', async () => {
+    for (const body of [
+      { ...valid, username: 'bob', email: 'not-an-email' },
+      {
+        ...valid,
+        username: 'bob',
+        email: 'bob@example.com',
+        password: 'short1',
+      },
+      {
+        ...valid,
+        username: 'bob',
+        email: 'bob@example.com',
+        password: 'onlyletters',
+      },
+      { ...valid, username: 'b o b', email: 'bob@example.com' },
+      {
+        ...valid,
+        username: 'bob',
+        email: 'bob@example.com',
+        password: undefined,
+      },
+    ]) {
+      const res = await register(body);
+      assert.equal(res.statusCode, 400, JSON.stringify(body));
+    }
+    assert.equal(accounts.length, 1);
+  });
+});
+
+test('password reset', async (t) => {
+  const { users, mail, outbox, tokens } = buildTokens();
+  const calls = [];
+  Object.assign(users, {
+    getUserByEmail: async (email) =>
+      email.toLowerCase() === alice.email ? alice : undefined,
+    updateUserPassword: async (userId, password) =>
+      calls.push(['updateUserPassword', userId, password]),
+    markEmailVerified: async (userId) =>
+      calls.push(['markEmailVerified', userId]),
+  });
+  const sessions = {
+    revokeUserRefreshTokenFamilies: async (userId, reason) =>
+      calls.push(['revokeUserRefreshTokenFamilies', userId, reason]),
+  };
+  const db = {
+    users,
+    sessions,
+    transaction: async (fn) => {
+      calls.push(['transaction']);
+      return fn({ users, sessions });
+    },
+  };
+  const app = await buildRouteApp(t, { routes: usersRoutes, db, mail });
+  const request = async (email) => {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/api/user/password-reset/request',
+      body: { email },
+    });
+    // The link is sent after the reply
+    await new Promise((resolve) => setImmediate(resolve));
+    return res;
+  };
+  const confirm = (body) =>
+    app.inject({
+      method: 'POST',
+      url: '/api/user/password-reset/confirm',
+      body,
+    });
+
+  await t.test('does not reveal whether an account exists', async () => {
+    const unknown = await request('nobody@example.com');
+    assert.equal(unknown.statusCode, 202);
+    assert.equal(outbox.length, 0);
+
+    const known = await request('Alice@Example.com');
+    assert.equal(known.statusCode, 202);
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, alice.email);
+    // Only the hash of the token is stored
+    assert.equal(tokens.has(outbox[0].token), false);
+  });
+
+  await t.test('only the latest link is valid', async () => {
+    await request(alice.email);
+    const res = await confirm({
+      token: outbox[0].token,
+      password: 'brand-new-pass-1',
+    });
+    assert.equal(res.statusCode, 400);
+  });
+
+  await t.test('rejects weak passwords', async () => {
+    const res = await confirm({ token: outbox.at(-1).token, password: 'weak' });
+    assert.equal(res.statusCode, 400);
+    assert.equal(calls.length, 0);
+  });
+
+  await t.test('sets the password and signs out every session', async () => {
+    const res = await confirm({
+      token: outbox.at(-1).token,
+      password: 'brand-new-pass-1',
+    });
+    assert.equal(res.statusCode, 204);
+    assert.deepEqual(calls, [
+      ['transaction'],
+      ['updateUserPassword', alice.id, 'brand-new-pass-1'],
+      ['revokeUserRefreshTokenFamilies', alice.id, 'password_reset'],
+      ['markEmailVerified', alice.id],
+    ]);
+  });
+
+  await t.test('tokens are single-use', async () => {
+    const res = await confirm({
+      token: outbox.at(-1).token,
+      password: 'another-pass-2',
+    });
+    assert.equal(res.statusCode, 400);
+  });
+
+  await t.test('tokens expire', async () => {
+    await request(alice.email);
+    for (const token of tokens.values()) token.expiresAt = new Date(0);
+    const res = await confirm({
+      token: outbox.at(-1).token,
+      password: 'another-pass-2',
+    });
+    assert.equal(res.statusCode, 400);
+  });
+
+  await t.test('replies before the account is looked up', async () => {
+    const { getUserByEmail } = users;
+    let lookUp;
+    const lookedUp = new Promise((resolve) => (lookUp = resolve));
+    users.getUserByEmail = async (email) => {
+      await lookedUp;
+      return getUserByEmail(email);
+    };
+    const sent = outbox.length;
+
+    const res = await request(alice.email);
+    assert.equal(res.statusCode, 202);
+    assert.equal(outbox.length, sent);
+
+    lookUp();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(outbox.length, sent + 1);
+    users.getUserByEmail = getUserByEmail;
+  });
+});
+
+test('email verification', async (t) => {
+  const { users, mail, outbox } = buildTokens();
+  const verified = new Set();
+  Object.assign(users, {
+    getUserById: async () => alice,
+    isEmailVerified: async (userId) => verified.has(userId),
+    markEmailVerified: async (userId) => verified.add(userId),
+  });
+  const app = await buildRouteApp(t, {
+    routes: usersRoutes,
+    db: { users },
+    mail,
+  });
+  const headers = { authorization: `Bearer ${signToken(app, alice)}` };
+  const confirm = (token) =>
+    app.inject({
+      method: 'POST',
+      url: '/api/user/email-verification/confirm',
+      body: { token },
+    });
+
+  await t.test('sends a new link to the authenticated user', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/api/user/email-verification/request',
+      headers,
+    });
+    assert.equal(res.statusCode, 202);
+    assert.equal(outbox.length, 1);
+
+    const anonymous = await app.inject({
+      method: 'POST',
+      url: '/api/user/email-verification/request',
+    });
+    assert.equal(anonymous.statusCode, 401);
+  });
+
+  await t.test('verifies the address once', async () => {
+    assert.equal((await confirm(outbox[0].token)).statusCode, 204);
+    assert.ok(verified.has(alice.id));
+    assert.equal((await confirm(outbox[0].token)).statusCode, 400);
+    assert.equal((await confirm('not-a-token')).statusCode, 400);
+  });
+
+  await t.test('does not resend once verified', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/api/user/email-verification/request',
+      headers,
+    });
+    assert.equal(res.statusCode, 202);
+    assert.equal(outbox.length, 1);
+  });
+});
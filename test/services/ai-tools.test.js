@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { buildRecordingPool } from '../helper.js';
+import { LocalToolRunner } from '../../services/ai/tools.js';
+
+test('postgres_run_query runs in a read-only transaction scoped to the user', async () => {
+  const { pool, log } = buildRecordingPool((text) =>
+    text.startsWith('SELECT') ? [{ id: 1 }, { id: 2 }, { id: 3 }] : undefined
+  );
+  const runner = new LocalToolRunner(pool, {
+    statementTimeout: 2000,
+    maxRows: 2,
+  });
+
+  const result = await runner.run(
+    'postgres_run_query',
+    JSON.stringify({ query: 'SELECT id FROM systems' }),
+    { userId: 'user-alice' }
+  );
+
+  assert.deepEqual(JSON.parse(result), {
+    rows: [{ id: 1 }, { id: 2 }],
+    truncated: true,
+  });
+  assert.deepEqual(log, [
+    'BEGIN',
+    ['INSERT INTO ai_query_scopes (user_id) VALUES ($1)', ['user-alice']],
+    'SET TRANSACTION READ ONLY',
+    'SET LOCAL search_path = ai',
+    'SET LOCAL statement_timeout = 2000',
+    // Several statements are rejected by the extended protocol, the rows after
+    // the limit are not read
+    {
+      text: 'SELECT * FROM (\nSELECT id FROM systems\n) query LIMIT 3',
+      queryMode: 'extended',
+    },
+    'ROLLBACK',
+    'release',
+  ]);
+});
+
+test('tool failures are returned to the model', async () => {
+  const { pool, log } = buildRecordingPool((text) => {
+    if (text.includes('FROM users')) {
+      throw new Error('relation "users" does not exist');
+    }
+  });
+  const runner = new LocalToolRunner(pool);
+  const context = { userId: 'user-alice' };
+
+  assert.equal(
+    await runner.run(
+      'postgres_run_query',
+      '{"query":"SELECT * FROM users"}',
+      context
+    ),
+    'Error: relation "users" does not exist'
+  );
+  assert.equal(log.at(-2), 'ROLLBACK');
+  assert.equal(
+    await runner.run('postgres_run_query', '{}', context),
+    'Error: The query argument is required'
+  );
+  assert.equal(
+    await runner.run('code_exec_python', '{}', context),
+    'Error: the tool code_exec_python is not available'
+  );
+  assert.deepEqual(
+    runner
+      .definitions(['postgres_get_schema', 'html_to_markdown'])
+      .map((tool) => tool.function.name),
+    ['postgres_get_schema']
+  );
+});
+
+test('postgres_get_schema describes the views readable by the AI role', async () => {
+  const { pool, log } = buildRecordingPool((text, values) =>
+    text.includes('information_schema.columns') && values[0] === 'ai'
+      ? [
+          {
+            table_name: 'metrics',
+            column_name: 'energy_produced',
+            data_type: 'numeric',
+            is_nullable: 'YES',
+          },
+        ]
+      : undefined
+  );
+  const runner = new LocalToolRunner(pool);
+
+  assert.deepEqual(
+    JSON.parse(
+      await runner.run('postgres_get_schema', undefined, {
+        userId: 'user-alice',
+      })
+    ),
+    { metrics: [{ name: 'energy_produced', type: 'numeric', nullable: true }] }
+  );
+  assert.equal(log[3], 'SET LOCAL search_path = ai');
+});
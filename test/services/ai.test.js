@@ -0,0 +1,491 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { createServer } from 'node:http';
+import {
+  HerokuInferenceProvider,
+  OpenAICompatibleProvider,
+  ScriptedProvider,
+  completionEvent,
+  createAiProvider,
+} from '../../services/ai/index.js';
+
+/**
+ * Local chat completions server answering with the given handler
+ */
+async function startServer(t, handler) {
+  const requests = [];
+  const server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const request = {
+      url: req.url,
+      headers: req.headers,
+      body: JSON.parse(body),
+    };
+    requests.push(request);
+    handler(request, res);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+async function collect(stream) {
+  let text = '';
+  for await (const chunk of stream) text += Buffer.from(chunk).toString();
+  return text;
+}
+
+function delta(delta, finish_reason = null) {
+  return `data: ${JSON.stringify({ choices: [{ delta, finish_reason }] })}\n\n`;
+}
+
+test('OpenAICompatibleProvider merges streamed deltas into messages', async (t) => {
+  const { url, requests } = await startServer(t, (_request, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(delta({ role: 'assistant', content: '' }));
+    res.write(
+      delta({
+        tool_calls: [
+          {
+            index: 0,
+            id: 'call_1',
+            function: { name: 'postgres_run_query', arguments: '{"que' },
+          },
+        ],
+      })
+    );
+    // Events can be split across chunks
+    const rest = delta({
+      tool_calls: [{ index: 0, function: { arguments: 'ry":"SELECT 1"}' } }],
+    });
+    res.write(rest.slice(0, 30));
+    res.write(rest.slice(30));
+    res.write(delta({}, 'tool_calls'));
+    res.write(delta({ role: 'assistant', content: 'Hello' }));
+    res.write(delta({ content: ' there' }, 'stop'));
+    res.end('data: [DONE]\n\n');
+  });
+  const provider = new OpenAICompatibleProvider({ url, model: 'llama3' });
+
+  const stream = await provider.streamCompletion({
+    messages: [{ role: 'user', content: 'Hi' }],
+    tools: ['postgres_run_query'],
+  });
+
+  assert.equal(
+    await collect(stream),
+    [
+      `data: ${JSON.stringify({
+        choices: [
+          {
+            message: {
+              role: 'assistant',
+              content: '',
+              tool_calls: [
+                {
+                  id: 'call_1',
+                  type: 'function',
+                  function: {
+                    name: 'postgres_run_query',
+                    arguments: '{"query":"SELECT 1"}',
+                  },
+                },
+              ],
+            },
+          },
+        ],
+      })}\n\n`,
+      `data: ${JSON.stringify({
+        choices: [{ message: { role: 'assistant', content: 'Hello there' } }],
+      })}\n\n`,
+      'data: [DONE]\n\n',
+    ].join('')
+  );
+  assert.equal(requests[0].url, '/v1/chat/completions');
+  assert.deepEqual(requests[0].body, {
+    model: 'llama3',
+    messages: [{ role: 'user', content: 'Hi' }],
+    stream: true,
+  });
+  // Local servers do not need a key
+  assert.equal(requests[0].headers.authorization, undefined);
+});
+
+test('OpenAICompatibleProvider completes without streaming', async (t) => {
+  const { url, requests } = await startServer(t, (request, res) => {
+    if (request.body.model === 'missing') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end('{"error":"model not found"}');
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(
+      JSON.stringify({
+        choices: [{ message: { role: 'assistant', content: '{"a":1}' } }],
+      })
+    );
+  });
+  const messages = [{ role: 'user', content: 'Hi' }];
+
+  const provider = new OpenAICompatibleProvider({ url, key: 'k', model: 'm' });
+  assert.equal(await provider.complete({ messages }), '{"a":1}');
+  assert.equal(requests[0].headers.authorization, 'Bearer k');
+  assert.equal(requests[0].body.stream, undefined);
+
+  const missing = new OpenAICompatibleProvider({ url, model: 'missing' });
+  await assert.rejects(
+    missing.complete({ messages }),
+    /Failed to fetch completion/
+  );
+});
+
+test('HerokuInferenceProvider runs the tools on the agents endpoint', async (t) => {
+  const events = 'event: message\ndata: {"choices":[]}\n\n';
+  const { url, requests } = await startServer(t, (_request, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.end(events);
+  });
+  const provider = createAiProvider({
+    engine: 'mia',
+    url,
+    key: 'inference-key',
+    model: 'claude',
+    maxCalls: 5,
+  });
+  assert.ok(provider instanceof HerokuInferenceProvider);
+
+  const stream = await provider.streamCompletion({
+    messages: [],
+    tools: ['postgres_run_query', 'code_exec_python', 'html_to_markdown'],
+  });
+
+  // The agents endpoint already streams complete messages. Without a tool runner
+  // the database tools are left out, which the answer starts with.
+  assert.equal(
+    await collect(stream),
+    'event: tool-unavailable\ndata: {"names":["postgres_run_query"],"reason":"The database tools are not configured, see AI_DATABASE_URL"}\n\n' +
+      events
+  );
+  assert.equal(requests[0].url, '/v1/agents/heroku');
+  assert.equal(requests[0].headers.authorization, 'Bearer inference-key');
+  // Never the Heroku database tools, they have the privileges of the app
+  assert.deepEqual(requests[0].body.tools, [
+    { type: 'mcp', name: 'code_exec_python', runtime_params: { max_calls: 5 } },
+    { type: 'heroku_tool', name: 'html_to_markdown' },
+  ]);
+});
+
+test('HerokuInferenceProvider allows 5 calls per tool by default', async (t) => {
+  const { url, requests } = await startServer(t, (_request, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.end();
+  });
+  const provider = new HerokuInferenceProvider({
+    url,
+    key: 'inference-key',
+    model: 'claude',
+  });
+  assert.equal(provider.maxCalls, 5);
+
+  await collect(
+    await provider.streamCompletion({
+      messages: [],
+      tools: ['code_exec_python'],
+    })
+  );
+  assert.deepEqual(requests[0].body.tools, [
+    { type: 'mcp', name: 'code_exec_python', runtime_params: { max_calls: 5 } },
+  ]);
+});
+
+test('ScriptedProvider plays the scripted turns', async () => {
+  const provider = new ScriptedProvider({
+    turns: [[{ role: 'assistant', content: 'Scripted' }]],
+    completions: ['{"efficiency":"Fair"}'],
+  });
+  const messages = [
+    { role: 'system', content: 'Prompt' },
+    { role: 'user', content: 'Hi' },
+  ];
+
+  assert.equal(
+    await collect(await provider.streamCompletion({ messages })),
+    `data: {"choices":[{"message":{"role":"assistant","content":"Scripted"}}]}\n\ndata: [DONE]\n\n`
+  );
+  // Without a script the question is echoed
+  assert.match(
+    await collect(await provider.streamCompletion({ messages })),
+    /"content":"You asked: Hi"/
+  );
+  assert.equal(await provider.complete({ messages }), '{"efficiency":"Fair"}');
+  assert.equal(await provider.complete({ messages }), '');
+  assert.equal(provider.requests.length, 4);
+
+  assert.throws(() => createAiProvider({ engine: 'gpt' }), /Unknown AI engine/);
+});
+
+/**
+ * Chat completions server calling `postgres_run_query` until `answerAfter`
+ * requests, or until it is not offered tools anymore
+ */
+async function startToolServer(t, { answerAfter }) {
+  return startServer(t, (request, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const number = request.body.messages.filter(
+      (m) => m.role === 'tool'
+    ).length;
+    if (request.body.tools && number < answerAfter) {
+      res.write(
+        delta({
+          role: 'assistant',
+          tool_calls: [
+            {
+              index: 0,
+              id: `call_${number + 1}`,
+              function: {
+                name: 'postgres_run_query',
+                arguments: JSON.stringify({ query: `SELECT ${number + 1}` }),
+              },
+            },
+          ],
+        })
+      );
+      return res.end(delta({}, 'tool_calls'));
+    }
+    res.write(delta({ role: 'assistant', content: `Done after ${number}` }));
+    res.end(delta({}, 'stop'));
+  });
+}
+
+function parseMessages(text) {
+  return text
+    .split('\n\n')
+    .filter((event) => event.startsWith('data: {'))
+    .map((event) => JSON.parse(event.slice(6)).choices[0].message);
+}
+
+test('OpenAICompatibleProvider runs the tool calls of the model', async (t) => {
+  const { url, requests } = await startToolServer(t, { answerAfter: 2 });
+  const runs = [];
+  const toolRunner = {
+    definitions: (names) =>
+      names
+        .filter((name) => name === 'postgres_run_query')
+        .map((name) => ({ type: 'function', function: { name } })),
+    run: async (name, args) => {
+      runs.push([name, args]);
+      return `[{"result":${runs.length}}]`;
+    },
+  };
+  const provider = createAiProvider({
+    engine: 'openai',
+    url,
+    model: 'llama3',
+    toolRunner,
+  });
+
+  const stream = await provider.streamCompletion({
+    messages: [{ role: 'user', content: 'How much?' }],
+    tools: ['postgres_run_query', 'code_exec_python'],
+  });
+  const messages = parseMessages(await collect(stream));
+
+  assert.deepEqual(
+    messages.map((m) => [m.role, m.tool_calls?.[0].id, m.content]),
+    [
+      ['assistant', 'call_1', ''],
+      ['tool', undefined, '[{"result":1}]'],
+      ['assistant', 'call_2', ''],
+      ['tool', undefined, '[{"result":2}]'],
+      ['assistant', undefined, 'Done after 2'],
+    ]
+  );
+  assert.equal(messages[1].tool_call_id, 'call_1');
+  assert.deepEqual(runs, [
+    ['postgres_run_query', '{"query":"SELECT 1"}'],
+    ['postgres_run_query', '{"query":"SELECT 2"}'],
+  ]);
+  // Only the tools run locally are offered
+  assert.deepEqual(requests[0].body.tools, [
+    { type: 'function', function: { name: 'postgres_run_query' } },
+  ]);
+  // The results are sent back with the conversation
+  assert.deepEqual(
+    requests[2].body.messages.map((m) => m.role),
+    ['user', 'assistant', 'tool', 'assistant', 'tool']
+  );
+});
+
+test('HerokuInferenceProvider runs the database tools with the tool runner', async (t) => {
+  const { url, requests } = await startToolServer(t, { answerAfter: 1 });
+  const runs = [];
+  const provider = createAiProvider({
+    engine: 'mia',
+    url,
+    model: 'claude',
+    toolRunner: {
+      definitions: (names) =>
+        names
+          .filter((name) => name === 'postgres_run_query')
+          .map((name) => ({ type: 'function', function: { name } })),
+      run: async (name, args, context) => {
+        runs.push([name, args, context]);
+        return '[{"sum":12}]';
+      },
+    },
+  });
+
+  const stream = await provider.streamCompletion({
+    messages: [{ role: 'user', content: 'How much?' }],
+    tools: ['postgres_run_query', 'code_exec_python'],
+    userId: 'user-alice',
+  });
+  const payload = await collect(stream);
+  const messages = parseMessages(payload);
+
+  assert.equal(messages.at(-1).content, 'Done after 1');
+  assert.deepEqual(runs, [
+    ['postgres_run_query', '{"query":"SELECT 1"}', { userId: 'user-alice' }],
+  ]);
+  assert.deepEqual(
+    requests.map((request) => request.url),
+    ['/v1/chat/completions', '/v1/chat/completions']
+  );
+  assert.deepEqual(requests[0].body.tools, [
+    { type: 'function', function: { name: 'postgres_run_query' } },
+  ]);
+  // The Heroku tools cannot be offered on that endpoint, which the answer starts with
+  assert.ok(
+    payload.startsWith(
+      'event: tool-unavailable\ndata: {"names":["code_exec_python"],"reason":"The Heroku tools cannot run in an answer using the database tools"}\n\n'
+    )
+  );
+});
+
+test('OpenAICompatibleProvider stops offering tools after MAX_CALLS', async (t) => {
+  const { url, requests } = await startToolServer(t, { answerAfter: 10 });
+  let runs = 0;
+  const provider = new OpenAICompatibleProvider({
+    url,
+    model: 'llama3',
+    maxCalls: 3,
+    toolRunner: {
+      definitions: () => [{ type: 'function', function: { name: 'x' } }],
+      run: async () => `${++runs}`,
+    },
+  });
+
+  const stream = await provider.streamCompletion({
+    messages: [{ role: 'user', content: 'Loop' }],
+    tools: ['postgres_run_query'],
+  });
+  const messages = parseMessages(await collect(stream));
+
+  assert.equal(runs, 3);
+  assert.equal(requests.length, 4);
+  assert.equal(requests[3].body.tools, undefined);
+  assert.equal(messages.at(-1).content, 'Done after 3');
+});
+
+test('OpenAICompatibleProvider does not run the denied tool calls', async (t) => {
+  const { url, requests } = await startToolServer(t, { answerAfter: 1 });
+  let runs = 0;
+  const provider = new OpenAICompatibleProvider({
+    url,
+    model: 'llama3',
+    toolRunner: {
+      definitions: () => [{ type: 'function', function: { name: 'x' } }],
+      run: async () => `${++runs}`,
+    },
+  });
+
+  const stream = await provider.streamCompletion({
+    messages: [{ role: 'user', content: 'Query' }],
+    tools: ['postgres_run_query'],
+    authorizeToolCall: async (call) =>
+      `${call.function.name} is not allowed for this test`,
+  });
+  const text = await collect(stream);
+
+  assert.equal(runs, 0);
+  assert.match(
+    text,
+    /event: tool-denied\ndata: {"tool_call_id":"call_1","name":"postgres_run_query","reason":"postgres_run_query is not allowed for this test"}\n\n/
+  );
+  // The model is told why, and answers without the result
+  assert.equal(
+    requests[1].body.messages.at(-1).content,
+    'Error: postgres_run_query is not allowed for this test'
+  );
+  assert.match(text, /Done after 1/);
+});
+
+test('HerokuInferenceProvider aborts the agents request', async (t) => {
+  let closed;
+  const connectionClosed = new Promise((resolve) => (closed = resolve));
+  const { url } = await startServer(t, (_request, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    // The agent runs a tool, the answer is not sent yet
+    res.write(completionEvent({ role: 'agent', content: 'Querying...' }));
+    res.on('close', closed);
+  });
+  const provider = new HerokuInferenceProvider({ url, model: 'claude' });
+  const controller = new AbortController();
+
+  const stream = await provider.streamCompletion({
+    messages: [],
+    signal: controller.signal,
+  });
+  const reading = collect(stream);
+  controller.abort(new Error('The answer was cancelled'));
+
+  await assert.rejects(reading, { message: 'The answer was cancelled' });
+  await connectionClosed;
+});
+
+test('HerokuInferenceProvider ends the answer at a denied tool call', async (t) => {
+  const call = (id, url) => ({
+    id,
+    type: 'function',
+    function: { name: 'html_to_markdown', arguments: JSON.stringify({ url }) },
+  });
+  const { url } = await startServer(t, (_request, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(
+      'event: message\n' +
+        completionEvent({
+          role: 'assistant',
+          tool_calls: [call('call_1', 'https://luminaire.ukoreh.com/')],
+        })
+    );
+    res.write(completionEvent({ role: 'tool', tool_call_id: 'call_1' }));
+    res.write(
+      completionEvent({
+        role: 'assistant',
+        tool_calls: [call('call_2', 'https://evil.io/')],
+      })
+    );
+    res.write(completionEvent({ role: 'tool', tool_call_id: 'call_2' }));
+    res.end(completionEvent({ role: 'assistant', content: 'evil.io says' }));
+  });
+  const provider = new HerokuInferenceProvider({ url, model: 'claude' });
+
+  const stream = await provider.streamCompletion({
+    messages: [],
+    tools: ['html_to_markdown'],
+    authorizeToolCall: async (c) =>
+      JSON.parse(c.function.arguments).url.includes('evil.io')
+        ? 'https://evil.io/ is not whitelisted for html_to_markdown'
+        : null,
+  });
+  const events = (await collect(stream)).split('\n\n').filter(Boolean);
+
+  assert.equal(events.length, 4);
+  assert.match(events[0], /"id":"call_1"/);
+  assert.match(events[1], /"tool_call_id":"call_1"/);
+  assert.equal(
+    events[2],
+    'event: tool-denied\ndata: {"tool_call_id":"call_2","name":"html_to_markdown","reason":"https://evil.io/ is not whitelisted for html_to_markdown"}'
+  );
+  assert.equal(events[3], 'data: [DONE]');
+});
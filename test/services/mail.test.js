@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { MailService, createMailTransport } from '../../services/mail/index.js';
+
+test('the file transport writes one JSON file per message', async (t) => {
+  const directory = await mkdtemp(path.join(tmpdir(), 'luminaire-mail-'));
+  t.after(() => rm(directory, { recursive: true, force: true }));
+
+  const mail = new MailService({
+    transport: createMailTransport({ transport: 'file', directory }),
+    from: 'Luminaire Solar <no-reply@luminaire.example>',
+    appUrl: 'https://luminaire.example',
+  });
+  await mail.sendPasswordReset(
+    { name: 'Alice', email: 'alice@example.com' },
+    'a+b/c',
+    60
+  );
+
+  const files = await readdir(directory);
+  assert.equal(files.length, 1);
+  const message = JSON.parse(
+    await readFile(path.join(directory, files[0]), 'utf8')
+  );
+  assert.equal(message.to, 'alice@example.com');
+  assert.equal(message.from, 'Luminaire Solar <no-reply@luminaire.example>');
+  assert.match(
+    message.text,
+    /https:\/\/luminaire\.example\/reset-password\?token=a%2Bb%2Fc/
+  );
+  assert.match(message.text, /60 minutes/);
+});
+
+test('the console transport logs messages without their text', async () => {
+  const logs = [];
+  const transport = createMailTransport({
+    transport: 'console',
+    logger: { info: (...args) => logs.push(args) },
+  });
+  await transport.send({
+    to: 'alice@example.com',
+    subject: 'Hi',
+    text: 'https://luminaire.example/reset-password?token=secret-token',
+  });
+  assert.equal(logs.length, 1);
+  assert.deepEqual(logs[0][0], { to: 'alice@example.com', subject: 'Hi' });
+  // The links hold live tokens
+  assert.doesNotMatch(JSON.stringify(logs), /secret-token/);
+});
+
+test('createMailTransport rejects unknown transports', () => {
+  assert.throws(() => createMailTransport({ transport: 'smtp' }), /smtp/);
+});
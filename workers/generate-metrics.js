@@ -41,7 +41,8 @@ async function main() {
         `Generating metrics for system ${system.id} at ${date.toISOString()}`
       );
       await client.query(
-        `INSERT INTO metrics (system_id, datetime, energy_produced, energy_consumed) VALUES ($1, $2, $3, $4)`,
+        `INSERT INTO metrics (system_id, datetime, energy_produced, energy_consumed) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (system_id, datetime) DO NOTHING`,
         [system.id, date, energyProduced, energyConsumed]
       );
     }
@@ -0,0 +1,39 @@
+import 'dotenv/config';
+import pg from 'pg';
+import { config } from '../config.js';
+import { getLogger } from '../lib/logger.js';
+import { ConversationRepository } from '../repositories/conversations.js';
+
+const logger = getLogger();
+
+// Deletes the chat conversations idle for CHAT_RETENTION_DAYS, e.g. run daily
+// with the Heroku Scheduler
+async function main() {
+  if (!config.CHAT_RETENTION_DAYS) {
+    logger.info('CHAT_RETENTION_DAYS is 0, chat conversations are kept');
+    return;
+  }
+
+  const pool = new pg.Pool({
+    connectionString: config.DATABASE_URL,
+    ssl: {
+      rejectUnauthorized: false,
+    },
+  });
+
+  try {
+    const deleted = await new ConversationRepository(
+      pool
+    ).deleteInactiveConversations(config.CHAT_RETENTION_DAYS);
+    logger.info(
+      `Deleted ${deleted} chat conversations idle for ${config.CHAT_RETENTION_DAYS} days`
+    );
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((e) => {
+  logger.error(e);
+  process.exit(1);
+});